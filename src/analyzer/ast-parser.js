@@ -16,13 +16,71 @@ import path from "path";
 import * as babelParser from "@babel/parser";
 import traverse from "@babel/traverse";
 
+const PARSER_OPTIONS = {
+  sourceType: "module",
+  plugins: [
+    "jsx",
+    "classProperties",
+    "topLevelAwait",
+    "optionalChaining",
+    "objectRestSpread",
+  ],
+};
+
+/**
+ * Parse raw JS/ESM source into a Babel AST
+ * @param {string} code - source text
+ * @returns {Object} - Babel File node
+ */
+export function parseCode(code) {
+  return babelParser.parse(code, PARSER_OPTIONS);
+}
+
+/**
+ * Read and parse a file from disk
+ * @param {string} filePath - absolute path to a JS file
+ * @returns {Object|null} - { code, ast } or null if missing/unparseable
+ */
+export function parseFile(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+
+  const code = fs.readFileSync(filePath, "utf8");
+  try {
+    return { code, ast: parseCode(code) };
+  } catch (err) {
+    console.warn(`⚠️ Failed to parse ${path.basename(filePath)}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Babel path of the function spanning exactly `range` in a parsed file
+ * @param {Object} ast - Babel File node
+ * @param {Object} range - { start, end } from extractFunctionCode()
+ * @returns {Object|null} - NodePath of the function
+ */
+export function findFunctionPath(ast, range) {
+  let found = null;
+  traverse.default(ast, {
+    Function(p) {
+      if (p.node.start === range.start && p.node.end === range.end) {
+        found = p;
+        p.stop();
+      }
+    },
+  });
+  return found;
+}
+
 /**
  * Parse a given controller file and extract function logic by name
  * @param {string} filePath - absolute path to controller file
  * @param {string} handlerName - function name (e.g., getUsers)
- * @returns {Object|null} - { name, code, loc, async } or null if not found
+ * @param {Object} [options]
+ * @param {boolean} [options.silent=false] - don't warn when the function isn't found
+ * @returns {Object|null} - { name, code, loc, range, async } or null if not found
  */
-export function extractFunctionCode(filePath, handlerName) {
+export function extractFunctionCode(filePath, handlerName, { silent = false } = {}) {
   if (!fs.existsSync(filePath)) {
     console.warn("⚠️ Controller file not found:", filePath);
     return null;
@@ -31,16 +89,7 @@ export function extractFunctionCode(filePath, handlerName) {
   const code = fs.readFileSync(filePath, "utf8");
 
   // Parse JS/ESM syntax
-  const ast = babelParser.parse(code, {
-    sourceType: "module",
-    plugins: [
-      "jsx",
-      "classProperties",
-      "topLevelAwait",
-      "optionalChaining",
-      "objectRestSpread",
-    ],
-  });
+  const ast = parseCode(code);
 
   let extracted = null;
 
@@ -53,6 +102,7 @@ export function extractFunctionCode(filePath, handlerName) {
           name: handlerName,
           code: code.slice(path.node.start, path.node.end),
           loc: path.node.loc,
+          range: { start: path.node.start, end: path.node.end },
           async: path.node.async || false,
         };
         path.stop();
@@ -72,6 +122,7 @@ export function extractFunctionCode(filePath, handlerName) {
             name: handlerName,
             code: code.slice(init.start, init.end),
             loc: path.node.loc,
+            range: { start: init.start, end: init.end },
             async: init.async || false,
           };
           path.stop();
@@ -93,6 +144,7 @@ export function extractFunctionCode(filePath, handlerName) {
             name: handlerName,
             code: code.slice(init.start, init.end),
             loc: path.node.loc,
+            range: { start: init.start, end: init.end },
             async: init.async || false,
           };
           path.stop();
@@ -101,9 +153,62 @@ export function extractFunctionCode(filePath, handlerName) {
     },
   });
 
-  if (!extracted) {
+  if (!extracted && !silent) {
     console.warn(`⚠️ Handler '${handlerName}' not found in ${path.basename(filePath)}`);
   }
 
   return extracted;
 }
+
+/**
+ * Extract an inline function (arrow/function expression or object method)
+ * by its character range, as recorded by import-resolver.js
+ * @param {string} filePath - absolute path to the defining file
+ * @param {Object} range - { start, end } offsets of the function node
+ * @param {string} handlerName - display name for the handler
+ * @returns {Object|null} - { name, code, loc, range, async } or null if not found
+ */
+export function extractFunctionAt(filePath, range, handlerName) {
+  const parsed = parseFile(filePath);
+  if (!parsed) {
+    console.warn("⚠️ Source file not found:", filePath);
+    return null;
+  }
+
+  let extracted = null;
+
+  traverse.default(parsed.ast, {
+    Function(path) {
+      if (path.node.start === range.start && path.node.end === range.end) {
+        extracted = {
+          name: handlerName,
+          code: parsed.code.slice(range.start, range.end),
+          loc: path.node.loc,
+          range,
+          async: path.node.async || false,
+        };
+        path.stop();
+      }
+    },
+  });
+
+  if (!extracted) {
+    console.warn(`⚠️ Inline handler '${handlerName}' not found in ${path.basename(filePath)}`);
+  }
+
+  return extracted;
+}
+
+/**
+ * Extract the function behind a resolved endpoint source
+ * @param {Object} source - { file, localName, range } from import-resolver.js
+ * @param {string} handlerName - display name for the handler
+ * @returns {Object|null} - { name, code, loc, range, async } or null if not found
+ */
+export function extractHandler(source, handlerName) {
+  if (!source) return null;
+  if (source.range) return extractFunctionAt(source.file, source.range, handlerName);
+
+  const extracted = extractFunctionCode(source.file, source.localName);
+  return extracted ? { ...extracted, name: handlerName } : null;
+}
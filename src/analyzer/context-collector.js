@@ -0,0 +1,275 @@
+/**
+ * ---------------------------------------------------------
+ * Context Collector
+ * ---------------------------------------------------------
+ * Purpose:
+ *   - Walk the identifiers a handler references
+ *   - Resolve imported Mongoose models and module-level helper
+ *     functions they point to
+ *   - Produce compact, sanitized summaries within a size budget
+ *     so the model knows what `User.findOne()` is working with
+ * ---------------------------------------------------------
+ */
+
+import path from "path";
+import traverse from "@babel/traverse";
+import stripComments from "strip-comments";
+import { parseFile, extractFunctionCode } from "./ast-parser.js";
+import { resolveModulePath, resolveExport } from "./import-resolver.js";
+import { sanitizeCode } from "./sanitizer.js";
+import { fitToBudget } from "./truncator.js";
+import { parseModelFile, formatIndex } from "./schema-advisor.js";
+import { loadReviewerConfig } from "../config/reviewer.js";
+
+/**
+ * Collect referenced models/helpers for an extracted handler
+ * @param {string} filePath - absolute path of the file defining the handler
+ * @param {Object} extracted - { name, range } from ast-parser.js
+ * @param {Object} [budget] - overrides for config.context
+ * @param {Object} [options]
+ * @param {Object} [options.redactions] - secret placeholder map shared with the handler code
+ * @returns {Object} - { models, helpers, omitted, chars, modelFiles }
+ */
+export function collectContext(filePath, extracted, budget = {}, { redactions } = {}) {
+  const limits = { ...loadReviewerConfig().context, ...budget };
+  const empty = { models: [], helpers: [], omitted: [], chars: 0, modelFiles: [] };
+
+  if (!extracted?.range) return empty;
+  const parsed = parseFile(filePath);
+  if (!parsed) return empty;
+
+  const refs = findModuleReferences(parsed.ast, extracted.range);
+  const models = [];
+  const helpers = [];
+  const modelFiles = [];
+
+  for (const ref of refs) {
+    const target = locateDefinition(filePath, ref);
+    if (!target) continue;
+
+    const model = summarizeModel(target.file, redactions);
+    if (model) {
+      models.push({ ref: ref.name, ...model });
+      modelFiles.push(target.file);
+      continue;
+    }
+
+    const helper = summarizeHelper(target, limits.maxHelperChars, redactions);
+    if (helper) helpers.push({ ref: ref.name, ...helper });
+  }
+
+  // modelFiles is not subject to the budget: the schema advisor needs every model
+  return { ...applyBudget(models, helpers, limits), modelFiles };
+}
+
+/**
+ * Identifiers inside the handler that bind to module scope
+ * (imports or top-level declarations), in first-use order.
+ */
+function findModuleReferences(ast, range) {
+  const refs = new Map();
+
+  traverse.default(ast, {
+    Function(fnPath) {
+      if (fnPath.node.start !== range.start || fnPath.node.end !== range.end) return;
+
+      fnPath.traverse({
+        ReferencedIdentifier(idPath) {
+          const name = idPath.node.name;
+          if (refs.has(name)) return;
+
+          const binding = idPath.scope.getBinding(name);
+          if (!binding || binding.scope.block.type !== "Program") return;
+          // the handler itself (recursion) is not context
+          if (binding.path.node.start <= range.start && binding.path.node.end >= range.end) return;
+
+          if (binding.kind === "module") {
+            const decl = binding.path.parentPath.node;
+            const spec = binding.path.node;
+            refs.set(name, {
+              name,
+              kind: "import",
+              source: decl.source.value,
+              imported:
+                spec.type === "ImportDefaultSpecifier"
+                  ? "default"
+                  : spec.type === "ImportNamespaceSpecifier"
+                  ? "*"
+                  : spec.imported.name ?? spec.imported.value,
+            });
+          } else if (isFunctionBinding(binding.path.node)) {
+            refs.set(name, { name, kind: "local" });
+          }
+        },
+      });
+      fnPath.stop();
+    },
+  });
+
+  return [...refs.values()];
+}
+
+function isFunctionBinding(node) {
+  if (node.type === "FunctionDeclaration") return true;
+  return node.type === "VariableDeclarator" &&
+    ["ArrowFunctionExpression", "FunctionExpression"].includes(node.init?.type);
+}
+
+/**
+ * Where does a module-scope reference live? → { file, localName }
+ */
+function locateDefinition(filePath, ref) {
+  if (ref.kind === "local") return { file: filePath, localName: ref.name };
+  if (ref.imported === "*") return null;
+
+  const target = resolveModulePath(path.dirname(filePath), ref.source);
+  if (!target) return null;
+
+  // Models are summarized from the whole module, no need to chase the binding
+  if (isModelFile(target)) return { file: target, localName: null };
+
+  const resolved = resolveExport(target, ref.imported);
+  if (!resolved || !resolved.localName) return null;
+  return { file: resolved.file, localName: resolved.localName };
+}
+
+/**
+ * Identifiers bound to Mongoose models in this module → defining file:
+ * imports from model files, plus local `const X = mongoose.model("X", schema)`.
+ * @param {Object} ast - Babel File node of the module
+ * @param {string} filePath - absolute path of the module
+ * @returns {Map<string, string>}
+ */
+export function collectModelBindings(ast, filePath) {
+  const models = new Map();
+
+  for (const node of ast.program.body) {
+    if (node.type === "ImportDeclaration") {
+      const target = resolveModulePath(path.dirname(filePath), node.source.value);
+      if (!target || !isModelFile(target)) continue;
+      node.specifiers.forEach((spec) => {
+        if (spec.type !== "ImportNamespaceSpecifier") models.set(spec.local.name, target);
+      });
+    }
+
+    if (node.type === "VariableDeclaration") {
+      node.declarations.forEach((decl) => {
+        const init = decl.init;
+        if (
+          decl.id.type === "Identifier" &&
+          init?.type === "CallExpression" &&
+          init.callee.type === "MemberExpression" &&
+          init.callee.property.name === "model"
+        ) {
+          models.set(decl.id.name, filePath);
+        }
+      });
+    }
+  }
+
+  return models;
+}
+
+/**
+ * Convention for Mongoose model modules: *.model.js or anything under models/
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+export function isModelFile(filePath) {
+  return /\.model\.js$/.test(filePath) || /[\\/]models[\\/]/.test(filePath);
+}
+
+/**
+ * Compact one-line-per-field summary of a Mongoose model file
+ * @returns {Object|null} - { name, file, summary }
+ */
+function summarizeModel(filePath, redactions) {
+  if (!isModelFile(filePath)) return null;
+  const model = parseModelFile(filePath);
+  if (!model) return null;
+
+  const lines = Object.entries(model.fields)
+    .filter(([, field]) => !field.auto)
+    .map(([name, field]) => `  ${name}: ${describeField(field)}`);
+
+  const summary = [
+    `model ${model.name} {`,
+    ...lines,
+    "}",
+    `indexes: ${model.indexes.map(formatIndex).join("; ")}`,
+    model.options.timestamps ? "options: timestamps (createdAt, updatedAt)" : null,
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  return {
+    name: model.name,
+    file: path.relative(process.cwd(), filePath),
+    summary: sanitizeCode(summary, { redactions }).safeCode,
+  };
+}
+
+function describeField(field) {
+  const flags = [];
+  if (field.required === true) flags.push("required");
+  if (field.unique) flags.push("unique");
+  if (field.index) flags.push("index");
+  if (field.sparse) flags.push("sparse");
+  if (field.select === false) flags.push("select=false");
+  if (field.ref) flags.push(`ref=${field.ref}`);
+  if (field.enum) flags.push(`enum=${JSON.stringify(field.enum)}`);
+  if (field.default !== undefined) flags.push(`default=${field.default}`);
+  return [field.type, ...flags].join(" ");
+}
+
+/**
+ * Sanitized body of a module-level helper function
+ * @returns {Object|null} - { name, file, code, truncated }
+ */
+function summarizeHelper(target, maxChars, redactions) {
+  if (!target.localName) return null;
+  const extracted = extractFunctionCode(target.file, target.localName, { silent: true });
+  if (!extracted) return null;
+
+  let code = extracted.code;
+  try {
+    code = stripComments(code);
+  } catch {
+    /* keep raw code */
+  }
+
+  const { safeCode } = sanitizeCode(code.replace(/\n\s*\n/g, "\n").trim(), { redactions });
+  const fitted = fitToBudget(safeCode, maxChars);
+
+  return {
+    name: target.localName,
+    file: path.relative(process.cwd(), target.file),
+    code: fitted.code,
+    truncated: fitted.elided > 0,
+  };
+}
+
+/**
+ * Keep models first (they explain the queries), then helpers,
+ * until the character budget or per-kind caps are reached.
+ */
+function applyBudget(models, helpers, limits) {
+  const out = { models: [], helpers: [], omitted: [], chars: 0 };
+
+  const take = (items, key, cap, sizeOf) => {
+    for (const item of items) {
+      const size = sizeOf(item);
+      if (out[key].length >= cap || out.chars + size > limits.maxChars) {
+        out.omitted.push(`${key.slice(0, -1)}:${item.name}`);
+        continue;
+      }
+      out[key].push(item);
+      out.chars += size;
+    }
+  };
+
+  take(models, "models", limits.maxModels, (m) => m.summary.length);
+  take(helpers, "helpers", limits.maxHelpers, (h) => h.code.length);
+
+  return out;
+}
@@ -0,0 +1,275 @@
+/**
+ * ---------------------------------------------------------
+ * Import Resolver
+ * ---------------------------------------------------------
+ * Purpose:
+ *   - Follow a route handler reference through the import graph
+ *   - Resolve named, default and namespace imports, re-exports
+ *     (export { x } from, export * from) and default-export objects
+ *   - Return the absolute file + binding that actually defines it
+ *
+ * Output shape:
+ *   { file, exportName, localName, range }
+ *     file       - absolute path of the defining module
+ *     exportName - name the handler is exported under (null if local)
+ *     localName  - binding to extract inside `file` (null for inline)
+ *     range      - { start, end } for inline functions, else null
+ * ---------------------------------------------------------
+ */
+
+import fs from "fs";
+import path from "path";
+import { parseFile } from "./ast-parser.js";
+
+const FUNCTION_TYPES = ["ArrowFunctionExpression", "FunctionExpression", "FunctionDeclaration"];
+
+/**
+ * Resolve the handler argument of a route definition
+ * @param {string} routeFile - absolute path of the file declaring the route
+ * @param {Object} node - Babel node of the (unwrapped) handler argument
+ * @returns {Object|null} - { file, exportName, localName, range } or null
+ */
+export function resolveHandlerNode(routeFile, node) {
+  if (!node) return null;
+
+  if (FUNCTION_TYPES.includes(node.type)) {
+    return inlineResult(routeFile, null, node);
+  }
+
+  const parsed = parseFile(routeFile);
+  if (!parsed) return null;
+  const scope = readModuleScope(parsed.ast);
+
+  if (node.type === "Identifier") {
+    return resolveBinding(routeFile, scope, node.name, null, new Set());
+  }
+
+  // ctrl.getUsers → namespace import, default-export object or local object
+  if (
+    node.type === "MemberExpression" &&
+    !node.computed &&
+    node.object.type === "Identifier" &&
+    node.property.type === "Identifier"
+  ) {
+    const objectName = node.object.name;
+    const prop = node.property.name;
+    const imp = scope.imports.get(objectName);
+
+    if (imp) {
+      const target = resolveModulePath(path.dirname(routeFile), imp.source);
+      if (!target) return null;
+      if (imp.imported === "*") return resolveExport(target, prop, new Set());
+      return resolveExportProperty(target, imp.imported, prop, new Set());
+    }
+
+    const local = scope.locals.get(objectName);
+    if (local?.type === "ObjectExpression") {
+      return resolveObjectProperty(routeFile, scope, local, prop, null, new Set());
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolve "./routes/user.routes.js", "./routes/user.routes" or "./routes"
+ * @param {string} fromDir - directory of the importing file
+ * @param {string} source - import specifier
+ * @returns {string|null} absolute file path, or null for packages/missing files
+ */
+export function resolveModulePath(fromDir, source) {
+  if (!source.startsWith(".")) return null;
+
+  const base = path.resolve(fromDir, source);
+  const candidates = [base, `${base}.js`, `${base}.mjs`, path.join(base, "index.js")];
+  return candidates.find((c) => fs.existsSync(c) && fs.statSync(c).isFile()) || null;
+}
+
+/**
+ * Resolve an exported name of a module to its defining binding
+ * @param {string} filePath - absolute module path
+ * @param {string} exportName - export to look up ("default" for default)
+ * @param {Set} seen - cycle guard
+ * @returns {Object|null}
+ */
+export function resolveExport(filePath, exportName, seen = new Set()) {
+  const key = `${filePath}#${exportName}`;
+  if (seen.has(key)) return null;
+  seen.add(key);
+
+  const parsed = parseFile(filePath);
+  if (!parsed) return null;
+  const scope = readModuleScope(parsed.ast);
+  const entry = scope.exports.get(exportName);
+
+  if (entry) {
+    if (entry.from) {
+      const target = resolveModulePath(path.dirname(filePath), entry.from);
+      return target ? resolveExport(target, entry.imported, seen) : null;
+    }
+    if (entry.node) {
+      if (FUNCTION_TYPES.includes(entry.node.type)) return inlineResult(filePath, exportName, entry.node);
+      return null;
+    }
+    const resolved = resolveBinding(filePath, scope, entry.local, exportName, seen);
+    return resolved ? { ...resolved, exportName: resolved.exportName ?? exportName } : null;
+  }
+
+  // export * from "./x" — first module that provides the name wins
+  for (const source of scope.starExports) {
+    const target = resolveModulePath(path.dirname(filePath), source);
+    const resolved = target && resolveExport(target, exportName, seen);
+    if (resolved) return resolved;
+  }
+
+  return null;
+}
+
+/**
+ * Resolve `ctrl.prop` where `ctrl` is a default (or named) import whose
+ * value is an object literal, e.g. export default { getUsers, getUser }
+ */
+function resolveExportProperty(filePath, exportName, prop, seen) {
+  const parsed = parseFile(filePath);
+  if (!parsed) return null;
+  const scope = readModuleScope(parsed.ast);
+  const entry = scope.exports.get(exportName);
+  if (!entry) return null;
+
+  if (entry.from) {
+    const target = resolveModulePath(path.dirname(filePath), entry.from);
+    return target ? resolveExportProperty(target, entry.imported, prop, seen) : null;
+  }
+
+  const objectNode = entry.node || scope.locals.get(entry.local);
+  if (objectNode?.type !== "ObjectExpression") return null;
+  return resolveObjectProperty(filePath, scope, objectNode, prop, `${exportName}.${prop}`, seen);
+}
+
+function resolveObjectProperty(filePath, scope, objectNode, prop, exportName, seen) {
+  const property = objectNode.properties.find(
+    (p) =>
+      (p.type === "ObjectProperty" || p.type === "ObjectMethod") &&
+      !p.computed &&
+      (p.key.name === prop || p.key.value === prop)
+  );
+  if (!property) return null;
+
+  if (property.type === "ObjectMethod") return inlineResult(filePath, exportName, property);
+  if (FUNCTION_TYPES.includes(property.value.type)) return inlineResult(filePath, exportName, property.value);
+  if (property.value.type === "Identifier") {
+    const resolved = resolveBinding(filePath, scope, property.value.name, exportName, seen);
+    return resolved ? { ...resolved, exportName } : null;
+  }
+  return null;
+}
+
+/**
+ * A local binding is either defined in this file or imported from another
+ */
+function resolveBinding(filePath, scope, localName, exportName, seen) {
+  const imp = scope.imports.get(localName);
+  if (imp) {
+    if (imp.imported === "*") return null;
+    const target = resolveModulePath(path.dirname(filePath), imp.source);
+    return target ? resolveExport(target, imp.imported, seen) : null;
+  }
+
+  if (scope.locals.has(localName) || scope.functions.has(localName)) {
+    return { file: filePath, exportName, localName, range: null };
+  }
+  return null;
+}
+
+function inlineResult(file, exportName, node) {
+  return {
+    file,
+    exportName,
+    localName: null,
+    range: { start: node.start, end: node.end },
+  };
+}
+
+/**
+ * Collect top-level imports, exports and local bindings of a module
+ */
+function readModuleScope(ast) {
+  const imports = new Map(); // local → { source, imported }
+  const exports = new Map(); // exported → { local } | { from, imported } | { node }
+  const locals = new Map(); // name → init node
+  const functions = new Set();
+  const starExports = [];
+
+  const addDeclaration = (decl) => {
+    if (decl.type === "FunctionDeclaration" && decl.id) {
+      functions.add(decl.id.name);
+      return [decl.id.name];
+    }
+    if (decl.type === "VariableDeclaration") {
+      return decl.declarations
+        .filter((d) => d.id.type === "Identifier")
+        .map((d) => {
+          locals.set(d.id.name, d.init);
+          return d.id.name;
+        });
+    }
+    if (decl.type === "ClassDeclaration" && decl.id) {
+      locals.set(decl.id.name, decl);
+      return [decl.id.name];
+    }
+    return [];
+  };
+
+  for (const node of ast.program.body) {
+    switch (node.type) {
+      case "ImportDeclaration":
+        node.specifiers.forEach((spec) => {
+          const imported =
+            spec.type === "ImportDefaultSpecifier"
+              ? "default"
+              : spec.type === "ImportNamespaceSpecifier"
+              ? "*"
+              : spec.imported.name ?? spec.imported.value;
+          imports.set(spec.local.name, { source: node.source.value, imported });
+        });
+        break;
+
+      case "ExportNamedDeclaration":
+        if (node.declaration) {
+          addDeclaration(node.declaration).forEach((name) => exports.set(name, { local: name }));
+        }
+        node.specifiers.forEach((spec) => {
+          const exported = spec.exported.name ?? spec.exported.value;
+          if (node.source) {
+            const imported = spec.type === "ExportNamespaceSpecifier" ? "*" : spec.local.name;
+            exports.set(exported, { from: node.source.value, imported });
+          } else {
+            exports.set(exported, { local: spec.local.name });
+          }
+        });
+        break;
+
+      case "ExportAllDeclaration":
+        starExports.push(node.source.value);
+        break;
+
+      case "ExportDefaultDeclaration": {
+        const decl = node.declaration;
+        if (decl.type === "Identifier") {
+          exports.set("default", { local: decl.name });
+        } else if ((decl.type === "FunctionDeclaration" || decl.type === "ClassDeclaration") && decl.id) {
+          addDeclaration(decl);
+          exports.set("default", { local: decl.id.name });
+        } else {
+          exports.set("default", { node: decl });
+        }
+        break;
+      }
+
+      default:
+        addDeclaration(node);
+    }
+  }
+
+  return { imports, exports, locals, functions, starExports };
+}
@@ -6,8 +6,17 @@
  *    - Discovering route files
  *    - Letting user select which file & endpoints to analyze
  *    - Parsing via AST
- *    - Cleaning & Sanitizing
+ *    - Cleaning & Sanitizing (secrets → __SECRET_n__ placeholders)
+ *    - Fitting the code to the model's budget (elision / chunks)
+ *    - Mapping the lines the model sees back to the source file
+ *    - Collecting referenced models/helpers
+ *    - Running static rules (offline findings)
+ *    - Reporting schemas/indexes of the queried models
  *    - Serializing payloads
+ *
+ *  The building blocks (discoverEndpoints, buildEndpointPayload)
+ *  are exported so the CLI and pipeline scripts can run the
+ *  analyzer in-process without any prompts.
  * ---------------------------------------------------------
  */
 
@@ -18,24 +27,155 @@ import inquirer from "inquirer";
 import * as routeReflector from "./route-reflector.js";
 import * as astParser from "./ast-parser.js";
 import * as logicExtractor from "./logic-extractor.js";
+import * as contextCollector from "./context-collector.js";
+import * as rules from "./rules/index.js";
+import * as schemaAdvisor from "./schema-advisor.js";
 import * as sanitizer from "./sanitizer.js";
+import * as secrets from "./secrets/index.js";
+import * as truncator from "./truncator.js";
+import * as lineMap from "./line-map.js";
 import * as serializer from "./serializer.js";
+import { loadReviewerConfig } from "../config/reviewer.js";
 
 const __filename = url.fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+export const DEFAULT_ROUTES_DIR = path.join(__dirname, "../routes");
+export const DEFAULT_APP_ENTRY = path.join(__dirname, "../index.js");
+
+/**
+ * Human-readable label for an endpoint, used by prompts and --endpoint
+ * @param {Object} endpoint
+ * @returns {string} e.g. "GET /api/v1/users/:id → getUser"
+ */
+export function endpointLabel(endpoint) {
+  return `${endpoint.method.toUpperCase()} ${endpoint.fullPath} → ${endpoint.handler}`;
+}
+
+/**
+ * Find the endpoints declared in a route file with their full public paths.
+ * Mount prefixes come from the app entry (src/index.js); a router that the
+ * app never mounts is scanned on its own so it can still be analyzed.
+ * @param {string} routeFilePath - absolute path to the route file
+ * @param {Object} [options]
+ * @param {string} [options.appEntry] - app entry used to resolve mount prefixes
+ * @param {Array} [options.appEndpoints] - pre-scanned app endpoints (avoids re-parsing)
+ * @returns {Array} endpoints
+ */
+export function discoverEndpoints(routeFilePath, options = {}) {
+  const appEndpoints = options.appEndpoints
+    || routeReflector.scanApp(options.appEntry || DEFAULT_APP_ENTRY);
+  const mounted = appEndpoints.filter(ep => ep.file === routeFilePath);
+
+  if (mounted.length > 0) return mounted;
+
+  console.log(`ℹ️ ${path.basename(routeFilePath)} is not mounted in the app entry, using router-local paths.`);
+  return routeReflector.scanRoutesFile(routeFilePath);
+}
+
+/**
+ * Run extraction → refinement → sanitizing → context → rules → payload for one endpoint
+ * @param {Object} endpoint - endpoint from route-reflector.js
+ * @param {Object} [options]
+ * @param {string|null} [options.outDir="analysis_reports"] - save payload here (null to skip)
+ * @param {boolean} [options.verbose=true] - print cleaned/sanitized code
+ * @param {string} [options.mode] - analysis mode (performance|security), defaults to config.mode
+ * @param {string} [options.model] - target model id, sets the code budget (config.limits)
+ * @returns {Object|null} - { payload, savedFile, redactions } or null if the handler couldn't be extracted.
+ *   `redactions` maps placeholders back to secret values; it never leaves the process.
+ */
+export function buildEndpointPayload(endpoint, { outDir = "analysis_reports", verbose = true, mode, model } = {}) {
+  const analysisMode = mode || loadReviewerConfig().mode;
+
+  if (!endpoint.source) {
+    console.warn(`⚠️ Could not resolve where ${endpoint.handler} is defined, skipping.`);
+    return null;
+  }
+
+  const sourceLabel = endpoint.source.exportName
+    ? `${endpoint.source.exportName} in ${path.basename(endpoint.source.file)}`
+    : path.basename(endpoint.source.file);
+  console.log(`\n🧩 Extracting Function: ${endpoint.handler} from ${sourceLabel}`);
+
+  const extracted = astParser.extractHandler(endpoint.source, endpoint.handler);
+  if (!extracted) {
+    console.warn(`⚠️ Could not extract function ${endpoint.handler}`);
+    return null;
+  }
+
+  const redactions = secrets.createRedactionMap();
+  const refined = logicExtractor.refineFunctionLogic(extracted, { filePath: endpoint.source.file, redactions });
+  const safe = sanitizer.sanitizeCode(refined.cleanedCode, { redactions });
+  const shaped = truncator.shapeCode(safe.safeCode, truncator.budgetForModel(model));
+  const { modelFiles, ...context } = contextCollector.collectContext(endpoint.source.file, extracted, {}, { redactions });
+  const findings = rules.runRules(endpoint.source.file, extracted, { mode: analysisMode });
+  const schema = modelFiles
+    .map(file => schemaAdvisor.parseModelFile(file))
+    .filter(Boolean)
+    .map(schemaAdvisor.buildModelReport);
+  const sanitized = { ...safe, safeCode: shaped.code, elided: shaped.elided, chunks: shaped.chunks };
+  const sourceMap = lineMap.buildSourceMap({
+    file: endpoint.source.file,
+    extracted,
+    cleanedCode: refined.cleanedCode,
+    safeCode: safe.safeCode,
+    shaped,
+  });
+  const payload = serializer.buildPayload(endpoint, refined, sanitized, {
+    mode: analysisMode,
+    sourceMap,
+    context,
+    staticFindings: findings,
+    schema,
+    secrets: [...redactions.byPlaceholder].map(([placeholder, { detector }]) => ({ placeholder, detector })),
+  });
+  const savedFile = outDir ? serializer.savePayload(payload, outDir) : null;
+
+  if (verbose) {
+    console.log("📜 Cleaned Code:\n", refined.cleanedCode);
+    console.log("📊 Summary:", refined.summary);
+    console.log("🛡️ Sanitized Code:\n", shaped.code);
+    console.log("🧾 Sanitize Note:", payload.function.safetyNote);
+    console.log(
+      `📎 Context: ${context.models.map(m => m.name).join(", ") || "no models"}; ` +
+      `${context.helpers.map(h => h.name).join(", ") || "no helpers"}` +
+      (context.omitted.length ? ` (omitted: ${context.omitted.join(", ")})` : "")
+    );
+  }
+  printStaticFindings(findings);
+  if (savedFile) console.log("💾 Payload saved to:", savedFile);
+
+  return { payload, savedFile, redactions };
+}
+
+/**
+ * Print rule engine findings for one endpoint
+ * @param {Array} findings
+ */
+export function printStaticFindings(findings) {
+  if (findings.length === 0) {
+    console.log("🧪 Static rules: no findings");
+    return;
+  }
+
+  console.log(`🧪 Static rules: ${findings.length} finding(s)`);
+  findings.forEach(f =>
+    console.log(`   • [${f.severity}] ${f.ruleId}${f.cwe ? ` ${f.cwe}` : ""} (line ${f.line}): ${f.message}`)
+  );
+}
+
 async function startAnalyzer() {
   console.log("\n🚀 Starting Analyzer...");
   console.log("📂 Working directory:", __dirname);
 
-  const routesDir = path.join(__dirname, "../routes");
+  const routesDir = DEFAULT_ROUTES_DIR;
 
   if (!fs.existsSync(routesDir)) {
     console.error("❌ Routes folder not found:", routesDir);
     return;
   }
 
-  // ✅ Detect CLI argument (when used via run-full-analysis)
+  // ✅ Detect CLI argument (legacy: node src/analyzer/index.js user.routes.js)
   const cliRouteArg = process.argv[2];
   let selectedRouteFile = cliRouteArg;
 
@@ -59,7 +199,7 @@ async function startAnalyzer() {
   }
 
   const selectedRoutePath = path.join(routesDir, selectedRouteFile);
-  const endpoints = routeReflector.scanRoutesFile(selectedRoutePath);
+  const endpoints = discoverEndpoints(selectedRoutePath);
 
   if (!endpoints || endpoints.length === 0) {
     console.warn("⚠️ No endpoints found in this route file.");
@@ -72,7 +212,7 @@ async function startAnalyzer() {
       type: "checkbox",
       name: "selectedEndpoints",
       message: "🧠 Select which endpoints to analyze:",
-      choices: endpoints.map(ep => `${ep.method.toUpperCase()} ${ep.path} → ${ep.handler}`),
+      choices: endpoints.map(endpointLabel),
       pageSize: 10,
       validate: input => input.length > 0 || "Select at least one endpoint to analyze.",
     },
@@ -83,34 +223,10 @@ async function startAnalyzer() {
 
   // ✅ Process each selected endpoint directly
   for (const selected of selectedEndpoints) {
-    const endpoint = endpoints.find(
-      ep => `${ep.method.toUpperCase()} ${ep.path} → ${ep.handler}` === selected
-    );
+    const endpoint = endpoints.find(ep => endpointLabel(ep) === selected);
     if (!endpoint) continue;
 
-    const controllerFile = path.join(
-      __dirname,
-      `../controllers/${endpoint.controller || "user.controller.js"}`
-    );
-
-    console.log(`\n🧩 Extracting Function: ${endpoint.handler} from ${path.basename(controllerFile)}`);
-
-    const extracted = astParser.extractFunctionCode(controllerFile, endpoint.handler);
-    if (!extracted) {
-      console.warn(`⚠️ Could not extract function ${endpoint.handler}`);
-      continue;
-    }
-
-    const refined = logicExtractor.refineFunctionLogic(extracted);
-    const safe = sanitizer.sanitizeCode(refined.cleanedCode);
-    const payload = serializer.buildPayload(endpoint, refined, safe);
-    const savedFile = serializer.savePayload(payload, "analysis_reports");
-
-    console.log("📜 Cleaned Code:\n", refined.cleanedCode);
-    console.log("📊 Summary:", refined.summary);
-    console.log("🛡️ Sanitized Code:\n", safe.safeCode);
-    console.log("🧾 Sanitize Note:", safe.note);
-    console.log("💾 Payload saved to:", savedFile);
+    buildEndpointPayload(endpoint);
   }
 
   console.log("\n✅ Analyzer complete for selected endpoints.\n");
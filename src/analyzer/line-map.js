@@ -0,0 +1,181 @@
+/**
+ * ---------------------------------------------------------
+ * Line Map
+ * ---------------------------------------------------------
+ * Purpose:
+ *   - Remember where each line of the code shown to the model
+ *     came from in the handler's file, through every rewrite on
+ *     the way: comment/console stripping (logic-extractor.js),
+ *     sanitizing (sanitizer.js), elision and chunks (truncator.js)
+ *   - Map a line the model reports back to a file position
+ *
+ * Each rewrite is aligned line by line with the text it started
+ * from: lines that survive unchanged anchor the alignment, lines in
+ * between are paired in order (a line cut down to a part of itself,
+ * like `foo(); // note` → `foo();`, finds its original first).
+ * Placeholders such as `/* 3 statements elided *\/` point at the
+ * first line they replace.
+ * ---------------------------------------------------------
+ */
+
+import path from "path";
+
+// past this many line pairs, only the in-order pairing is used
+const MAX_ALIGN_CELLS = 4_000_000;
+
+/**
+ * Where the lines of the code sent to the model come from
+ * @param {Object} steps
+ * @param {string} steps.file - absolute path of the file defining the handler
+ * @param {Object} steps.extracted - { code, loc } from ast-parser.js
+ * @param {string} steps.cleanedCode - refineFunctionLogic() output
+ * @param {string} steps.safeCode - sanitizeCode() output
+ * @param {Object} steps.shaped - shapeCode() output { code, chunks }
+ * @returns {Object} { file, span, lines, chunks }
+ *   file: relative to the working directory; span: { line, endLine } of the whole
+ *   function in the file; lines: one entry per line of the
+ *   shown code (the skeleton for split handlers); chunks: { "k/n": entries } per segment.
+ *   An entry is { line, column, endColumn } in the file (1-based, endColumn exclusive) or null.
+ */
+export function buildSourceMap({ file, extracted, cleanedCode, safeCode, shaped }) {
+  const source = splitLines(extracted.code);
+  // loc of `export const fn = ...` starts at "export"; the last line is always the function's
+  const firstLine = extracted.loc ? extracted.loc.end.line - source.length + 1 : 1;
+  const firstColumn = extracted.loc?.start.line === firstLine ? extracted.loc.start.column : 0;
+
+  const cleanToSource = alignLines(extracted.code, cleanedCode);
+  const safeToClean = alignLines(cleanedCode, safeCode);
+
+  const toFile = (safeLine) => {
+    const cleanLine = safeLine && safeToClean[safeLine - 1];
+    const sourceLine = cleanLine && cleanToSource[cleanLine - 1];
+    if (!sourceLine) return null;
+
+    const text = source[sourceLine - 1];
+    const indent = text.length - text.trimStart().length;
+    const offset = sourceLine === 1 ? firstColumn : 0;
+    return { line: firstLine + sourceLine - 1, column: offset + indent + 1, endColumn: offset + text.trimEnd().length + 1 };
+  };
+
+  const safeLines = splitLines(safeCode);
+  const chunks = {};
+  (shaped.chunks || []).slice(1).forEach((chunk) => {
+    // segments are dedented slices of the sanitized code
+    const slice = safeLines.slice(chunk.startLine - 1, chunk.endLine).join("\n");
+    chunks[chunk.id] = alignLines(slice, chunk.code).map((line) => (line ? toFile(chunk.startLine + line - 1) : null));
+  });
+
+  return {
+    file: path.relative(process.cwd(), file).split(path.sep).join("/"),
+    span: { line: firstLine, endLine: firstLine + source.length - 1 },
+    lines: alignLines(safeCode, shaped.code).map(toFile),
+    chunks,
+  };
+}
+
+/**
+ * File position of a line in the code the model was shown
+ * @param {Object} sourceMap - from buildSourceMap() (payload.function.sourceMap)
+ * @param {number} line - 1-based line the model reported
+ * @param {string} [chunk] - chunk id ("2/3") when the line is counted in a segment
+ * @returns {Object|null} { file, line, column, endColumn }
+ */
+export function mapLine(sourceMap, line, chunk = null) {
+  if (!sourceMap || !Number.isInteger(line) || line < 1) return null;
+  const lines = chunk ? sourceMap.chunks?.[chunk] : sourceMap.lines;
+  const entry = lines?.[line - 1];
+  return entry ? { file: sourceMap.file, ...entry } : null;
+}
+
+/**
+ * For every line of `to`, the 1-based line of `from` it was made from
+ * @param {string} from - text before a rewrite
+ * @param {string} to - text after it
+ * @returns {Array<number|null>} null only when `from` is empty
+ */
+export function alignLines(from, to) {
+  const a = splitLines(from);
+  const b = splitLines(to);
+  if (from === to) return a.map((_, i) => i + 1);
+
+  const keyA = a.map(normalize);
+  const keyB = b.map(normalize);
+  const anchors = [...commonLines(keyA, keyB), { a: a.length, b: b.length }];
+
+  const map = new Array(b.length).fill(null);
+  let prev = { a: -1, b: -1 };
+  for (const anchor of anchors) {
+    pairGap(keyA, keyB, { fromA: prev.a + 1, toA: anchor.a, fromB: prev.b + 1, toB: anchor.b, fallback: prev.a }, map);
+    if (anchor.b < b.length) map[anchor.b] = anchor.a + 1;
+    prev = anchor;
+  }
+  return map;
+}
+
+/**
+ * Pair the unaligned lines between two anchors in order
+ */
+function pairGap(keyA, keyB, { fromA, toA, fromB, toB, fallback }, map) {
+  let cursor = fromA;
+  for (let j = fromB; j < toB; j++) {
+    const contained = keyB[j] ? keyA.slice(cursor, toA).findIndex((key) => key.includes(keyB[j])) : -1;
+    if (contained >= 0) {
+      map[j] = cursor + contained + 1;
+      cursor += contained + 1;
+    } else if (cursor < toA) {
+      map[j] = cursor + 1;
+      cursor++;
+    } else {
+      const last = toA > fromA ? toA - 1 : fallback >= 0 ? fallback : toA < keyA.length ? toA : -1;
+      map[j] = last >= 0 ? last + 1 : null;
+    }
+  }
+}
+
+/**
+ * Longest common subsequence of non-empty lines, as [{ a, b }] index pairs
+ */
+function commonLines(a, b) {
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) head++;
+  let tail = 0;
+  while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail++;
+
+  const pairs = [];
+  for (let i = 0; i < head; i++) pairs.push({ a: i, b: i });
+
+  const n = a.length - head - tail;
+  const m = b.length - head - tail;
+  if (n > 0 && m > 0 && n * m <= MAX_ALIGN_CELLS) {
+    // lengths[i][j]: LCS of a[head + i..] and b[head + j..]
+    const width = m + 1;
+    const lengths = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        const same = a[head + i] && a[head + i] === b[head + j];
+        lengths[i * width + j] = same
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+      }
+    }
+    for (let i = 0, j = 0; i < n && j < m; ) {
+      if (a[head + i] && a[head + i] === b[head + j]) {
+        pairs.push({ a: head + i, b: head + j });
+        i++;
+        j++;
+      } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) i++;
+      else j++;
+    }
+  }
+
+  for (let k = tail; k > 0; k--) pairs.push({ a: a.length - k, b: b.length - k });
+  return pairs;
+}
+
+function normalize(line) {
+  return line.replace(/\s+/g, "");
+}
+
+function splitLines(text) {
+  return (text || "").split("\n");
+}
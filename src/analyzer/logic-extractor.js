@@ -5,18 +5,36 @@
  * Purpose:
  *   - Clean up raw function code extracted from AST
  *   - Remove comments, console logs, unnecessary spaces
- *   - Provide summary metadata for AI performance analysis
+ *   - Provide summary metadata for AI performance analysis,
+ *     measured on the handler's AST: DB operations, cyclomatic
+ *     complexity, awaits, status codes, response bodies,
+ *     request inputs and early returns
  * ---------------------------------------------------------
  */
 
 import stripComments from "strip-comments";
+import { parseCode, parseFile, findFunctionPath } from "./ast-parser.js";
+import { collectModelBindings } from "./context-collector.js";
+import { matchModelCall, readChain, QUERY_METHODS } from "./rules/query-utils.js";
+import { requestParamName, requestSource, wholeRequestPart } from "./rules/request-utils.js";
+import { redactSecrets } from "./secrets/index.js";
+
+const LOOP_TYPES = ["ForStatement", "ForInStatement", "ForOfStatement", "WhileStatement", "DoWhileStatement"];
+const ITERATION_METHODS = ["map", "forEach", "filter", "reduce", "some", "every", "flatMap"];
+const BRANCH_TYPES = ["IfStatement", "ConditionalExpression", "CatchClause", ...LOOP_TYPES];
+const ID_METHODS = ["findById", "findByIdAndUpdate", "findByIdAndDelete"];
+const DOC_METHODS = ["create", "insertMany"];
+const RESPONSE_METHODS = ["json", "send", "end", "render", "sendFile", "download"];
 
 /**
  * Clean and analyze function logic
- * @param {Object} extractedFn - { name, code, async, loc }
+ * @param {Object} extractedFn - { name, code, async, loc, range }
+ * @param {Object} [options]
+ * @param {string} [options.filePath] - file defining the handler (resolves model imports, absolute lines)
+ * @param {Object} [options.redactions] - secret placeholder map for quoted conditions
  * @returns {Object} - cleanedCode, summary
  */
-export function refineFunctionLogic(extractedFn) {
+export function refineFunctionLogic(extractedFn, { filePath, redactions } = {}) {
   if (!extractedFn || !extractedFn.code) {
     console.warn("⚠️ No extracted function data provided.");
     return null;
@@ -41,15 +59,24 @@ export function refineFunctionLogic(extractedFn) {
   // Step 3️⃣: Normalize whitespace and indentation
   code = code.replace(/\n\s*\n/g, "\n").trim();
 
-  // Step 4️⃣: Extract lightweight metadata for performance hints
+  // Step 4️⃣: Measure the handler on its AST
+  const metrics = measureHandler(extractedFn, filePath, redactions);
+
   const summary = {
     name: extractedFn.name,
     async: extractedFn.async,
     lineCount: code.split("\n").length,
-    hasDBCall: /(User|Model|find|insert|update|delete|aggregate)/i.test(code),
-    hasLoops: /(for|while)\s*\(/.test(code),
-    hasTryCatch: /try\s*{/.test(code),
-    hasErrorHandling: /res\.status\s*\(/.test(code),
+    hasDBCall: metrics.dbOperations.length > 0,
+    hasLoops: metrics.loops > 0,
+    hasTryCatch: metrics.hasTryCatch,
+    hasErrorHandling: metrics.hasErrorHandling,
+    cyclomaticComplexity: metrics.cyclomaticComplexity,
+    awaitCount: metrics.awaitCount,
+    dbOperations: metrics.dbOperations,
+    statusCodes: metrics.statusCodes,
+    responses: metrics.responses,
+    requestInputs: metrics.requestInputs,
+    earlyReturns: metrics.earlyReturns,
   };
 
   return {
@@ -58,3 +85,333 @@ export function refineFunctionLogic(extractedFn) {
     summary,
   };
 }
+
+/**
+ * Locate the handler's AST: in its file when known (model imports resolve,
+ * lines are file lines), otherwise from the extracted snippet alone.
+ */
+function measureHandler(extractedFn, filePath, redactions) {
+  const parsed = filePath && extractedFn.range ? parseFile(filePath) : null;
+  const fnPath = parsed && findFunctionPath(parsed.ast, extractedFn.range);
+  if (fnPath) {
+    const models = new Set(collectModelBindings(parsed.ast, filePath).keys());
+    return collectMetrics(fnPath, models, parsed.code, 0, redactions);
+  }
+
+  try {
+    const ast = parseCode(`(${extractedFn.code}\n)`);
+    const snippetPath = findFunctionPath(ast, { start: 1, end: extractedFn.code.length + 1 });
+    const lineOffset = (extractedFn.loc?.start.line ?? 1) - 1;
+    if (snippetPath) {
+      return collectMetrics(snippetPath, freeModelNames(snippetPath), `(${extractedFn.code}\n)`, lineOffset, redactions);
+    }
+  } catch {
+    /* fall through to empty metrics */
+  }
+
+  console.warn(`⚠️ Could not parse ${extractedFn.name} for metrics.`);
+  return emptyMetrics();
+}
+
+function emptyMetrics() {
+  return {
+    dbOperations: [],
+    cyclomaticComplexity: 1,
+    awaitCount: 0,
+    loops: 0,
+    hasTryCatch: false,
+    hasErrorHandling: false,
+    statusCodes: [],
+    responses: [],
+    requestInputs: [],
+    earlyReturns: [],
+  };
+}
+
+/**
+ * Without the module, capitalized free identifiers used like
+ * User.findOne() are the best guess for models.
+ */
+function freeModelNames(fnPath) {
+  const names = new Set();
+  fnPath.traverse({
+    CallExpression(p) {
+      const callee = p.node.callee;
+      if (
+        callee.type === "MemberExpression" &&
+        callee.object.type === "Identifier" &&
+        /^[A-Z]/.test(callee.object.name) &&
+        QUERY_METHODS.includes(callee.property.name) &&
+        !p.scope.hasBinding(callee.object.name)
+      ) {
+        names.add(callee.object.name);
+      }
+    },
+  });
+  return names;
+}
+
+/**
+ * Walk the handler once and collect every metric
+ * @param {Object} fnPath - Babel path of the handler
+ * @param {Set<string>} models - identifiers bound to Mongoose models
+ * @param {string} code - source the AST was parsed from
+ * @param {number} lineOffset - added to AST lines (snippet parsing)
+ * @param {Object} [redactions] - secret placeholder map
+ * @returns {Object}
+ */
+function collectMetrics(fnPath, models, code, lineOffset, redactions) {
+  const metrics = emptyMetrics();
+  const reqName = requestParamName(fnPath.node);
+  const resParam = fnPath.node.params[1];
+  const resName = resParam?.type === "Identifier" ? resParam.name : null;
+  const statusCodes = new Set();
+  const requestInputs = new Set();
+  const lineOf = (node) => (node.loc ? node.loc.start.line + lineOffset : null);
+  const quote = (node) => {
+    const text = code.slice(node.start, node.end).replace(/\s+/g, " ");
+    const safe = redactions ? redactSecrets(text, redactions).code : text;
+    return safe.length > 60 ? `${safe.slice(0, 57)}...` : safe;
+  };
+
+  fnPath.traverse({
+    enter(p) {
+      if (BRANCH_TYPES.includes(p.node.type)) metrics.cyclomaticComplexity++;
+      if (LOOP_TYPES.includes(p.node.type)) metrics.loops++;
+    },
+    SwitchCase(p) {
+      if (p.node.test) metrics.cyclomaticComplexity++;
+    },
+    LogicalExpression() {
+      metrics.cyclomaticComplexity++;
+    },
+    AwaitExpression() {
+      metrics.awaitCount++;
+    },
+    ForOfStatement(p) {
+      if (p.node.await) metrics.awaitCount++;
+    },
+    TryStatement(p) {
+      metrics.hasTryCatch = true;
+      if (p.node.handler) metrics.hasErrorHandling = true;
+    },
+
+    CallExpression(p) {
+      const callee = p.node.callee;
+
+      const call = matchModelCall(p.node, models);
+      if (call) metrics.dbOperations.push(describeDbOperation(p, call, reqName, lineOf));
+
+      if (callee.type === "MemberExpression" && callee.property.type === "Identifier") {
+        const method = callee.property.name;
+        if (ITERATION_METHODS.includes(method) && p.node.arguments.some((a) => a.type.includes("Function"))) {
+          metrics.loops++;
+        }
+        if (method === "catch") metrics.hasErrorHandling = true;
+      }
+
+      // next(err) hands the error to Express error middleware
+      if (callee.type === "Identifier" && callee.name === "next" && p.node.arguments.length > 0) {
+        metrics.hasErrorHandling = true;
+      }
+
+      const status = responseStatus(p.node, resName);
+      if (status !== null) statusCodes.add(status);
+
+      const response = responseBody(p.node, resName);
+      if (response) metrics.responses.push({ line: lineOf(p.node), ...response });
+    },
+
+    MemberExpression(p) {
+      const part = wholeRequestPart(p.node, reqName);
+      if (!part) return;
+
+      // req.body.email
+      if (p.parentPath.isMemberExpression({ object: p.node })) {
+        const prop = p.parent.property;
+        requestInputs.add(p.parent.computed ? `${part}[]` : `${part}.${prop.name}`);
+        return;
+      }
+
+      // const { name, email } = req.body
+      if (p.parentPath.isVariableDeclarator({ init: p.node }) && p.parent.id.type === "ObjectPattern") {
+        p.parent.id.properties.forEach((prop) => {
+          if (prop.type === "RestElement") requestInputs.add(`${part}.*`);
+          else requestInputs.add(`${part}.${prop.key.name ?? prop.key.value}`);
+        });
+        return;
+      }
+
+      // the whole req.body is passed on
+      requestInputs.add(`${part}.*`);
+    },
+
+    ReturnStatement(p) {
+      if (p.getFunctionParent()?.node !== fnPath.node) return;
+      const guard = p.findParent((a) => a.node === fnPath.node || a.isIfStatement() || a.isSwitchCase() || LOOP_TYPES.includes(a.node.type));
+      if (!guard || guard.node === fnPath.node) return;
+
+      metrics.earlyReturns.push({
+        line: lineOf(p.node),
+        status: returnStatus(p, resName),
+        condition: guardCondition(guard, quote),
+      });
+    },
+  });
+
+  metrics.statusCodes = [...statusCodes].sort((a, b) => String(a).localeCompare(String(b), undefined, { numeric: true }));
+  metrics.requestInputs = [...requestInputs].sort();
+  return metrics;
+}
+
+/**
+ * Source of the condition guarding an early return (secrets redacted)
+ */
+function guardCondition(guard, quote) {
+  if (guard.isIfStatement()) return quote(guard.node.test);
+  if (guard.isSwitchCase()) {
+    const discriminant = quote(guard.parent.discriminant);
+    return guard.node.test ? `${discriminant} === ${quote(guard.node.test)}` : `${discriminant} (default case)`;
+  }
+  return guard.node.test ? `loop while ${quote(guard.node.test)}` : `inside ${guard.node.type}`;
+}
+
+/**
+ * { model, method, filter, awaited, chain, line } for one Model.method() call
+ */
+function describeDbOperation(callPath, call, reqName, lineOf) {
+  const { methods, outerPath } = readChain(callPath);
+  const args = callPath.get("arguments");
+
+  let filter;
+  if (ID_METHODS.includes(call.method)) filter = { _id: valueKind(args[0], reqName) };
+  else if (DOC_METHODS.includes(call.method)) filter = null;
+  else if (!args[0]) filter = {};
+  else if (args[0].isObjectExpression()) filter = objectShape(args[0], reqName);
+  else filter = valueKind(args[0], reqName);
+
+  return {
+    model: call.model,
+    method: call.method,
+    filter,
+    awaited: isAwaited(outerPath),
+    chain: methods,
+    line: lineOf(callPath.node),
+  };
+}
+
+/**
+ * { email: "req.body.email", status: "literal", $or: "operator" }
+ */
+function objectShape(objectPath, reqName) {
+  const shape = {};
+  for (const prop of objectPath.get("properties")) {
+    if (prop.isSpreadElement()) {
+      shape["..."] = valueKind(prop.get("argument"), reqName);
+      continue;
+    }
+    if (!prop.isObjectProperty()) continue;
+    const key = prop.node.computed ? "[computed]" : prop.node.key.name ?? String(prop.node.key.value);
+    shape[key] = key.startsWith("$") ? "operator" : valueKind(prop.get("value"), reqName);
+  }
+  return shape;
+}
+
+function valueKind(valuePath, reqName) {
+  if (!valuePath?.node) return "none";
+  const source = requestSource(valuePath, reqName);
+  if (source) return `req.${source.part}${source.field ? `.${source.field}` : ""}`;
+  if (valuePath.isLiteral() && !valuePath.isTemplateLiteral()) return "literal";
+  if (valuePath.isObjectExpression()) {
+    const keys = valuePath.node.properties.map((p) => p.key?.name ?? p.key?.value);
+    return keys.some((k) => String(k).startsWith("$")) ? `operator(${keys.join(",")})` : "object";
+  }
+  if (valuePath.isIdentifier()) return "variable";
+  return "expression";
+}
+
+/**
+ * Awaited directly, or as part of an awaited Promise.all([...])
+ */
+function isAwaited(outerPath) {
+  let current = outerPath.parentPath;
+  while (current && !current.isStatement() && !current.isFunction()) {
+    if (current.isAwaitExpression()) return true;
+    current = current.parentPath;
+  }
+  return false;
+}
+
+/**
+ * Status a res.* call sends: res.status(404) → 404, res.sendStatus(204) → 204,
+ * res.json() directly → 200, res.redirect() → 302, non-literal → "dynamic"
+ * @returns {number|string|null}
+ */
+function responseStatus(node, resName) {
+  const callee = node.callee;
+  if (!resName || callee.type !== "MemberExpression" || callee.property.type !== "Identifier") return null;
+
+  const method = callee.property.name;
+  const onRes = callee.object.type === "Identifier" && callee.object.name === resName;
+
+  if (onRes && (method === "status" || method === "sendStatus")) {
+    const arg = node.arguments[0];
+    return arg?.type === "NumericLiteral" ? arg.value : "dynamic";
+  }
+  if (onRes && RESPONSE_METHODS.includes(method)) return 200;
+  if (onRes && method === "redirect") return node.arguments.length > 1 && node.arguments[0].type === "NumericLiteral" ? node.arguments[0].value : 302;
+  return null;
+}
+
+/**
+ * Status and body shape of a res.json()/res.send() call:
+ * res.status(404).json({ message }) → { status: 404, body: "{ message }" }
+ * @returns {Object|null} { status, body } (body: "{ keys }", "[...]", a variable name, a literal kind or null)
+ */
+function responseBody(node, resName) {
+  const callee = node.callee;
+  if (!resName || callee.type !== "MemberExpression" || !["json", "send"].includes(callee.property.name)) return null;
+
+  let status;
+  const target = callee.object;
+  if (target.type === "Identifier" && target.name === resName) status = 200;
+  else if (target.type === "CallExpression" && target.callee.property?.name === "status") {
+    status = responseStatus(target, resName);
+    if (status === null) return null;
+  } else return null;
+
+  return { status, body: bodyShape(node.arguments[0]) };
+}
+
+function bodyShape(node) {
+  if (!node) return null;
+  if (node.type === "ObjectExpression") {
+    const keys = node.properties.map((p) => {
+      if (p.type === "SpreadElement") return `...${p.argument.type === "Identifier" ? p.argument.name : ""}`;
+      return p.computed ? "[computed]" : p.key.name ?? String(p.key.value);
+    });
+    return `{ ${keys.join(", ")} }`;
+  }
+  if (node.type === "ArrayExpression") return "[...]";
+  if (node.type === "Identifier") return node.name;
+  if (node.type === "StringLiteral" || node.type === "TemplateLiteral") return "string";
+  if (node.type === "MemberExpression" && node.object.type === "Identifier" && node.property.type === "Identifier") {
+    return `${node.object.name}.${node.property.name}`;
+  }
+  return "expression";
+}
+
+function returnStatus(returnPath, resName) {
+  let status = null;
+  const argument = returnPath.get("argument");
+  if (!argument.node) return null;
+
+  const visit = (p) => {
+    const found = responseStatus(p.node, resName);
+    // res.status(404).json(): the explicit status wins over json()'s implicit 200
+    if (found !== null && (status === null || status === 200)) status = found;
+  };
+  if (argument.isCallExpression()) visit(argument);
+  argument.traverse({ CallExpression: visit });
+  return status;
+}
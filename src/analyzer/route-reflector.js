@@ -3,54 +3,61 @@
  * Route Reflector
  * ---------------------------------------------------------
  * Purpose:
- *   - Scan Express router files to detect endpoints
- *   - Return structured metadata (method, path, handler, controller)
+ *   - Scan Express app/router files to detect endpoints
+ *   - Follow app.use(prefix, router) mounts to the full public path
+ *   - Return structured metadata (method, path, middleware, handler)
+ *   - Resolve each handler to its defining file via import-resolver.js
  *
  * Notes:
- *   - Works for both .get(), .post(), etc.
- *   - Supports import/export syntax (ESM)
- *   - Can scan either a single file or a directory
+ *   - Built on the same Babel parser as ast-parser.js
+ *   - Handles router.get(), .all(), router.route("/x").get().put()
+ *     and middleware chains like router.get("/", auth, handler)
+ *   - router.use(mw) / app.use(mw) apply to routes declared after them
+ *   - Can scan an app entry, a single route file or a directory
  * ---------------------------------------------------------
  */
 
 import fs from "fs";
 import path from "path";
+import traverse from "@babel/traverse";
+import { parseFile } from "./ast-parser.js";
+import { resolveModulePath, resolveHandlerNode } from "./import-resolver.js";
+
+const HTTP_METHODS = ["get", "post", "put", "delete", "patch", "all", "options", "head"];
+
+/**
+ * Scan an app entry file and every router it mounts
+ * @param {string} entryFile - absolute path to the app entry (e.g. src/index.js)
+ * @returns {Array} endpoints - [{ method, path, fullPath, middleware, handler, source, file, line }]
+ */
+export function scanApp(entryFile) {
+  if (!fs.existsSync(entryFile)) {
+    console.warn("⚠️ App entry not found:", entryFile);
+    return [];
+  }
+
+  return scanModule(entryFile, { prefix: "", middleware: [], seen: new Set() });
+}
 
 /**
  * Scan a specific route file for Express endpoints
  * @param {string} filePath - absolute path to the route file
- * @returns {Array} endpoints - [{ method, path, handler, controller }]
+ * @param {Object} [options]
+ * @param {string} [options.prefix=""] - mount prefix to prepend to every path
+ * @param {Array<string>} [options.middleware=[]] - middleware inherited from the mount point
+ * @returns {Array} endpoints - [{ method, path, fullPath, middleware, handler, source, file, line }]
  */
-export function scanRoutesFile(filePath) {
+export function scanRoutesFile(filePath, options = {}) {
   if (!fs.existsSync(filePath)) {
     console.warn("⚠️ Route file not found:", filePath);
     return [];
   }
 
-  const code = fs.readFileSync(filePath, "utf8");
-  const lines = code.split("\n");
-
-  const endpoints = [];
-
-  // Detect the associated controller file (same name logic)
-  const baseName = path.basename(filePath, ".js"); // e.g., "user.routes"
-  const controllerFile = baseName.replace(".routes", ".controller.js"); // "user.controller.js"
-
-  // Simple regex to catch Express route definitions
-  const routeRegex =
-    /router\.(get|post|put|delete|patch)\(\s*["'`](.*?)["'`]\s*,\s*([a-zA-Z0-9_]+)/g;
-
-  let match;
-  while ((match = routeRegex.exec(code)) !== null) {
-    endpoints.push({
-      method: match[1].toUpperCase(),
-      path: match[2],
-      handler: match[3],
-      controller: controllerFile,
-    });
-  }
-
-  return endpoints;
+  return scanModule(filePath, {
+    prefix: options.prefix || "",
+    middleware: options.middleware || [],
+    seen: new Set(),
+  });
 }
 
 /**
@@ -75,3 +82,291 @@ export function scanRoutesDirectory(dirPath) {
 
   return allEndpoints;
 }
+
+/**
+ * Join a mount prefix and a route path the way Express does
+ * @param {string} prefix - e.g. "/api/v1/users"
+ * @param {string} routePath - e.g. "/:id" or "/"
+ * @returns {string} full path
+ */
+export function joinPaths(prefix = "", routePath = "") {
+  const joined = `/${prefix}/${routePath}`.replace(/\/{2,}/g, "/");
+  return joined.length > 1 ? joined.replace(/\/$/, "") : joined;
+}
+
+/**
+ * Scan one module: collect its app/router instances, then expand
+ * every instance that isn't mounted by another one in the same file.
+ */
+function scanModule(filePath, ctx) {
+  const key = `${filePath}::${ctx.prefix}`;
+  if (ctx.seen.has(key)) return [];
+  ctx.seen.add(key);
+
+  const parsed = parseFile(filePath);
+  if (!parsed) return [];
+
+  const model = collectRouterModel(parsed.ast, filePath);
+  const mountedLocally = new Set();
+  for (const events of model.receivers.values()) {
+    for (const ev of events) {
+      if (ev.type !== "use") continue;
+      ev.args.forEach((arg) => {
+        if (arg.type === "Identifier" && model.receivers.has(arg.name)) {
+          mountedLocally.add(arg.name);
+        }
+      });
+    }
+  }
+
+  const endpoints = [];
+  for (const name of model.receivers.keys()) {
+    if (mountedLocally.has(name)) continue;
+    endpoints.push(...expandReceiver(name, model, filePath, ctx.prefix, ctx.middleware, ctx));
+  }
+  return endpoints;
+}
+
+/**
+ * Walk the route/use events of one receiver in source order.
+ */
+function expandReceiver(name, model, filePath, prefix, inherited, ctx) {
+  const endpoints = [];
+  // [{ scope, name }] — scope is the router-local path a use() applied to
+  const active = [];
+
+  for (const ev of model.receivers.get(name)) {
+    if (ev.type === "route") {
+      const handlers = ev.args;
+      if (handlers.length === 0) continue;
+
+      const handlerNode = unwrapHandler(handlers[handlers.length - 1]);
+      const scoped = active
+        .filter((mw) => pathIsUnder(ev.path, mw.scope))
+        .map((mw) => mw.name);
+
+      endpoints.push({
+        method: ev.method.toUpperCase(),
+        path: ev.path,
+        fullPath: joinPaths(prefix, ev.path),
+        middleware: [...inherited, ...scoped, ...handlers.slice(0, -1).map(describeNode)],
+        handler: describeNode(handlerNode),
+        source: resolveHandlerNode(filePath, handlerNode),
+        file: filePath,
+        line: ev.line,
+      });
+      continue;
+    }
+
+    // use([path], ...middleware, [router])
+    const mountPath = ev.path || "/";
+    const inScope = active.filter((mw) => pathIsUnder(mountPath, mw.scope)).map((mw) => mw.name);
+    const preceding = [];
+    for (const arg of ev.args) {
+      const sub = resolveRouterRef(arg, model, filePath);
+      if (sub?.local) {
+        endpoints.push(
+          ...expandReceiver(
+            sub.local,
+            model,
+            filePath,
+            joinPaths(prefix, mountPath),
+            [...inherited, ...inScope, ...preceding],
+            ctx
+          )
+        );
+      } else if (sub?.file) {
+        endpoints.push(
+          ...scanModule(sub.file, {
+            ...ctx,
+            prefix: joinPaths(prefix, mountPath),
+            middleware: [...inherited, ...inScope, ...preceding],
+          })
+        );
+      } else {
+        preceding.push(describeNode(arg));
+      }
+    }
+    preceding.forEach((mwName) => active.push({ scope: mountPath, name: mwName }));
+  }
+
+  return endpoints;
+}
+
+/**
+ * Build { receivers: Map<name, events[]>, imports: Map<local, source> }
+ * for a parsed module. Receivers are variables holding express() or
+ * express.Router() instances.
+ */
+function collectRouterModel(ast, filePath) {
+  const receivers = new Map();
+  const imports = new Map();
+
+  for (const node of ast.program.body) {
+    if (node.type === "ImportDeclaration") {
+      node.specifiers.forEach((spec) => imports.set(spec.local.name, node.source.value));
+    }
+  }
+
+  traverse.default(ast, {
+    VariableDeclarator(p) {
+      const { id, init } = p.node;
+      if (id.type === "Identifier" && isRouterFactory(init, imports)) {
+        receivers.set(id.name, []);
+      }
+    },
+  });
+
+  traverse.default(ast, {
+    ExpressionStatement(p) {
+      const chain = unwindCallChain(p.node.expression);
+      if (!chain || !receivers.has(chain.root)) return;
+
+      const events = receivers.get(chain.root);
+      let routePath = null;
+
+      for (const call of chain.calls) {
+        const line = call.node.loc?.start.line;
+
+        if (call.method === "route") {
+          routePath = literalPath(call.args[0]);
+          continue;
+        }
+
+        if (call.method === "use") {
+          const usePath = literalPath(call.args[0]);
+          events.push({
+            type: "use",
+            path: usePath,
+            args: usePath !== null ? call.args.slice(1) : call.args,
+            line,
+          });
+          continue;
+        }
+
+        if (!HTTP_METHODS.includes(call.method)) continue;
+
+        // router.route("/x").get(handler) → path comes from route()
+        if (routePath !== null) {
+          events.push({ type: "route", method: call.method, path: routePath, args: call.args, line });
+          continue;
+        }
+
+        const p0 = literalPath(call.args[0]);
+        // app.get("setting") is a settings getter, not a route
+        if (p0 === null || call.args.length < 2) continue;
+        events.push({ type: "route", method: call.method, path: p0, args: call.args.slice(1), line });
+      }
+    },
+  });
+
+  return { receivers, imports, filePath };
+}
+
+/**
+ * express(), express.Router(), Router() or new Router()
+ */
+function isRouterFactory(init, imports) {
+  if (!init || (init.type !== "CallExpression" && init.type !== "NewExpression")) return false;
+  const callee = init.callee;
+
+  if (callee.type === "Identifier") {
+    return imports.get(callee.name) === "express";
+  }
+  if (callee.type === "MemberExpression" && callee.property.type === "Identifier") {
+    return callee.property.name === "Router" && callee.object.type === "Identifier"
+      && imports.get(callee.object.name) === "express";
+  }
+  return false;
+}
+
+/**
+ * Turn a.b(x).c(y).d(z) into { root: "a", calls: [{method:"b"}, {method:"c"}, {method:"d"}] }
+ */
+function unwindCallChain(expr) {
+  const calls = [];
+  let node = expr;
+
+  while (
+    node &&
+    node.type === "CallExpression" &&
+    node.callee.type === "MemberExpression" &&
+    node.callee.property.type === "Identifier"
+  ) {
+    calls.unshift({ method: node.callee.property.name, args: node.arguments, node });
+    node = node.callee.object;
+  }
+
+  if (!node || node.type !== "Identifier" || calls.length === 0) return null;
+  return { root: node.name, calls };
+}
+
+/**
+ * Resolve a use() argument to a local router or a router module on disk
+ */
+function resolveRouterRef(arg, model, filePath) {
+  if (arg.type !== "Identifier") return null;
+  if (model.receivers.has(arg.name)) return { local: arg.name };
+
+  const source = model.imports.get(arg.name);
+  if (!source) return null;
+
+  const resolved = resolveModulePath(path.dirname(filePath), source);
+  if (!resolved || !declaresRouter(resolved)) return null;
+  return { file: resolved };
+}
+
+function declaresRouter(filePath) {
+  const parsed = parseFile(filePath);
+  if (!parsed) return false;
+  return collectRouterModel(parsed.ast, filePath).receivers.size > 0;
+}
+
+function literalPath(node) {
+  if (!node) return null;
+  if (node.type === "StringLiteral") return node.value;
+  if (node.type === "TemplateLiteral" && node.expressions.length === 0) {
+    return node.quasis[0].value.cooked;
+  }
+  return null;
+}
+
+function pathIsUnder(routePath, scope) {
+  if (!scope || scope === "/") return true;
+  return routePath === scope || routePath.startsWith(`${scope.replace(/\/$/, "")}/`);
+}
+
+/**
+ * Human-readable name for a middleware/handler argument
+ */
+function describeNode(node) {
+  switch (node.type) {
+    case "Identifier":
+      return node.name;
+    case "MemberExpression":
+      return `${describeNode(node.object)}.${node.computed ? "[computed]" : node.property.name}`;
+    case "CallExpression":
+      return `${describeNode(node.callee)}()`;
+    case "ArrowFunctionExpression":
+    case "FunctionExpression":
+      return `<inline@L${node.loc?.start.line}>`;
+    case "ThisExpression":
+      return "this";
+    default:
+      return `<${node.type}>`;
+  }
+}
+
+/**
+ * Unwrap asyncHandler(getUsers) style wrappers so the real handler
+ * is reported and resolved.
+ */
+function unwrapHandler(node) {
+  if (node.type === "CallExpression" && node.arguments.length === 1) {
+    const inner = node.arguments[0];
+    if (["Identifier", "MemberExpression", "ArrowFunctionExpression", "FunctionExpression"].includes(inner.type)) {
+      return inner;
+    }
+  }
+  return node;
+}
@@ -0,0 +1,75 @@
+/**
+ * ---------------------------------------------------------
+ * Router Digest
+ * ---------------------------------------------------------
+ * Purpose:
+ *   - Condense the payloads of many endpoints into one compact,
+ *     code-free summary per router (or for the whole app) for
+ *     the holistic review pass (genai/client.js analyzeRouter)
+ *   - Keep only what cross-endpoint findings need: routes,
+ *     middleware, inputs, DB calls, response shapes, guard
+ *     branches and static findings. Values come from the AST
+ *     metrics, so no code and no secrets are included.
+ * ---------------------------------------------------------
+ */
+
+import path from "path";
+
+/**
+ * Group payloads by the router file that declares them, or all together
+ * @param {Array<Object>} payloads - from buildEndpointPayload()
+ * @param {string} [scope="router"] - "router" | "app"
+ * @returns {Array<Object>} [{ name, file, payloads }]
+ */
+export function groupPayloads(payloads, scope = "router") {
+  if (scope === "app") return [{ name: "app", file: null, payloads }];
+
+  const groups = new Map();
+  payloads.forEach((payload) => {
+    const file = payload.endpoint?.file || "unknown";
+    if (!groups.has(file)) {
+      groups.set(file, { name: path.basename(file, path.extname(file)), file: relative(file), payloads: [] });
+    }
+    groups.get(file).payloads.push(payload);
+  });
+  return [...groups.values()];
+}
+
+/**
+ * Digest of one group
+ * @param {Object} group - from groupPayloads()
+ * @returns {Object} { name, file, endpoints: [...] }
+ */
+export function buildDigest({ name, file, payloads }) {
+  return {
+    name,
+    file,
+    endpoints: payloads.map((payload) => {
+      const ep = payload.endpoint || {};
+      const meta = payload.metadata || {};
+
+      return {
+        label: `${(ep.method || "?").toUpperCase()} ${ep.path || "?"}`,
+        handler: ep.handler || null,
+        source: ep.sourceFile ? relative(ep.sourceFile) : null,
+        middleware: ep.middleware || [],
+        async: Boolean(payload.function?.async),
+        lines: payload.function?.lines ?? null,
+        complexity: meta.cyclomaticComplexity ?? null,
+        errorHandling: meta.hasErrorHandling ?? null,
+        inputs: meta.requestInputs || [],
+        db: (meta.dbOperations || []).map((op) => {
+          const filter = op.filter === null ? "…" : JSON.stringify(op.filter);
+          return `${op.model}.${op.method}(${filter})${op.chain.length ? `.${op.chain.join("().")}()` : ""}`;
+        }),
+        responses: (meta.responses || []).map((r) => `${r.status} ${r.body ?? "(no body)"}`),
+        guards: (meta.earlyReturns || []).map((r) => `${r.status ?? "return"} when ${r.condition}`),
+        findings: (payload.staticFindings || []).map((f) => f.ruleId),
+      };
+    }),
+  };
+}
+
+function relative(file) {
+  return path.isAbsolute(file) ? path.relative(process.cwd(), file) : file;
+}
@@ -0,0 +1,137 @@
+/**
+ * ---------------------------------------------------------
+ * Static Rule Engine
+ * ---------------------------------------------------------
+ * Purpose:
+ *   - Run deterministic rules over a handler's AST (no LLM needed)
+ *   - Produce structured findings: { ruleId, severity, category,
+ *     message, line, column, endLine, endColumn, snippet }
+ *     (1-based columns, endColumn exclusive)
+ *   - Findings go into the payload so the model verifies them
+ *     instead of rediscovering them
+ *
+ * Rules are plain objects, grouped into packs:
+ *   { id, severity, category, cwe?, description, create(context) → visitor }
+ * Which packs run is decided by the analysis mode (config.rules.modes).
+ *   context = { models, schemaFor(model), handler, report({ node, message, severity? }) }
+ * ---------------------------------------------------------
+ */
+
+import traverse from "@babel/traverse";
+import { parseFile, findFunctionPath } from "../ast-parser.js";
+import { collectModelBindings } from "../context-collector.js";
+import { parseModelFile } from "../schema-advisor.js";
+import { loadReviewerConfig } from "../../config/reviewer.js";
+
+import unboundedFind from "./performance/unbounded-find.js";
+import awaitInLoop from "./performance/await-in-loop.js";
+import missingLean from "./performance/missing-lean.js";
+import nPlusOne from "./performance/n-plus-one.js";
+import findBeforeCreate from "./performance/find-before-create.js";
+import unindexedQuery from "./schema/unindexed-query.js";
+import projectionLeak from "./schema/projection-leak.js";
+import redundantExclusion from "./schema/redundant-exclusion.js";
+import plaintextPassword from "./security/plaintext-password.js";
+import massAssignment from "./security/mass-assignment.js";
+import errorLeak from "./security/error-leak.js";
+import unvalidatedObjectId from "./security/unvalidated-objectid.js";
+import nosqlInjection from "./security/nosql-injection.js";
+
+export const RULE_PACKS = {
+  performance: [unboundedFind, awaitInLoop, missingLean, nPlusOne, findBeforeCreate],
+  schema: [unindexedQuery, projectionLeak, redundantExclusion],
+  security: [plaintextPassword, massAssignment, errorLeak, unvalidatedObjectId, nosqlInjection],
+};
+
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+/**
+ * Rule packs run in an analysis mode (review profile). Profiles without
+ * an entry in config.rules.modes, e.g. custom ones, run no packs.
+ * @param {string} [mode] - e.g. "performance", "security" (defaults to config.mode)
+ * @returns {Array<string>} pack names
+ */
+export function packsForMode(mode) {
+  const config = loadReviewerConfig();
+  return config.rules.modes[mode || config.mode] || [];
+}
+
+/**
+ * List every rule in the given packs
+ * @param {Array<string>} [packs] - pack names, defaults to the packs of config.mode
+ * @returns {Array} rules
+ */
+export function listRules(packs = packsForMode()) {
+  return packs.flatMap((name) => {
+    if (!RULE_PACKS[name]) {
+      console.warn(`⚠️ Unknown rule pack "${name}", skipping.`);
+      return [];
+    }
+    return RULE_PACKS[name];
+  });
+}
+
+/**
+ * Run the configured rule packs over one extracted handler
+ * @param {string} filePath - absolute path of the file defining the handler
+ * @param {Object} extracted - { range } from ast-parser.js
+ * @param {Object} [options]
+ * @param {string} [options.mode] - analysis mode whose packs run (config.mode)
+ * @param {Array<string>} [options.packs] - explicit rule packs, overrides the mode
+ * @param {Array<string>} [options.disabled] - rule ids to skip (config.rules.disabled)
+ * @returns {Array} findings sorted by line, then severity
+ */
+export function runRules(filePath, extracted, options = {}) {
+  const config = loadReviewerConfig().rules;
+  const packs = options.packs || packsForMode(options.mode);
+  const disabled = new Set(options.disabled || config.disabled);
+
+  if (!extracted?.range) return [];
+  const parsed = parseFile(filePath);
+  if (!parsed) return [];
+
+  const handlerPath = findFunctionPath(parsed.ast, extracted.range);
+  if (!handlerPath) return [];
+
+  const modelFiles = collectModelBindings(parsed.ast, filePath);
+  const models = new Set(modelFiles.keys());
+  const schemaFor = (name) => (modelFiles.has(name) ? parseModelFile(modelFiles.get(name)) : null);
+  const findings = [];
+  const visitors = [];
+
+  for (const rule of listRules(packs)) {
+    if (disabled.has(rule.id)) continue;
+
+    const context = {
+      models,
+      schemaFor,
+      handler: handlerPath.node,
+      report({ node, message, severity }) {
+        findings.push({
+          ruleId: rule.id,
+          severity: severity || rule.severity,
+          category: rule.category,
+          ...(rule.cwe ? { cwe: rule.cwe } : {}),
+          message,
+          line: node.loc?.start.line ?? null,
+          column: node.loc ? node.loc.start.column + 1 : null,
+          endLine: node.loc?.end.line ?? null,
+          endColumn: node.loc ? node.loc.end.column + 1 : null,
+          snippet: snippetOf(parsed.code, node),
+        });
+      },
+    };
+    visitors.push(rule.create(context));
+  }
+
+  handlerPath.traverse(traverse.default.visitors.merge(visitors));
+
+  return findings.sort(
+    (a, b) => (a.line ?? 0) - (b.line ?? 0) || SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]
+  );
+}
+
+function snippetOf(code, node) {
+  const text = code.slice(node.start, node.end).replace(/\s+/g, " ").trim();
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+}
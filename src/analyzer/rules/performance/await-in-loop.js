@@ -0,0 +1,28 @@
+/**
+ * perf/await-in-loop
+ *
+ * `await` inside a loop body serializes work that could run concurrently.
+ */
+
+import { findEnclosingIteration } from "../query-utils.js";
+
+export default {
+  id: "perf/await-in-loop",
+  severity: "medium",
+  category: "performance",
+  description: "await inside a loop body",
+
+  create(context) {
+    return {
+      AwaitExpression(path) {
+        const iteration = findEnclosingIteration(path, context.handler);
+        if (iteration?.kind !== "loop") return;
+
+        context.report({
+          node: path.node,
+          message: "await inside a loop runs each iteration sequentially; batch the work or use Promise.all with bounded concurrency.",
+        });
+      },
+    };
+  },
+};
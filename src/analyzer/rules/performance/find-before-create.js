@@ -0,0 +1,69 @@
+/**
+ * perf/find-before-create
+ *
+ * findOne()/exists() followed by create() on the same model costs an extra
+ * round trip and still races under concurrency; a unique index plus
+ * handling the duplicate-key error (E11000) does both in one write.
+ */
+
+import { matchModelCall } from "../query-utils.js";
+
+const LOOKUPS = ["findOne", "exists", "countDocuments"];
+const LOOP_TYPES = ["ForStatement", "ForInStatement", "ForOfStatement", "WhileStatement", "DoWhileStatement"];
+
+export default {
+  id: "perf/find-before-create",
+  severity: "medium",
+  category: "performance",
+  description: "Duplicate check with findOne before create",
+
+  create(context) {
+    const lookups = new Map(); // model → [{ node, scope }] in source order
+
+    // the nearest lookup before the create that runs whenever the create does
+    const lookupFor = (model, path) => {
+      const candidates = lookups.get(model) || [];
+      return [...candidates].reverse().find((l) => !l.scope || path.findParent((p) => p.node === l.scope)) || null;
+    };
+
+    const report = (model, path, what) => {
+      const lookup = lookupFor(model, path);
+      if (!lookup) return;
+      context.report({
+        node: lookup.node,
+        message: `${model}.${lookup.node.callee.property.name}() before ${what} is a duplicate round trip and a race; rely on a unique index and catch the E11000 duplicate-key error instead.`,
+      });
+      lookups.delete(model);
+    };
+
+    return {
+      CallExpression(path) {
+        const call = matchModelCall(path.node, context.models);
+        if (call && LOOKUPS.includes(call.method)) {
+          if (!lookups.has(call.model)) lookups.set(call.model, []);
+          lookups.get(call.model).push({ node: path.node, scope: innerScope(path, context.handler) });
+          return;
+        }
+
+        if (call?.method === "create") report(call.model, path, `${call.model}.create()`);
+      },
+
+      // new Model({...}).save() after a lookup
+      NewExpression(path) {
+        const callee = path.node.callee;
+        if (callee.type === "Identifier" && lookups.has(callee.name)) {
+          report(callee.name, path, `creating a new ${callee.name}`);
+        }
+      },
+    };
+  },
+};
+
+/**
+ * Closest callback or loop around a lookup inside the handler (null at
+ * the handler's top level); it only guards a create inside that node
+ */
+function innerScope(path, rootNode) {
+  const scope = path.findParent((p) => p.node === rootNode || p.isFunction() || LOOP_TYPES.includes(p.node.type));
+  return !scope || scope.node === rootNode ? null : scope.node;
+}
@@ -0,0 +1,64 @@
+/**
+ * perf/missing-lean
+ *
+ * Read-only queries whose documents are only serialized back to the
+ * client don't need full Mongoose documents; .lean() skips hydration.
+ */
+
+import { matchModelCall, readChain } from "../query-utils.js";
+
+const HYDRATING_READS = ["find", "findOne", "findById"];
+const DOCUMENT_METHODS = ["save", "populate", "set", "remove", "deleteOne", "updateOne", "validate", "toObject", "markModified"];
+
+export default {
+  id: "perf/missing-lean",
+  severity: "low",
+  category: "performance",
+  description: "Read-only query without .lean()",
+
+  create(context) {
+    return {
+      CallExpression(path) {
+        const call = matchModelCall(path.node, context.models);
+        if (!call || !HYDRATING_READS.includes(call.method)) return;
+
+        const { methods, outerPath } = readChain(path);
+        if (methods.includes("lean")) return;
+
+        if (resultIsMutated(outerPath)) return;
+
+        context.report({
+          node: path.node,
+          message: `${call.model}.${call.method}() result is only read; add .lean() to skip Mongoose document hydration.`,
+        });
+      },
+    };
+  },
+};
+
+/**
+ * const doc = await Model.findById(); doc.x = 1; await doc.save(); → mutated
+ */
+function resultIsMutated(queryPath) {
+  let holder = queryPath.parentPath;
+  if (holder?.isAwaitExpression()) holder = holder.parentPath;
+  if (!holder?.isVariableDeclarator() || holder.node.id.type !== "Identifier") return false;
+
+  const binding = holder.scope.getBinding(holder.node.id.name);
+  if (!binding) return false;
+
+  return binding.referencePaths.some((ref) => {
+    const parent = ref.parentPath;
+    if (!parent?.isMemberExpression({ object: ref.node })) return false;
+
+    // doc.field = value
+    if (parent.parentPath?.isAssignmentExpression({ left: parent.node })) return true;
+    // doc.save(), doc.populate()
+    const prop = parent.node.property;
+    return (
+      parent.parentPath?.isCallExpression({ callee: parent.node }) &&
+      prop.type === "Identifier" &&
+      DOCUMENT_METHODS.includes(prop.name)
+    );
+  });
+}
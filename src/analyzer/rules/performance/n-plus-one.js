@@ -0,0 +1,33 @@
+/**
+ * perf/n-plus-one
+ *
+ * A model query per item of a loop or .map()/.forEach() callback turns
+ * one request into N+1 database round trips.
+ */
+
+import { matchModelCall, findEnclosingIteration } from "../query-utils.js";
+
+export default {
+  id: "perf/n-plus-one",
+  severity: "high",
+  category: "performance",
+  description: "Database query executed per item of a collection",
+
+  create(context) {
+    return {
+      CallExpression(path) {
+        const call = matchModelCall(path.node, context.models);
+        if (!call) return;
+
+        const iteration = findEnclosingIteration(path, context.handler);
+        if (!iteration) return;
+
+        const where = iteration.kind === "loop" ? "inside a loop" : `inside a .${iteration.method}() callback`;
+        context.report({
+          node: path.node,
+          message: `${call.model}.${call.method}() runs ${where} (N+1 queries); fetch in one query with $in, populate() or an aggregation.`,
+        });
+      },
+    };
+  },
+};
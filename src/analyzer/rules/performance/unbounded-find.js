@@ -0,0 +1,34 @@
+/**
+ * perf/unbounded-find
+ *
+ * Model.find() with no .limit() / pagination loads the whole collection
+ * into memory (getAllPosts, getUsers).
+ */
+
+import { matchModelCall, readChain } from "../query-utils.js";
+
+const BOUNDING_METHODS = ["limit", "cursor", "stream", "eachAsync", "paginate"];
+
+export default {
+  id: "perf/unbounded-find",
+  severity: "high",
+  category: "performance",
+  description: "Model.find() without limit or pagination",
+
+  create(context) {
+    return {
+      CallExpression(path) {
+        const call = matchModelCall(path.node, context.models);
+        if (!call || call.method !== "find") return;
+
+        const { methods } = readChain(path);
+        if (methods.some((m) => BOUNDING_METHODS.includes(m))) return;
+
+        context.report({
+          node: path.node,
+          message: `${call.model}.find() has no .limit() or pagination; the whole collection is loaded into memory on every request.`,
+        });
+      },
+    };
+  },
+};
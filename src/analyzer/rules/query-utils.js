@@ -0,0 +1,198 @@
+/**
+ * ---------------------------------------------------------
+ * Query Utilities (shared by rules)
+ * ---------------------------------------------------------
+ * Purpose:
+ *   - Recognize Mongoose model calls (User.find(), Post.findById())
+ *   - Read the rest of a query chain (.select().limit().lean())
+ *   - Answer "is this node inside a loop / iteration callback?"
+ * ---------------------------------------------------------
+ */
+
+export const READ_METHODS = ["find", "findOne", "findById", "countDocuments", "distinct", "aggregate", "exists"];
+export const WRITE_METHODS = [
+  "create", "insertMany", "updateOne", "updateMany", "findOneAndUpdate", "findByIdAndUpdate",
+  "deleteOne", "deleteMany", "findOneAndDelete", "findByIdAndDelete", "replaceOne", "bulkWrite",
+];
+export const QUERY_METHODS = [...READ_METHODS, ...WRITE_METHODS];
+
+const LOOP_TYPES = ["ForStatement", "ForInStatement", "ForOfStatement", "WhileStatement", "DoWhileStatement"];
+const ITERATION_METHODS = ["map", "forEach", "filter", "reduce", "some", "every", "flatMap"];
+
+/**
+ * If `node` is Model.method(...) on a known model, return { model, method }
+ * @param {Object} node - Babel node
+ * @param {Set<string>} models - identifiers bound to Mongoose models
+ * @returns {Object|null}
+ */
+export function matchModelCall(node, models) {
+  if (node?.type !== "CallExpression") return null;
+  const callee = node.callee;
+  if (
+    callee.type !== "MemberExpression" ||
+    callee.computed ||
+    callee.object.type !== "Identifier" ||
+    callee.property.type !== "Identifier"
+  ) {
+    return null;
+  }
+
+  const model = callee.object.name;
+  const method = callee.property.name;
+  if (!models.has(model) || !QUERY_METHODS.includes(method)) return null;
+  return { model, method };
+}
+
+/**
+ * Methods chained after a call: User.find().select("x").limit(5) → ["select", "limit"]
+ * @param {Object} callPath - Babel path of the initial model call
+ * @returns {Object} - { methods, outerPath } where outerPath is the last call in the chain
+ */
+export function readChain(callPath) {
+  const methods = [];
+  let current = callPath;
+
+  while (
+    current.parentPath?.isMemberExpression({ object: current.node }) &&
+    current.parentPath.parentPath?.isCallExpression({ callee: current.parentPath.node })
+  ) {
+    const prop = current.parentPath.node.property;
+    if (prop.type === "Identifier") methods.push(prop.name);
+    current = current.parentPath.parentPath;
+  }
+
+  return { methods, outerPath: current };
+}
+
+/**
+ * Closest enclosing loop or iteration callback, stopping at the handler
+ * @param {Object} path - Babel path
+ * @param {Object} rootNode - handler function node (search boundary)
+ * @returns {Object|null} - { kind: "loop"|"callback", path }
+ */
+export function findEnclosingIteration(path, rootNode) {
+  let current = path.parentPath;
+  let child = path;
+
+  while (current && current.node !== rootNode) {
+    if (LOOP_TYPES.includes(current.node.type) && child.key === "body") {
+      // `for await (...)` is intentional sequential iteration
+      if (current.node.await) return null;
+      return { kind: "loop", path: current };
+    }
+
+    if (current.isFunction()) {
+      const call = current.parentPath;
+      if (
+        call?.isCallExpression() &&
+        call.node.callee.type === "MemberExpression" &&
+        ITERATION_METHODS.includes(call.node.callee.property.name)
+      ) {
+        return { kind: "callback", path: call, method: call.node.callee.property.name };
+      }
+      // any other nested function is its own execution context
+      return null;
+    }
+
+    child = current;
+    current = current.parentPath;
+  }
+
+  return null;
+}
+
+const FILTER_METHODS = [
+  "find", "findOne", "countDocuments", "exists", "distinct", "updateOne", "updateMany",
+  "deleteOne", "deleteMany", "findOneAndUpdate", "findOneAndDelete", "replaceOne",
+];
+const ID_METHODS = ["findById", "findByIdAndUpdate", "findByIdAndDelete"];
+
+/**
+ * Describe what a model query filters, sorts and projects
+ * @param {Object} callPath - Babel path of Model.method(...)
+ * @param {Object} call - { model, method } from matchModelCall()
+ * @returns {Object} - { filterFields, sort: [[field, dir]], include, exclude, chain }
+ */
+export function readQueryShape(callPath, call) {
+  const args = callPath.node.arguments;
+  const chain = readChain(callPath);
+  const shape = { filterFields: [], sort: [], include: [], exclude: [], chain };
+
+  if (ID_METHODS.includes(call.method)) shape.filterFields = ["_id"];
+  else if (call.method === "distinct") shape.filterFields = filterKeys(args[1]);
+  else if (FILTER_METHODS.includes(call.method)) shape.filterFields = filterKeys(args[0]);
+
+  // find(filter, projection)
+  if (["find", "findOne", "findById"].includes(call.method)) readProjection(args[1], shape);
+
+  // .sort(...) / .select(...) calls later in the chain
+  let current = callPath;
+  while (current !== chain.outerPath) {
+    const member = current.parentPath;
+    const outer = member.parentPath;
+    const name = member.node.property.name;
+    if (name === "sort") readSort(outer.node.arguments[0], shape);
+    if (name === "select") readProjection(outer.node.arguments[0], shape);
+    current = outer;
+  }
+
+  return shape;
+}
+
+function filterKeys(node) {
+  if (node?.type !== "ObjectExpression") return [];
+  const keys = [];
+  for (const prop of node.properties) {
+    if (prop.type !== "ObjectProperty") continue;
+    const key = prop.key.type === "Identifier" ? prop.key.name : String(prop.key.value);
+    if (key === "$or" || key === "$and") {
+      if (prop.value.type === "ArrayExpression") {
+        prop.value.elements.forEach((el) => keys.push(...filterKeys(el)));
+      }
+      continue;
+    }
+    if (!key.startsWith("$")) keys.push(key);
+  }
+  return [...new Set(keys)];
+}
+
+function readSort(node, shape) {
+  if (!node) return;
+  if (node.type === "StringLiteral") {
+    node.value.split(/\s+/).filter(Boolean).forEach((token) => {
+      shape.sort.push(token.startsWith("-") ? [token.slice(1), -1] : [token, 1]);
+    });
+    return;
+  }
+  if (node.type === "ObjectExpression") {
+    node.properties.filter((p) => p.type === "ObjectProperty").forEach((p) => {
+      const key = p.key.type === "Identifier" ? p.key.name : String(p.key.value);
+      const v = p.value;
+      const dir =
+        (v.type === "UnaryExpression" && v.operator === "-") ||
+        (v.type === "StringLiteral" && /^desc/i.test(v.value))
+          ? -1
+          : 1;
+      shape.sort.push([key, dir]);
+    });
+  }
+}
+
+function readProjection(node, shape) {
+  if (!node) return;
+  if (node.type === "StringLiteral") {
+    node.value.split(/\s+/).filter(Boolean).forEach((token) => {
+      if (token.startsWith("-")) shape.exclude.push(token.slice(1));
+      else shape.include.push(token.replace(/^\+/, ""));
+    });
+    return;
+  }
+  if (node.type === "ObjectExpression") {
+    node.properties.filter((p) => p.type === "ObjectProperty").forEach((p) => {
+      const key = p.key.type === "Identifier" ? p.key.name : String(p.key.value);
+      const v = p.value;
+      const off = (v.type === "NumericLiteral" && v.value === 0) || (v.type === "BooleanLiteral" && !v.value);
+      (off ? shape.exclude : shape.include).push(key);
+    });
+  }
+}
@@ -0,0 +1,85 @@
+/**
+ * ---------------------------------------------------------
+ * Request Utilities (shared by rules)
+ * ---------------------------------------------------------
+ * Purpose:
+ *   - Track where values come from the HTTP request
+ *     (req.body.x, req.params.id, const { email } = req.body)
+ *   - Shared by the security pack and AST metrics
+ * ---------------------------------------------------------
+ */
+
+export const REQUEST_PARTS = ["body", "params", "query", "headers", "cookies"];
+
+/**
+ * Name of the handler's request parameter (first param), if any
+ * @param {Object} handler - function node
+ * @returns {string|null}
+ */
+export function requestParamName(handler) {
+  const first = handler?.params?.[0];
+  return first?.type === "Identifier" ? first.name : null;
+}
+
+/**
+ * req.body / req.params / ... (exactly, without a further property)
+ * @param {Object} node
+ * @param {string} reqName
+ * @returns {string|null} the request part, e.g. "body"
+ */
+export function wholeRequestPart(node, reqName) {
+  if (
+    node?.type === "MemberExpression" &&
+    !node.computed &&
+    node.object.type === "Identifier" &&
+    node.object.name === reqName &&
+    REQUEST_PARTS.includes(node.property.name)
+  ) {
+    return node.property.name;
+  }
+  return null;
+}
+
+/**
+ * Where does a value come from? req.body.email → { part: "body", field: "email" }.
+ * Follows identifiers destructured from / assigned from the request.
+ * @param {Object} path - Babel path of the value expression
+ * @param {string} reqName
+ * @returns {Object|null} - { part, field } (field null for the whole part)
+ */
+export function requestSource(path, reqName) {
+  if (!reqName || !path?.node) return null;
+  const node = path.node;
+
+  const whole = wholeRequestPart(node, reqName);
+  if (whole) return { part: whole, field: null };
+
+  if (node.type === "MemberExpression") {
+    const part = wholeRequestPart(node.object, reqName);
+    if (part) {
+      const field = node.computed ? null : node.property.name;
+      return { part, field };
+    }
+    return null;
+  }
+
+  if (node.type !== "Identifier") return null;
+  const binding = path.scope.getBinding(node.name);
+  if (!binding || !binding.path.isVariableDeclarator()) return null;
+
+  const { id, init } = binding.path.node;
+  if (!init) return null;
+
+  // const { email } = req.body
+  if (id.type === "ObjectPattern") {
+    const part = wholeRequestPart(init, reqName);
+    return part ? { part, field: node.name } : null;
+  }
+
+  // const email = req.body.email / const body = req.body
+  if (id.type === "Identifier") {
+    return requestSource(binding.path.get("init"), reqName);
+  }
+
+  return null;
+}
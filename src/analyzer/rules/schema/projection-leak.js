@@ -0,0 +1,97 @@
+/**
+ * schema/projection-leak
+ *
+ * Fields marked `select: false` (e.g. password) leak when a query opts
+ * them back in with .select("+field"), or when a freshly created
+ * document — where select: false does not apply — is sent to the client.
+ */
+
+import { matchModelCall, readQueryShape } from "../query-utils.js";
+import { hiddenFields } from "../../schema-advisor.js";
+
+const RESPONSE_METHODS = ["json", "send", "jsonp"];
+
+export default {
+  id: "schema/projection-leak",
+  severity: "high",
+  category: "schema",
+  description: "select: false field exposed by a projection or a created document",
+
+  create(context) {
+    return {
+      CallExpression(path) {
+        const call = matchModelCall(path.node, context.models);
+        if (!call) return;
+
+        const model = context.schemaFor(call.model);
+        if (!model) return;
+        const hidden = hiddenFields(model);
+        if (hidden.length === 0) return;
+
+        const { include } = readQueryShape(path, call);
+        const reselected = include.filter((f) => hidden.includes(f));
+        if (reselected.length > 0) {
+          context.report({
+            node: path.node,
+            message: `${call.model}.${call.method}() re-selects ${reselected.join(", ")}, which the schema hides with select: false; make sure it never reaches the response.`,
+          });
+        }
+
+        if (call.method === "create" && isSentToClient(path)) {
+          reportCreated(context, path.node, call.model, hidden);
+        }
+      },
+
+      NewExpression(path) {
+        const callee = path.node.callee;
+        if (callee.type !== "Identifier" || !context.models.has(callee.name)) return;
+
+        const model = context.schemaFor(callee.name);
+        const hidden = model ? hiddenFields(model) : [];
+        if (hidden.length > 0 && isSentToClient(path)) {
+          reportCreated(context, path.node, callee.name, hidden);
+        }
+      },
+    };
+  },
+};
+
+function reportCreated(context, node, modelName, hidden) {
+  context.report({
+    node,
+    message: `A newly created ${modelName} is sent to the client as-is; select: false does not apply to created documents, so ${hidden.join(", ")} is exposed. Return an explicit DTO instead.`,
+  });
+}
+
+/**
+ * const doc = await Model.create(...) / new Model(...) → res.json(doc) or res.json({ doc })
+ */
+function isSentToClient(path) {
+  let holder = path.parentPath;
+  if (holder?.isAwaitExpression()) holder = holder.parentPath;
+  if (!holder?.isVariableDeclarator() || holder.node.id.type !== "Identifier") return false;
+
+  const binding = holder.scope.getBinding(holder.node.id.name);
+  if (!binding) return false;
+
+  return binding.referencePaths.some((ref) => {
+    let current = ref;
+    // walk out of { user: doc } wrappers
+    for (let depth = 0; depth < 4 && current.parentPath; depth++) {
+      const parent = current.parentPath;
+      if (parent.isCallExpression() && parent.node.arguments.includes(current.node)) {
+        const callee = parent.node.callee;
+        return (
+          callee.type === "MemberExpression" &&
+          callee.property.type === "Identifier" &&
+          RESPONSE_METHODS.includes(callee.property.name)
+        );
+      }
+      if (!(parent.isObjectProperty({ value: current.node }) || parent.isObjectExpression() || parent.isArrayExpression())) {
+        return false;
+      }
+      current = parent;
+    }
+    return false;
+  });
+}
@@ -0,0 +1,37 @@
+/**
+ * schema/redundant-exclusion
+ *
+ * .select("-password") on a field the schema already hides with
+ * select: false; harmless, but it hides where the guarantee lives.
+ */
+
+import { matchModelCall, readQueryShape } from "../query-utils.js";
+import { hiddenFields } from "../../schema-advisor.js";
+
+export default {
+  id: "schema/redundant-exclusion",
+  severity: "low",
+  category: "schema",
+  description: "Explicit exclusion of a field already hidden by select: false",
+
+  create(context) {
+    return {
+      CallExpression(path) {
+        const call = matchModelCall(path.node, context.models);
+        if (!call) return;
+
+        const model = context.schemaFor(call.model);
+        if (!model) return;
+
+        const { exclude } = readQueryShape(path, call);
+        const redundant = exclude.filter((f) => hiddenFields(model).includes(f));
+        if (redundant.length === 0) return;
+
+        context.report({
+          node: path.node,
+          message: `${call.model}.${call.method}() excludes ${redundant.join(", ")}, which the schema already hides with select: false.`,
+        });
+      },
+    };
+  },
+};
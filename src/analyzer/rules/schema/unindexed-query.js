@@ -0,0 +1,60 @@
+/**
+ * schema/unindexed-query
+ *
+ * Filters and sorts that no index in the model's schema can serve,
+ * with the compound index (equality fields, then sort fields) to add.
+ */
+
+import { matchModelCall, readQueryShape } from "../query-utils.js";
+import { isServedByIndex, isLeadingIndexField, isUniqueField, recommendIndex } from "../../schema-advisor.js";
+
+export default {
+  id: "schema/unindexed-query",
+  severity: "medium",
+  category: "schema",
+  description: "Query filter or sort not served by any index",
+
+  create(context) {
+    return {
+      CallExpression(path) {
+        const call = matchModelCall(path.node, context.models);
+        if (!call) return;
+
+        const model = context.schemaFor(call.model);
+        if (!model) return;
+
+        const { filterFields, sort } = readQueryShape(path, call);
+        const sortFields = sort.map(([field]) => field).filter((f) => !filterFields.includes(f));
+        if (filterFields.length === 0 && sortFields.length === 0) return;
+        if (isServedByIndex(model, filterFields, sortFields)) return;
+        // equality on a unique field matches at most one document
+        if (filterFields.some((f) => isUniqueField(model, f))) return;
+
+        const unindexed = filterFields.filter((f) => !isLeadingIndexField(model, f));
+        const suggestion = recommendIndex(filterFields, sort);
+
+        if (filterFields.length > 0 && unindexed.length === filterFields.length) {
+          context.report({
+            node: path.node,
+            message: `${call.model}.${call.method}() filters on ${unindexed.join(", ")}, which no index covers (collection scan); add ${call.model} index ${suggestion}.`,
+          });
+          return;
+        }
+
+        if (filterFields.length === 0) {
+          context.report({
+            node: path.node,
+            message: `${call.model}.${call.method}() sorts on ${sortFields.join(", ")} without an index (in-memory sort); add ${call.model} index ${suggestion}.`,
+          });
+          return;
+        }
+
+        context.report({
+          node: path.node,
+          severity: "low",
+          message: `${call.model}.${call.method}() on ${[...filterFields, ...sortFields].join(", ")} is only partly served by existing indexes; a compound index ${suggestion} would serve it fully.`,
+        });
+      },
+    };
+  },
+};
@@ -0,0 +1,66 @@
+/**
+ * sec/error-leak (CWE-209)
+ *
+ * Internal error details (error.message, error.stack or the error
+ * itself) are sent to the client from a catch block.
+ */
+
+const RESPONSE_METHODS = ["json", "send", "jsonp", "end"];
+
+export default {
+  id: "sec/error-leak",
+  severity: "medium",
+  category: "security",
+  cwe: "CWE-209",
+  description: "Internal error details returned to the client",
+
+  create(context) {
+    return {
+      CatchClause(path) {
+        const param = path.node.param;
+        if (param?.type !== "Identifier") return;
+
+        const binding = path.scope.getBinding(param.name);
+        if (!binding) return;
+
+        for (const ref of binding.referencePaths) {
+          const response = enclosingResponseCall(ref);
+          if (!response) continue;
+
+          const member = ref.parentPath?.isMemberExpression({ object: ref.node }) ? ref.parentPath.node.property.name : null;
+          context.report({
+            node: ref.parent.type === "MemberExpression" ? ref.parent : ref.node,
+            message: `${member ? `${param.name}.${member}` : param.name} is sent to the client; log it server-side and return a generic message.`,
+          });
+        }
+      },
+    };
+  },
+};
+
+/**
+ * Is this reference (possibly wrapped in objects/members) an argument of res.json()/res.send()?
+ */
+function enclosingResponseCall(ref) {
+  let current = ref;
+  for (let depth = 0; depth < 5 && current.parentPath; depth++) {
+    const parent = current.parentPath;
+    if (parent.isCallExpression() && parent.node.arguments.includes(current.node)) {
+      const callee = parent.node.callee;
+      return callee.type === "MemberExpression" && RESPONSE_METHODS.includes(callee.property.name) ? parent : null;
+    }
+    if (
+      !(
+        parent.isMemberExpression({ object: current.node }) ||
+        parent.isObjectProperty({ value: current.node }) ||
+        parent.isObjectExpression() ||
+        parent.isTemplateLiteral() ||
+        parent.isBinaryExpression()
+      )
+    ) {
+      return null;
+    }
+    current = parent;
+  }
+  return null;
+}
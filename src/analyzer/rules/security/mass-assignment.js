@@ -0,0 +1,78 @@
+/**
+ * sec/mass-assignment (CWE-915)
+ *
+ * The whole request body is written to a model, so a client can set any
+ * field (editUser lets a user send `role: "admin"`).
+ */
+
+import { matchModelCall } from "../query-utils.js";
+import { requestParamName, requestSource } from "../request-utils.js";
+
+const DOC_ARG = {
+  create: 0,
+  insertMany: 0,
+  updateOne: 1,
+  updateMany: 1,
+  findOneAndUpdate: 1,
+  findByIdAndUpdate: 1,
+  replaceOne: 1,
+};
+
+export default {
+  id: "sec/mass-assignment",
+  severity: "high",
+  category: "security",
+  cwe: "CWE-915",
+  description: "Request body written to a model without an allowlist",
+
+  create(context) {
+    const reqName = requestParamName(context.handler);
+
+    const isWholeBody = (valuePath) => {
+      if (!valuePath?.node) return false;
+      const source = requestSource(valuePath, reqName);
+      if (source?.part === "body" && source.field === null) return true;
+
+      // { ...req.body } / { $set: req.body }
+      if (valuePath.isObjectExpression()) {
+        return valuePath.get("properties").some((prop) =>
+          prop.isSpreadElement()
+            ? isWholeBody(prop.get("argument"))
+            : prop.isObjectProperty() && String(prop.node.key.name ?? prop.node.key.value).startsWith("$") && isWholeBody(prop.get("value"))
+        );
+      }
+      return false;
+    };
+
+    const report = (node, target) =>
+      context.report({
+        node,
+        message: `req.body is passed straight into ${target}; a client can set any field (e.g. role). Pick allowed fields explicitly.`,
+      });
+
+    return {
+      CallExpression(path) {
+        const call = matchModelCall(path.node, context.models);
+        if (call && call.method in DOC_ARG) {
+          if (isWholeBody(path.get("arguments")[DOC_ARG[call.method]])) report(path.node, `${call.model}.${call.method}()`);
+          return;
+        }
+
+        // Object.assign(doc, req.body) / doc.set(req.body)
+        const callee = path.node.callee;
+        if (callee.type !== "MemberExpression" || callee.property.type !== "Identifier") return;
+        const isAssign = callee.object.type === "Identifier" && callee.object.name === "Object" && callee.property.name === "assign";
+        if (isAssign && path.get("arguments").slice(1).some(isWholeBody)) report(path.node, "Object.assign()");
+        if (callee.property.name === "set" && path.node.arguments.length === 1 && isWholeBody(path.get("arguments")[0])) {
+          report(path.node, "document.set()");
+        }
+      },
+
+      NewExpression(path) {
+        const callee = path.node.callee;
+        if (callee.type !== "Identifier" || !context.models.has(callee.name)) return;
+        if (isWholeBody(path.get("arguments")[0])) report(path.node, `new ${callee.name}()`);
+      },
+    };
+  },
+};
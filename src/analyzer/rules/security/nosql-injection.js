@@ -0,0 +1,49 @@
+/**
+ * sec/nosql-injection (CWE-943)
+ *
+ * A request value is used as a query filter value. express.json() lets
+ * clients send objects, so { email: { $ne: null } } becomes an operator.
+ */
+
+import { matchModelCall } from "../query-utils.js";
+import { requestParamName, requestSource } from "../request-utils.js";
+
+const FILTER_METHODS = [
+  "find", "findOne", "countDocuments", "exists", "updateOne", "updateMany",
+  "deleteOne", "deleteMany", "findOneAndUpdate", "findOneAndDelete",
+];
+
+export default {
+  id: "sec/nosql-injection",
+  severity: "medium",
+  category: "security",
+  cwe: "CWE-943",
+  description: "Unsanitized request value used in a query filter",
+
+  create(context) {
+    const reqName = requestParamName(context.handler);
+
+    return {
+      CallExpression(path) {
+        const call = matchModelCall(path.node, context.models);
+        if (!call || !FILTER_METHODS.includes(call.method)) return;
+
+        const filter = path.get("arguments")[0];
+        if (!filter?.isObjectExpression()) return;
+
+        for (const prop of filter.get("properties")) {
+          if (!prop.isObjectProperty()) continue;
+          const value = prop.get("value");
+          const source = requestSource(value, reqName);
+          if (!source || !["body", "query"].includes(source.part)) continue;
+
+          const key = prop.node.key.name ?? prop.node.key.value;
+          context.report({
+            node: prop.node,
+            message: `${call.model}.${call.method}() filters on "${key}" with req.${source.part}${source.field ? `.${source.field}` : ""} as-is; coerce it to a string (or validate it) so query operators can't be injected.`,
+          });
+        }
+      },
+    };
+  },
+};
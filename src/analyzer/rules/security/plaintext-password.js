@@ -0,0 +1,84 @@
+/**
+ * sec/plaintext-password (CWE-256)
+ *
+ * A password taken from the request is written to the database without
+ * being hashed (createUser stores `password` as-is).
+ */
+
+import { matchModelCall } from "../query-utils.js";
+import { hashesPasswordOn } from "../../schema-advisor.js";
+import { requestParamName, requestSource } from "../request-utils.js";
+
+const PASSWORD_KEY = /^(password|passwd|pwd|pass)$/i;
+const HASH_CALL = /(hash|bcrypt|argon|scrypt|pbkdf2|encrypt)/i;
+const STORE_METHODS = ["create", "insertMany", "updateOne", "updateMany", "findOneAndUpdate", "findByIdAndUpdate", "replaceOne"];
+
+export default {
+  id: "sec/plaintext-password",
+  severity: "high",
+  category: "security",
+  cwe: "CWE-256",
+  description: "Password from the request stored without hashing",
+
+  create(context) {
+    const reqName = requestParamName(context.handler);
+    const hashed = new Set(); // variables holding a hash call's result
+
+    const isHashed = (valuePath) => {
+      if (valuePath.isAwaitExpression()) return isHashed(valuePath.get("argument"));
+      if (valuePath.isCallExpression()) return HASH_CALL.test(calleeName(valuePath.node));
+      return valuePath.isIdentifier() && hashed.has(valuePath.node.name);
+    };
+
+    const inspectDocument = (objectPath, modelName, method) => {
+      if (!objectPath?.isObjectExpression()) return;
+      for (const propPath of objectPath.get("properties")) {
+        if (!propPath.isObjectProperty()) continue;
+        const key = propPath.node.key.name ?? propPath.node.key.value;
+        if (!PASSWORD_KEY.test(String(key))) continue;
+
+        const valuePath = propPath.get("value");
+        if (isHashed(valuePath) || !requestSource(valuePath, reqName)) continue;
+
+        const model = context.schemaFor(modelName);
+        if (model && hashesPasswordOn(model, method)) continue;
+
+        context.report({
+          node: propPath.node,
+          message: `"${key}" from the request is stored on ${modelName} without hashing; hash it (bcrypt/argon2) before saving.`,
+        });
+      }
+    };
+
+    return {
+      CallExpression(path) {
+        // const hashedPassword = await bcrypt.hash(password, 10)
+        if (HASH_CALL.test(calleeName(path.node))) {
+          const declarator = path.findParent((p) => p.isVariableDeclarator());
+          if (declarator?.node.id.type === "Identifier") hashed.add(declarator.node.id.name);
+        }
+
+        const call = matchModelCall(path.node, context.models);
+        if (!call || !STORE_METHODS.includes(call.method)) return;
+        const docIndex = ["create", "insertMany"].includes(call.method) ? 0 : 1;
+        inspectDocument(path.get("arguments")[docIndex], call.model, call.method);
+      },
+
+      NewExpression(path) {
+        const callee = path.node.callee;
+        if (callee.type !== "Identifier" || !context.models.has(callee.name)) return;
+        inspectDocument(path.get("arguments")[0], callee.name, "save");
+      },
+    };
+  },
+};
+
+function calleeName(node) {
+  const callee = node.callee;
+  if (callee.type === "Identifier") return callee.name;
+  if (callee.type === "MemberExpression") {
+    const object = callee.object.type === "Identifier" ? callee.object.name : "";
+    return `${object}.${callee.property.name ?? ""}`;
+  }
+  return "";
+}
@@ -0,0 +1,57 @@
+/**
+ * sec/unvalidated-objectid (CWE-20)
+ *
+ * req.params.id goes into findById()/{ _id } without an ObjectId check;
+ * malformed ids throw a CastError that ends up as a 500 (and, combined
+ * with error leaks, exposes internals).
+ */
+
+import { matchModelCall } from "../query-utils.js";
+import { requestParamName, requestSource } from "../request-utils.js";
+
+const ID_METHODS = ["findById", "findByIdAndUpdate", "findByIdAndDelete"];
+const VALIDATORS = /(isValidObjectId|isValid|ObjectId\.isValid|Types\.ObjectId\.isValid)$/;
+
+export default {
+  id: "sec/unvalidated-objectid",
+  severity: "medium",
+  category: "security",
+  cwe: "CWE-20",
+  description: "Route parameter used as ObjectId without validation",
+
+  create(context) {
+    const reqName = requestParamName(context.handler);
+    let validated = false;
+
+    return {
+      CallExpression(path) {
+        const callee = path.get("callee");
+        if (VALIDATORS.test(callee.toString())) {
+          validated = true;
+          return;
+        }
+
+        const call = matchModelCall(path.node, context.models);
+        if (!call || validated) return;
+
+        const [firstArg] = path.get("arguments");
+        let idPath = null;
+        if (ID_METHODS.includes(call.method)) idPath = firstArg;
+        else if (firstArg?.isObjectExpression()) {
+          const idProp = firstArg
+            .get("properties")
+            .find((p) => p.isObjectProperty() && (p.node.key.name ?? p.node.key.value) === "_id");
+          idPath = idProp?.get("value") || null;
+        }
+
+        const source = idPath?.node ? requestSource(idPath, reqName) : null;
+        if (!source || source.part === "body") return;
+
+        context.report({
+          node: idPath.node,
+          message: `req.${source.part}.${source.field || "?"} is used as an ObjectId in ${call.model}.${call.method}() without validation; check mongoose.isValidObjectId() and return 400.`,
+        });
+      },
+    };
+  },
+};
@@ -5,55 +5,52 @@
  * Purpose:
  *   - Scrub sensitive or excessive data from code
  *   - Ensure safety before sending to OpenAI
+ *
+ * Secrets are replaced with stable placeholders (__SECRET_n__, see
+ * ./secrets) instead of being cut out, so returned code can be mapped
+ * back with rehydrate(). Size limits are applied later, on the AST,
+ * by ./truncator.js.
  * ---------------------------------------------------------
  */
 
+import { createRedactionMap, redactSecrets } from "./secrets/index.js";
+import { shrinkLiterals } from "./truncator.js";
+import { loadReviewerConfig } from "../config/reviewer.js";
+
 /**
  * Sanitize a code snippet
  * @param {string} code - cleaned function code
- * @returns {Object} - { safeCode, removed, truncated, note }
+ * @param {Object} [options]
+ * @param {Object} [options.redactions] - placeholder map shared by one payload (createRedactionMap())
+ * @returns {Object} - { safeCode, removed, secrets, truncated, note }
  */
-export function sanitizeCode(code = "") {
+export function sanitizeCode(code = "", { redactions = createRedactionMap() } = {}) {
   let safeCode = code;
-  const removed = [];
   let truncated = false;
 
-  // 1️⃣ Remove hardcoded secrets / keys
-  const secretPatterns = [
-    /(api[_-]?key\s*=\s*['"`][^'"`]+['"`])/gi,
-    /(token\s*=\s*['"`][^'"`]+['"`])/gi,
-    /(password\s*=\s*['"`][^'"`]+['"`])/gi,
-    /(connectionString\s*=\s*['"`][^'"`]+['"`])/gi,
-  ];
-  secretPatterns.forEach((pattern) => {
-    if (pattern.test(safeCode)) {
-      safeCode = safeCode.replace(pattern, "/* 🔒 sanitized */");
-      removed.push(pattern.toString());
-    }
-  });
+  // 1️⃣ Replace hardcoded secrets / keys with placeholders
+  const redacted = redactSecrets(safeCode, redactions);
+  safeCode = redacted.code;
+  const removed = [...new Set(redacted.secrets.map((s) => s.detector))];
 
-  // 2️⃣ Mask emails and phone numbers
+  // 2️⃣ Mask emails and phone numbers (user:__SECRET_1__@host is a connection string, not an email)
   safeCode = safeCode
-    .replace(/[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g, "[email_hidden]")
+    .replace(/[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g, (match) =>
+      /__SECRET_\d+__@/.test(match) ? match : "[email_hidden]"
+    )
     .replace(/\+?\d[\d\s\-]{8,}\d/g, "[number_hidden]");
 
-  // 3️⃣ Trim large JSON or string literals
-  const largeLiteralPattern = /(['"`])({.*?}|[A-Za-z0-9\s]{150,})(['"`])/gs;
-  if (largeLiteralPattern.test(safeCode)) {
-    safeCode = safeCode.replace(largeLiteralPattern, `"$1[...truncated_literal...]"`);
-    truncated = true;
-  }
-
-  // 4️⃣ Shorten overall code if huge (safety guard)
-  const MAX_LENGTH = 1500;
-  if (safeCode.length > MAX_LENGTH) {
-    safeCode = safeCode.slice(0, MAX_LENGTH) + "\n/* ...truncated for safety... */";
+  // 3️⃣ Shorten huge string literals (AST-based, the code stays valid)
+  const literals = shrinkLiterals(safeCode, loadReviewerConfig().limits.maxLiteralChars);
+  if (literals.shortened > 0) {
+    safeCode = literals.code;
     truncated = true;
   }
 
   return {
     safeCode,
     removed,
+    secrets: redacted.secrets,
     truncated,
     note:
       removed.length > 0 || truncated
@@ -0,0 +1,359 @@
+/**
+ * ---------------------------------------------------------
+ * Schema Advisor
+ * ---------------------------------------------------------
+ * Purpose:
+ *   - Parse Mongoose schema definitions (fields, unique, index,
+ *     select: false, refs, enum, timestamps, schema.index(),
+ *     schema.pre() hooks)
+ *   - Answer index questions for the schema rule pack
+ *     (is a filter/sort served by an index? which compound index?)
+ *   - Build a per-model report for the payload and `ai-review schema`
+ * ---------------------------------------------------------
+ */
+
+import path from "path";
+import traverse from "@babel/traverse";
+import { parseFile } from "./ast-parser.js";
+
+const cache = new Map();
+const PASSWORD_HASH = /\b(bcrypt|argon2|scrypt|pbkdf2)\b|\.hash\(/;
+
+/**
+ * Parse a model file into a schema description
+ * @param {string} filePath - absolute path to a *.model.js file
+ * @returns {Object|null} - { name, file, fields, indexes, hooks, options } or null if no schema found
+ */
+export function parseModelFile(filePath) {
+  if (cache.has(filePath)) return cache.get(filePath);
+
+  const parsed = parseFile(filePath);
+  if (!parsed) return null;
+
+  const schemas = new Map(); // variable name → { fields node, options node }
+  let firstSchema = null;
+  let modelName = null;
+  let modelSchemaVar = null;
+  const indexCalls = []; // { schemaVar, node, options }
+  const hookCalls = []; // { schemaVar, events, node }
+
+  traverse.default(parsed.ast, {
+    NewExpression(p) {
+      if (!isSchemaConstructor(p.node.callee)) return;
+      const [fieldsNode, optionsNode] = p.node.arguments;
+      if (fieldsNode?.type !== "ObjectExpression") return;
+
+      const entry = { fieldsNode, optionsNode };
+      if (p.parentPath.isVariableDeclarator() && p.parent.id.type === "Identifier") {
+        schemas.set(p.parent.id.name, entry);
+      }
+      firstSchema = firstSchema || entry;
+    },
+    CallExpression(p) {
+      const callee = p.node.callee;
+      if (callee.type !== "MemberExpression" || callee.property.type !== "Identifier") return;
+      const args = p.node.arguments;
+
+      if (callee.property.name === "model" && args[0]?.type === "StringLiteral") {
+        modelName = args[0].value;
+        if (args[1]?.type === "Identifier") modelSchemaVar = args[1].name;
+      }
+      if (callee.property.name === "index" && callee.object.type === "Identifier" && args[0]?.type === "ObjectExpression") {
+        indexCalls.push({ schemaVar: callee.object.name, node: args[0], options: args[1] });
+      }
+      if (callee.property.name === "pre" && callee.object.type === "Identifier") {
+        const events = literalValue(args[0]);
+        const fn = args.find((arg) => ["FunctionExpression", "ArrowFunctionExpression"].includes(arg.type));
+        if (events !== undefined && fn) hookCalls.push({ schemaVar: callee.object.name, events: [].concat(events), node: fn });
+      }
+    },
+  });
+
+  const schema = (modelSchemaVar && schemas.get(modelSchemaVar)) || firstSchema;
+  if (!schema) {
+    cache.set(filePath, null);
+    return null;
+  }
+
+  const fields = {};
+  readFields(schema.fieldsNode, "", fields, parsed.code);
+
+  const options = readLiteralObject(schema.optionsNode);
+  const indexes = [{ keys: [["_id", 1]], unique: true, origin: "implicit" }];
+
+  for (const [name, field] of Object.entries(fields)) {
+    if (field.unique || field.index) {
+      indexes.push({ keys: [[name, 1]], unique: Boolean(field.unique), sparse: Boolean(field.sparse), origin: "field" });
+    }
+  }
+
+  indexCalls
+    .filter((call) => !modelSchemaVar || call.schemaVar === modelSchemaVar)
+    .forEach((call) => {
+      const keys = call.node.properties
+        .filter((prop) => prop.type === "ObjectProperty")
+        .map((prop) => [keyName(prop), literalValue(prop.value) ?? 1]);
+      const indexOptions = readLiteralObject(call.options);
+      indexes.push({ keys, unique: Boolean(indexOptions.unique), sparse: Boolean(indexOptions.sparse), origin: "schema.index" });
+    });
+
+  // pre("save") hooks that hash the password make storing it from the request safe
+  const hooks = hookCalls
+    .filter((call) => !modelSchemaVar || call.schemaVar === modelSchemaVar)
+    .map((call) => ({
+      events: call.events,
+      hashesPassword: PASSWORD_HASH.test(parsed.code.slice(call.node.start, call.node.end)),
+    }));
+
+  if (options.timestamps) {
+    fields.createdAt = fields.createdAt || { type: "Date", auto: true };
+    fields.updatedAt = fields.updatedAt || { type: "Date", auto: true };
+  }
+
+  const model = {
+    name: modelName || path.basename(filePath, ".js").replace(/\.model$/, ""),
+    file: filePath,
+    fields,
+    indexes,
+    hooks,
+    options: { timestamps: Boolean(options.timestamps), ...options },
+  };
+  cache.set(filePath, model);
+  return model;
+}
+
+/**
+ * Fields excluded from queries by default (select: false)
+ * @param {Object} model - from parseModelFile()
+ * @returns {Array<string>}
+ */
+export function hiddenFields(model) {
+  return Object.entries(model.fields)
+    .filter(([, field]) => field.select === false)
+    .map(([name]) => name);
+}
+
+/**
+ * Is there an index whose key prefix is exactly `equality` (any order)
+ * followed by `sort` (in order)?
+ * @param {Object} model
+ * @param {Array<string>} equality - equality filter fields
+ * @param {Array<string>} [sort=[]] - sort fields
+ * @returns {boolean}
+ */
+export function isServedByIndex(model, equality, sort = []) {
+  const eq = new Set(equality);
+  return model.indexes.some((index) => {
+    const keys = index.keys.map(([k]) => k);
+    if (keys.length < eq.size + sort.length) return false;
+
+    const prefix = keys.slice(0, eq.size);
+    if (!prefix.every((k) => eq.has(k))) return false;
+    return sort.every((field, i) => keys[eq.size + i] === field);
+  });
+}
+
+/**
+ * Does any index start with this field?
+ * @param {Object} model
+ * @param {string} field
+ * @returns {boolean}
+ */
+export function isLeadingIndexField(model, field) {
+  return model.indexes.some((index) => index.keys[0]?.[0] === field);
+}
+
+/**
+ * Does a unique single-field index exist on this field? An equality
+ * match on it returns at most one document, so extra filters are cheap.
+ * @param {Object} model
+ * @param {string} field
+ * @returns {boolean}
+ */
+export function isUniqueField(model, field) {
+  return model.indexes.some((index) => index.unique && index.keys.length === 1 && index.keys[0][0] === field);
+}
+
+/**
+ * Is the password hashed by a schema hook for this kind of write?
+ * create()/new Model() run "save" hooks; update methods run their own query hooks.
+ * @param {Object} model
+ * @param {string} method - e.g. "create", "findByIdAndUpdate"
+ * @returns {boolean}
+ */
+export function hashesPasswordOn(model, method) {
+  const event = ["create", "insertMany", "save"].includes(method) ? "save" : method.replace(/^findById/, "findOne");
+  return model.hooks.some((hook) => hook.hashesPassword && hook.events.includes(event));
+}
+
+/**
+ * Recommend a compound index following the equality → sort rule
+ * @param {Array<string>} equality
+ * @param {Array<Array>} sort - [[field, direction]]
+ * @returns {string} e.g. "{ status: 1, createdAt: -1 }"
+ */
+export function recommendIndex(equality, sort = []) {
+  const keys = [
+    ...equality.map((field) => `${field}: 1`),
+    ...sort.filter(([field]) => !equality.includes(field)).map(([field, dir]) => `${field}: ${dir}`),
+  ];
+  return `{ ${keys.join(", ")} }`;
+}
+
+/**
+ * Per-model report: indexes, hidden fields, refs and schema warnings
+ * @param {Object} model - from parseModelFile()
+ * @returns {Object}
+ */
+export function buildModelReport(model) {
+  const refs = Object.entries(model.fields)
+    .filter(([, field]) => field.ref)
+    .map(([name, field]) => ({ field: name, ref: field.ref }));
+
+  const warnings = [];
+
+  refs.forEach(({ field, ref }) => {
+    if (!isLeadingIndexField(model, field)) {
+      warnings.push(`Reference "${field}" → ${ref} has no index; lookups by ${field} scan the collection.`);
+    }
+  });
+
+  Object.entries(model.fields).forEach(([name, field]) => {
+    if (field.unique && !field.required && !field.sparse) {
+      warnings.push(`"${name}" is unique but not required or sparse; only one document may omit it.`);
+    }
+  });
+
+  return {
+    name: model.name,
+    file: path.relative(process.cwd(), model.file),
+    fields: Object.keys(model.fields),
+    indexes: model.indexes.map(formatIndex),
+    hiddenFields: hiddenFields(model),
+    refs,
+    timestamps: model.options.timestamps,
+    warnings,
+  };
+}
+
+/**
+ * Render an index as { a: 1, b: -1 } (unique)
+ * @param {Object} index
+ * @returns {string}
+ */
+export function formatIndex(index) {
+  const keys = index.keys.map(([k, dir]) => `${k}: ${dir}`).join(", ");
+  const flags = [index.unique && "unique", index.sparse && "sparse"].filter(Boolean);
+  return `{ ${keys} }${flags.length ? ` (${flags.join(", ")})` : ""}`;
+}
+
+function isSchemaConstructor(callee) {
+  return (
+    (callee.type === "Identifier" && callee.name === "Schema") ||
+    (callee.type === "MemberExpression" && callee.property.type === "Identifier" && callee.property.name === "Schema")
+  );
+}
+
+/**
+ * Flatten a schema definition object into dotted field paths
+ */
+function readFields(objectNode, prefix, out, code) {
+  for (const prop of objectNode.properties) {
+    if (prop.type !== "ObjectProperty") continue;
+    const name = `${prefix}${keyName(prop)}`;
+    const value = prop.value;
+
+    if (value.type === "ObjectExpression" && !hasKey(value, "type")) {
+      readFields(value, `${name}.`, out, code);
+      continue;
+    }
+    out[name] = readField(value, code);
+  }
+}
+
+function readField(node, code) {
+  if (node.type === "ArrayExpression") {
+    const inner = node.elements[0] ? readField(node.elements[0], code) : { type: "Mixed" };
+    return { ...inner, type: `[${inner.type}]`, array: true };
+  }
+
+  if (node.type !== "ObjectExpression") return { type: typeName(node, code) };
+
+  const field = {};
+  for (const prop of node.properties) {
+    if (prop.type !== "ObjectProperty") continue;
+    const key = keyName(prop);
+    const value = prop.value;
+
+    switch (key) {
+      case "type":
+        field.type = value.type === "ArrayExpression" ? `[${typeName(value.elements[0], code)}]` : typeName(value, code);
+        break;
+      case "required":
+      case "unique":
+      case "index":
+      case "sparse":
+      case "select": {
+        // required: [true, "message"] → true
+        const literal = value.type === "ArrayExpression" ? literalValue(value.elements[0]) : literalValue(value);
+        field[key] = literal ?? (value.type === "ObjectExpression" ? true : code.slice(value.start, value.end));
+        break;
+      }
+      case "ref":
+      case "enum":
+        field[key] = literalValue(value) ?? code.slice(value.start, value.end);
+        break;
+      case "default":
+        field.default = code.slice(value.start, value.end);
+        break;
+      default:
+        break;
+    }
+  }
+  field.type = field.type || "Mixed";
+  return field;
+}
+
+function typeName(node, code) {
+  if (!node) return "Mixed";
+  if (node.type === "Identifier") return node.name;
+  if (node.type === "MemberExpression" && node.property.type === "Identifier") return node.property.name;
+  return code.slice(node.start, node.end);
+}
+
+function hasKey(objectNode, key) {
+  return objectNode.properties.some((prop) => prop.type === "ObjectProperty" && keyName(prop) === key);
+}
+
+function keyName(prop) {
+  return prop.key.type === "Identifier" ? prop.key.name : String(prop.key.value);
+}
+
+function literalValue(node) {
+  if (!node) return undefined;
+  switch (node.type) {
+    case "StringLiteral":
+    case "NumericLiteral":
+    case "BooleanLiteral":
+      return node.value;
+    case "UnaryExpression":
+      return node.operator === "-" && node.argument.type === "NumericLiteral" ? -node.argument.value : undefined;
+    case "ArrayExpression": {
+      const values = node.elements.map(literalValue);
+      return values.every((v) => v !== undefined) ? values : undefined;
+    }
+    default:
+      return undefined;
+  }
+}
+
+function readLiteralObject(node) {
+  if (node?.type !== "ObjectExpression") return {};
+  const out = {};
+  for (const prop of node.properties) {
+    if (prop.type !== "ObjectProperty") continue;
+    const value = literalValue(prop.value);
+    out[keyName(prop)] = value === undefined ? true : value;
+  }
+  return out;
+}
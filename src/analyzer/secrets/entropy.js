@@ -0,0 +1,62 @@
+/**
+ * High-entropy tokens inside string literals: random-looking keys that
+ * match no known format and sit under an innocent name.
+ * Hex tokens need to be longer: 24-char Mongo ObjectIds are query
+ * values the reviewer should see, hex keys are 32 chars and up.
+ */
+
+const STRING_LITERAL = /(['"`])((?:\\.|(?!\1)[^\\\n])*)\1/g;
+const TOKEN = /[A-Za-z0-9+/=_-]+/g;
+const HEX = /^[0-9a-f]+$/i;
+
+/**
+ * Shannon entropy in bits per character
+ * @param {string} value
+ * @returns {number}
+ */
+export function shannonEntropy(value) {
+  if (!value) return 0;
+  const counts = new Map();
+  for (const char of value) counts.set(char, (counts.get(char) || 0) + 1);
+
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / value.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+export default {
+  id: "entropy",
+  description: "High-entropy token in a string literal",
+
+  /**
+   * @param {string} code
+   * @param {Object} options - config.secrets.entropy { minLength, hexMinLength, base64Threshold, hexThreshold }
+   */
+  find(code, { minLength = 20, hexMinLength = 32, base64Threshold = 4.0, hexThreshold = 3.0 } = {}) {
+    const out = [];
+    for (const literal of code.matchAll(STRING_LITERAL)) {
+      const body = literal[2];
+      const bodyStart = literal.index + 1;
+
+      for (const token of body.matchAll(TOKEN)) {
+        const value = token[0];
+        if (value.length < minLength) continue;
+
+        const isHex = HEX.test(value);
+        if (isHex && value.length < hexMinLength) continue;
+        // base64-ish keys mix letters and digits; long words and identifiers don't
+        if (!isHex && !(/\d/.test(value) && /[A-Za-z]/.test(value))) continue;
+
+        const threshold = isHex ? hexThreshold : base64Threshold;
+        if (shannonEntropy(value) < threshold) continue;
+
+        const start = bodyStart + token.index;
+        out.push({ start, end: start + value.length });
+      }
+    }
+    return out;
+  },
+};
@@ -0,0 +1,158 @@
+/**
+ * ---------------------------------------------------------
+ * Secret Detection & Reversible Redaction
+ * ---------------------------------------------------------
+ * Purpose:
+ *   - Find secrets in code with a pluggable set of detectors
+ *     (known token formats, secret-looking names, entropy,
+ *     extra patterns from config)
+ *   - Replace each distinct value with a stable placeholder
+ *     (__SECRET_1__, __SECRET_2__, ...) shared across one payload
+ *   - Keep the placeholder → value map in memory only, so model
+ *     output (before_after) can be rehydrated locally
+ *
+ * Detectors are plain objects:
+ *   { id, description, find(code, options) → [{ start, end }] }
+ * ---------------------------------------------------------
+ */
+
+import knownFormats, { regexDetector } from "./known-formats.js";
+import namedValues from "./named-values.js";
+import entropy from "./entropy.js";
+import { loadReviewerConfig } from "../../config/reviewer.js";
+
+export const PLACEHOLDER_PATTERN = /__SECRET_\d+__/g;
+const CONTAINS_PLACEHOLDER = /__SECRET_\d+__/;
+// shorter values ("admin", "1234") would match unrelated code when searched everywhere
+const MIN_REPEAT_LENGTH = 8;
+
+const DETECTORS = [...knownFormats, namedValues, entropy];
+
+/**
+ * Add a detector to the built-in set (runs after the built-ins)
+ * @param {Object} detector - { id, description, find(code, options) }
+ */
+export function registerDetector(detector) {
+  if (!detector?.id || typeof detector.find !== "function") {
+    throw new Error("A secret detector needs an id and a find(code) function");
+  }
+  DETECTORS.push(detector);
+}
+
+/**
+ * Built-in + registered detectors plus config.secrets.patterns, minus config.secrets.disabled
+ * @returns {Array} detectors
+ */
+export function listDetectors() {
+  const config = loadReviewerConfig().secrets;
+  const disabled = new Set(config.disabled);
+  const custom = (config.patterns || []).map((p) =>
+    regexDetector(p.id, p.description || "Custom pattern", new RegExp(p.pattern, p.flags || ""))
+  );
+  return [...DETECTORS, ...custom].filter((d) => !disabled.has(d.id));
+}
+
+/**
+ * New, empty placeholder map. One map per payload keeps numbering stable
+ * across the handler, helpers and model summaries.
+ * @returns {Object} - { byValue: Map<value, placeholder>, byPlaceholder: Map<placeholder, { value, detector }> }
+ */
+export function createRedactionMap() {
+  return { byValue: new Map(), byPlaceholder: new Map() };
+}
+
+/**
+ * Find secrets in a piece of code
+ * @param {string} code
+ * @param {Object} [redactions] - values already redacted elsewhere in the payload are found anywhere
+ * @returns {Array} - [{ start, end, value, detector }] sorted, non-overlapping
+ */
+export function detectSecrets(code, redactions = createRedactionMap()) {
+  const config = loadReviewerConfig().secrets;
+  const allowed = compileAllowlist(config.allowlist);
+
+  const hits = listDetectors().flatMap((detector) =>
+    detector
+      .find(code, config[detector.id] || {})
+      .map(({ start, end }) => ({ start, end, value: code.slice(start, end), detector: detector.id }))
+  );
+
+  // the same value under an innocent name ("const again = '<key>'") must not leak
+  for (const { value, detector } of redactions.byPlaceholder.values()) {
+    if (value.length < MIN_REPEAT_LENGTH) continue;
+    for (let i = code.indexOf(value); i !== -1; i = code.indexOf(value, i + value.length)) {
+      hits.push({ start: i, end: i + value.length, value, detector });
+    }
+  }
+
+  // earliest first, longest wins on overlap
+  hits.sort((a, b) => a.start - b.start || b.end - a.end);
+  const out = [];
+  for (const hit of hits) {
+    if (out.length && hit.start < out[out.length - 1].end) continue;
+    if (CONTAINS_PLACEHOLDER.test(hit.value) || allowed(hit.value)) continue;
+    out.push(hit);
+  }
+  return out;
+}
+
+/**
+ * Replace detected secrets with placeholders
+ * @param {string} code
+ * @param {Object} [redactions] - map from createRedactionMap(), updated in place
+ * @returns {Object} - { code, secrets: [{ placeholder, detector, line }] }
+ */
+export function redactSecrets(code, redactions = createRedactionMap()) {
+  // detect first, then again with the new values known, so repeats anywhere are caught
+  detectSecrets(code, redactions).forEach((hit) => placeholderFor(hit, redactions));
+  const hits = detectSecrets(code, redactions);
+  const secrets = [];
+  let out = "";
+  let cursor = 0;
+
+  for (const hit of hits) {
+    const placeholder = placeholderFor(hit, redactions);
+    secrets.push({ placeholder, detector: hit.detector, line: code.slice(0, hit.start).split("\n").length });
+    out += code.slice(cursor, hit.start) + placeholder;
+    cursor = hit.end;
+  }
+
+  return { code: out + code.slice(cursor), secrets };
+}
+
+function placeholderFor(hit, redactions) {
+  let placeholder = redactions.byValue.get(hit.value);
+  if (!placeholder) {
+    placeholder = `__SECRET_${redactions.byValue.size + 1}__`;
+    redactions.byValue.set(hit.value, placeholder);
+    redactions.byPlaceholder.set(placeholder, { value: hit.value, detector: hit.detector });
+  }
+  return placeholder;
+}
+
+/**
+ * Put the original values back into model output (e.g. before_after)
+ * @param {string} text
+ * @param {Object} redactions - map used when the payload was built
+ * @returns {string}
+ */
+export function rehydrate(text, redactions) {
+  if (typeof text !== "string" || !redactions?.byPlaceholder.size) return text;
+  return text.replace(PLACEHOLDER_PATTERN, (placeholder) =>
+    redactions.byPlaceholder.get(placeholder)?.value ?? placeholder
+  );
+}
+
+/**
+ * Allowlist entries are exact values or "/regex/flags" strings
+ */
+function compileAllowlist(entries = []) {
+  const exact = new Set();
+  const patterns = [];
+  for (const entry of entries) {
+    const regex = typeof entry === "string" && entry.match(/^\/(.+)\/([a-z]*)$/);
+    if (regex) patterns.push(new RegExp(regex[1], regex[2]));
+    else exact.add(entry);
+  }
+  return (value) => exact.has(value) || patterns.some((p) => p.test(value));
+}
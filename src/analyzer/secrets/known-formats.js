@@ -0,0 +1,42 @@
+/**
+ * Known token formats (JWT, AWS, Stripe, GitHub, Google, Slack,
+ * private keys, credentials inside connection strings).
+ *
+ * Each detector returns the ranges of the secret value only, so the
+ * surrounding code (variable names, quotes, URL host) stays readable.
+ */
+
+/**
+ * Build a detector from a regex; group 1 (if present) is the secret,
+ * otherwise the whole match.
+ */
+export function regexDetector(id, description, pattern) {
+  return {
+    id,
+    description,
+    find(code) {
+      const flags = pattern.flags.includes("g") ? pattern.flags : `${pattern.flags}g`;
+      const regex = new RegExp(pattern.source, flags);
+      const out = [];
+      for (const match of code.matchAll(regex)) {
+        const value = match[1] ?? match[0];
+        if (!value) continue;
+        const start = match.index + (match[1] !== undefined ? match[0].indexOf(value) : 0);
+        out.push({ start, end: start + value.length });
+      }
+      return out;
+    },
+  };
+}
+
+export default [
+  regexDetector("jwt", "JSON Web Token", /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/),
+  regexDetector("aws-access-key", "AWS access key id", /\b(?:AKIA|ASIA)[A-Z0-9]{16}\b/),
+  regexDetector("aws-secret-key", "AWS secret access key", /aws[\w-]{0,20}?['"`]?\s*[:=]\s*['"`]([A-Za-z0-9/+=]{40})['"`]/i),
+  regexDetector("stripe-key", "Stripe API key / webhook secret", /\b(?:(?:sk|rk|pk)_(?:live|test)_[A-Za-z0-9]{10,}|whsec_[A-Za-z0-9]{16,})\b/),
+  regexDetector("github-token", "GitHub token", /\bgh[pousr]_[A-Za-z0-9]{36,}\b/),
+  regexDetector("google-api-key", "Google API key", /\bAIza[0-9A-Za-z_-]{35}\b/),
+  regexDetector("slack-token", "Slack token", /\bxox[abprs]-[A-Za-z0-9-]{10,}\b/),
+  regexDetector("private-key", "PEM private key", /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/),
+  regexDetector("connection-string", "Password in a connection string", /\b[a-z][a-z0-9+.-]*:\/\/[^\s:@'"`/]+:([^\s@'"`/]+)@/i),
+];
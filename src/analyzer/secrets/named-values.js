@@ -0,0 +1,36 @@
+/**
+ * Literal values assigned to secret-looking names, in any position:
+ *   apiKey = "…"   { clientSecret: "…" }   headers: { "x-api-key": "…" }
+ *   Authorization: "Bearer …" (only the token after the scheme is redacted)
+ */
+
+const SECRET_NAME = String.raw`[\w-]*(?:api[_-]?key|secret|token|passw(?:or)?d|pwd|authorization|auth[_-]?key|credentials?|private[_-]?key|connection[_-]?string)[\w-]*`;
+const NAMED_VALUE = new RegExp(
+  String.raw`(["']?)(${SECRET_NAME})\1\s*[:=]\s*(['"\`])([^'"\`\n]{4,}?)\3`,
+  "gi"
+);
+const AUTH_SCHEME = /^(Bearer|Basic|Token)\s+/i;
+
+export default {
+  id: "named-value",
+  description: "Literal assigned to a secret-looking name or header",
+
+  find(code) {
+    const out = [];
+    for (const match of code.matchAll(NAMED_VALUE)) {
+      let value = match[4];
+      let offset = match.index + match[0].length - 1 - value.length;
+
+      const scheme = value.match(AUTH_SCHEME);
+      if (scheme) {
+        offset += scheme[0].length;
+        value = value.slice(scheme[0].length);
+      }
+
+      // interpolations and plain sentences ("Password is required") are not secrets
+      if (value.includes("${") || /\s/.test(value) || value.length < 4) continue;
+      out.push({ start: offset, end: offset + value.length });
+    }
+    return out;
+  },
+};
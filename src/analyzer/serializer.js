@@ -3,7 +3,9 @@
  * Serializer Module
  * ---------------------------------------------------------
  * Purpose:
- *   - Combine endpoint metadata, refined logic, and sanitized code
+ *   - Combine endpoint metadata, refined logic, sanitized code
+ *     (with the file position of each line), referenced context (models, helpers), static rule findings
+ *     and schema reports of the models the handler queries
  *   - Produce a clean JSON payload ready for AI or storage
  * ---------------------------------------------------------
  */
@@ -13,18 +15,31 @@ import path from "path";
 
 /**
  * Build a final JSON payload for one endpoint
- * @param {Object} endpoint - { method, path, handler, file }
- * @param {Object} refined - { name, cleanedCode, summary }
- * @param {Object} sanitized - { safeCode, note }
+ * @param {Object} endpoint - { method, path, fullPath, middleware, handler, source, file, line }
+ * @param {Object} refined - { name, cleanedCode, summary } (summary = AST metrics, becomes payload.metadata)
+ * @param {Object} sanitized - { safeCode, note, elided?, chunks? } (elided/chunks from truncator.js)
+ * @param {Object} [extras]
+ * @param {string} [extras.mode] - analysis mode (performance|security), selects the prompt
+ * @param {Object} [extras.context] - { models, helpers, omitted } from context-collector.js
+ * @param {Array} [extras.staticFindings] - findings from the rule engine (analyzer/rules)
+ * @param {Array} [extras.schema] - per-model reports from schema-advisor.js
+ * @param {Array} [extras.secrets] - [{ placeholder, detector }] redacted in the code above (no values)
+ * @param {Object} [extras.sourceMap] - file positions of the code lines, from line-map.js
  * @returns {Object} payload
  */
-export function buildPayload(endpoint, refined, sanitized) {
+export function buildPayload(endpoint, refined, sanitized, { mode = "performance", context = null, staticFindings = [], schema = [], secrets = [], sourceMap = null } = {}) {
   return {
+    mode,
     endpoint: {
       method: endpoint.method,
-      path: endpoint.path,
+      path: endpoint.fullPath || endpoint.path,
+      routePath: endpoint.path,
+      middleware: endpoint.middleware || [],
       file: endpoint.file,
+      line: endpoint.line,
       handler: endpoint.handler,
+      sourceFile: endpoint.source?.file || null,
+      exportName: endpoint.source?.exportName || null,
     },
     function: {
       name: refined.name,
@@ -32,13 +47,30 @@ export function buildPayload(endpoint, refined, sanitized) {
       lines: refined.summary.lineCount,
       cleanedCode: refined.cleanedCode,
       sanitizedCode: sanitized.safeCode,
-      safetyNote: sanitized.note,
+      safetyNote: sizeNote(sanitized) || sanitized.note,
+      elidedStatements: sanitized.elided || 0,
+      chunks: sanitized.chunks || [],
+      sourceMap,
     },
     metadata: refined.summary,
+    context: context || { models: [], helpers: [], omitted: [], chars: 0 },
+    staticFindings,
+    schema,
+    secrets,
     timestamp: new Date().toISOString(),
   };
 }
 
+/**
+ * Explain how the code was cut to fit the model budget
+ * @returns {string|null}
+ */
+function sizeNote({ elided, chunks, note }) {
+  if (chunks?.length > 1) return `${note} Split into ${chunks.length} chunks to fit the model budget.`;
+  if (elided) return `${note} ${elided} statement(s) elided to fit the model budget.`;
+  return null;
+}
+
 /**
  * Save payload to a local JSON file
  * @param {Object} payload
@@ -49,7 +81,7 @@ export function savePayload(payload, outputDir = "output") {
   const dir = path.resolve(process.cwd(), outputDir);
   if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
 
-  const fileNameSafe = `${payload.function.name}_${Date.now()}.json`;
+  const fileNameSafe = `${payload.function.name.replace(/[^\w.@-]/g, "_")}_${Date.now()}.json`;
   const filePath = path.join(dir, fileNameSafe);
 
   fs.writeFileSync(filePath, JSON.stringify(payload, null, 2), "utf-8");
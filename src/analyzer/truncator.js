@@ -0,0 +1,419 @@
+/**
+ * ---------------------------------------------------------
+ * Truncator (syntax-aware size limiting)
+ * ---------------------------------------------------------
+ * Purpose:
+ *   - Keep handler code within a character budget derived from
+ *     the model's context size (config.limits)
+ *   - Elide whole statements / block bodies with placeholders
+ *     like `/* 12 statements elided *\/` so the result is still
+ *     valid JavaScript and the control-flow skeleton survives
+ *   - Split very large handlers into linked chunks: a skeleton
+ *     plus the segments it points to (`/* see chunk 2/3 *\/`)
+ *   - Shorten huge string literals without breaking syntax
+ * ---------------------------------------------------------
+ */
+
+import traverse from "@babel/traverse";
+import { parseCode } from "./ast-parser.js";
+import { loadReviewerConfig } from "../config/reviewer.js";
+
+const CHARS_PER_TOKEN = 4;
+const CHUNK_POINTER = /\/\* see chunk \d+\/\d+/;
+const CONTROL_FLOW = [
+  "IfStatement", "ForStatement", "ForInStatement", "ForOfStatement", "WhileStatement", "DoWhileStatement",
+  "TryStatement", "SwitchStatement", "ReturnStatement", "ThrowStatement", "BreakStatement", "ContinueStatement",
+];
+
+/**
+ * Character budget for handler code sent to a model
+ * @param {string} [model] - model id; unknown ids use limits.contextTokens.default
+ * @returns {number} characters
+ */
+export function budgetForModel(model) {
+  const limits = loadReviewerConfig().limits;
+  const tokens = limits.contextTokens[model] ?? limits.contextTokens.default;
+  return Math.min(limits.maxCodeChars, Math.floor(tokens * limits.codeShare * CHARS_PER_TOKEN));
+}
+
+/**
+ * Elide or chunk code so it fits the budget
+ * @param {string} code - sanitized handler code
+ * @param {number} budget - max characters (see budgetForModel)
+ * @returns {Object} - { code, elided, chunks } (chunks is [] unless the handler was split)
+ */
+export function shapeCode(code, budget) {
+  if (code.length <= budget) return { code, elided: 0, chunks: [] };
+
+  const { chunkFactor } = loadReviewerConfig().limits;
+  if (code.length > budget * chunkFactor) {
+    const chunks = chunkCode(code, budget);
+    if (chunks.length > 1) return { code: chunks[0].code, elided: 0, chunks };
+  }
+  return { ...fitToBudget(code, budget), chunks: [] };
+}
+
+/**
+ * Elide statements until the code fits: plain statements without await
+ * first, then plain statements with await, then nested block and branch
+ * bodies (deepest first, so an `if`'s body goes before the block holding
+ * the `if`). Every elision covers only the trailing statements needed to
+ * fit; control-flow statements are kept as long as possible.
+ * @param {string} code
+ * @param {number} budget
+ * @param {Object} [options]
+ * @param {RegExp} [options.protect] - never elide ranges containing this (e.g. chunk pointers);
+ *   protected code may end up over budget rather than being cut
+ * @returns {Object} - { code, elided } (elided = number of statements removed)
+ */
+export function fitToBudget(code, budget, { protect = null } = {}) {
+  if (code.length <= budget) return { code, elided: 0 };
+
+  const parsed = parseSnippet(code);
+  if (!parsed) return protect ? { code, elided: 0 } : cutAtLine(code, budget);
+
+  const candidates = collectCandidates(parsed).filter((c) => !protect || !protect.test(code.slice(c.start, c.end)));
+  candidates.sort((a, b) => a.phase - b.phase || b.depth - a.depth || b.end - b.start - (a.end - a.start));
+
+  let applied = [];
+  let size = code.length;
+  for (const candidate of candidates) {
+    if (size <= budget) break;
+    if (applied.some((e) => e.start <= candidate.start && e.end >= candidate.end)) continue;
+
+    // elide only as many trailing statements as needed
+    const chosen = candidate.statements ? trimRun(candidate, size - budget, applied) : candidate;
+    const savings = netSavings(chosen, applied);
+    if (savings <= 0) continue;
+
+    // an elision swallows the ones inside it
+    applied = applied.filter((e) => !within(e, chosen));
+    applied.push(chosen);
+    size -= savings;
+  }
+
+  if (size > budget && !protect) return cutAtLine(render(code, applied), budget, countOf(applied));
+  return { code: render(code, applied), elided: countOf(applied) };
+}
+
+/**
+ * Split a large handler into a skeleton chunk plus segment chunks.
+ * The skeleton keeps control flow and points at each segment with
+ * `/* see chunk k/n: N statements *\/`; every segment knows its lines.
+ * @param {string} code
+ * @param {number} budget
+ * @returns {Array} - [{ id, index, total, role: "skeleton"|"segment", startLine, endLine, code }]
+ */
+export function chunkCode(code, budget) {
+  const parsed = parseSnippet(code);
+  const body = parsed && outermostFunctionBody(parsed);
+  if (!body) return [{ id: "1/1", index: 1, total: 1, role: "skeleton", startLine: 1, endLine: lineAt(code, code.length), code }];
+
+  const segments = [];
+  splitStatements(parsed.offsetted(body.body), budget, segments, parsed);
+  if (segments.length === 0) return [{ id: "1/1", index: 1, total: 1, role: "skeleton", startLine: 1, endLine: lineAt(code, code.length), code }];
+
+  const total = segments.length + 1;
+  const elisions = segments.map((segment, i) => ({
+    start: segment.start,
+    end: segment.end,
+    placeholder: `/* see chunk ${i + 2}/${total}: ${segment.count} statement${segment.count === 1 ? "" : "s"} */`,
+    count: segment.count,
+  }));
+
+  const skeleton = fitToBudget(render(code, elisions), budget, { protect: CHUNK_POINTER }).code;
+  return [
+    { id: `1/${total}`, index: 1, total, role: "skeleton", startLine: 1, endLine: lineAt(code, code.length), code: skeleton },
+    ...segments.map((segment, i) => ({
+      id: `${i + 2}/${total}`,
+      index: i + 2,
+      total,
+      role: "segment",
+      startLine: lineAt(code, segment.start),
+      endLine: lineAt(code, segment.end),
+      code: fitToBudget(dedent(code.slice(segment.start, segment.end)), budget).code,
+    })),
+  ];
+}
+
+/**
+ * Shorten string literals longer than maxChars, keeping them valid strings
+ * (template literals with expressions are left alone). Non-JS input such as
+ * model summaries is returned unchanged.
+ * @param {string} code
+ * @param {number} [maxChars=200]
+ * @returns {Object} - { code, shortened } (number of literals shortened)
+ */
+export function shrinkLiterals(code, maxChars = 200) {
+  const parsed = parseSnippet(code);
+  if (!parsed) return { code, shortened: 0 };
+
+  const edits = [];
+  traverse.default(parsed.ast, {
+    StringLiteral(p) {
+      const { start, end } = parsed.offsetted(p.node);
+      if (end - start - 2 <= maxChars) return;
+      edits.push({ start: start + 1, end: end - 1, placeholder: shortened(code.slice(start + 1, end - 1), maxChars) });
+    },
+    TemplateLiteral(p) {
+      if (p.node.expressions.length > 0) return;
+      const { start, end } = parsed.offsetted(p.node);
+      if (end - start - 2 <= maxChars) return;
+      edits.push({ start: start + 1, end: end - 1, placeholder: shortened(code.slice(start + 1, end - 1), maxChars) });
+    },
+  });
+
+  return { code: render(code, edits), shortened: edits.length };
+}
+
+/**
+ * Parse a function snippet. Extracted handlers are expressions
+ * (arrow/function), declarations or object methods, and chunk segments
+ * are bare statements (possibly with return/await), so try those shapes.
+ * @returns {Object|null} - { ast, offsetted(node) → { start, end } in the original code }
+ */
+function parseSnippet(code) {
+  const shapes = [
+    { prefix: "(", suffix: "\n)" },
+    { prefix: "({", suffix: "\n})" },
+    { prefix: "", suffix: "" },
+    { prefix: "async function __segment__() {\n", suffix: "\n}" },
+  ];
+
+  for (const { prefix, suffix } of shapes) {
+    try {
+      const ast = parseCode(`${prefix}${code}${suffix}`);
+      const shift = prefix.length;
+      return {
+        ast,
+        offsetted(nodeOrNodes) {
+          if (Array.isArray(nodeOrNodes)) return nodeOrNodes.map((n) => ({ ...n, start: n.start - shift, end: n.end - shift }));
+          return { ...nodeOrNodes, start: nodeOrNodes.start - shift, end: nodeOrNodes.end - shift };
+        },
+      };
+    } catch {
+      /* try the next shape */
+    }
+  }
+  return null;
+}
+
+function outermostFunctionBody(parsed) {
+  let body = null;
+  traverse.default(parsed.ast, {
+    Function(p) {
+      if (p.node.body.type === "BlockStatement") body = p.node.body;
+      p.stop();
+    },
+  });
+  return body;
+}
+
+/**
+ * Elision candidates: runs of plain statements, nested block bodies and
+ * brace-less branch bodies (`if (x) return y;`)
+ */
+function collectCandidates(parsed) {
+  const candidates = [];
+
+  // consecutive plain statements, split where await-ness changes (awaits are elided later)
+  const addRuns = (statements, depth) => {
+    let run = [];
+    const flush = () => {
+      if (run.length === 0) return;
+      const candidate = elision(run[0].start, run[run.length - 1].end, run.length, depth, run[0].hasAwait ? 1 : 0);
+      candidates.push({ ...candidate, statements: run });
+      run = [];
+    };
+    for (const statement of statements) {
+      if (CONTROL_FLOW.includes(statement.type) || statement.type === "BlockStatement") {
+        flush();
+        continue;
+      }
+      if (run.length && run[0].hasAwait !== statement.hasAwait) flush();
+      run.push(statement);
+    }
+    flush();
+  };
+
+  traverse.default(parsed.ast, {
+    "BlockStatement|SwitchCase"(p) {
+      const statements = p.isSwitchCase() ? p.node.consequent : p.node.body;
+      if (statements.length === 0) return;
+
+      const depth = p.getAncestry().length;
+      const nodes = parsed.offsetted(statements).map((s, i) => ({ ...s, hasAwait: containsAwait(p, i) }));
+      addRuns(nodes, depth);
+
+      // the outermost function body is never elided as a whole
+      if (p.parentPath.isFunction() && !p.parentPath.findParent((a) => a.isFunction())) return;
+      candidates.push({ ...elision(nodes[0].start, nodes[nodes.length - 1].end, nodes.length, depth, 2), statements: nodes });
+    },
+
+    // brace-less branches: the braces stop the `if` taking the next statement as its body
+    "IfStatement|Loop"(p) {
+      const branches = p.isIfStatement() ? ["consequent", "alternate"] : ["body"];
+      const depth = p.getAncestry().length + 1;
+      for (const key of branches) {
+        const branch = p.node[key];
+        if (!branch || branch.type === "BlockStatement" || branch.type === "IfStatement" || branch.type === "EmptyStatement") continue;
+        const { start, end } = parsed.offsetted(branch);
+        candidates.push({ ...elision(start, end, 1, depth, 2), placeholder: "{ /* 1 statement elided */ }" });
+      }
+    },
+  });
+
+  return candidates;
+}
+
+function containsAwait(blockPath, index) {
+  const key = blockPath.isSwitchCase() ? "consequent" : "body";
+  const statementPath = blockPath.get(key)[index];
+  if (statementPath.isAwaitExpression()) return true;
+  let found = false;
+  statementPath.traverse({
+    AwaitExpression(p) {
+      found = true;
+      p.stop();
+    },
+    Function(p) {
+      p.skip();
+    },
+  });
+  return found;
+}
+
+/**
+ * Shortest trailing part of a statement run or block whose elision saves
+ * `needed` chars, net of the elisions already applied inside it
+ */
+function trimRun(candidate, needed, applied) {
+  const { statements } = candidate;
+  for (let k = 1; k < statements.length; k++) {
+    const first = statements[statements.length - k];
+    const partial = elision(first.start, candidate.end, k, candidate.depth, candidate.phase);
+    if (netSavings(partial, applied) >= needed) return partial;
+  }
+  return candidate;
+}
+
+/**
+ * Characters an elision saves beyond the elisions it swallows
+ */
+function netSavings(candidate, applied) {
+  const inner = applied.filter((e) => within(e, candidate));
+  return savingsOf(candidate) - inner.reduce((sum, e) => sum + savingsOf(e), 0);
+}
+
+function within(inner, outer) {
+  return inner.start >= outer.start && inner.end <= outer.end;
+}
+
+function elision(start, end, count, depth, phase) {
+  return { start, end, count, depth, phase, placeholder: `/* ${count} statement${count === 1 ? "" : "s"} elided */` };
+}
+
+function savingsOf(e) {
+  return e.end - e.start - e.placeholder.length;
+}
+
+function countOf(elisions) {
+  return elisions.reduce((sum, e) => sum + e.count, 0);
+}
+
+/**
+ * Group a block's statements into segments that fit the budget.
+ * Statements up to half the budget join a segment whole, control flow
+ * included (a guard `if` stays next to the lookup it checks); bigger
+ * ones with nested blocks stay in the skeleton and are split through
+ * those blocks. Runs too small to be worth a request stay in the
+ * skeleton as well.
+ */
+function splitStatements(statements, budget, segments, parsed) {
+  const minSegment = Math.floor(budget / 8);
+  let run = [];
+  // span of the run's slice, indentation between its statements included
+  const spanTo = (statement) => statement.end - (run[0]?.start ?? statement.start);
+  const flush = () => {
+    if (run.length && spanTo(run[run.length - 1]) >= minSegment) {
+      segments.push({ start: run[0].start, end: run[run.length - 1].end, count: run.length });
+    }
+    run = [];
+  };
+
+  for (const statement of statements) {
+    const size = statement.end - statement.start;
+    const blocks = nestedBlocks(statement);
+
+    if (blocks.length > 0 && size > budget / 2) {
+      flush();
+      blocks.forEach((block) => splitStatements(parsed.offsetted(block), budget, segments, parsed));
+      continue;
+    }
+    if (spanTo(statement) > budget) flush();
+    run.push(statement);
+  }
+  flush();
+}
+
+function nestedBlocks(statement) {
+  switch (statement.type) {
+    case "TryStatement":
+      return [statement.block.body, statement.handler?.body.body, statement.finalizer?.body].filter((b) => b?.length);
+    case "IfStatement":
+      return [statement.consequent, statement.alternate]
+        .filter((b) => b?.type === "BlockStatement" && b.body.length)
+        .map((b) => b.body);
+    case "ForStatement":
+    case "ForInStatement":
+    case "ForOfStatement":
+    case "WhileStatement":
+    case "DoWhileStatement":
+      return statement.body.type === "BlockStatement" && statement.body.body.length ? [statement.body.body] : [];
+    case "BlockStatement":
+      return statement.body.length ? [statement.body] : [];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Apply non-overlapping range replacements
+ */
+function render(code, edits) {
+  let out = "";
+  let cursor = 0;
+  for (const edit of [...edits].sort((a, b) => a.start - b.start)) {
+    out += code.slice(cursor, edit.start) + edit.placeholder;
+    cursor = edit.end;
+  }
+  return out + code.slice(cursor);
+}
+
+/**
+ * Last resort for code that doesn't parse: cut at a line boundary, never mid-token
+ */
+function cutAtLine(code, budget, elided = 0) {
+  const cut = code.lastIndexOf("\n", budget);
+  const kept = code.slice(0, cut > 0 ? cut : budget);
+  const dropped = code.slice(kept.length).split("\n").filter((l) => l.trim()).length;
+  return { code: `${kept}\n/* ${dropped} more lines elided */`, elided: elided + dropped };
+}
+
+function shortened(text, maxChars) {
+  const keep = Math.max(20, Math.floor(maxChars / 2));
+  // don't end inside an escape sequence (\u00e9, \x41, \n)
+  const head = text.slice(0, keep).replace(/\\(u[0-9a-fA-F]{0,3}|x[0-9a-fA-F]?)?$/, "");
+  return `${head}…[+${text.length - head.length} chars]`;
+}
+
+function lineAt(code, offset) {
+  return code.slice(0, offset).split("\n").length;
+}
+
+function dedent(text) {
+  const lines = text.split("\n");
+  const indents = lines.slice(1).filter((l) => l.trim()).map((l) => l.match(/^\s*/)[0].length);
+  const min = indents.length ? Math.min(...indents) : 0;
+  return lines.map((l, i) => (i === 0 ? l : l.slice(Math.min(min, l.match(/^\s*/)[0].length)))).join("\n");
+}
@@ -0,0 +1,217 @@
+/**
+ * ---------------------------------------------------------
+ * CLI Arguments
+ * ---------------------------------------------------------
+ * Purpose:
+ *   - Declare the flags shared by every `ai-review` subcommand
+ *   - Parse argv with node:util parseArgs
+ *   - Provide help text and the UsageError used for exit code 2
+ * ---------------------------------------------------------
+ */
+
+import { parseArgs } from "util";
+import { loadReviewerConfig } from "../config/reviewer.js";
+import { listProviders } from "../genai/providers/index.js";
+import { listProfiles } from "../genai/prompts/index.js";
+import { listPublishers } from "./publishers/index.js";
+
+export const EXIT_OK = 0;
+export const EXIT_FAILURE = 1;
+export const EXIT_USAGE = 2;
+
+/**
+ * Thrown for bad flags / unmatched selections → exit code 2
+ */
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+const OPTIONS = {
+  routes: { type: "string" },
+  models: { type: "string" },
+  endpoint: { type: "string", multiple: true },
+  all: { type: "boolean", default: false },
+  model: { type: "string" },
+  provider: { type: "string" },
+  mode: { type: "string" },
+  out: { type: "string" },
+  "no-cache": { type: "boolean", default: false },
+  "no-stream": { type: "boolean", default: false },
+  holistic: { type: "boolean", default: false },
+  samples: { type: "string" },
+  ensemble: { type: "string" },
+  "min-confidence": { type: "string" },
+  apply: { type: "boolean", default: false },
+  branch: { type: "string" },
+  concurrency: { type: "string" },
+  "max-tokens": { type: "string" },
+  "max-cost": { type: "string" },
+  format: { type: "string" },
+  publish: { type: "string" },
+  against: { type: "string" },
+  "fail-on": { type: "string" },
+  yes: { type: "boolean", short: "y", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+export const HELP = `
+Usage: ai-review <command> [options]
+
+Commands:
+  scan       List discovered endpoints
+  analyze    Extract, sanitize and save analysis payloads (no model calls)
+  review     Analyze endpoints and send them to the model
+  fix        Rewrite handlers to fix the issues of the latest (or a given) review run; prints a diff
+  report     Print the latest (or a given) review run; \`report html\` writes it as a standalone HTML page,
+             \`report markdown\` as a pull request comment
+  baseline   Save the findings of the latest (or a given) review run as the accepted baseline
+  diff       Show new, fixed and unchanged findings of a run against the baseline or another run
+  schema     Report indexes, hidden fields and refs of Mongoose models
+  cache      \`cache stats\` shows the response cache, \`cache clear\` empties it
+  profiles   List the review profiles (prompt templates) usable with --mode
+
+Options:
+  --routes <glob>       Route files to include (default: src/routes/**/*.js)
+  --models <glob>       Model files for \`schema\` (default: src/models/**/*.js)
+  --endpoint "<spec>"   Endpoint to include, e.g. "GET /:id" or a handler name (repeatable)
+  --all                 Include every discovered endpoint
+  --model <id>          Model id to use for review (also sets the code size budget)
+  --provider <id>       review/fix: gemini|openai|local|mock (default from config: gemini)
+  --mode <profile>      analyze/review/fix: performance|security|maintainability|api-design|error-handling
+                        or a custom profile, see \`profiles\` (default from config: performance)
+  --out <path>          Output folder (analyze/review), run file/folder to read (report), baseline file (baseline),
+                        HTML/markdown file to write (report html|markdown) or patch file to write (fix)
+  --no-cache            review/fix: always call the model (cached replies are neither read nor written)
+  --no-stream           review: wait for whole replies instead of showing issues as they stream in
+  --holistic            review: also review each router as a whole (consistency, duplication, REST)
+  --samples <n>         review: replies per provider; more than one reply in total reviews by consensus
+  --ensemble <ids>      review: comma-separated providers (id or id/model) that each review every endpoint
+  --min-confidence <x>  review: share of ensemble replies (0-1) an issue needs to be kept, else it is listed
+                        as a disagreement (default from config: 0.5)   report/baseline/diff: ignore issues below x
+  --apply               fix: commit the accepted hunks on a new branch instead of printing the diff
+  --branch <name>       fix --apply: branch to create (default: ai-fix/<timestamp>)
+  --concurrency <n>     review: endpoints reviewed at once (default from config: 4)
+  --max-tokens <n>      review: stop starting requests once ~n tokens are used
+  --max-cost <usd>      review: stop starting requests once the estimated cost reaches usd
+  --format <fmt>        scan/schema/profiles: table|json   review/report: console|json|sarif   diff: console|json
+  --publish <id>        report markdown: post the comment through a publisher (built-in: file, others
+                        from config.publish.publishers.<id>.module),
+                        updating the previous one of the same profile
+  --against <path>      diff: baseline file, run file or reports folder to compare with
+                        (default from config: .ai-review-baseline.json)
+  --fail-on <severity>  diff: exit with 1 when a new finding is at or above high|medium|low
+  -y, --yes             Don't ask for confirmation (fix: keep every hunk)
+  -h, --help            Show this help
+
+Without --endpoint/--all, endpoints are picked interactively when running
+in a terminal. Exit codes: 0 ok, 1 analysis/review failures or new findings (diff --fail-on),
+2 usage errors.
+`;
+
+/**
+ * Parse process argv into { command, positionals, flags }
+ * @param {Array<string>} argv - arguments after the script path
+ * @returns {Object}
+ */
+export function parseCliArgs(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+
+  const [command, ...positionals] = parsed.positionals;
+  return { command, positionals, flags: parsed.values };
+}
+
+/**
+ * Validate --format against the values a command supports
+ * @param {string|undefined} format
+ * @param {Array<string>} allowed - first entry is the default
+ * @returns {string}
+ */
+export function resolveFormat(format, allowed) {
+  if (!format) return allowed[0];
+  if (!allowed.includes(format)) {
+    throw new UsageError(`Unsupported --format "${format}" (expected ${allowed.join(" | ")})`);
+  }
+  return format;
+}
+
+/**
+ * Parse a numeric flag
+ * @param {string|undefined} value
+ * @param {string} name - flag name for the error message
+ * @param {Object} [options]
+ * @param {number} [options.fallback] - used when the flag is absent
+ * @param {boolean} [options.integer=false]
+ * @param {number} [options.min=0]
+ * @returns {number}
+ */
+export function resolveNumber(value, name, { fallback, integer = false, min = 0 } = {}) {
+  if (value === undefined) return fallback;
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || (integer && !Number.isInteger(number))) {
+    throw new UsageError(`--${name} expects ${integer ? "an integer" : "a number"} >= ${min}, got "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * Validate --mode against the review profiles (built-in and config.prompts.dir)
+ * @param {string|undefined} mode
+ * @returns {string}
+ */
+export function resolveMode(mode) {
+  const config = loadReviewerConfig();
+  if (!mode) return config.mode;
+
+  const modes = listProfiles().map((p) => p.id);
+  if (!modes.includes(mode)) {
+    throw new UsageError(`Unsupported --mode "${mode}" (expected ${modes.join(" | ")})`);
+  }
+  return mode;
+}
+
+/**
+ * Validate --provider against the registered LLM providers
+ * @param {string|undefined} provider
+ * @returns {string}
+ */
+export function resolveProvider(provider) {
+  if (!provider) return loadReviewerConfig().llm.provider;
+
+  const known = listProviders();
+  if (!known.includes(provider)) {
+    throw new UsageError(`Unsupported --provider "${provider}" (expected ${known.join(" | ")})`);
+  }
+  return provider;
+}
+
+/**
+ * Validate --publish against the registered comment publishers
+ * @param {string|undefined} publisher
+ * @returns {string|null} null without the flag
+ */
+export function resolvePublisher(publisher) {
+  if (publisher === undefined) return null;
+
+  const known = listPublishers();
+  if (!known.includes(publisher)) {
+    throw new UsageError(`Unsupported --publish "${publisher}" (expected ${known.join(" | ")})`);
+  }
+  return publisher;
+}
+
+/**
+ * Prompts are only a fallback for humans at a terminal
+ * @returns {boolean}
+ */
+export function isInteractive() {
+  return Boolean(process.stdin.isTTY && process.stdout.isTTY && !process.env.CI);
+}
@@ -0,0 +1,35 @@
+/**
+ * ai-review analyze
+ *
+ * Runs the analyzer in-process for the selected endpoints and saves one
+ * payload per endpoint. Nothing is sent to a model.
+ */
+
+import { buildEndpointPayload, endpointLabel } from "../../analyzer/index.js";
+import { collectEndpoints, selectEndpoints, DEFAULT_ROUTES_GLOB } from "../select.js";
+import { resolveMode, EXIT_OK, EXIT_FAILURE } from "../args.js";
+
+export default async function analyzeCommand(flags) {
+  const mode = resolveMode(flags.mode);
+  const endpoints = collectEndpoints(flags.routes || DEFAULT_ROUTES_GLOB);
+  const selected = await selectEndpoints(endpoints, flags);
+
+  if (selected.length === 0) {
+    console.warn("⚠️ No endpoints selected.");
+    return EXIT_FAILURE;
+  }
+
+  const outDir = flags.out || "analysis_reports";
+  let failures = 0;
+
+  for (const endpoint of selected) {
+    const result = buildEndpointPayload(endpoint, { outDir, verbose: false, mode, model: flags.model });
+    if (!result) {
+      console.error(`❌ Failed to analyze ${endpointLabel(endpoint)}`);
+      failures++;
+    }
+  }
+
+  console.log(`\n✅ Analyzed ${selected.length - failures}/${selected.length} endpoint(s) (${mode}) → ${outDir}\n`);
+  return failures ? EXIT_FAILURE : EXIT_OK;
+}
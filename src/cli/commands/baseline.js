@@ -0,0 +1,38 @@
+/**
+ * ai-review baseline
+ *
+ * Writes the findings of the latest (or a given) review run to the
+ * baseline file (config.baseline.file, or --out) to commit with the
+ * code; `diff` then only reports what changed since (genai/baseline.js).
+ */
+
+import fs from "fs";
+import { loadRun } from "../../genai/reporter.js";
+import { filterByConfidence } from "../../genai/consensus.js";
+import { buildBaseline, saveBaseline, loadComparison, diffFindings } from "../../genai/baseline.js";
+import { loadReviewerConfig } from "../../config/reviewer.js";
+import { resolveNumber, EXIT_OK, EXIT_FAILURE } from "../args.js";
+
+export default async function baselineCommand(flags, positionals = []) {
+  const target = positionals[0] || "src/ai_reports";
+  const file = flags.out || loadReviewerConfig().baseline.file;
+  const minConfidence = resolveNumber(flags["min-confidence"], "min-confidence", { fallback: 0 });
+  const loaded = loadRun(target);
+
+  if (!loaded) {
+    console.error(`❌ No review run found at ${target}. Run \`ai-review review\` first.`);
+    return EXIT_FAILURE;
+  }
+  const run = { ...loaded, reports: loaded.reports.map((r) => filterByConfidence(r, minConfidence)) };
+  const baseline = buildBaseline(run);
+
+  const previous = fs.existsSync(file) ? loadComparison(file) : null;
+  saveBaseline(baseline, file);
+
+  console.log(`📌 Baseline of ${baseline.findings.length} finding(s) from run ${run.runId} saved to: ${file}`);
+  if (previous?.kind === "baseline") {
+    const { added, fixed } = diffFindings(previous.entries, baseline.findings);
+    console.log(`   ${added.length} added, ${fixed.length} removed since the previous baseline`);
+  }
+  return EXIT_OK;
+}
@@ -0,0 +1,44 @@
+/**
+ * ai-review cache stats|clear
+ *
+ * Inspect or empty the response cache (src/genai/cache.js) that lets
+ * `review` skip model calls for unchanged handlers.
+ */
+
+import { cacheStats, clearCache } from "../../genai/cache.js";
+import { resolveFormat, UsageError, EXIT_OK } from "../args.js";
+
+const ACTIONS = ["stats", "clear"];
+
+export default async function cacheCommand(flags, positionals) {
+  const [action = "stats"] = positionals;
+  if (!ACTIONS.includes(action)) {
+    throw new UsageError(`Unknown cache action "${action}" (expected ${ACTIONS.join(" | ")})`);
+  }
+
+  if (action === "clear") {
+    const removed = clearCache();
+    console.log(`🧹 Removed ${removed} cached response(s).`);
+    return EXIT_OK;
+  }
+
+  const format = resolveFormat(flags.format, ["table", "json"]);
+  const stats = cacheStats();
+
+  if (format === "json") {
+    process.stdout.write(`${JSON.stringify(stats, null, 2)}\n`);
+    return EXIT_OK;
+  }
+
+  console.log(`\n♻️  Response cache (${stats.dir})`);
+  console.log(`   entries: ${stats.entries} (${(stats.bytes / 1024).toFixed(1)} KB), expired: ${stats.expired}`);
+  console.log(`   hits:    ${stats.hits}`);
+  if (stats.entries) {
+    console.log(`   oldest:  ${stats.oldest}`);
+    console.log(`   newest:  ${stats.newest}`);
+    Object.entries(stats.byModel).forEach(([id, count]) => console.log(`   • ${id}: ${count}`));
+  }
+  console.log("");
+
+  return EXIT_OK;
+}
@@ -0,0 +1,84 @@
+/**
+ * ai-review diff
+ *
+ * Compares the findings of the latest (or a given) review run with the
+ * baseline file (config.baseline.file), or with --against: another
+ * baseline, a run file, or a reports folder (its newest other run).
+ * Every finding is new, fixed or unchanged (genai/baseline.js).
+ * With --fail-on <severity> (or config.baseline.failOn) the exit code
+ * is 1 only when a new finding is at or above that severity, so CI can
+ * gate on regressions without failing on known issues.
+ */
+
+import { loadRun } from "../../genai/reporter.js";
+import { filterByConfidence } from "../../genai/consensus.js";
+import { runEntries, loadComparison, diffFindings, atOrAbove } from "../../genai/baseline.js";
+import { SEVERITIES } from "../../genai/review-schema.js";
+import { loadReviewerConfig } from "../../config/reviewer.js";
+import { resolveFormat, resolveNumber, UsageError, EXIT_OK, EXIT_FAILURE } from "../args.js";
+
+export default async function diffCommand(flags, positionals = []) {
+  const config = loadReviewerConfig();
+  const format = resolveFormat(flags.format, ["console", "json"]);
+  const failOn = flags["fail-on"] ?? config.baseline.failOn;
+  if (failOn && !SEVERITIES.includes(failOn)) {
+    throw new UsageError(`Unsupported --fail-on "${failOn}" (expected ${SEVERITIES.join(" | ")})`);
+  }
+  const minConfidence = resolveNumber(flags["min-confidence"], "min-confidence", { fallback: 0 });
+
+  const target = positionals[0] || "src/ai_reports";
+  const loaded = loadRun(target);
+  if (!loaded) {
+    console.error(`❌ No review run found at ${target}. Run \`ai-review review\` first.`);
+    return EXIT_FAILURE;
+  }
+  const run = { ...loaded, reports: loaded.reports.map((r) => filterByConfidence(r, minConfidence)) };
+
+  const against = flags.against || config.baseline.file;
+  const previous = loadComparison(against, { exclude: run.file });
+  if (!previous) {
+    console.error(
+      flags.against
+        ? `❌ No baseline or review run found at ${against}.`
+        : `❌ No baseline at ${against}. Create one with \`ai-review baseline\` or compare with --against <run>.`
+    );
+    return EXIT_FAILURE;
+  }
+
+  const profile = run.template?.id || run.mode || "performance";
+  if (previous.profile && previous.profile !== profile) {
+    console.warn(`⚠️ Comparing a ${profile} run with a ${previous.profile} ${previous.kind}; most findings will differ.`);
+  }
+
+  const { added, fixed, unchanged } = diffFindings(previous.entries, runEntries(run));
+  const blocking = failOn ? added.filter((e) => atOrAbove(e.severity, failOn)) : [];
+
+  if (format === "json") {
+    const result = { runId: run.runId, against: previous.label, failOn: failOn || null, new: added, fixed, unchanged, blocking: blocking.length };
+    process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+  } else {
+    console.log(`\n🔍 Run ${run.runId} against ${previous.label}`);
+    printEntries("🆕 New", added);
+    printEntries("✅ Fixed", fixed);
+    console.log(`\n= Unchanged: ${unchanged.length}`);
+    if (failOn) {
+      console.log(
+        blocking.length
+          ? `\n❌ ${blocking.length} new finding(s) at or above ${failOn}.`
+          : `\n✅ No new findings at or above ${failOn}.`
+      );
+    }
+  }
+
+  return blocking.length ? EXIT_FAILURE : EXIT_OK;
+}
+
+function printEntries(title, entries) {
+  console.log(`\n${title} (${entries.length})`);
+  [...entries]
+    .sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity))
+    .forEach((e) => {
+      const where = e.file ? ` (${e.file}${e.line ? `:${e.line}` : ""})` : "";
+      console.log(`  • [${e.severity}] ${e.ruleId} ${e.endpoint}${e.handler ? ` → ${e.handler}` : ""}: ${e.message}${where}`);
+    });
+}
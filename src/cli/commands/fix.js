@@ -0,0 +1,174 @@
+/**
+ * ai-review fix
+ *
+ * Turn review findings into patches: for each selected endpoint the
+ * model rewrites exactly the extracted handler (issues from the latest
+ * review run, or the run file given as positional argument, plus the
+ * static findings). Replacements are verified (genai/fixer.js), shown
+ * hunk by hunk for accept/reject, then printed as a unified diff,
+ * written to --out, or committed on a new branch with --apply.
+ */
+
+import fs from "fs";
+import path from "path";
+import inquirer from "inquirer";
+import { endpointLabel } from "../../analyzer/index.js";
+import { proposeFix, getModel, setProvider } from "../../genai/client.js";
+import { prepareFix, verifyFix, patchFile } from "../../genai/fixer.js";
+import { loadRun } from "../../genai/reporter.js";
+import { sumUsage, formatUsage } from "../../genai/usage.js";
+import { collectEndpoints, selectEndpoints, confirmStep, DEFAULT_ROUTES_GLOB } from "../select.js";
+import { diffHunks, formatPatch, applyHunks, renderHunk } from "../patch.js";
+import { repoRoot, commitOnBranch } from "../git.js";
+import { resolveMode, resolveProvider, isInteractive, EXIT_OK, EXIT_FAILURE } from "../args.js";
+
+const DEFAULT_REPORTS = "src/ai_reports";
+
+export default async function fixCommand(flags, positionals = []) {
+  const mode = resolveMode(flags.mode);
+  const provider = resolveProvider(flags.provider);
+  const run = loadRun(positionals[0] || DEFAULT_REPORTS);
+  const endpoints = collectEndpoints(flags.routes || DEFAULT_ROUTES_GLOB);
+  const selected = await selectEndpoints(endpoints, flags);
+
+  if (selected.length === 0) {
+    console.warn("⚠️ No endpoints selected.");
+    return EXIT_FAILURE;
+  }
+
+  setProvider(provider);
+  const model = flags.model || getModel();
+  const proceed = await confirmStep(`Ask ${provider}/${model} to fix ${selected.length} endpoint(s)?`, flags);
+  if (!proceed) {
+    console.log("🚫 Fix cancelled.");
+    return EXIT_OK;
+  }
+  console.log(run ? `📒 Issues from review run ${run.runId} and static rules` : "📒 No review run found, fixing static findings only");
+
+  const failures = [];
+  const calls = [];
+  const byFile = new Map(); // file → [{ context, code, label }]
+  const seen = new Set(); // routes sharing a handler fix it once
+
+  for (const endpoint of selected) {
+    const label = endpointLabel(endpoint);
+    const prepared = prepareFix(endpoint, { run, mode, model });
+    if (prepared.skipped) {
+      console.log(`⏭️ ${label}: ${prepared.skipped}`);
+      continue;
+    }
+    const handlerKey = `${prepared.context.file}:${prepared.context.range.start}`;
+    if (seen.has(handlerKey)) continue;
+    seen.add(handlerKey);
+
+    console.log(`\n🛠️ Fixing ${label} (${prepared.target.issues.length} issue(s))...`);
+    try {
+      const reply = await proposeFix(prepared.target, {
+        provider,
+        model,
+        retries: 2,
+        ...(flags["no-cache"] ? { cache: false } : {}),
+      });
+      calls.push(...reply.usage.calls);
+
+      const verified = verifyFix(prepared.context, reply.parsed);
+      if (verified.error) {
+        console.warn(`⚠️ ${label}: ${verified.error}`);
+        if (!verified.declined) failures.push({ endpoint: label, error: verified.error });
+        continue;
+      }
+      verified.changes.forEach((c) => console.log(`   • ${c}`));
+
+      const file = prepared.context.file;
+      if (!byFile.has(file)) byFile.set(file, []);
+      byFile.get(file).push({ context: prepared.context, code: verified.code, label });
+    } catch (err) {
+      console.error(`❌ Failed to fix ${label}:`, err.message || err);
+      failures.push({ endpoint: label, error: err.message || String(err) });
+    }
+  }
+
+  const root = repoRoot() || process.cwd();
+  const patches = [];
+  for (const [file, fixes] of byFile) {
+    const patched = patchFile(file, fixes);
+    if (patched.error) {
+      console.warn(`⚠️ ${patched.error}`);
+      fixes.forEach((f) => failures.push({ endpoint: f.label, error: patched.error }));
+      continue;
+    }
+    const rel = path.relative(root, file).split(path.sep).join("/");
+    const hunks = diffHunks(patched.before, patched.after);
+    const { accepted, quit } = isInteractive() && !flags.yes ? await chooseHunks(rel, hunks) : { accepted: hunks };
+    if (accepted.length) patches.push({ file, rel, before: patched.before, hunks: accepted });
+    if (quit) break;
+  }
+
+  if (calls.length) console.log(`\n💰 Usage: ${formatUsage(sumUsage(calls))}`);
+  if (patches.length === 0) {
+    console.log("\nℹ️ No changes to write.");
+    return failures.length ? EXIT_FAILURE : EXIT_OK;
+  }
+
+  const patchText = patches.map((p) => formatPatch(p.rel, p.hunks)).join("");
+  const hunkCount = patches.reduce((sum, p) => sum + p.hunks.length, 0);
+
+  if (flags.apply) {
+    const branch = flags.branch || `ai-fix/${new Date().toISOString().replace(/[:.]/g, "-")}`;
+    const fixed = [...byFile.values()].flat().filter((f) => patches.some((p) => p.file === f.context.file));
+    try {
+      const result = commitOnBranch(
+        Object.fromEntries(patches.map((p) => [p.file, applyHunks(p.before, p.hunks)])),
+        {
+          branch,
+          message: `Apply AI review fixes (${provider}/${model})\n\n${fixed.map((f) => `- ${f.label}`).join("\n")}\n`,
+        }
+      );
+      console.log(`\n✅ Committed ${hunkCount} hunk(s) in ${patches.length} file(s) as ${result.commit} on branch ${result.branch} (still on ${result.base}).`);
+    } catch (err) {
+      console.error(`❌ Could not apply the fixes: ${err.message}`);
+      return EXIT_FAILURE;
+    }
+  } else if (flags.out) {
+    fs.mkdirSync(path.dirname(path.resolve(flags.out)), { recursive: true });
+    fs.writeFileSync(flags.out, patchText, "utf8");
+    console.log(`\n💾 Patch with ${hunkCount} hunk(s) in ${patches.length} file(s) saved to: ${flags.out} (apply with git apply)`);
+  } else {
+    process.stdout.write(patchText);
+  }
+
+  return failures.length ? EXIT_FAILURE : EXIT_OK;
+}
+
+/**
+ * Ask hunk by hunk which changes to keep
+ * @param {string} file - path shown to the user
+ * @param {Array<Object>} hunks - from diffHunks()
+ * @returns {Promise<Object>} { accepted, quit } (quit: skip the remaining files too)
+ */
+async function chooseHunks(file, hunks) {
+  const accepted = [];
+  for (const [i, hunk] of hunks.entries()) {
+    console.log(`\n📄 ${file} (hunk ${i + 1}/${hunks.length})\n${renderHunk(hunk)}`);
+    const { answer } = await inquirer.prompt([
+      {
+        type: "expand",
+        name: "answer",
+        message: "Keep this change?",
+        choices: [
+          { key: "y", name: "Keep this hunk", value: "yes" },
+          { key: "n", name: "Drop this hunk", value: "no" },
+          { key: "a", name: "Keep this and the remaining hunks of the file", value: "all" },
+          { key: "d", name: "Drop this and the remaining hunks of the file", value: "none" },
+          { key: "q", name: "Quit; drop every remaining hunk", value: "quit" },
+        ],
+      },
+    ]);
+
+    if (answer === "yes") accepted.push(hunk);
+    if (answer === "all") return { accepted: [...accepted, ...hunks.slice(i)], quit: false };
+    if (answer === "none") return { accepted, quit: false };
+    if (answer === "quit") return { accepted, quit: true };
+  }
+  return { accepted, quit: false };
+}
@@ -0,0 +1,33 @@
+/**
+ * ai-review profiles
+ *
+ * List the review profiles accepted by --mode: the built-in prompt
+ * templates (src/genai/prompts) and the ones in config.prompts.dir,
+ * with the template version each would use.
+ */
+
+import { listProfiles } from "../../genai/prompts/index.js";
+import { packsForMode } from "../../analyzer/rules/index.js";
+import { loadReviewerConfig } from "../../config/reviewer.js";
+import { resolveFormat, EXIT_OK } from "../args.js";
+
+export default async function profilesCommand(flags) {
+  const format = resolveFormat(flags.format, ["table", "json"]);
+  const profiles = listProfiles().map((p) => ({ ...p, packs: packsForMode(p.id) }));
+
+  if (format === "json") {
+    process.stdout.write(`${JSON.stringify(profiles, null, 2)}\n`);
+    return EXIT_OK;
+  }
+
+  const fallback = loadReviewerConfig().mode;
+  console.log(`\n🧭 Review profiles (--mode)`);
+  profiles.forEach((p) => {
+    const tags = [p.source === "custom" ? "custom" : null, p.id === fallback ? "default" : null].filter(Boolean);
+    console.log(`   • ${p.id}@${p.version}${tags.length ? ` (${tags.join(", ")})` : ""}: ${p.description}`);
+    console.log(`     rule packs: ${p.packs.join(", ") || "none"}`);
+  });
+  console.log("");
+
+  return EXIT_OK;
+}
@@ -0,0 +1,97 @@
+/**
+ * ai-review report [html|markdown]
+ *
+ * Prints a saved review run: the newest run_*.json in --out (default
+ * src/ai_reports), or a run file given as --out / positional argument.
+ * --min-confidence hides ensemble issues below that confidence.
+ * --format sarif prints a SARIF 2.1.0 log for code scanning (../sarif.js).
+ *
+ * `report html [<run file>]` writes the run as one self-contained HTML
+ * page instead (../html-report.js): to --out, or next to the run file.
+ * `report markdown [<run file>]` renders it as a pull request comment
+ * (../markdown-report.js): on stdout, to --out, and/or through the
+ * publisher given with --publish (../publishers).
+ */
+
+import fs from "fs";
+import path from "path";
+import { printAnalysisResult, printRouterResult } from "../../genai/adapter.js";
+import { loadRun } from "../../genai/reporter.js";
+import { formatUsage } from "../../genai/usage.js";
+import { filterByConfidence } from "../../genai/consensus.js";
+import { renderHtmlReport } from "../html-report.js";
+import { buildSarif } from "../sarif.js";
+import { renderMarkdownReport, commentMarker } from "../markdown-report.js";
+import { getPublisher } from "../publishers/index.js";
+import { resolveFormat, resolveNumber, resolvePublisher, EXIT_OK, EXIT_FAILURE } from "../args.js";
+
+export default async function reportCommand(flags, positionals = []) {
+  const page = ["html", "markdown"].includes(positionals[0]) ? positionals[0] : null;
+  const format = page || resolveFormat(flags.format, ["console", "json", "sarif"]);
+  const publisher = page === "markdown" ? resolvePublisher(flags.publish) : null;
+  // for `report html|markdown`, --out is the file to write
+  const target = (page ? positionals[1] : positionals[0] || flags.out) || "src/ai_reports";
+  const minConfidence = resolveNumber(flags["min-confidence"], "min-confidence", { fallback: 0 });
+  const loaded = loadRun(target);
+
+  if (!loaded) {
+    console.error(`❌ No review run found at ${target}. Run \`ai-review review\` first.`);
+    return EXIT_FAILURE;
+  }
+  const run = { ...loaded, reports: loaded.reports.map((r) => filterByConfidence(r, minConfidence)) };
+
+  if (format === "html") {
+    const outFile = flags.out || path.join(path.dirname(run.file), `run_${run.runId}.html`);
+    fs.mkdirSync(path.dirname(path.resolve(outFile)), { recursive: true });
+    fs.writeFileSync(outFile, renderHtmlReport(run), "utf8");
+    console.log(`📊 HTML report of run ${run.runId} (${run.reports.length} report(s)) saved to: ${outFile}`);
+    return EXIT_OK;
+  }
+
+  if (format === "markdown") {
+    const body = renderMarkdownReport(run);
+    if (flags.out) {
+      fs.mkdirSync(path.dirname(path.resolve(flags.out)), { recursive: true });
+      fs.writeFileSync(flags.out, body, "utf8");
+      console.log(`📝 Markdown report of run ${run.runId} saved to: ${flags.out}`);
+    } else if (!publisher) {
+      process.stdout.write(body);
+    }
+    if (publisher) {
+      const { action, location } = await (await getPublisher(publisher)).publish({ marker: commentMarker(run), body });
+      console.log(`💬 Review comment ${action} via ${publisher}: ${location}`);
+    }
+    return EXIT_OK;
+  }
+
+  if (format === "json") {
+    process.stdout.write(`${JSON.stringify(run, null, 2)}\n`);
+    return EXIT_OK;
+  }
+
+  if (format === "sarif") {
+    process.stdout.write(`${JSON.stringify(buildSarif(run), null, 2)}\n`);
+    return EXIT_OK;
+  }
+
+  console.log(
+    `\n📒 Review run ${run.runId} (${run.provider ? `${run.provider}/` : ""}${run.model || "unknown model"}, ${run.template ? `${run.template.id}@${run.template.version}` : run.mode || "performance"}) — ${run.reports.length} report(s)`
+  );
+  for (const report of run.reports) {
+    const ep = report.endpoint || {};
+    console.log(`\n▶ ${ep.method || "?"} ${ep.path || "?"} → ${ep.handler || "unknown"}`);
+    printAnalysisResult(report);
+  }
+
+  (run.routerReports || []).forEach(printRouterResult);
+
+  // runs saved before usage accounting only have a budget estimate
+  if (run.usage?.requests !== undefined) console.log(`💰 Usage: ${formatUsage(run.usage)}`);
+
+  if (run.failures?.length) {
+    console.log(`⚠️ ${run.failures.length} failure(s) in this run:`);
+    run.failures.forEach((f) => console.log(`  • [${f.stage}] ${f.endpoint}: ${f.error}`));
+  }
+
+  return EXIT_OK;
+}
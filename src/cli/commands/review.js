@@ -0,0 +1,271 @@
+/**
+ * ai-review review
+ *
+ * Full pipeline in one process: discover → analyze → send to the model →
+ * save one report per endpoint plus a run summary (run_<id>.json).
+ * With --holistic (or config.holistic.enabled) a second pass reviews
+ * each router as a whole from a digest of its endpoints.
+ * Model calls run concurrently within the provider's rate limits and
+ * stop once the run's token/cost budget is used up (genai/scheduler.js).
+ * In a terminal, replies stream in and their issues are shown as they
+ * arrive (../stream-view.js); reports are saved from the complete reply.
+ * With an ensemble (--samples, --ensemble or config.ensemble) every
+ * endpoint is reviewed by several members and the report keeps the
+ * issues they agree on (genai/consensus.js).
+ * --format json|sarif prints the run (or its SARIF log, ../sarif.js) on stdout.
+ */
+
+import { buildEndpointPayload, endpointLabel } from "../../analyzer/index.js";
+import { groupPayloads, buildDigest } from "../../analyzer/router-digest.js";
+import { analyzeEndpoint, analyzeRouter, getModel, setProvider } from "../../genai/client.js";
+import { printAnalysisResult, printRouterResult } from "../../genai/adapter.js";
+import { loadTemplate } from "../../genai/prompts/index.js";
+import { buildReport, saveReport, buildRouterReport, saveRouterReport, saveRun } from "../../genai/reporter.js";
+import { collectEndpoints, selectEndpoints, confirmStep, DEFAULT_ROUTES_GLOB } from "../select.js";
+import { createStreamView } from "../stream-view.js";
+import { buildSarif } from "../sarif.js";
+import { ensembleMembers, analyzeWithEnsemble } from "../../genai/consensus.js";
+import { createBudget, runQueue, formatProgress } from "../../genai/scheduler.js";
+import { sumUsage, usageByDay, recordDailyUsage, formatUsage } from "../../genai/usage.js";
+import { loadReviewerConfig } from "../../config/reviewer.js";
+import { resolveFormat, resolveMode, resolveProvider, resolveNumber, UsageError, EXIT_OK, EXIT_FAILURE } from "../args.js";
+
+const DEFAULT_OUT = "src/ai_reports";
+
+export default async function reviewCommand(flags) {
+  const format = resolveFormat(flags.format, ["console", "json", "sarif"]);
+  const mode = resolveMode(flags.mode);
+  const template = loadTemplate(mode);
+  const provider = resolveProvider(flags.provider);
+  const endpoints = collectEndpoints(flags.routes || DEFAULT_ROUTES_GLOB);
+  const selected = await selectEndpoints(endpoints, flags);
+
+  if (selected.length === 0) {
+    console.warn("⚠️ No endpoints selected.");
+    return EXIT_FAILURE;
+  }
+
+  setProvider(provider);
+  const model = flags.model || getModel();
+  const config = loadReviewerConfig();
+  const ensembleProviders = flags.ensemble ? flags.ensemble.split(",").map((id) => id.trim()).filter(Boolean) : config.ensemble.providers;
+  ensembleProviders.forEach((entry) => resolveProvider(entry.split("/")[0]));
+  const members = ensembleMembers(
+    {
+      providers: ensembleProviders,
+      samples: resolveNumber(flags.samples, "samples", { fallback: config.ensemble.samples, integer: true, min: 1 }),
+    },
+    { provider, model }
+  );
+  const ensemble = members.length > 1 ? members : null;
+  const minConfidence = resolveNumber(flags["min-confidence"], "min-confidence", { fallback: config.ensemble.minConfidence });
+  if (minConfidence > 1) throw new UsageError(`--min-confidence expects a share between 0 and 1, got "${flags["min-confidence"]}"`);
+
+  const target = ensemble ? `an ensemble of ${ensemble.length} (${ensemble.map((m) => m.id).join(", ")})` : `${provider}/${model}`;
+  const proceed = await confirmStep(`Send ${selected.length} endpoint(s) to ${target} for a ${mode} review (template v${template.version})?`, flags);
+  if (!proceed) {
+    console.log("🚫 Review cancelled.");
+    return EXIT_OK;
+  }
+
+  const outDir = flags.out || DEFAULT_OUT;
+  const llm = config.llm;
+  const concurrency = resolveNumber(flags.concurrency, "concurrency", { fallback: llm.concurrency, integer: true, min: 1 });
+  const budget = createBudget({
+    maxTokens: resolveNumber(flags["max-tokens"], "max-tokens", { fallback: llm.budget.maxTokens, integer: true }),
+    maxCost: resolveNumber(flags["max-cost"], "max-cost", { fallback: llm.budget.maxCost }),
+  });
+  const view = createStreamView({ enabled: format === "console" && llm.stream && !flags["no-stream"] });
+  const run = {
+    runId: new Date().toISOString().replace(/[:.]/g, "-"),
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    provider,
+    model,
+    mode,
+    template: { id: template.id, version: template.version },
+    ensemble: ensemble ? { members: ensemble.map((m) => m.id), minConfidence } : null,
+    reports: [],
+    routerReports: [],
+    failures: [],
+    skipped: [],
+    cached: 0,
+    usage: null,
+  };
+
+  // Extraction is local and fast; only the model calls run concurrently
+  const analyzedEndpoints = [];
+  for (const endpoint of selected) {
+    const analyzed = buildEndpointPayload(endpoint, { outDir: null, verbose: false, mode, model });
+    if (analyzed) analyzedEndpoints.push({ label: endpointLabel(endpoint), ...analyzed });
+    else run.failures.push({ endpoint: endpointLabel(endpoint), stage: "analyze", error: "Handler could not be extracted" });
+  }
+
+  console.log(`🚀 Reviewing ${analyzedEndpoints.length} endpoint(s) with ${target} (concurrency ${concurrency})...`);
+
+  const review = async ({ label, payload, redactions }) => {
+    const cache = flags["no-cache"] ? { cache: false } : {};
+    const streams = ensemble ? ensemble.map((m) => `${label} [${m.id}]`) : [label];
+    let aiResponse;
+    try {
+      aiResponse = ensemble
+        ? await analyzeWithEnsemble(payload, ensemble, {
+            retries: 2,
+            budget,
+            minConfidence,
+            track: (id) => view.track(`${label} [${id}]`),
+            ...cache,
+          })
+        : await analyzeEndpoint(payload, { provider, model, retries: 2, budget, onStream: view.track(label), ...cache });
+    } finally {
+      streams.forEach(view.done);
+    }
+    const report = buildReport(payload, aiResponse.raw, {
+      model,
+      provider,
+      redactions,
+      template: aiResponse.template,
+      usage: aiResponse.usage,
+      consensus: aiResponse.consensus,
+    });
+    const savedFile = saveReport(report, outDir);
+
+    if (format === "console") printAnalysisResult(report);
+    console.log(`💾 AI Report for ${label} saved to: ${savedFile}`);
+    return { report: { ...report, file: savedFile }, cached: aiResponse.cached };
+  };
+
+  const results = await runQueue(analyzedEndpoints, review, {
+    concurrency,
+    budget,
+    onProgress: (state) => {
+      if (state.event !== "started") console.log(`⏳ ${formatProgress(state)}`);
+    },
+  });
+
+  const byEndpoint = {};
+  results.forEach((result, i) => {
+    const label = analyzedEndpoints[i].label;
+    if (result.status === "skipped") {
+      run.skipped.push({ endpoint: label, reason: result.reason });
+      return;
+    }
+    if (result.status === "failed") {
+      console.error(`❌ Failed to review ${label}:`, result.error.message || result.error);
+      run.failures.push({ endpoint: label, stage: "review", error: result.error.message || String(result.error) });
+      return;
+    }
+
+    const { report, cached } = result.value;
+    if (report.error) run.failures.push({ endpoint: label, stage: "parse", error: report.error });
+    if (cached) run.cached++;
+    run.reports.push(report);
+    byEndpoint[label] = omitCalls(report.usage);
+  });
+
+  if (flags.holistic || config.holistic.enabled) {
+    await reviewRouters(analyzedEndpoints.map((a) => a.payload), run, {
+      ...config.holistic,
+      provider,
+      model,
+      budget,
+      concurrency,
+      format,
+      outDir,
+      cache: !flags["no-cache"],
+      view,
+    });
+  }
+  view.stop();
+
+  const calls = [...run.reports, ...run.routerReports].flatMap((r) => r.usage?.calls || []);
+  run.usage = {
+    ...sumUsage(calls),
+    byEndpoint,
+    byRouter: Object.fromEntries(run.routerReports.map((r) => [r.router.name, omitCalls(r.usage)])),
+    byDay: usageByDay(calls),
+  };
+  run.finishedAt = new Date().toISOString();
+  const runFile = saveRun(run, outDir);
+  const today = recordDailyUsage(calls, outDir)[run.finishedAt.slice(0, 10)];
+
+  if (format === "json") process.stdout.write(`${JSON.stringify(run, null, 2)}\n`);
+  if (format === "sarif") process.stdout.write(`${JSON.stringify(buildSarif(run), null, 2)}\n`);
+  if (run.skipped.length) {
+    console.warn(`\n🛑 Budget reached: ${run.skipped[0].reason}; skipped ${run.skipped.length} endpoint(s).`);
+  }
+  const disagreements = run.reports.reduce((sum, r) => sum + (r.consensus?.disagreements.length || 0), 0);
+  if (disagreements) console.log(`\n🤔 ${disagreements} disagreement(s) between ensemble members, listed per report for review.`);
+  const succeeded = run.reports.filter((r) => !r.error).length;
+  const cachedNote = run.cached ? ` (${run.cached} from cache)` : "";
+  if (run.routerReports.length) {
+    const findings = run.routerReports.reduce((sum, r) => sum + (r.findings?.length || 0), 0);
+    console.log(`\n🧩 Router reviews: ${run.routerReports.length}, ${findings} cross-cutting finding(s)`);
+  }
+  console.log(`\n💰 Usage: ${formatUsage(run.usage)}`);
+  if (today) console.log(`   Today: ${formatUsage(today)} over ${today.runs} run(s)`);
+  console.log(`\n✅ Reviewed ${succeeded}/${selected.length} endpoint(s)${cachedNote}. Run summary: ${runFile}\n`);
+
+  // endpoints skipped by the budget end the run normally (genai/scheduler.js)
+  return run.failures.length ? EXIT_FAILURE : EXIT_OK;
+}
+
+/**
+ * Holistic pass: one request per router (or one for the app) with the
+ * digest of its endpoints. Results, failures and skips go into `run`.
+ */
+async function reviewRouters(payloads, run, { scope, minEndpoints, provider, model, budget, concurrency, format, outDir, cache, view }) {
+  const digests = groupPayloads(payloads, scope)
+    .filter((group) => group.payloads.length >= minEndpoints)
+    .map(buildDigest);
+  if (digests.length === 0) {
+    console.log(`ℹ️ Holistic review skipped: no ${scope} with ${minEndpoints}+ selected endpoints.`);
+    return;
+  }
+
+  console.log(`\n🧩 Reviewing ${digests.length} ${scope === "app" ? "app" : "router(s)"} as a whole...`);
+  const results = await runQueue(
+    digests,
+    async (digest) => {
+      const label = `router ${digest.name}`;
+      let aiResponse;
+      try {
+        aiResponse = await analyzeRouter(digest, {
+          provider,
+          model,
+          retries: 2,
+          budget,
+          onStream: view.track(label),
+          ...(cache ? {} : { cache: false }),
+        });
+      } finally {
+        view.done(label);
+      }
+      const report = buildRouterReport(digest, aiResponse.raw, { model, provider, template: aiResponse.template, usage: aiResponse.usage });
+      const savedFile = saveRouterReport(report, outDir);
+
+      if (format === "console") printRouterResult(report);
+      console.log(`💾 Router report for ${digest.name} saved to: ${savedFile}`);
+      return { ...report, file: savedFile };
+    },
+    { concurrency, budget }
+  );
+
+  results.forEach((result, i) => {
+    const label = `router ${digests[i].name}`;
+    if (result.status === "skipped") run.skipped.push({ endpoint: label, reason: result.reason });
+    else if (result.status === "failed") {
+      console.error(`❌ Failed to review ${label}:`, result.error.message || result.error);
+      run.failures.push({ endpoint: label, stage: "router", error: result.error.message || String(result.error) });
+    } else {
+      if (result.value.error) run.failures.push({ endpoint: label, stage: "parse", error: result.value.error });
+      run.routerReports.push(result.value);
+    }
+  });
+}
+
+function omitCalls(usage) {
+  if (!usage) return sumUsage([]);
+  const { calls, ...totals } = usage;
+  return totals;
+}
@@ -0,0 +1,45 @@
+/**
+ * ai-review scan
+ *
+ * Lists every endpoint discovered in the matched route files with its
+ * full path, middleware chain and resolved handler source.
+ */
+
+import fs from "fs";
+import path from "path";
+import { collectEndpoints, DEFAULT_ROUTES_GLOB } from "../select.js";
+import { resolveFormat, EXIT_OK, EXIT_FAILURE } from "../args.js";
+
+export default async function scanCommand(flags) {
+  const format = resolveFormat(flags.format, ["table", "json"]);
+  const endpoints = collectEndpoints(flags.routes || DEFAULT_ROUTES_GLOB);
+
+  if (format === "json") {
+    const json = JSON.stringify(endpoints, null, 2);
+    if (flags.out) {
+      fs.mkdirSync(path.dirname(path.resolve(flags.out)), { recursive: true });
+      fs.writeFileSync(flags.out, json, "utf8");
+      console.error(`💾 Endpoints saved to: ${flags.out}`);
+    } else {
+      process.stdout.write(`${json}\n`);
+    }
+    return endpoints.length ? EXIT_OK : EXIT_FAILURE;
+  }
+
+  if (endpoints.length === 0) {
+    console.warn("⚠️ No endpoints found.");
+    return EXIT_FAILURE;
+  }
+
+  console.log(`\n🔎 Found ${endpoints.length} endpoint(s):\n`);
+  for (const ep of endpoints) {
+    const where = ep.source
+      ? `${path.relative(process.cwd(), ep.source.file)}${ep.source.exportName ? `#${ep.source.exportName}` : ""}`
+      : "unresolved";
+    console.log(`  ${ep.method.padEnd(7)} ${ep.fullPath} → ${ep.handler}  (${where})`);
+    if (ep.middleware.length) console.log(`          middleware: ${ep.middleware.join(" → ")}`);
+  }
+  console.log("");
+
+  return EXIT_OK;
+}
@@ -0,0 +1,42 @@
+/**
+ * ai-review schema
+ *
+ * Per-model report for every Mongoose model matched by --models:
+ * indexes, select: false fields, refs, timestamps and schema warnings.
+ */
+
+import { parseModelFile, buildModelReport } from "../../analyzer/schema-advisor.js";
+import { findFiles } from "../glob.js";
+import { resolveFormat, UsageError, EXIT_OK } from "../args.js";
+
+export const DEFAULT_MODELS_GLOB = "src/models/**/*.js";
+
+export default async function schemaCommand(flags) {
+  const format = resolveFormat(flags.format, ["table", "json"]);
+  const pattern = flags.models || DEFAULT_MODELS_GLOB;
+  const files = findFiles(pattern);
+
+  if (files.length === 0) throw new UsageError(`No model files match --models "${pattern}"`);
+
+  const reports = files
+    .map((file) => parseModelFile(file))
+    .filter(Boolean)
+    .map(buildModelReport);
+
+  if (format === "json") {
+    process.stdout.write(`${JSON.stringify(reports, null, 2)}\n`);
+    return EXIT_OK;
+  }
+
+  for (const report of reports) {
+    console.log(`\n🗂️  ${report.name} (${report.file})`);
+    console.log(`   fields:  ${report.fields.join(", ")}`);
+    console.log(`   indexes: ${report.indexes.join("; ")}`);
+    console.log(`   hidden:  ${report.hiddenFields.join(", ") || "none"}`);
+    if (report.refs.length) console.log(`   refs:    ${report.refs.map((r) => `${r.field} → ${r.ref}`).join(", ")}`);
+    report.warnings.forEach((w) => console.log(`   ⚠️ ${w}`));
+  }
+  console.log("");
+
+  return EXIT_OK;
+}
@@ -0,0 +1,74 @@
+/**
+ * ---------------------------------------------------------
+ * Git
+ * ---------------------------------------------------------
+ * Purpose:
+ *   - Commit fixed files on a new branch without touching the
+ *     branch the user is on (fix --apply)
+ * ---------------------------------------------------------
+ */
+
+import fs from "fs";
+import path from "path";
+import { execFileSync } from "child_process";
+
+/**
+ * Run git and return its trimmed stdout; failures throw with git's message
+ */
+function git(args, cwd) {
+  try {
+    return execFileSync("git", args, { cwd, encoding: "utf8", stdio: ["ignore", "pipe", "pipe"] }).trim();
+  } catch (err) {
+    throw new Error(`git ${args[0]} failed: ${(err.stderr || err.message).trim()}`);
+  }
+}
+
+/**
+ * Top folder of the repository containing `dir`, or null outside a repository
+ * @param {string} [dir=process.cwd()]
+ * @returns {string|null}
+ */
+export function repoRoot(dir = process.cwd()) {
+  try {
+    return git(["rev-parse", "--show-toplevel"], dir);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Commit new contents of some files on a new branch, then switch back.
+ * The files must have no uncommitted changes, so switching back restores them.
+ * @param {Object} changes - { [absolute path]: new content }
+ * @param {Object} options
+ * @param {string} options.branch - new branch name
+ * @param {string} options.message - commit message
+ * @param {string} [options.cwd=process.cwd()]
+ * @returns {Object} { branch, commit, base }
+ */
+export function commitOnBranch(changes, { branch, message, cwd = process.cwd() }) {
+  const root = repoRoot(cwd);
+  if (!root) throw new Error("not inside a git repository");
+
+  const files = Object.keys(changes).map((file) => path.relative(root, file));
+  const dirty = git(["status", "--porcelain", "--", ...files], root);
+  if (dirty) throw new Error(`uncommitted changes in the files to fix:\n${dirty}`);
+
+  // a detached HEAD is returned to by commit
+  const branchName = git(["rev-parse", "--abbrev-ref", "HEAD"], root);
+  const base = branchName === "HEAD" ? git(["rev-parse", "HEAD"], root) : branchName;
+  git(["checkout", "-b", branch], root);
+  let commit = null;
+  try {
+    Object.entries(changes).forEach(([file, content]) => fs.writeFileSync(file, content, "utf8"));
+    git(["add", "--", ...files], root);
+    git(["commit", "-m", message, "--", ...files], root);
+    commit = git(["rev-parse", "--short", "HEAD"], root);
+    return { branch, commit, base };
+  } finally {
+    // a failed commit must not carry the fixed files back to the user's branch, nor leave an empty branch
+    if (!commit) git(["checkout", "HEAD", "--", ...files], root);
+    git(["checkout", base], root);
+    if (!commit) git(["branch", "-D", branch], root);
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * ---------------------------------------------------------
+ * Glob Helper
+ * ---------------------------------------------------------
+ * Purpose:
+ *   - Match files for `--routes <glob>` without extra dependencies
+ *   - Supports **, *, ?, and {a,b} alternatives
+ * ---------------------------------------------------------
+ */
+
+import fs from "fs";
+import path from "path";
+
+const IGNORED_DIRS = new Set(["node_modules", ".git"]);
+
+/**
+ * Convert a glob pattern to a RegExp matched against "/"-separated paths
+ * @param {string} pattern - e.g. "src/routes/**\/*.routes.js"
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+  let re = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === "*") {
+      if (pattern[i + 1] === "*") {
+        // "**/" matches zero or more directories
+        const slash = pattern[i + 2] === "/";
+        re += slash ? "(?:.*/)?" : ".*";
+        i += slash ? 2 : 1;
+      } else {
+        re += "[^/]*";
+      }
+    } else if (ch === "?") {
+      re += "[^/]";
+    } else if (ch === "{") {
+      const end = pattern.indexOf("}", i);
+      if (end === -1) {
+        re += "\\{";
+        continue;
+      }
+      const options = pattern.slice(i + 1, end).split(",").map(escapeRegExp);
+      re += `(?:${options.join("|")})`;
+      i = end;
+    } else {
+      re += escapeRegExp(ch);
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+/**
+ * Find files under cwd matching a glob (or a plain file path)
+ * @param {string} pattern - glob relative to cwd, or an absolute path
+ * @param {string} [cwd=process.cwd()]
+ * @returns {Array<string>} absolute file paths, sorted
+ */
+export function findFiles(pattern, cwd = process.cwd()) {
+  const normalized = toPosix(path.isAbsolute(pattern) ? path.relative(cwd, pattern) : pattern)
+    .replace(/^\.\//, "");
+
+  if (!/[*?{]/.test(normalized)) {
+    const file = path.resolve(cwd, normalized);
+    return fs.existsSync(file) && fs.statSync(file).isFile() ? [file] : [];
+  }
+
+  // Start walking from the static part of the pattern
+  const staticParts = [];
+  for (const part of normalized.split("/")) {
+    if (/[*?{]/.test(part)) break;
+    staticParts.push(part);
+  }
+  const root = path.resolve(cwd, staticParts.join("/"));
+  if (!fs.existsSync(root)) return [];
+
+  const matcher = globToRegExp(normalized);
+  const results = [];
+  walk(root, (file) => {
+    if (matcher.test(toPosix(path.relative(cwd, file)))) results.push(file);
+  });
+  return results.sort();
+}
+
+function walk(dir, onFile) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (IGNORED_DIRS.has(entry.name)) continue;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) walk(full, onFile);
+    else if (entry.isFile()) onFile(full);
+  }
+}
+
+function toPosix(p) {
+  return p.split(path.sep).join("/");
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.+^$()|[\]\\]/g, "\\$&");
+}
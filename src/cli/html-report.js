@@ -0,0 +1,427 @@
+/**
+ * ---------------------------------------------------------
+ * HTML Report
+ * ---------------------------------------------------------
+ * Purpose:
+ *   - Render a whole review run as one self-contained HTML page
+ *     (inline CSS and script, no external assets) that CI can
+ *     keep as an artifact
+ *   - Endpoint table sortable by severity, totals by category,
+ *     and per endpoint: AI and static findings, the handler's
+ *     source highlighted with finding markers, and the
+ *     before/after example as a diff
+ *
+ * Source is read from disk when the page is rendered, with secrets
+ * redacted (analyzer/secrets); files changed after the run are flagged
+ * since the finding lines may have moved.
+ * ---------------------------------------------------------
+ */
+
+import fs from "fs";
+import path from "path";
+import { collectFindings, formatLocation } from "../genai/findings.js";
+import { SEVERITIES } from "../genai/review-schema.js";
+import { formatUsage } from "../genai/usage.js";
+import { createRedactionMap, redactSecrets } from "../analyzer/secrets/index.js";
+import { diffHunks } from "./patch.js";
+
+// lines shown around the findings of reports that don't record the handler's lines
+const SOURCE_CONTEXT = 3;
+const SEVERITY_WEIGHT = { high: 10000, medium: 100, low: 1 };
+const KEYWORDS = new Set([
+  "async", "await", "break", "case", "catch", "class", "const", "continue", "default", "delete", "do", "else",
+  "export", "extends", "false", "finally", "for", "function", "if", "import", "in", "instanceof", "let", "new",
+  "null", "of", "return", "switch", "this", "throw", "true", "try", "typeof", "undefined", "var", "void", "while",
+]);
+const TOKEN =
+  /(\/\/[^\n]*|\/\*[\s\S]*?\*\/)|(`(?:\\[\s\S]|[^\\`])*`|'(?:\\.|[^\\'\n])*'|"(?:\\.|[^\\"\n])*")|(\b\d+(?:\.\d+)?\b)|([A-Za-z_$][\w$]*)/g;
+
+/**
+ * Render a review run as a standalone HTML page
+ * @param {Object} run - from loadRun() (reports, routerReports, failures, usage, ...)
+ * @returns {string} HTML document
+ */
+export function renderHtmlReport(run) {
+  const entries = run.reports.map((report, i) => {
+    const findings = collectFindings(report);
+    const counts = countBySeverity(findings);
+    return {
+      anchor: `endpoint-${i + 1}`,
+      report,
+      findings,
+      counts,
+      score: SEVERITIES.reduce((sum, s) => sum + counts[s] * SEVERITY_WEIGHT[s], 0),
+    };
+  });
+  const all = entries.flatMap((e) => e.findings);
+  const title = `AI review ${run.runId}`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(title)}</h1>
+  <p class="muted">${escapeHtml(describeRun(run))}</p>
+</header>
+<main>
+${renderCards(entries, all)}
+<h2>Endpoints</h2>
+${renderEndpointTable(entries)}
+<h2>Findings by category</h2>
+${renderCategoryTotals(all)}
+${entries.map(renderEndpoint).join("\n")}
+${renderRouterReports(run.routerReports || [])}
+${renderProblems(run)}
+</main>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+function describeRun(run) {
+  const parts = [
+    `${run.provider ? `${run.provider}/` : ""}${run.model || "unknown model"}`,
+    run.template ? `${run.template.id}@${run.template.version}` : run.mode || "performance",
+    run.finishedAt || run.startedAt,
+  ];
+  if (run.ensemble?.members?.length) parts.push(`ensemble of ${run.ensemble.members.length}`);
+  if (run.usage?.requests !== undefined) parts.push(formatUsage(run.usage));
+  return parts.filter(Boolean).join(" · ");
+}
+
+function renderCards(entries, findings) {
+  const counts = countBySeverity(findings);
+  const cards = [
+    ["Endpoints", entries.length, ""],
+    ["AI findings", findings.filter((f) => f.source === "model").length, ""],
+    ["Static findings", findings.filter((f) => f.source === "static").length, ""],
+    ...SEVERITIES.map((s) => [s, counts[s], `sev-${s}`]),
+  ];
+  return `<div class="cards">${cards
+    .map(([label, value, cls]) => `<div class="card ${cls}"><span class="value">${value}</span><span class="label">${escapeHtml(label)}</span></div>`)
+    .join("")}</div>`;
+}
+
+function renderEndpointTable(entries) {
+  if (entries.length === 0) return `<p class="muted">No endpoint reports in this run.</p>`;
+
+  const rows = [...entries]
+    .sort((a, b) => b.score - a.score)
+    .map(({ anchor, report, findings, counts, score }) => {
+      const ep = report.endpoint || {};
+      const name = `${(ep.method || "?").toUpperCase()} ${ep.path || "?"}`;
+      const ai = findings.filter((f) => f.source === "model").length;
+      const staticCount = findings.length - ai;
+      return `<tr>
+  <td data-value="${escapeHtml(name)}"><a href="#${anchor}">${escapeHtml(name)}</a>${report.error ? ` <span class="badge sev-high">error</span>` : ""}</td>
+  <td data-value="${escapeHtml(ep.handler || "")}">${escapeHtml(ep.handler || "unknown")}</td>
+  <td data-value="${score}">${severityBadges(counts)}</td>
+  <td data-value="${ai}">${ai}</td>
+  <td data-value="${staticCount}">${staticCount}</td>
+</tr>`;
+    })
+    .join("\n");
+
+  return `<table class="sortable">
+<thead><tr>
+  <th data-type="text">Endpoint</th><th data-type="text">Handler</th>
+  <th data-type="number" aria-sort="descending">Severity</th><th data-type="number">AI</th><th data-type="number">Static</th>
+</tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>`;
+}
+
+function renderCategoryTotals(findings) {
+  if (findings.length === 0) return `<p class="muted">No findings.</p>`;
+
+  const byCategory = new Map();
+  findings.forEach((f) => {
+    if (!byCategory.has(f.category)) byCategory.set(f.category, []);
+    byCategory.get(f.category).push(f);
+  });
+
+  const rows = [...byCategory]
+    .sort((a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0]))
+    .map(([category, list]) => {
+      const counts = countBySeverity(list);
+      const ai = list.filter((f) => f.source === "model").length;
+      return `<tr><td>${escapeHtml(category)}</td>${SEVERITIES.map((s) => `<td>${counts[s]}</td>`).join("")}<td>${ai}</td><td>${list.length - ai}</td><td>${list.length}</td></tr>`;
+    })
+    .join("\n");
+
+  return `<table>
+<thead><tr><th>Category</th>${SEVERITIES.map((s) => `<th>${s}</th>`).join("")}<th>AI</th><th>Static</th><th>Total</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>`;
+}
+
+function renderEndpoint({ anchor, report, findings }) {
+  const ep = report.endpoint || {};
+  const numbered = findings.map((f, i) => ({ ...f, number: i + 1 }));
+  const ai = numbered.filter((f) => f.source === "model");
+  const rules = numbered.filter((f) => f.source === "static");
+
+  return `<section class="endpoint" id="${anchor}">
+<h2>${escapeHtml(`${(ep.method || "?").toUpperCase()} ${ep.path || "?"}`)} <span class="muted">→ ${escapeHtml(ep.handler || "unknown")}</span></h2>
+<p class="muted">${escapeHtml([report.provider && report.model ? `${report.provider}/${report.model}` : report.model, report.template ? `${report.template.id}@${report.template.version}` : report.mode, report.generatedAt].filter(Boolean).join(" · "))}</p>
+${report.error ? `<p class="error">${escapeHtml(report.error)}</p>` : ""}
+${report.summary ? `<p>${escapeHtml(report.summary)}</p>` : ""}
+<h3>AI findings (${ai.length})</h3>
+${renderFindingList(ai)}
+<h3>Static findings (${rules.length})</h3>
+${renderFindingList(rules)}
+${renderDisagreements(report.consensus)}
+${renderSource(report, numbered)}
+${renderBeforeAfter(report.before_after)}
+${report.suggestions?.length ? `<h3>Suggestions</h3><ul>${report.suggestions.map((s) => `<li>${escapeHtml(typeof s === "string" ? s : s.description || "")}</li>`).join("")}</ul>` : ""}
+${report.notes ? `<p class="muted">Notes: ${escapeHtml(report.notes)}</p>` : ""}
+</section>`;
+}
+
+function renderFindingList(findings) {
+  if (findings.length === 0) return `<p class="muted">None.</p>`;
+  return `<ol class="findings">${findings
+    .map((f) => {
+      const tags = [f.category, f.ruleId, f.cwe, f.confidence !== null ? `confidence ${f.confidence}` : null].filter(Boolean);
+      const where = formatLocation(f.location);
+      return `<li value="${f.number}" id="finding-${f.id}">
+  <span class="badge sev-${f.severity}">${f.severity}</span> ${escapeHtml(f.message)}
+  <div class="muted">${escapeHtml(tags.join(" · "))}${where ? ` · <code>${escapeHtml(where)}</code>` : ""}</div>
+  ${f.rationale ? `<div>${escapeHtml(f.rationale)}</div>` : ""}
+  ${f.suggestion ? `<div class="fix">Fix: ${escapeHtml(f.suggestion)}</div>` : ""}
+</li>`;
+    })
+    .join("\n")}</ol>`;
+}
+
+function renderDisagreements(consensus) {
+  if (!consensus?.disagreements?.length) return "";
+  return `<h3>Disagreements (${consensus.members.length} ensemble replies)</h3>
+<ul>${consensus.disagreements
+    .map((d) => {
+      const who =
+        d.kind === "severity"
+          ? Object.entries(d.severities).map(([severity, members]) => `${severity} by ${members.join(", ")}`).join("; ")
+          : `only ${d.members.join(", ")} (confidence ${d.confidence})`;
+      return `<li><span class="badge sev-${d.issue.severity}">${d.issue.severity}</span> ${escapeHtml(d.issue.message || d.issue.description || "")} <span class="muted">— ${escapeHtml(who)}</span></li>`;
+    })
+    .join("")}</ul>`;
+}
+
+/**
+ * The handler's source with line numbers and a marker on every line
+ * a finding points at
+ */
+function renderSource(report, findings) {
+  const span = report.handlerLocation;
+  const located = findings.filter((f) => f.location?.line);
+  const file = span?.file || located[0]?.location.file;
+  if (!file) return "";
+
+  const absolute = path.resolve(file);
+  if (!fs.existsSync(absolute)) return `<p class="muted">Source ${escapeHtml(file)} is not available.</p>`;
+
+  const lines = fs.readFileSync(absolute, "utf8").split("\n");
+  const findingLines = located.map((f) => f.location.line);
+  const start = Math.max(1, span ? span.line : Math.min(...findingLines) - SOURCE_CONTEXT);
+  const end = Math.min(lines.length, span ? span.endLine : Math.max(...findingLines) + SOURCE_CONTEXT);
+  if (!Number.isFinite(start) || !Number.isFinite(end) || end < start) return "";
+
+  const code = redactSecrets(lines.slice(start - 1, end).join("\n"), createRedactionMap()).code;
+  const changed = report.generatedAt && fs.statSync(absolute).mtime > new Date(report.generatedAt);
+
+  const rows = highlight(code).map((html, i) => {
+    const line = start + i;
+    const here = located.filter((f) => f.location.line === line);
+    const markers = here.map((f) => `<a class="marker sev-${f.severity}" href="#finding-${f.id}" title="${escapeHtml(f.message)}">${f.number}</a>`).join("");
+    const notes = here
+      .map((f) => `<div class="note sev-${f.severity}">${f.number}. ${escapeHtml(f.message)}</div>`)
+      .join("");
+    return `<tr${here.length ? ` class="hit sev-${worstSeverity(here)}"` : ""}><td class="ln">${line}</td><td class="mk">${markers}</td><td class="code"><code>${html || " "}</code>${notes}</td></tr>`;
+  });
+
+  return `<h3>Source <span class="muted">${escapeHtml(file)}:${start}-${end}</span></h3>
+${changed ? `<p class="warn">The file changed after this review; lines may have moved.</p>` : ""}
+<table class="source">${rows.join("\n")}</table>`;
+}
+
+/**
+ * before_after as a diff when it has "Before:" and "After:" parts, else as code
+ */
+function renderBeforeAfter(text) {
+  if (!text) return "";
+  const safe = redactSecrets(text, createRedactionMap()).code;
+  const parts = safe.match(/^\s*(?:\/\/\s*)?before\b[^\n]*\n([\s\S]*?)\n\s*(?:\/\/\s*)?after\b[^\n]*\n([\s\S]*)$/i);
+  if (!parts) return `<h3>Before/After</h3><pre class="diff">${escapeHtml(safe)}</pre>`;
+
+  const [hunk] = diffHunks(parts[1].trimEnd(), parts[2].trimEnd(), Infinity);
+  if (!hunk) return `<h3>Before/After</h3><pre class="diff">${escapeHtml(parts[1])}</pre>`;
+
+  const kinds = { "+": "add", "-": "del", " ": "same" };
+  return `<h3>Before/After</h3><pre class="diff">${hunk.lines
+    .map((line) => `<span class="${kinds[line[0]]}">${escapeHtml(line)}</span>`)
+    .join("\n")}</pre>`;
+}
+
+function renderRouterReports(routerReports) {
+  if (routerReports.length === 0) return "";
+  return `<h2>Router reviews</h2>
+${routerReports
+  .map(
+    (r) => `<section class="endpoint">
+<h3>${escapeHtml(r.router?.name || "app")} <span class="muted">(${r.endpoints?.length || 0} endpoints)</span></h3>
+${r.error ? `<p class="error">${escapeHtml(r.error)}</p>` : ""}
+${r.summary ? `<p>${escapeHtml(r.summary)}</p>` : ""}
+<ol class="findings">${(r.findings || [])
+      .map(
+        (f) => `<li><span class="badge sev-${f.severity}">${f.severity}</span> <strong>${escapeHtml(f.title)}</strong>: ${escapeHtml(f.description)}
+  <div class="muted">${escapeHtml([f.category, ...(f.endpoints || [])].join(" · "))}</div>
+  ${f.suggested_fix ? `<div class="fix">Fix: ${escapeHtml(f.suggested_fix)}</div>` : ""}</li>`
+      )
+      .join("\n")}</ol>
+</section>`
+  )
+  .join("\n")}`;
+}
+
+function renderProblems(run) {
+  const problems = [
+    ...(run.failures || []).map((f) => `[${f.stage}] ${f.endpoint}: ${f.error}`),
+    ...(run.skipped || []).map((s) => `[skipped] ${s.endpoint}: ${s.reason}`),
+  ];
+  if (problems.length === 0) return "";
+  return `<h2>Failures</h2><ul>${problems.map((p) => `<li>${escapeHtml(p)}</li>`).join("")}</ul>`;
+}
+
+/**
+ * Syntax-highlighted HTML, one string per line (spans never cross lines)
+ */
+function highlight(code) {
+  const lines = [""];
+  const push = (text, cls) =>
+    text.split("\n").forEach((piece, i) => {
+      if (i > 0) lines.push("");
+      if (piece) lines[lines.length - 1] += cls ? `<span class="${cls}">${escapeHtml(piece)}</span>` : escapeHtml(piece);
+    });
+
+  let last = 0;
+  for (const match of code.matchAll(TOKEN)) {
+    push(code.slice(last, match.index));
+    const [text, comment, string, number, word] = match;
+    if (comment) push(text, "tok-comment");
+    else if (string) push(text, "tok-string");
+    else if (number) push(text, "tok-number");
+    else push(text, word && KEYWORDS.has(word) ? "tok-keyword" : null);
+    last = match.index + text.length;
+  }
+  push(code.slice(last));
+  return lines;
+}
+
+function countBySeverity(findings) {
+  const counts = Object.fromEntries(SEVERITIES.map((s) => [s, 0]));
+  findings.forEach((f) => counts[f.severity]++);
+  return counts;
+}
+
+function severityBadges(counts) {
+  const badges = SEVERITIES.filter((s) => counts[s]).map((s) => `<span class="badge sev-${s}">${counts[s]} ${s}</span>`);
+  return badges.length ? badges.join(" ") : `<span class="muted">none</span>`;
+}
+
+function worstSeverity(findings) {
+  return SEVERITIES.find((s) => findings.some((f) => f.severity === s));
+}
+
+function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+const STYLE = `
+body { font: 14px/1.5 system-ui, -apple-system, "Segoe UI", sans-serif; margin: 0; color: #1f2328; background: #f6f8fa; }
+header { background: #24292f; color: #fff; padding: 16px 32px; }
+header .muted { color: #c9d1d9; }
+main { padding: 16px 32px 48px; max-width: 1200px; }
+h1 { margin: 0; font-size: 22px; }
+h2 { margin-top: 32px; font-size: 18px; }
+h3 { font-size: 15px; margin: 20px 0 8px; }
+.muted { color: #656d76; font-weight: normal; }
+.cards { display: flex; flex-wrap: wrap; gap: 12px; }
+.card { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; padding: 10px 16px; min-width: 110px; }
+.card .value { display: block; font-size: 22px; font-weight: 600; }
+.card .label { color: #656d76; text-transform: capitalize; }
+table { border-collapse: collapse; background: #fff; width: 100%; }
+th, td { border: 1px solid #d0d7de; padding: 6px 10px; text-align: left; vertical-align: top; }
+th { background: #eaeef2; }
+table.sortable th { cursor: pointer; user-select: none; }
+table.sortable th[aria-sort="ascending"]::after { content: " ▲"; }
+table.sortable th[aria-sort="descending"]::after { content: " ▼"; }
+.endpoint { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; padding: 4px 20px 16px; margin-top: 24px; }
+.badge { display: inline-block; border-radius: 10px; padding: 0 8px; font-size: 12px; color: #fff; }
+.sev-high.badge, .marker.sev-high { background: #cf222e; }
+.sev-medium.badge, .marker.sev-medium { background: #bc4c00; }
+.sev-low.badge, .marker.sev-low { background: #0969da; }
+.card.sev-high .value { color: #cf222e; }
+.card.sev-medium .value { color: #bc4c00; }
+.card.sev-low .value { color: #0969da; }
+.findings li { margin-bottom: 8px; }
+.fix { color: #1a7f37; }
+.error, .warn { color: #cf222e; }
+table.source { font: 12px/1.45 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; }
+table.source td { border: none; padding: 0 8px; }
+table.source .ln { color: #8c959f; text-align: right; width: 1%; user-select: none; }
+table.source .mk { width: 1%; white-space: nowrap; }
+table.source .code code { white-space: pre; }
+table.source tr.hit.sev-high { background: #ffebe9; }
+table.source tr.hit.sev-medium { background: #fff1e5; }
+table.source tr.hit.sev-low { background: #ddf4ff; }
+.marker { display: inline-block; color: #fff; border-radius: 50%; min-width: 18px; text-align: center; font-size: 11px; text-decoration: none; margin-right: 2px; }
+.note { font-family: system-ui, sans-serif; font-size: 12px; padding: 2px 6px; margin: 2px 0 4px; border-left: 3px solid; }
+.note.sev-high { border-color: #cf222e; }
+.note.sev-medium { border-color: #bc4c00; }
+.note.sev-low { border-color: #0969da; }
+.tok-keyword { color: #cf222e; }
+.tok-string { color: #0a3069; }
+.tok-number { color: #0550ae; }
+.tok-comment { color: #6e7781; font-style: italic; }
+pre.diff { background: #f6f8fa; border: 1px solid #d0d7de; padding: 8px; overflow-x: auto; }
+pre.diff .add { background: #dafbe1; display: block; }
+pre.diff .del { background: #ffebe9; display: block; }
+pre.diff .same { display: block; }
+`;
+
+// click a header to sort its table; numbers sort by data-value
+const SCRIPT = `
+document.querySelectorAll("table.sortable th").forEach((th, column) => {
+  th.addEventListener("click", () => {
+    const table = th.closest("table");
+    const body = table.tBodies[0];
+    const descending = th.getAttribute("aria-sort") !== "descending";
+    const numeric = th.dataset.type === "number";
+    const value = (row) => row.cells[column].dataset.value;
+    const rows = [...body.rows].sort((a, b) => {
+      const order = numeric ? Number(value(a)) - Number(value(b)) : value(a).localeCompare(value(b));
+      return descending ? -order : order;
+    });
+    table.querySelectorAll("th").forEach((other) => other.removeAttribute("aria-sort"));
+    th.setAttribute("aria-sort", descending ? "descending" : "ascending");
+    rows.forEach((row) => body.appendChild(row));
+  });
+});
+`;
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/**
+ * ---------------------------------------------------------
+ *  ai-review — command line entry
+ * ---------------------------------------------------------
+ *  Usage:
+ *    ai-review scan    [--routes <glob>] [--format table|json]
+ *    ai-review analyze [--routes <glob>] (--endpoint "<spec>" | --all) [--mode <profile>]
+ *    ai-review review  [--routes <glob>] (--endpoint "<spec>" | --all) [--mode ...] [--provider <id>] [--model <id>] [--no-cache] [--no-stream] [--holistic] [--samples <n>] [--ensemble <ids>] [--min-confidence <x>] [--format console|json|sarif] [--yes]
+ *    ai-review fix     [<run file>] [--routes <glob>] (--endpoint "<spec>" | --all) [--provider <id>] [--model <id>] [--out <file.patch> | --apply [--branch <name>]] [--yes]
+ *    ai-review report  [<run file>] [--out <dir>] [--min-confidence <x>] [--format console|json|sarif]
+ *    ai-review report  html [<run file>] [--out <file.html>] [--min-confidence <x>]
+ *    ai-review report  markdown [<run file>] [--out <file.md>] [--publish <id>] [--min-confidence <x>]
+ *    ai-review baseline [<run file>] [--out <file>] [--min-confidence <x>]
+ *    ai-review diff    [<run file>] [--against <baseline|run>] [--fail-on <severity>] [--min-confidence <x>] [--format console|json]
+ *    ai-review schema  [--models <glob>] [--format table|json]
+ *    ai-review cache   stats|clear [--format table|json]
+ *    ai-review profiles [--format table|json]
+ *
+ *  Every command runs in-process and sets the exit code:
+ *    0 ok, 1 analysis/review failures or new findings (diff --fail-on), 2 usage errors
+ * ---------------------------------------------------------
+ */
+
+import { parseCliArgs, UsageError, HELP, EXIT_FAILURE, EXIT_USAGE, EXIT_OK } from "./args.js";
+
+const COMMANDS = {
+  scan: () => import("./commands/scan.js"),
+  analyze: () => import("./commands/analyze.js"),
+  review: () => import("./commands/review.js"),
+  fix: () => import("./commands/fix.js"),
+  report: () => import("./commands/report.js"),
+  baseline: () => import("./commands/baseline.js"),
+  diff: () => import("./commands/diff.js"),
+  schema: () => import("./commands/schema.js"),
+  cache: () => import("./commands/cache.js"),
+  profiles: () => import("./commands/profiles.js"),
+};
+
+async function main(argv) {
+  const { command, positionals, flags } = parseCliArgs(argv);
+
+  if (flags.help || !command) {
+    console.log(HELP);
+    return command || flags.help ? EXIT_OK : EXIT_USAGE;
+  }
+
+  const load = COMMANDS[command];
+  if (!load) throw new UsageError(`Unknown command "${command}"`);
+
+  // Keep stdout clean for machine-readable output (json, sarif, fix's patch, report markdown); progress goes to stderr
+  // (--out is a folder or a run to read for review/report, the file written for fix and report markdown)
+  const dataOnStdout =
+    command === "fix"
+      ? !flags.apply && !flags.out
+      : command === "report" && positionals[0] === "markdown"
+        ? !flags.out && !flags.publish
+        : ["json", "sarif"].includes(flags.format);
+  if (dataOnStdout) console.log = console.error;
+
+  const { default: run } = await load();
+  return run(flags, positionals);
+}
+
+main(process.argv.slice(2))
+  .then((code) => {
+    process.exitCode = code ?? EXIT_OK;
+  })
+  .catch((err) => {
+    if (err instanceof UsageError) {
+      console.error(`❌ ${err.message}\n${HELP}`);
+      process.exitCode = EXIT_USAGE;
+      return;
+    }
+    console.error("❌ ai-review failed:", err.stack || err.message || err);
+    process.exitCode = EXIT_FAILURE;
+  });
@@ -0,0 +1,256 @@
+/**
+ * ---------------------------------------------------------
+ * Markdown Report
+ * ---------------------------------------------------------
+ * Purpose:
+ *   - Render a review run as a pull request comment: a summary
+ *     table per endpoint, then per endpoint a collapsible entry
+ *     for every finding with a code excerpt and the suggested fix
+ *   - Start the comment with a fixed marker (commentMarker) so a
+ *     bot can find its previous comment and update it in place
+ *     instead of posting a new one per run (./publishers)
+ *
+ * Excerpts are read from disk when the comment is rendered, with
+ * secrets redacted (analyzer/secrets). Comments are kept under the
+ * size code hosts accept; endpoints past it are only listed.
+ * ---------------------------------------------------------
+ */
+
+import fs from "fs";
+import path from "path";
+import { collectFindings, formatLocation } from "../genai/findings.js";
+import { SEVERITIES } from "../genai/review-schema.js";
+import { formatUsage } from "../genai/usage.js";
+import { createRedactionMap, redactSecrets } from "../analyzer/secrets/index.js";
+
+// GitHub rejects comments over 65536 characters
+export const MAX_COMMENT_CHARS = 60000;
+// lines shown around a finding's lines
+const EXCERPT_CONTEXT = 2;
+const SEVERITY_ICONS = { high: "🔴", medium: "🟠", low: "🟡" };
+const SEVERITY_WEIGHT = { high: 10000, medium: 100, low: 1 };
+
+/**
+ * First line of every comment for a review profile; stays the same from run to run
+ * @param {Object} run - from loadRun()
+ * @returns {string} HTML comment, invisible once rendered
+ */
+export function commentMarker(run) {
+  return `<!-- ai-review:summary:${profileOf(run)} -->`;
+}
+
+/**
+ * Render a review run as a pull request comment
+ * @param {Object} run - from loadRun() (reports, routerReports, failures, usage, ...)
+ * @param {Object} [options]
+ * @param {number} [options.maxChars=MAX_COMMENT_CHARS] - endpoint details past this size are left out
+ * @returns {string} markdown
+ */
+export function renderMarkdownReport(run, { maxChars = MAX_COMMENT_CHARS } = {}) {
+  const entries = run.reports
+    .map((report, order) => {
+      const findings = collectFindings(report);
+      const counts = countBySeverity(findings);
+      return { report, findings, counts, order, score: SEVERITIES.reduce((sum, s) => sum + counts[s] * SEVERITY_WEIGHT[s], 0) };
+    })
+    .sort((a, b) => b.score - a.score || a.order - b.order);
+  const all = entries.flatMap((e) => e.findings);
+
+  const head = [
+    commentMarker(run),
+    `## AI backend review — ${profileOf(run)}`,
+    "",
+    renderTotals(entries, all),
+    "",
+    `<sub>${escapeHtml(describeRun(run))}</sub>`,
+    "",
+    renderEndpointTable(entries),
+  ].join("\n");
+  const tail = [renderRouterReports(run.routerReports || []), renderProblems(run)].filter(Boolean).join("\n\n");
+
+  const sections = [];
+  let size = head.length + tail.length;
+  const omitted = [];
+  for (const entry of entries.filter((e) => e.findings.length || e.report.error)) {
+    const section = renderEndpoint(entry);
+    if (size + section.length > maxChars) {
+      omitted.push(endpointName(entry.report));
+      continue;
+    }
+    sections.push(section);
+    size += section.length;
+  }
+  if (omitted.length) {
+    sections.push(`> Details of ${omitted.length} endpoint(s) left out to keep this comment short: ${omitted.map(code).join(", ")}. See \`ai-review report html\` for the full run.`);
+  }
+
+  return `${[head, ...sections, tail].filter(Boolean).join("\n\n")}\n`;
+}
+
+function renderTotals(entries, findings) {
+  const counts = countBySeverity(findings);
+  const ai = findings.filter((f) => f.source === "model").length;
+  const severities = SEVERITIES.map((s) => `${SEVERITY_ICONS[s]} ${counts[s]} ${s}`).join(" · ");
+  return `**${entries.length}** endpoint(s) reviewed · **${ai}** AI finding(s) · **${findings.length - ai}** static finding(s) · ${severities}`;
+}
+
+function describeRun(run) {
+  const parts = [
+    `run ${run.runId}`,
+    `${run.provider ? `${run.provider}/` : ""}${run.model || "unknown model"}`,
+    run.template ? `${run.template.id}@${run.template.version}` : run.mode || "performance",
+  ];
+  if (run.ensemble?.members?.length) parts.push(`ensemble of ${run.ensemble.members.length}`);
+  if (run.usage?.requests !== undefined) parts.push(formatUsage(run.usage));
+  return parts.join(" · ");
+}
+
+function renderEndpointTable(entries) {
+  if (entries.length === 0) return "_No endpoint reports in this run._";
+
+  const rows = entries.map(({ report, findings, counts }) => {
+    const ai = findings.filter((f) => f.source === "model").length;
+    const status = report.error ? " ⚠️ error" : "";
+    return `| ${cell(code(endpointName(report)))}${status} | ${cell(code(report.endpoint?.handler || "unknown"))} | ${SEVERITIES.map((s) => counts[s] || "–").join(" | ")} | ${ai} | ${findings.length - ai} |`;
+  });
+  return [
+    `| Endpoint | Handler | ${SEVERITIES.map((s) => `${SEVERITY_ICONS[s]} ${s}`).join(" | ")} | AI | Static |`,
+    `| --- | --- | ${SEVERITIES.map(() => "---:").join(" | ")} | ---: | ---: |`,
+    ...rows,
+  ].join("\n");
+}
+
+function renderEndpoint({ report, findings }) {
+  const lines = [`### ${code(endpointName(report))} → ${code(report.endpoint?.handler || "unknown")}`];
+  if (report.error) lines.push("", `> ⚠️ ${oneLine(report.error)}`);
+  if (report.summary) lines.push("", report.summary.trim());
+  findings.forEach((f) => lines.push("", renderFinding(f, report)));
+  return lines.join("\n");
+}
+
+/**
+ * One finding as a <details> block: the one-line summary stays visible
+ */
+function renderFinding(finding, report) {
+  const where = formatLocation(finding.location);
+  const origin = finding.source === "static" ? "static rule" : "AI";
+  const summary = `${SEVERITY_ICONS[finding.severity]} <b>${finding.severity}</b> · ${escapeHtml(finding.category)} · ${escapeHtml(finding.message)}${where ? ` — <code>${escapeHtml(where)}</code>` : ""}`;
+
+  const tags = [
+    `**Source:** ${origin}`,
+    finding.ruleId ? `**Rule:** ${code(finding.ruleId)}` : null,
+    finding.cwe ? `**CWE:** [${finding.cwe}](https://cwe.mitre.org/data/definitions/${finding.cwe.slice(4)}.html)` : null,
+    finding.confidence !== null ? `**Confidence:** ${Math.round(finding.confidence * 100)}%` : null,
+  ].filter(Boolean);
+
+  const body = [tags.join(" · ")];
+  if (finding.rationale) body.push(finding.rationale.trim());
+  const excerpt = renderExcerpt(finding.location, report.generatedAt);
+  if (excerpt) body.push(excerpt);
+  if (finding.suggestion) {
+    const suggestion = redactSecrets(finding.suggestion.trim(), createRedactionMap()).code;
+    body.push(`**Suggested fix**`, suggestion.includes("\n") ? fence(suggestion, "js") : suggestion);
+  }
+
+  return `<details>\n<summary>${summary}</summary>\n\n${body.join("\n\n")}\n\n</details>`;
+}
+
+/**
+ * Lines of the finding with a little context, the flagged ones marked with ">"
+ */
+function renderExcerpt(location, generatedAt) {
+  if (!location?.line) return "";
+  const absolute = path.resolve(location.file);
+  if (!fs.existsSync(absolute)) return "";
+
+  const lines = fs.readFileSync(absolute, "utf8").split("\n");
+  const endLine = location.endLine || location.line;
+  const start = Math.max(1, location.line - EXCERPT_CONTEXT);
+  const end = Math.min(lines.length, endLine + EXCERPT_CONTEXT);
+  if (end < start) return "";
+
+  const excerpt = redactSecrets(lines.slice(start - 1, end).join("\n"), createRedactionMap()).code.split("\n");
+  const width = String(end).length;
+  const numbered = excerpt.map((text, i) => {
+    const line = start + i;
+    const flagged = line >= location.line && line <= endLine;
+    return `${flagged ? ">" : " "} ${String(line).padStart(width)} | ${text}`;
+  });
+  const changed = generatedAt && fs.statSync(absolute).mtime > new Date(generatedAt);
+  return `${fence(numbered.join("\n"), "js")}${changed ? "\n_The file changed after this review; lines may have moved._" : ""}`;
+}
+
+function renderRouterReports(routerReports) {
+  const findings = routerReports.flatMap((r) => (r.findings || []).map((f) => ({ ...f, router: r.router?.name || "app" })));
+  if (findings.length === 0) return "";
+
+  return [
+    `### Router reviews`,
+    ...findings.map((f) => {
+      const body = [
+        `**Router:** ${code(f.router)} · **Category:** ${f.category}${f.endpoints?.length ? ` · **Endpoints:** ${f.endpoints.map(code).join(", ")}` : ""}`,
+        f.description,
+        ...(f.suggested_fix ? [`**Suggested fix**`, f.suggested_fix] : []),
+      ];
+      return `\n<details>\n<summary>${SEVERITY_ICONS[f.severity]} <b>${f.severity}</b> · ${escapeHtml(f.title)}</summary>\n\n${body.join("\n\n")}\n\n</details>`;
+    }),
+  ].join("\n");
+}
+
+function renderProblems(run) {
+  const problems = [
+    ...(run.failures || []).map((f) => `- [${f.stage}] ${code(f.endpoint)}: ${oneLine(f.error)}`),
+    ...(run.skipped || []).map((s) => `- [skipped] ${code(s.endpoint)}: ${oneLine(s.reason)}`),
+  ];
+  if (problems.length === 0) return "";
+  return `### Failures\n\n${problems.join("\n")}`;
+}
+
+function profileOf(run) {
+  return run.template?.id || run.mode || "performance";
+}
+
+function endpointName(report) {
+  const ep = report.endpoint || {};
+  return `${(ep.method || "?").toUpperCase()} ${ep.path || "?"}`;
+}
+
+function countBySeverity(findings) {
+  const counts = Object.fromEntries(SEVERITIES.map((s) => [s, 0]));
+  findings.forEach((f) => counts[f.severity]++);
+  return counts;
+}
+
+/**
+ * Inline code that survives backticks in the text
+ */
+function code(text) {
+  const value = oneLine(text);
+  const ticks = "`".repeat(Math.max(0, ...(value.match(/`+/g) || []).map((run) => run.length)) + 1);
+  return ticks.length > 1 ? `${ticks} ${value} ${ticks}` : `\`${value}\``;
+}
+
+/**
+ * Code block whose fence is longer than any backtick run inside it
+ */
+function fence(text, lang) {
+  const ticks = "`".repeat(Math.max(3, ...(text.match(/`+/g) || []).map((run) => run.length + 1)));
+  return `${ticks}${lang}\n${text}\n${ticks}`;
+}
+
+function oneLine(text) {
+  return String(text ?? "").replace(/\s*\n\s*/g, " ");
+}
+
+// pipes end a table cell, even inside inline code
+function cell(text) {
+  return text.replace(/\|/g, "\\|");
+}
+
+function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
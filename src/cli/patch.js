@@ -0,0 +1,168 @@
+/**
+ * ---------------------------------------------------------
+ * Patches
+ * ---------------------------------------------------------
+ * Purpose:
+ *   - Line diff of a file before/after a fix, cut into hunks
+ *     with a few lines of context
+ *   - Render accepted hunks as a unified diff (git apply / patch -p1)
+ *   - Rebuild a file from the original and the accepted hunks,
+ *     so rejected hunks are left out when a fix is applied
+ * ---------------------------------------------------------
+ */
+
+export const CONTEXT_LINES = 3;
+
+/**
+ * Hunks turning `before` into `after`
+ * @param {string} before
+ * @param {string} after
+ * @param {number} [context=CONTEXT_LINES]
+ * @returns {Array<Object>} [{ oldStart, oldLines, newStart, newLines, lines: [" x", "-y", "+z"] }]
+ */
+export function diffHunks(before, after, context = CONTEXT_LINES) {
+  const a = splitLines(before);
+  const b = splitLines(after);
+  const ops = diffLines(a, b);
+
+  // [index in ops of each change]
+  const changed = ops.map((op, i) => (op.type === " " ? -1 : i)).filter((i) => i >= 0);
+  if (changed.length === 0) return [];
+
+  // changes closer than 2 × context share a hunk
+  const groups = [];
+  for (const i of changed) {
+    const last = groups[groups.length - 1];
+    if (last && i - last.end <= context * 2 + 1) last.end = i;
+    else groups.push({ start: i, end: i });
+  }
+
+  return groups.map(({ start, end }) => {
+    const from = Math.max(0, start - context);
+    const to = Math.min(ops.length - 1, end + context);
+    const slice = ops.slice(from, to + 1);
+    const first = ops[from];
+    const lines = slice.map((op) => `${op.type}${op.line}`);
+
+    return {
+      oldStart: first.a + 1,
+      oldLines: slice.filter((op) => op.type !== "+").length,
+      newStart: first.b + 1,
+      newLines: slice.filter((op) => op.type !== "-").length,
+      lines,
+      // the hunk touches the last line of a file without a final newline
+      noNewlineAtEnd: to === ops.length - 1 && !before.endsWith("\n"),
+    };
+  });
+}
+
+/**
+ * Unified diff of one file
+ * @param {string} file - path shown in the headers (relative, "/" separated)
+ * @param {Array<Object>} hunks - from diffHunks() (only the accepted ones)
+ * @returns {string} patch text ("" without hunks)
+ */
+export function formatPatch(file, hunks) {
+  if (hunks.length === 0) return "";
+
+  const out = [`--- a/${file}`, `+++ b/${file}`];
+  hunks.forEach((h) => {
+    out.push(`@@ -${range(h.oldStart, h.oldLines)} +${range(h.newStart, h.newLines)} @@`, ...h.lines);
+    if (h.noNewlineAtEnd) out.push("\\ No newline at end of file");
+  });
+  return `${out.join("\n")}\n`;
+}
+
+/**
+ * Apply some hunks of a diff to the original text
+ * @param {string} before - the text diffHunks() started from
+ * @param {Array<Object>} hunks - accepted hunks, in file order
+ * @returns {string}
+ */
+export function applyHunks(before, hunks) {
+  const a = splitLines(before);
+  const out = [];
+  let cursor = 0;
+
+  hunks.forEach((h) => {
+    out.push(...a.slice(cursor, h.oldStart - 1));
+    h.lines.forEach((line) => {
+      if (line[0] !== "-") out.push(line.slice(1));
+    });
+    cursor = h.oldStart - 1 + h.oldLines;
+  });
+  out.push(...a.slice(cursor));
+
+  return out.join("\n") + (before.endsWith("\n") ? "\n" : "");
+}
+
+/**
+ * Colored hunk for the terminal
+ * @param {Object} hunk
+ * @returns {string}
+ */
+export function renderHunk(hunk) {
+  const color = { "+": "\x1b[32m", "-": "\x1b[31m" };
+  return [
+    `\x1b[36m@@ -${range(hunk.oldStart, hunk.oldLines)} +${range(hunk.newStart, hunk.newLines)} @@\x1b[0m`,
+    ...hunk.lines.map((line) => (color[line[0]] ? `${color[line[0]]}${line}\x1b[0m` : line)),
+  ].join("\n");
+}
+
+function range(start, count) {
+  // an empty side starts at the line before it (diff convention)
+  return count === 1 ? `${start}` : `${count === 0 ? start - 1 : start},${count}`;
+}
+
+function splitLines(text) {
+  return (text.endsWith("\n") ? text.slice(0, -1) : text).split("\n");
+}
+
+/**
+ * LCS line diff. Fixes change one function of a file, so the common
+ * head and tail are skipped first and the table stays small.
+ * @returns {Array<Object>} [{ type: " " | "-" | "+", line, a, b }] (a/b: 0-based line in each side)
+ */
+function diffLines(a, b) {
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) head++;
+  let tail = 0;
+  while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail++;
+
+  const midA = a.slice(head, a.length - tail);
+  const midB = b.slice(head, b.length - tail);
+  const n = midA.length;
+  const m = midB.length;
+
+  // lcs[i][j]: LCS length of midA[i..] and midB[j..]
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  for (let k = 0; k < head; k++) ops.push({ type: " ", line: a[k], a: k, b: k });
+
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && midA[i] === midB[j]) {
+      ops.push({ type: " ", line: midA[i], a: head + i, b: head + j });
+      i++;
+      j++;
+    } else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push({ type: "-", line: midA[i], a: head + i, b: head + j });
+      i++;
+    } else {
+      ops.push({ type: "+", line: midB[j], a: head + i, b: head + j });
+      j++;
+    }
+  }
+
+  for (let k = tail; k > 0; k--) {
+    ops.push({ type: " ", line: a[a.length - k], a: a.length - k, b: b.length - k });
+  }
+  return ops;
+}
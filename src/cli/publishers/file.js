@@ -0,0 +1,56 @@
+/**
+ * ---------------------------------------------------------
+ * File Publisher
+ * ---------------------------------------------------------
+ * Purpose:
+ *   - Stand-in for a code host when trying out or testing the
+ *     PR comment flow: the comments of one pretend pull request
+ *     are kept in a JSON file
+ *       { comments: [{ id, body, createdAt, updatedAt }] }
+ *   - Update the comment holding the marker in place, like a bot
+ *     editing its own comment, else append a new one
+ *
+ * Options (config.publish.publishers.file):
+ *   { path = "src/ai_reports/pr-comments.json" }
+ * ---------------------------------------------------------
+ */
+
+import fs from "fs";
+import path from "path";
+
+export const DEFAULT_COMMENTS_FILE = "src/ai_reports/pr-comments.json";
+
+export default {
+  id: "file",
+  description: "Comments of a pretend pull request in a JSON file (for testing)",
+
+  create(options = {}) {
+    const file = path.resolve(options.path || DEFAULT_COMMENTS_FILE);
+
+    return {
+      async publish({ marker, body }) {
+        const thread = readThread(file);
+        const now = new Date().toISOString();
+        let comment = thread.comments.find((c) => c.body.includes(marker));
+        const action = comment ? "updated" : "created";
+
+        if (comment) {
+          Object.assign(comment, { body, updatedAt: now });
+        } else {
+          comment = { id: Math.max(0, ...thread.comments.map((c) => c.id)) + 1, body, createdAt: now, updatedAt: now };
+          thread.comments.push(comment);
+        }
+
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(thread, null, 2), "utf8");
+        return { action, location: `${file}#comment-${comment.id}` };
+      },
+    };
+  },
+};
+
+function readThread(file) {
+  if (!fs.existsSync(file)) return { comments: [] };
+  const thread = JSON.parse(fs.readFileSync(file, "utf8"));
+  return Array.isArray(thread?.comments) ? thread : { comments: [] };
+}
@@ -0,0 +1,80 @@
+/**
+ * ---------------------------------------------------------
+ * Comment Publishers
+ * ---------------------------------------------------------
+ * Purpose:
+ *   - Post the markdown review (../markdown-report.js) where a
+ *     pull request shows it, independent of any one code host
+ *   - Register the built-in stand-in (file) and create
+ *     publishers from config.publish.publishers.<id>
+ *   - Load other publishers (a code host's API, a chat webhook)
+ *     from the module named in their config:
+ *       "publish": { "publishers": { "github": { "module": "./tools/github-publisher.js", ... } } }
+ *     (path relative to the working directory, or a package name;
+ *     its default export is the publisher). Scripts can call
+ *     registerPublisher() instead.
+ *
+ * Publishers are plain objects:
+ *   { id, description, create(options) → { publish(comment) } }
+ * where publish({ marker, body }) updates the comment that contains
+ * `marker` or posts a new one, and resolves to
+ * { action: "created"|"updated", location } (location: URL or path).
+ * ---------------------------------------------------------
+ */
+
+import path from "path";
+import url from "url";
+import file from "./file.js";
+import { loadReviewerConfig } from "../../config/reviewer.js";
+
+const PUBLISHERS = new Map([file].map((p) => [p.id, p]));
+
+/**
+ * Add (or replace) a publisher
+ * @param {Object} publisher - { id, description, create(options) }
+ */
+export function registerPublisher(publisher) {
+  if (!publisher?.id || typeof publisher.create !== "function") {
+    throw new Error("A comment publisher needs an id and a create(options) function");
+  }
+  PUBLISHERS.set(publisher.id, publisher);
+}
+
+/**
+ * Ids of every registered publisher and of those configured with a module
+ * @returns {Array<string>}
+ */
+export function listPublishers() {
+  const configured = Object.entries(loadReviewerConfig().publish.publishers)
+    .filter(([, options]) => options?.module)
+    .map(([id]) => id);
+  return [...new Set([...PUBLISHERS.keys(), ...configured])];
+}
+
+/**
+ * Publisher instance configured from config.publish.publishers.<id>,
+ * loading its module first when it isn't registered yet
+ * @param {string} id
+ * @returns {Promise<Object>} - { id, publish(comment) }
+ */
+export async function getPublisher(id) {
+  const options = loadReviewerConfig().publish.publishers[id] || {};
+  if (!PUBLISHERS.has(id) && options.module) {
+    registerPublisher({ ...(await loadModule(options.module)), id });
+  }
+
+  const publisher = PUBLISHERS.get(id);
+  if (!publisher) {
+    throw new Error(`Unknown comment publisher "${id}" (expected ${listPublishers().join(" | ")})`);
+  }
+  return { id, ...publisher.create(options) };
+}
+
+/**
+ * Default export of a publisher module: a file path or a package name
+ */
+async function loadModule(specifier) {
+  const local = specifier.startsWith(".") || path.isAbsolute(specifier);
+  const mod = await import(local ? url.pathToFileURL(path.resolve(specifier)).href : specifier);
+  return mod.default || mod;
+}
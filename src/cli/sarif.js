@@ -0,0 +1,175 @@
+/**
+ * ---------------------------------------------------------
+ * SARIF Export
+ * ---------------------------------------------------------
+ * Purpose:
+ *   - Turn a review run into a SARIF 2.1.0 log for GitHub code
+ *     scanning and other SARIF consumers
+ *   - One result per finding (AI and static), one rule per stable
+ *     rule id: static rule ids as they are, AI findings as
+ *     "ai/<category>" unless they confirm a static rule, router
+ *     findings as "ai-router/<category>"
+ *   - Paths relative to the repository root; partial fingerprints
+ *     (genai/findings.js) let consumers match results across runs
+ * ---------------------------------------------------------
+ */
+
+import fs from "fs";
+import path from "path";
+import url from "url";
+import { collectFindings, findingRuleId, fingerprintRouterFindings } from "../genai/findings.js";
+import { RULE_PACKS } from "../analyzer/rules/index.js";
+import { repoRoot } from "./git.js";
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+
+export const SARIF_SCHEMA = "https://json.schemastore.org/sarif-2.1.0.json";
+const FINGERPRINT_KEY = "aiReviewFingerprint/v1";
+const LEVELS = { high: "error", medium: "warning", low: "note" };
+// GitHub ranks security results by this score (0-10)
+const SECURITY_SEVERITY = { high: "8.0", medium: "5.5", low: "3.0" };
+
+/**
+ * Build the SARIF log of a review run
+ * @param {Object} run - from loadRun() or the review command
+ * @param {Object} [options]
+ * @param {string} [options.root] - repository root paths are made relative to (git top level, else cwd)
+ * @returns {Object} SARIF log
+ */
+export function buildSarif(run, { root = repoRoot() || process.cwd() } = {}) {
+  const rules = new Map(); // id → reportingDescriptor
+  const staticRules = new Map(Object.values(RULE_PACKS).flat().map((rule) => [rule.id, rule]));
+  const results = [];
+
+  const ruleIndex = (finding, id) => {
+    if (!rules.has(id)) rules.set(id, describeRule(id, finding, staticRules.get(id)));
+    return [...rules.keys()].indexOf(id);
+  };
+
+  for (const report of run.reports || []) {
+    const ep = report.endpoint || {};
+    for (const finding of collectFindings(report)) {
+      const ruleId = findingRuleId(finding);
+      const where = finding.location;
+      // results need a place in the code; issues without a line point at the handler
+      const line = where?.line || report.handlerLocation?.line || null;
+
+      results.push({
+        ruleId,
+        ruleIndex: ruleIndex(finding, ruleId),
+        level: LEVELS[finding.severity],
+        message: { text: messageText(finding) },
+        locations: where ? [physicalLocation(where.file, root, where.line ? where : line ? { line } : null)] : [],
+        partialFingerprints: { [FINGERPRINT_KEY]: finding.fingerprint },
+        properties: {
+          source: finding.source === "static" ? "static-rule" : "ai",
+          endpoint: `${(ep.method || "?").toUpperCase()} ${ep.path || "?"}`,
+          handler: ep.handler || null,
+          ...(finding.confidence !== null ? { confidence: finding.confidence } : {}),
+          ...(finding.cwe ? { cwe: finding.cwe } : {}),
+        },
+      });
+    }
+  }
+
+  for (const report of run.routerReports || []) {
+    if (!report.router?.file) continue;
+    fingerprintRouterFindings(report).forEach((f) => {
+      const ruleId = `ai-router/${f.category}`;
+      const finding = { category: f.category, severity: f.severity, message: f.title };
+      results.push({
+        ruleId,
+        ruleIndex: ruleIndex(finding, ruleId),
+        level: LEVELS[f.severity],
+        message: { text: `${f.title}: ${f.description}${f.suggested_fix ? `\nFix: ${f.suggested_fix}` : ""}` },
+        locations: [physicalLocation(report.router.file, root, { line: 1 })],
+        partialFingerprints: { [FINGERPRINT_KEY]: f.fingerprint },
+        properties: { source: "ai-router", endpoints: f.endpoints || [] },
+      });
+    });
+  }
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: "2.1.0",
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: "ai-review",
+            version: toolVersion(),
+            rules: [...rules.values()],
+          },
+        },
+        // the part before the last "/" is the category consumers track alerts by
+        automationDetails: { id: `ai-review/${run.template?.id || run.mode || "performance"}/${run.runId}` },
+        invocations: [
+          {
+            executionSuccessful: !(run.failures || []).length,
+            ...(run.startedAt ? { startTimeUtc: run.startedAt } : {}),
+            ...(run.finishedAt ? { endTimeUtc: run.finishedAt } : {}),
+          },
+        ],
+        results,
+      },
+    ],
+  };
+}
+
+function describeRule(id, finding, rule) {
+  const category = rule?.category || finding.category;
+  const severity = rule?.severity || finding.severity;
+  const tags = [category, ...(rule?.cwe ? [`external/cwe/${rule.cwe.toLowerCase()}`] : [])];
+  const text = rule
+    ? rule.description
+    : id.startsWith("ai-router/")
+      ? `Cross-endpoint ${category} finding of the AI router review`
+      : `${category} issue found by the AI review`;
+
+  return {
+    id,
+    name: id.replace(/[^A-Za-z0-9]+(.)?/g, (_, c) => (c ? c.toUpperCase() : "")),
+    shortDescription: { text },
+    defaultConfiguration: { level: LEVELS[severity] },
+    properties: {
+      tags,
+      ...(category === "security" ? { "security-severity": SECURITY_SEVERITY[severity] } : {}),
+    },
+  };
+}
+
+function messageText(finding) {
+  return [finding.message, finding.rationale, finding.suggestion ? `Fix: ${finding.suggestion}` : null]
+    .filter(Boolean)
+    .join("\n");
+}
+
+/**
+ * artifactLocation relative to the repository root, plus the region when known
+ */
+function physicalLocation(file, root, region) {
+  const uri = path.relative(root, path.resolve(file)).split(path.sep).join("/");
+  return {
+    physicalLocation: {
+      artifactLocation: { uri, uriBaseId: "%SRCROOT%" },
+      ...(region?.line
+        ? {
+            region: {
+              startLine: region.line,
+              ...(region.column ? { startColumn: region.column } : {}),
+              ...(region.endLine ? { endLine: region.endLine } : {}),
+              ...(region.endColumn ? { endColumn: region.endColumn } : {}),
+            },
+          }
+        : {}),
+    },
+  };
+}
+
+function toolVersion() {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, "../../package.json"), "utf8")).version;
+  } catch {
+    return "0.0.0";
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * ---------------------------------------------------------
+ * Endpoint Selection
+ * ---------------------------------------------------------
+ * Purpose:
+ *   - Discover endpoints for the route files matched by --routes
+ *   - Narrow them with --endpoint / --all
+ *   - Fall back to an inquirer checkbox only in an interactive TTY
+ * ---------------------------------------------------------
+ */
+
+import fs from "fs";
+import path from "path";
+import inquirer from "inquirer";
+import { scanApp } from "../analyzer/route-reflector.js";
+import { discoverEndpoints, endpointLabel, DEFAULT_APP_ENTRY } from "../analyzer/index.js";
+import { findFiles } from "./glob.js";
+import { UsageError, isInteractive } from "./args.js";
+
+export const DEFAULT_ROUTES_GLOB = "src/routes/**/*.js";
+
+/**
+ * App entry of the project being reviewed: package.json "main" in cwd,
+ * falling back to this repo's src/index.js
+ * @param {string} [cwd=process.cwd()]
+ * @returns {string} absolute path
+ */
+export function resolveAppEntry(cwd = process.cwd()) {
+  const pkgPath = path.join(cwd, "package.json");
+  if (fs.existsSync(pkgPath)) {
+    try {
+      const { main } = JSON.parse(fs.readFileSync(pkgPath, "utf8"));
+      if (main && fs.existsSync(path.resolve(cwd, main))) return path.resolve(cwd, main);
+    } catch {
+      /* fall through to the default entry */
+    }
+  }
+  return DEFAULT_APP_ENTRY;
+}
+
+/**
+ * Discover endpoints in every route file matched by the glob
+ * @param {string} [routesGlob=DEFAULT_ROUTES_GLOB]
+ * @returns {Array} endpoints
+ */
+export function collectEndpoints(routesGlob = DEFAULT_ROUTES_GLOB) {
+  const files = findFiles(routesGlob);
+  if (files.length === 0) {
+    throw new UsageError(`No route files match --routes "${routesGlob}"`);
+  }
+
+  const appEndpoints = scanApp(resolveAppEntry());
+  return files.flatMap((file) => discoverEndpoints(file, { appEndpoints }));
+}
+
+/**
+ * Does an --endpoint spec match an endpoint?
+ * Accepts "GET /api/v1/users/:id", "GET /:id" (router-local) or "getUser".
+ */
+export function matchesEndpointSpec(endpoint, spec) {
+  const trimmed = spec.trim();
+  const match = trimmed.match(/^([A-Za-z]+)\s+(\S+)$/);
+
+  if (!match) return endpoint.handler === trimmed;
+
+  const [, method, routePath] = match;
+  return (
+    endpoint.method.toUpperCase() === method.toUpperCase() &&
+    (endpoint.fullPath === routePath || endpoint.path === routePath)
+  );
+}
+
+/**
+ * Pick the endpoints to work on from flags, or interactively as a fallback
+ * @param {Array} endpoints - discovered endpoints
+ * (--yes only answers confirmations, it never selects endpoints)
+ * @param {Object} flags - { endpoint, all }
+ * @returns {Promise<Array>} selected endpoints
+ */
+export async function selectEndpoints(endpoints, flags) {
+  if (endpoints.length === 0) return [];
+
+  if (flags.all) return endpoints;
+
+  if (flags.endpoint?.length) {
+    const selected = [];
+    for (const spec of flags.endpoint) {
+      const matched = endpoints.filter((ep) => matchesEndpointSpec(ep, spec));
+      if (matched.length === 0) {
+        throw new UsageError(`--endpoint "${spec}" did not match any discovered endpoint`);
+      }
+      matched.forEach((ep) => {
+        if (!selected.includes(ep)) selected.push(ep);
+      });
+    }
+    return selected;
+  }
+
+  if (isInteractive()) {
+    const { selectedEndpoints } = await inquirer.prompt([
+      {
+        type: "checkbox",
+        name: "selectedEndpoints",
+        message: "🧠 Select which endpoints to analyze:",
+        choices: endpoints.map(endpointLabel),
+        pageSize: 10,
+        validate: (input) => input.length > 0 || "Select at least one endpoint to analyze.",
+      },
+    ]);
+    return endpoints.filter((ep) => selectedEndpoints.includes(endpointLabel(ep)));
+  }
+
+  throw new UsageError("Not running in a terminal: pass --endpoint <spec> or --all to select endpoints (--yes only skips confirmations)");
+}
+
+/**
+ * Ask for confirmation before an expensive step, unless --yes or non-interactive
+ * @param {string} message
+ * @param {Object} flags - { yes }
+ * @returns {Promise<boolean>}
+ */
+export async function confirmStep(message, flags) {
+  if (flags.yes || !isInteractive()) return true;
+
+  const { proceed } = await inquirer.prompt([
+    { type: "confirm", name: "proceed", message, default: true },
+  ]);
+  return proceed;
+}
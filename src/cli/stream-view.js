@@ -0,0 +1,122 @@
+/**
+ * ---------------------------------------------------------
+ * Stream View
+ * ---------------------------------------------------------
+ * Purpose:
+ *   - Show streamed reviews live in the terminal: each issue
+ *     (or router finding) is printed as soon as it is parsed
+ *   - Keep one status line at the bottom with a spinner, the
+ *     reviews in flight, what they received and their elapsed time
+ *
+ * While the view runs, console output is printed above the status
+ * line. Without a terminal (pipes, CI) the view is off and replies
+ * are not streamed.
+ * ---------------------------------------------------------
+ */
+
+const FRAMES = ["⠋", "⠙", "⠹", "⠸", "⠼", "⠴", "⠦", "⠧", "⠇", "⠏"];
+const TICK_MS = 100;
+
+/**
+ * @param {Object} [options]
+ * @param {boolean} [options.enabled=true] - config.llm.stream and no --no-stream
+ * @param {Object} [options.output=process.stdout]
+ * @returns {Object} { enabled, track(label), done(label), stop() }
+ *   track() returns the onStream callback for analyzeEndpoint()/analyzeRouter(), or null when off
+ */
+export function createStreamView({ enabled = true, output = process.stdout } = {}) {
+  if (!enabled || !output.isTTY || process.env.CI) {
+    return { enabled: false, track: () => null, done() {}, stop() {} };
+  }
+
+  const active = new Map(); // label → { startedAt, received, items }
+  const original = { log: console.log, warn: console.warn, error: console.error };
+  let frame = 0;
+  let shown = false;
+  let timer = null;
+
+  const clear = () => {
+    if (shown) output.write("\r\x1b[K");
+    shown = false;
+  };
+  const draw = () => {
+    if (active.size === 0) return;
+    const now = Date.now();
+    const parts = [...active].map(
+      ([label, s]) => `${label} ${formatChars(s.received)}, ${s.items} item(s), ${((now - s.startedAt) / 1000).toFixed(1)}s`
+    );
+    const line = `${FRAMES[frame % FRAMES.length]} Streaming ${parts.join(" · ")}`;
+    output.write(line.length > (output.columns || 80) - 1 ? `${line.slice(0, (output.columns || 80) - 2)}…` : line);
+    shown = true;
+  };
+  const print = (text) => {
+    clear();
+    original.log(text);
+    draw();
+  };
+
+  const start = () => {
+    if (timer) return;
+    for (const name of Object.keys(original)) {
+      console[name] = (...args) => {
+        clear();
+        original[name](...args);
+        draw();
+      };
+    }
+    timer = setInterval(() => {
+      frame++;
+      clear();
+      draw();
+    }, TICK_MS);
+    timer.unref();
+  };
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+    clear();
+    Object.assign(console, original);
+  };
+
+  return {
+    enabled: true,
+
+    track(label) {
+      return (event) => {
+        if (!active.has(label)) active.set(label, { startedAt: Date.now(), received: 0, items: 0 });
+        const state = active.get(label);
+        start();
+
+        if (event.type === "attempt" && event.attempt > 1) {
+          print(`   ↻ ${label}: asking again, the items above may change`);
+          state.received = 0;
+        } else if (event.type === "text") {
+          state.received = event.received;
+        } else if (event.type === "item") {
+          state.items++;
+          print(`   ↳ ${label}: ${describeItem(event.value)}`);
+        }
+      };
+    },
+
+    done(label) {
+      active.delete(label);
+      if (active.size === 0) stop();
+    },
+
+    stop,
+  };
+}
+
+/**
+ * One line for a streamed issue (REVIEW_SCHEMA) or router finding
+ */
+function describeItem(item) {
+  const tags = [item.severity, item.category, item.cwe].filter(Boolean).join(", ");
+  const text = item.title ? `${item.title}: ${item.description}` : item.description;
+  return `${tags ? `[${tags}] ` : ""}${text || JSON.stringify(item)}${item.line ? ` (line ${item.line})` : ""}`;
+}
+
+function formatChars(n) {
+  return n >= 1000 ? `${(n / 1000).toFixed(1)}k chars` : `${n} chars`;
+}
@@ -0,0 +1,187 @@
+// config/reviewer.js
+import fs from "fs";
+import path from "path";
+
+/**
+ * Reviewer settings. Every key can be overridden from an
+ * ai-review.config.json file in the working directory.
+ */
+const DEFAULTS = {
+  context: {
+    // total characters of model/helper summaries added to one payload
+    maxChars: 3000,
+    maxModels: 4,
+    maxHelpers: 4,
+    // max characters of a single helper function body
+    maxHelperChars: 800,
+  },
+  // review profile (analysis mode) used when --mode is not given
+  mode: "performance",
+  rules: {
+    // rule packs from src/analyzer/rules run in each analysis mode; profiles not listed run none
+    modes: {
+      performance: ["performance", "schema"],
+      security: ["security"],
+      maintainability: [],
+      "api-design": [],
+      "error-handling": [],
+    },
+    // rule ids to skip, e.g. ["perf/missing-lean"]
+    disabled: [],
+  },
+  llm: {
+    // backend used when --provider is not given: gemini | openai | local | mock
+    provider: "gemini",
+    // rpm / tpm: requests and tokens per minute allowed by the provider (0 = unlimited)
+    providers: {
+      gemini: { apiKeyEnv: "GEMINI_API_KEY", model: "gemini-2.5-flash", rpm: 10, tpm: 250000 },
+      openai: { apiKeyEnv: "OPENAI_API_KEY", model: "gpt-4o-mini", rpm: 500, tpm: 200000 },
+      // any OpenAI-compatible server, e.g. Ollama or llama.cpp
+      local: { baseURL: "http://localhost:11434/v1", apiKeyEnv: "LOCAL_LLM_API_KEY", model: "llama3.1", rpm: 0, tpm: 0 },
+      // replays recorded replies; strict: fail on prompts without a recording
+      mock: { dir: "src/mock_data/replays", model: "mock", strict: false, streamDelayMs: 0 },
+    },
+    temperature: 0.3,
+    maxOutputTokens: 2048,
+    // re-asks with the validation errors when a reply doesn't match the review schema
+    repairAttempts: 1,
+    // save every reply under providers.mock.dir so it can be replayed offline
+    record: false,
+    // stream replies and show issues as they arrive when running in a terminal (also --no-stream)
+    stream: true,
+    // endpoints reviewed at the same time
+    concurrency: 4,
+    // per review run, 0 = unlimited; remaining endpoints are skipped once reached
+    budget: { maxTokens: 0, maxCost: 0 },
+    // USD per 1M input / output tokens, used for budgets and cost reports
+    pricing: {
+      "gemini-2.5-flash": { input: 0.3, output: 2.5 },
+      "gemini-2.5-pro": { input: 1.25, output: 10 },
+      "gpt-4o": { input: 2.5, output: 10 },
+      "gpt-4o-mini": { input: 0.15, output: 0.6 },
+      // replayed replies cost nothing
+      mock: { input: 0, output: 0 },
+    },
+  },
+  holistic: {
+    // after the per-endpoint reviews, review each router as a whole (also --holistic)
+    enabled: false,
+    // "router": one review per route file, "app": one for every selected endpoint
+    scope: "router",
+    // routers with fewer selected endpoints are skipped
+    minEndpoints: 2,
+  },
+  ensemble: {
+    // replies per provider (also --samples); more than one reply in total turns the ensemble on
+    samples: 1,
+    // "id" or "id/model" entries reviewing every endpoint (also --ensemble), default: the run's provider
+    providers: [],
+    // share of replies an issue needs to stay in the report; the rest are disagreements (also --min-confidence)
+    minConfidence: 0.5,
+    // 0-1, how alike two issues' wording/line must be to count as the same issue
+    similarity: 0.5,
+  },
+  baseline: {
+    // findings accepted so far, committed with the code (written by `ai-review baseline`, read by `diff`)
+    file: ".ai-review-baseline.json",
+    // `diff` exits with 1 when a new finding is at or above this severity (also --fail-on), null = never
+    failOn: null,
+  },
+  publish: {
+    // options per PR comment publisher (`report markdown --publish <id>`), see src/cli/publishers;
+    // other publishers name the module exporting them: { "<id>": { "module": "./my-publisher.js", ... } }
+    publishers: {
+      // stand-in for a code host: the comments of a pretend pull request in a JSON file
+      file: { path: "src/ai_reports/pr-comments.json" },
+    },
+  },
+  prompts: {
+    // folder of extra or overriding profile templates (<id>.v<version>.md), see src/genai/prompts
+    dir: null,
+    // profile id → template version, e.g. { "security": 1 } (default: newest)
+    pin: {},
+    // house conventions added to every prompt, e.g. ["Controllers never call Mongoose directly"]
+    conventions: [],
+    // text/markdown file with more conventions
+    conventionsFile: null,
+  },
+  cache: {
+    // reuse replies for unchanged handlers (same prompts, template version, provider and model)
+    enabled: true,
+    dir: ".ai-review-cache",
+    // entries older than this are misses (0 = never expire)
+    ttlHours: 168,
+    // least recently used entries are removed past these limits
+    maxEntries: 500,
+    maxMB: 50,
+  },
+  limits: {
+    // context window (tokens) per model id; other models use "default"
+    contextTokens: {
+      default: 32000,
+      "gemini-2.5-flash": 1000000,
+      "gemini-2.5-pro": 1000000,
+      "gpt-4o": 128000,
+      "gpt-4o-mini": 128000,
+    },
+    // share of the context window handler code may use, capped at maxCodeChars
+    codeShare: 0.25,
+    maxCodeChars: 12000,
+    // handlers over budget × chunkFactor are split into chunks instead of elided
+    chunkFactor: 2,
+    // string literals longer than this are shortened
+    maxLiteralChars: 200,
+  },
+  secrets: {
+    // values never redacted: exact strings or "/regex/flags"
+    allowlist: [],
+    // detector ids to skip, e.g. ["entropy"]
+    disabled: [],
+    // extra detectors: [{ id, pattern, flags?, description? }], group 1 (or the match) is redacted
+    patterns: [],
+    // options of the entropy detector; hex tokens need hexMinLength so 24-char ObjectIds stay visible
+    entropy: { minLength: 20, hexMinLength: 32, base64Threshold: 4.0, hexThreshold: 3.0 },
+  },
+};
+
+const CONFIG_FILE = "ai-review.config.json";
+
+let cached = null;
+
+/**
+ * Load reviewer config (defaults deep-merged with ai-review.config.json)
+ * @param {Object} [options]
+ * @param {string} [options.cwd=process.cwd()] - where to look for the config file
+ * @param {boolean} [options.reload=false] - bypass the in-memory cache
+ * @returns {Object} config
+ */
+export function loadReviewerConfig({ cwd = process.cwd(), reload = false } = {}) {
+  if (cached && !reload) return cached;
+
+  const filePath = path.join(cwd, CONFIG_FILE);
+  let fileConfig = {};
+
+  if (fs.existsSync(filePath)) {
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (err) {
+      console.warn(`⚠️ Ignoring invalid ${CONFIG_FILE}:`, err.message);
+    }
+  }
+
+  cached = deepMerge(DEFAULTS, fileConfig);
+  return cached;
+}
+
+function deepMerge(base, override) {
+  const out = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    const isObject = value && typeof value === "object" && !Array.isArray(value);
+    out[key] = isObject && base[key] && typeof base[key] === "object"
+      ? deepMerge(base[key], value)
+      : value;
+  }
+  return out;
+}
+
+export default loadReviewerConfig;
@@ -2,9 +2,10 @@
  * src/genai/adapter.js
  *
  * Purpose:
- *  - Parse Gemini's raw API responses into clean structured data.
- *  - Extract JSON even if wrapped in markdown or text.
- *  - Normalize the output so the rest of the app can easily use it.
+ *  - Parse raw model replies into clean structured data.
+ *  - Extract the JSON object even if wrapped in markdown or text.
+ *  - Validate it against the review schema (./review-schema.js)
+ *    instead of patching broken JSON.
  *
  * Input:
  *  The "raw" property returned from analyzeEndpoint()
@@ -12,138 +13,62 @@
  * Output:
  *  {
  *    summary: "...",
- *    issues: [...],
+ *    issues: [{ description, severity, category, line, rationale, suggested_fix, cwe, rule_id }],
  *    suggestions: [...],
  *    before_after: "...",
- *    notes: "..."
+ *    notes: "...",
+ *    difficulty, impact
  *  }
  */
 
+import { parseReviewJson, validateReview, REVIEW_SCHEMA } from "./review-schema.js";
+import { collectFindings, formatLocation } from "./findings.js";
 
-
-import { writeFileSync, mkdirSync } from "fs";
-import path from "path";
-
-export function cleanGeminiResponse(rawResponse) {
-  if (!rawResponse) return { error: "No response from Gemini" };
+/**
+ * Parse and validate a raw model reply
+ * @param {string|Object} rawResponse - reply text (or a saved Gemini SDK response)
+ * @param {Object} [schema=REVIEW_SCHEMA] - ROUTER_REVIEW_SCHEMA for router reviews
+ * @returns {Object} - the review, or { error, validationErrors?, extracted? }
+ */
+export function cleanGeminiResponse(rawResponse, schema = REVIEW_SCHEMA) {
+  if (!rawResponse) return { error: "No response from the model" };
 
   let text = rawResponse;
 
-  // 1️⃣ Parse outer Gemini wrapper if present
+  // 1️⃣ Unwrap a saved Gemini SDK response if that's what we got
   try {
     const obj = typeof rawResponse === "string" ? JSON.parse(rawResponse) : rawResponse;
     const maybeText =
       obj?.candidates?.[0]?.content?.parts?.[0]?.text ||
-      obj?.response?.candidates?.[0]?.content?.parts?.[0]?.text ||
-      obj?.candidates?.[0]?.content?.text;
+      obj?.response?.candidates?.[0]?.content?.parts?.[0]?.text;
     if (maybeText) text = maybeText;
   } catch {
-    /* ignore */
+    /* plain reply text */
   }
+  if (typeof text !== "string") text = JSON.stringify(text);
 
-  // 2️⃣ Unescape multiple layers
-  try {
-    let attempts = 0;
-    while (
-      typeof text === "string" &&
-      (text.includes("\\n") || text.includes("\\\"")) &&
-      attempts < 3
-    ) {
-      text = JSON.parse(`"${text}"`);
-      attempts++;
-    }
-  } catch {
-    /* ignore */
+  // 2️⃣ Parse the JSON object (no rewriting of its content)
+  const { value, error } = parseReviewJson(text);
+  if (error) {
+    console.warn("⚠️ Could not parse model JSON:", error);
+    return { error };
   }
 
-  // 3️⃣ Extract content inside ```json ... ```
-  let extracted = text;
-  const fenceMatch = text.match(/```json([\s\S]*?)```/i);
-  if (fenceMatch && fenceMatch[1]) extracted = fenceMatch[1];
-  else {
-    const start = text.indexOf("{");
-    const end = text.lastIndexOf("}");
-    if (start >= 0 && end > start) extracted = text.slice(start, end + 1);
+  // 3️⃣ Validate against the review schema
+  const validationErrors = validateReview(value, schema);
+  if (validationErrors.length) {
+    console.warn(`⚠️ Reply does not match the review schema: ${validationErrors[0]}`);
+    return { error: "Reply does not match the review schema", validationErrors, extracted: value };
   }
 
-  // 4️⃣ Cleanup
-  extracted = extracted
-    .replace(/```/g, "")
-    .replace(/json/gi, "")
-    .replace(/^[^\{]*\{/, "{")
-    .replace(/\}[^\}]*$/, "}")
-    .replace(/[\r\n\t]/g, " ")
-    .replace(/,\s*}/g, "}")
-    .replace(/,\s*\]/g, "]")
-    .trim();
-
-  // 5️⃣ Auto-close unbalanced brackets
-  const openBraces = (extracted.match(/\{/g) || []).length;
-  const closeBraces = (extracted.match(/\}/g) || []).length;
-  const openBrackets = (extracted.match(/\[/g) || []).length;
-  const closeBrackets = (extracted.match(/\]/g) || []).length;
-
-  let fix = extracted;
-  if (openBrackets > closeBrackets) fix += "]".repeat(openBrackets - closeBrackets);
-  if (openBraces > closeBraces) fix += "}".repeat(openBraces - closeBraces);
-
-  // 6️⃣ Parse JSON safely
-  let parsed;
-  try {
-    parsed = JSON.parse(fix);
-  } catch (err1) {
-    console.warn("⚠️ Could not parse Gemini JSON:", err1.message);
-    try {
-      const fixed = fix
-        .replace(/(['"])?([a-zA-Z0-9_]+)(['"])?:/g, '"$2":')
-        .replace(/:\s*'([^']*)'/g, ': "$1"')
-        .replace(/,\s*}/g, "}")
-        .replace(/,\s*\]/g, "]");
-      parsed = JSON.parse(fixed);
-    } catch (err2) {
-      console.warn("❌ Still invalid after deep fix:", err2.message);
-      dumpDebugFiles(rawResponse, fix);
-      return { error: "Invalid JSON (even after deep fix)", extracted: fix };
-    }
+  // 4️⃣ Code in before_after renders as plain code
+  if (typeof value.before_after === "string") {
+    value.before_after = value.before_after.replace(/```[a-z]*\n?/gi, "").trim();
   }
 
-if (typeof parsed.before_after === "string") {
-  // Unescape newlines and quotes so code block looks nice
-  parsed.before_after = parsed.before_after
-    .replace(/\\\\n/g, "\n")
-    .replace(/\\n/g, "\n")
-    .replace(/\\"/g, '"')
-    .replace(/```javascript/g, "")
-    .replace(/```/g, "")
-    .trim();
-}
-
-
-  // 7️⃣ Normalize output
-  return {
-    summary: parsed.summary || "No summary provided.",
-    issues: parsed.issues || [],
-    suggestions: parsed.suggestions || [],
-    before_after: parsed.before_after || null,
-    notes: parsed.notes || "No notes provided.",
-  };
-}
-
-function dumpDebugFiles(raw, extracted) {
-  try {
-    const dir = path.join(process.cwd(), "src", "logs");
-    mkdirSync(dir, { recursive: true });
-    writeFileSync(path.join(dir, "debug_last_response.json"), JSON.stringify({ raw, extracted }, null, 2));
-    console.log("🪶 Debug dump saved to src/logs/debug_last_response.json");
-  } catch {
-    /* ignore */
-  }
+  return value;
 }
 
-
-
-
-
 /**
  * Pretty-print adapter output in a readable way
  * (Optional helper for CLI output)
@@ -154,6 +79,12 @@ export function printAnalysisResult(result) {
 
   if (result.error) {
     console.log("❌ Error:", result.error);
+    (result.validationErrors || []).slice(0, 5).forEach((e) => console.log(`   • ${e}`));
+    // a reply that parsed but fails the schema is shown as is, never as findings
+    if (result.extracted !== undefined) {
+      console.log("\n↪ Reply as parsed (not validated):\n");
+      console.log(JSON.stringify(result.extracted, null, 2));
+    }
     console.log("──────────────────────────────\n");
     return;
   }
@@ -161,10 +92,26 @@ export function printAnalysisResult(result) {
   console.log("📋 Summary:", result.summary || "No summary");
 
   console.log("\n⚠️ Issues:");
-  (result.issues || []).forEach((i, idx) => {
-    const desc = typeof i === "string" ? i : i.description || JSON.stringify(i);
-    console.log(`  ${idx + 1}. ${desc}`);
-  });
+  collectFindings(result)
+    .filter((f) => f.source === "model")
+    .forEach((f, idx) => {
+      const tags = [f.severity, f.category, f.cwe].filter(Boolean);
+      if (f.confidence !== null) tags.push(`confidence ${f.confidence}`);
+      console.log(`  ${idx + 1}. [${tags.join(", ")}] ${describeFinding(f)}`);
+      if (f.suggestion) console.log(`     ↳ fix: ${f.suggestion}`);
+    });
+
+  if (result.consensus?.disagreements.length) {
+    console.log(`\n🤔 Disagreements (${result.consensus.members.length} ensemble replies, review by hand):`);
+    result.consensus.disagreements.forEach((d, idx) => {
+      const who =
+        d.kind === "severity"
+          ? Object.entries(d.severities).map(([severity, members]) => `${severity} by ${members.join(", ")}`).join("; ")
+          : `only ${d.members.join(", ")} (confidence ${d.confidence})`;
+      console.log(`  ${idx + 1}. [${d.issue.severity}, ${d.issue.category}] ${describeFinding(d.issue)}`);
+      console.log(`     ↳ ${d.kind === "severity" ? "rated " : ""}${who}`);
+    });
+  }
 
   console.log("\n💡 Suggestions:");
   (result.suggestions || []).forEach((s, idx) => {
@@ -177,6 +124,50 @@ export function printAnalysisResult(result) {
     console.log(result.before_after);
   }
 
+  if (result.difficulty || result.impact) {
+    console.log(`\n📈 Difficulty: ${result.difficulty || "n/a"}, impact: ${result.impact || "n/a"}`);
+  }
+
+  console.log("\n📝 Notes:", result.notes || "None");
+  console.log("──────────────────────────────\n");
+}
+
+/**
+ * "message (file:line:column)" for a finding
+ */
+function describeFinding(finding) {
+  const where = formatLocation(finding.location);
+  return `${finding.message}${where ? ` (${where})` : ""}`;
+}
+
+/**
+ * Pretty-print a router review (ROUTER_REVIEW_SCHEMA)
+ */
+export function printRouterResult(result) {
+  console.log(`\n🧩 Router review: ${result.router?.name || "app"} (${result.endpoints?.length || 0} endpoints)`);
+  console.log("──────────────────────────────");
+
+  if (result.error) {
+    console.log("❌ Error:", result.error);
+    (result.validationErrors || []).slice(0, 5).forEach((e) => console.log(`   • ${e}`));
+    console.log("──────────────────────────────\n");
+    return;
+  }
+
+  console.log("📋 Summary:", result.summary || "No summary");
+
+  console.log("\n🔗 Cross-cutting findings:");
+  (result.findings || []).forEach((f, idx) => {
+    console.log(`  ${idx + 1}. [${f.severity}, ${f.category}] ${f.title}: ${f.description}`);
+    if (f.endpoints?.length) console.log(`     ↳ endpoints: ${f.endpoints.join(", ")}`);
+    if (f.suggested_fix) console.log(`     ↳ fix: ${f.suggested_fix}`);
+  });
+
+  if (result.conventions?.length) {
+    console.log("\n📐 Conventions:");
+    result.conventions.forEach((c, idx) => console.log(`  ${idx + 1}. ${c}`));
+  }
+
   console.log("\n📝 Notes:", result.notes || "None");
   console.log("──────────────────────────────\n");
 }
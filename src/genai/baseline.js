@@ -0,0 +1,148 @@
+/**
+ * ---------------------------------------------------------
+ * Baselines & Run Diffs
+ * ---------------------------------------------------------
+ * Purpose:
+ *   - Record the findings a project has accepted so far in a
+ *     baseline file committed next to the code
+ *     (config.baseline.file, written by `ai-review baseline`)
+ *   - Compare a run with the baseline or with a previous run by
+ *     finding fingerprint (findings.js): every finding is new,
+ *     fixed or unchanged
+ *
+ * Baseline file:
+ *   { version, profile, runId, findings: [{ fingerprint, ruleId,
+ *     source, severity, category, message, file, line, endpoint,
+ *     handler }] }
+ *   sorted by file, line and fingerprint so that updates diff well.
+ * ---------------------------------------------------------
+ */
+
+import fs from "fs";
+import path from "path";
+import { collectFindings, findingRuleId, fingerprintRouterFindings } from "./findings.js";
+import { loadRun } from "./reporter.js";
+import { SEVERITIES } from "./review-schema.js";
+
+const BASELINE_VERSION = 1;
+
+/**
+ * Baseline entries for every finding of a run (endpoint and router reviews)
+ * @param {Object} run - from loadRun() or the review command
+ * @returns {Array<Object>} entries, see the file format above
+ */
+export function runEntries(run) {
+  const endpoints = (run.reports || []).flatMap((report) => {
+    const ep = report.endpoint || {};
+    return collectFindings(report).map((f) => ({
+      fingerprint: f.fingerprint,
+      ruleId: findingRuleId(f),
+      source: f.source,
+      severity: f.severity,
+      category: f.category,
+      message: f.message,
+      file: f.location?.file || null,
+      line: f.location?.line || null,
+      endpoint: `${(ep.method || "?").toUpperCase()} ${ep.path || "?"}`,
+      handler: ep.handler || null,
+    }));
+  });
+
+  const routers = (run.routerReports || []).flatMap((report) =>
+    fingerprintRouterFindings(report).map((f) => ({
+      fingerprint: f.fingerprint,
+      ruleId: `ai-router/${f.category}`,
+      source: "router",
+      severity: f.severity,
+      category: f.category,
+      message: f.title,
+      file: report.router?.file ? path.relative(process.cwd(), report.router.file).split(path.sep).join("/") : null,
+      line: null,
+      endpoint: report.router?.name || "app",
+      handler: null,
+    }))
+  );
+
+  // findings saved before fingerprints existed can't be matched across runs
+  return [...endpoints, ...routers].filter((entry) => entry.fingerprint);
+}
+
+/**
+ * Baseline of a run
+ * @param {Object} run
+ * @returns {Object} baseline (see the file format above)
+ */
+export function buildBaseline(run) {
+  const findings = runEntries(run).sort(
+    (a, b) =>
+      String(a.file).localeCompare(String(b.file)) || (a.line || 0) - (b.line || 0) || a.fingerprint.localeCompare(b.fingerprint)
+  );
+  return { version: BASELINE_VERSION, profile: profileOf(run), runId: run.runId, findings };
+}
+
+/**
+ * Write a baseline file
+ * @param {Object} baseline - from buildBaseline()
+ * @param {string} file
+ * @returns {string} path written
+ */
+export function saveBaseline(baseline, file) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(baseline, null, 2)}\n`, "utf8");
+  return file;
+}
+
+/**
+ * The findings to compare a run with: a baseline file, a run file, or
+ * the newest run in a folder other than the run being compared
+ * @param {string} target - baseline file, run file or reports folder
+ * @param {Object} [options]
+ * @param {string} [options.exclude] - file of the run being compared
+ * @returns {Object|null} { kind: "baseline"|"run", label, profile, entries } or null when not found
+ */
+export function loadComparison(target, { exclude = null } = {}) {
+  const resolved = path.resolve(target);
+  if (!fs.existsSync(resolved)) return null;
+
+  if (fs.statSync(resolved).isFile()) {
+    const data = JSON.parse(fs.readFileSync(resolved, "utf8"));
+    if (Array.isArray(data.findings) && data.version !== undefined && !data.reports) {
+      return { kind: "baseline", label: `baseline ${target}`, profile: data.profile || null, entries: data.findings };
+    }
+  }
+
+  const run = loadRun(target, { exclude });
+  if (!run) return null;
+  return { kind: "run", label: `run ${run.runId}`, profile: profileOf(run), entries: runEntries(run) };
+}
+
+/**
+ * Classify findings against earlier ones by fingerprint
+ * @param {Array<Object>} before - baseline or previous run entries
+ * @param {Array<Object>} after - entries of the run being checked
+ * @returns {Object} { added, fixed, unchanged } (entries of `after`, `before`, `after`)
+ */
+export function diffFindings(before, after) {
+  const known = new Set(before.map((e) => e.fingerprint));
+  const current = new Set(after.map((e) => e.fingerprint));
+  return {
+    added: after.filter((e) => !known.has(e.fingerprint)),
+    fixed: before.filter((e) => !current.has(e.fingerprint)),
+    unchanged: after.filter((e) => known.has(e.fingerprint)),
+  };
+}
+
+/**
+ * Whether a severity is at or above a threshold ("medium" → medium and high)
+ * @param {string} severity
+ * @param {string} threshold - one of SEVERITIES
+ * @returns {boolean}
+ */
+export function atOrAbove(severity, threshold) {
+  const rank = SEVERITIES.indexOf(severity);
+  return rank !== -1 && rank <= SEVERITIES.indexOf(threshold);
+}
+
+function profileOf(run) {
+  return run.template?.id || run.mode || "performance";
+}
@@ -0,0 +1,189 @@
+/**
+ * ---------------------------------------------------------
+ * Response Cache
+ * ---------------------------------------------------------
+ * Purpose:
+ *   - Skip model calls for handlers that haven't changed
+ *   - Entries are content-addressed: the key hashes the prompt
+ *     template version, provider, model and every prompt sent
+ *     (sanitized code, context, findings), so any change to
+ *     those is a miss and nothing needs invalidating by hand
+ *   - Enforce a TTL and entry/size limits (config.cache)
+ *
+ * Entries live in <config.cache.dir>/<key>.json:
+ *   { key, provider, model, promptVersion, endpoint, createdAt,
+ *     lastUsedAt, hits, response: { raw, parsed, chunks? } }
+ * Only placeholders are stored: redacted secrets never reach the cache.
+ * ---------------------------------------------------------
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { loadReviewerConfig } from "../config/reviewer.js";
+
+/**
+ * Cache key for one analysis
+ * @param {Object} parts - { promptVersion, provider, model, prompts: Array<string> }
+ * @returns {string} sha256 hex
+ */
+export function cacheKey({ promptVersion, provider, model, prompts }) {
+  const hash = crypto.createHash("sha256");
+  hash.update(JSON.stringify({ promptVersion, provider, model }));
+  prompts.forEach((prompt) => hash.update("\0").update(prompt));
+  return hash.digest("hex");
+}
+
+/**
+ * Cached response for a key (expired entries count as misses and are removed)
+ * @param {string} key
+ * @returns {Object|null} - { raw, parsed, chunks? }
+ */
+export function readCache(key) {
+  const file = entryPath(key);
+  const entry = readEntry(file);
+  if (!entry) return null;
+
+  if (isExpired(entry, cacheConfig())) {
+    fs.rmSync(file, { force: true });
+    return null;
+  }
+
+  entry.lastUsedAt = new Date().toISOString();
+  entry.hits = (entry.hits || 0) + 1;
+  fs.writeFileSync(file, JSON.stringify(entry, null, 2));
+  return entry.response;
+}
+
+/**
+ * Store a response and prune the cache to its limits
+ * @param {string} key
+ * @param {Object} response - { raw, parsed, chunks? }
+ * @param {Object} [meta] - { provider, model, promptVersion, endpoint }
+ */
+export function writeCache(key, response, meta = {}) {
+  const config = cacheConfig();
+  fs.mkdirSync(config.dir, { recursive: true });
+
+  const now = new Date().toISOString();
+  const entry = { key, ...meta, createdAt: now, lastUsedAt: now, hits: 0, response };
+  fs.writeFileSync(entryPath(key), JSON.stringify(entry, null, 2));
+  pruneCache();
+}
+
+/**
+ * Remove expired entries, then least recently used ones until the
+ * entry count and total size fit config.cache.maxEntries / maxMB.
+ * @returns {number} entries removed
+ */
+export function pruneCache() {
+  const config = cacheConfig();
+  let removed = 0;
+
+  const entries = listEntries().filter((e) => {
+    if (!isExpired(e, config)) return true;
+    fs.rmSync(e.file, { force: true });
+    removed++;
+    return false;
+  });
+
+  entries.sort((a, b) => a.lastUsedAt.localeCompare(b.lastUsedAt));
+  let bytes = entries.reduce((sum, e) => sum + e.bytes, 0);
+  const maxBytes = config.maxMB * 1024 * 1024;
+
+  while (entries.length && (entries.length > config.maxEntries || bytes > maxBytes)) {
+    const oldest = entries.shift();
+    fs.rmSync(oldest.file, { force: true });
+    bytes -= oldest.bytes;
+    removed++;
+  }
+  return removed;
+}
+
+/**
+ * Summary for `ai-review cache stats`
+ * @returns {Object} - { dir, entries, bytes, hits, expired, oldest, newest, byModel }
+ */
+export function cacheStats() {
+  const config = cacheConfig();
+  const entries = listEntries();
+  const byModel = {};
+  entries.forEach((e) => {
+    const id = `${e.provider || "unknown"}/${e.model || "unknown"}`;
+    byModel[id] = (byModel[id] || 0) + 1;
+  });
+  const created = entries.map((e) => e.createdAt).sort();
+
+  return {
+    dir: path.relative(process.cwd(), config.dir) || ".",
+    entries: entries.length,
+    bytes: entries.reduce((sum, e) => sum + e.bytes, 0),
+    hits: entries.reduce((sum, e) => sum + (e.hits || 0), 0),
+    expired: entries.filter((e) => isExpired(e, config)).length,
+    oldest: created[0] || null,
+    newest: created[created.length - 1] || null,
+    byModel,
+  };
+}
+
+/**
+ * Delete every cache entry
+ * @returns {number} entries removed
+ */
+export function clearCache() {
+  const entries = listEntries();
+  entries.forEach((e) => fs.rmSync(e.file, { force: true }));
+  return entries.length;
+}
+
+function cacheConfig() {
+  const config = loadReviewerConfig().cache;
+  return { ...config, dir: path.resolve(config.dir) };
+}
+
+function entryPath(key) {
+  return path.join(cacheConfig().dir, `${key}.json`);
+}
+
+function isExpired(entry, config) {
+  if (!config.ttlHours) return false;
+  return Date.now() - Date.parse(entry.createdAt) > config.ttlHours * 3600 * 1000;
+}
+
+function readEntry(file) {
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    // a half-written or hand-edited entry is just a miss
+    fs.rmSync(file, { force: true });
+    return null;
+  }
+}
+
+/**
+ * Metadata of every entry (without responses): { file, bytes, createdAt, lastUsedAt, hits, provider, model }
+ */
+function listEntries() {
+  const { dir } = cacheConfig();
+  if (!fs.existsSync(dir)) return [];
+
+  return fs
+    .readdirSync(dir)
+    .filter((f) => /^[0-9a-f]{64}\.json$/.test(f))
+    .map((f) => {
+      const file = path.join(dir, f);
+      const entry = readEntry(file);
+      if (!entry) return null;
+      return {
+        file,
+        bytes: fs.statSync(file).size,
+        createdAt: entry.createdAt,
+        lastUsedAt: entry.lastUsedAt || entry.createdAt,
+        hits: entry.hits,
+        provider: entry.provider,
+        model: entry.model,
+      };
+    })
+    .filter(Boolean);
+}
@@ -1,150 +1,236 @@
 /**
  * src/genai/client.js
  *
- * Gemini (Google GenAI) client wrapper for the AI-Powered Code Optimizer.
+ * LLM client wrapper for the AI-Powered Code Optimizer.
  *
  * Responsibilities:
- *  - Initialize the GenAI client using an API key from env
+ *  - Pick the provider (gemini, openai, local, mock; see ./providers)
+ *    from config.llm.provider or setProvider()
  *  - Provide analyzeEndpoint(payload) that sends sanitized code+metadata
- *    and returns model suggestions
+ *    and returns model suggestions, and analyzeRouter(digest) for the
+ *    holistic pass over all endpoints of a router, and proposeFix(target)
+ *    for the replacement function of the fix command
+ *  - Render the prompt from the review profile's versioned template
+ *    (./prompts, one per --mode)
  *  - Provide a small retry/backoff wrapper so transient errors are handled
+ *  - Validate every reply against REVIEW_SCHEMA (./review-schema.js) and
+ *    re-ask with the validation errors when it doesn't match
+ *  - Optionally record replies so the mock provider can replay them
+ *  - Reuse cached replies for unchanged handlers (./cache.js)
+ *  - Record token usage and cost of every request (./usage.js)
+ *  - Stream replies when opts.onStream is given, reporting the issues
+ *    (findings) as they arrive (./stream.js); the complete reply is
+ *    validated exactly like a non-streamed one
  *
  * Usage:
- *   import { analyzeEndpoint, setModel } from './src/genai/client.js';
+ *   import { analyzeEndpoint, setProvider, setModel } from './src/genai/client.js';
  *   const suggestions = await analyzeEndpoint(payload);
  *
  * Notes:
- *  - Install: npm install @google/genai dotenv p-retry
- *  - Ensure process.env.GEMINI_API_KEY is set
+ *  - Install: npm install @google/genai openai dotenv p-retry
+ *  - Set the API key of the chosen provider in .env (GEMINI_API_KEY, OPENAI_API_KEY)
  */
 
 import dotenv from "dotenv";
 dotenv.config();
 
-import pRetry from "p-retry";
+import pRetry, { AbortError } from "p-retry";
+import * as providers from "./providers/index.js";
+import { saveRecording, DEFAULT_REPLAY_DIR } from "./providers/mock.js";
+import { cacheKey, readCache, writeCache } from "./cache.js";
+import { limiterFor, retryAfterMs, isRetryable } from "./scheduler.js";
+import { estimateTokens, requestUsage, sumUsage } from "./usage.js";
+import { createItemParser, streamedKeys } from "./stream.js";
+import { REVIEW_SCHEMA, ROUTER_REVIEW_SCHEMA, FIX_SCHEMA, parseReviewJson, validateReview, describeSchema } from "./review-schema.js";
+import { loadTemplate, renderTemplate, loadConventions } from "./prompts/index.js";
+import { loadReviewerConfig } from "../config/reviewer.js";
 
-let genaiClient = null;
-let DEFAULT_MODEL = process.env.GEMINI_DEFAULT_MODEL || "gemini-2.5-flash";
+let DEFAULT_PROVIDER = null;
+let DEFAULT_MODEL = null;
 
-try {
-  // Initialize Google GenAI SDK
-  const { GoogleGenAI } = await import("@google/genai");
-
-  genaiClient = new GoogleGenAI({
-    apiKey: process.env.GEMINI_API_KEY,
-  });
-} catch (err) {
-  console.error(
-    "Failed to load @google/genai. Make sure you ran: npm install @google/genai\n",
-    err.message || err
-  );
-  genaiClient = null;
-}
+// Part of every cache key next to the template id@version: bump it when
+// replies to an unchanged prompt must not be reused (e.g. the reply
+// schema or its parsing changed)
+export const PROMPT_VERSION = 1;
 
 /**
- * Build a concise prompt for analysis.
- * @param {Object} payload - { endpoint, function, metadata, timestamp }
+ * Build a concise prompt for analysis from the profile's template
+ * (./prompts, selected by payload.mode).
+ * @param {Object} payload - { mode, endpoint, function, metadata, timestamp }
+ * @param {Object} [chunk] - one entry of payload.function.chunks (large handlers)
+ * @param {Object} [template] - from loadTemplate(), defaults to the payload's profile
  * @returns {string} prompt
  */
-function buildAnalysisPrompt(payload) {
+function buildAnalysisPrompt(payload, chunk = null, template = loadTemplate(payload.mode || loadReviewerConfig().mode)) {
   const ep = payload.endpoint || {};
   const fn = payload.function || {};
-  const meta = payload.metadata || {};
+  const conventions = loadConventions();
+
+  return renderTemplate(template, {
+    replyFormat: [
+      ` - Reply with one JSON object of this shape (every key required, use null where allowed):`,
+      `   ${describeSchema(REVIEW_SCHEMA)}`,
+      ` - "line" is the line number in the code below; "rule_id" names the static finding an issue confirms, else null.`,
+      ` - Do not include secrets or PII; assume code is sanitized.`,
+      ` - Keep each suggestion short and actionable.`,
+      ...(payload.secrets?.length
+        ? [` - ${payload.secrets.map((s) => s.placeholder).join(", ")} stand for redacted secrets; keep them verbatim in any code you return.`]
+        : []),
+      ...(fn.elidedStatements || fn.chunks?.length
+        ? [` - Comments like /* N statements elided */ mark code removed for size; don't report issues about code you can't see.`]
+        : []),
+    ].join("\n"),
+    conventions: conventions.length
+      ? [`HOUSE CONVENTIONS (flag code that breaks them):`, ...conventions.map((c) => ` - ${c}`)].join("\n")
+      : "",
+    endpoint: [
+      `Method: ${ep.method || "UNKNOWN"}, Path: ${ep.path || "UNKNOWN"}, Handler: ${ep.handler || "UNKNOWN"}`,
+      `Middleware: ${ep.middleware?.length ? ep.middleware.join(", ") : "none"}`,
+      `Function name: ${fn.name || "unknown"}, async: ${fn.async}, lines: ${fn.lines}`,
+    ].join("\n"),
+    handlerFacts: buildHandlerFactsSection(payload.metadata || {}).join("\n"),
+    context: buildContextSection(payload.context || {}).join("\n"),
+    schemaFacts: buildSchemaSection(payload.schema || []).join("\n"),
+    // findings are verified once, with the skeleton
+    staticFindings: chunk?.role === "segment" ? "" : buildStaticFindingsSection(payload.staticFindings || []).join("\n"),
+    code: buildCodeSection(fn, chunk).join("\n"),
+  });
+}
+
+/**
+ * The code under review: whole handler, skeleton chunk, or one segment
+ * shown next to the skeleton it was cut from.
+ * @param {Object} fn - payload.function
+ * @param {Object|null} chunk
+ * @returns {Array<string>} prompt lines
+ */
+function buildCodeSection(fn, chunk) {
+  const code = fn.sanitizedCode || fn.cleanedCode || "// no code provided";
+  if (!chunk) return [`SANITIZED CODE (analyze this):`, "```js", code, "```", ``];
+
+  const skeleton = fn.chunks[0].code;
+  if (chunk.role === "skeleton") {
+    return [
+      `SANITIZED CODE, SKELETON (chunk ${chunk.id}; analyze this):`,
+      `Bodies marked /* see chunk k/n */ are reviewed in separate requests; focus on the control flow here.`,
+      "```js",
+      skeleton,
+      "```",
+      ``,
+    ];
+  }
 
   return [
-    `You are an expert Node.js/Express backend engineer focused on performance and scalability.`,
-    `Analyze the following Express API endpoint and provide:`,
-    `  1) A short summary of what it does (1-2 lines).`,
-    `  2) Performance issues and why they are problems (bulleted).`,
-    `  3) Concrete optimizations (code-level suggestions) with explanation.`,
-    `  4) Estimated difficulty (low/medium/high) and estimated impact (low/medium/high).`,
-    `  5) If safe, provide a concise "before -> after" pseudo-code snippet illustrating the change.`,
-    ``,
-    `CONSTRAINTS:`,
-    ` - Reply in JSON with keys: summary, issues (array), suggestions (array), before_after (string|null), notes.`,
-    ` - Do not include secrets or PII; assume code is sanitized.`,
-    ` - Keep each suggestion short and actionable.`,
-    ``,
-    `ENDPOINT METADATA:`,
-    `Method: ${ep.method || "UNKNOWN"}, Path: ${ep.path || "UNKNOWN"}, Handler: ${ep.handler || "UNKNOWN"}`,
-    `Function name: ${fn.name || "unknown"}, async: ${fn.async}, lines: ${fn.lines}`,
-    `Extra metadata: ${JSON.stringify(meta)}`,
+    `HANDLER SKELETON (for orientation only, do not review):`,
+    "```js",
+    skeleton,
+    "```",
     ``,
-    `SANITIZED CODE (analyze this):`,
+    `SANITIZED CODE, CHUNK ${chunk.id} (lines ${chunk.startLine}-${chunk.endLine} of the handler,`,
+    `shown as /* see chunk ${chunk.id} */ in the skeleton; analyze this):`,
     "```js",
-    fn.sanitizedCode || fn.cleanedCode || "// no code provided",
+    chunk.code,
     "```",
     ``,
-    `Return ONLY valid JSON. Don't add commentary outside JSON.`,
-  ].join("\n");
+  ];
 }
 
 /**
- * Calls Gemini API and returns model output text.
+ * Render the handler's AST metrics (logic-extractor.js) as short facts.
+ * Payloads saved before these metrics existed fall back to raw JSON.
+ * @param {Object} meta - payload.metadata
+ * @returns {Array<string>} prompt lines
  */
-async function generateTextWithGenAI(model, prompt) {
-  if (!genaiClient) {
-    throw new Error(
-      "GenAI client not initialized. Install @google/genai and set GEMINI_API_KEY in .env"
-    );
-  }
+function buildHandlerFactsSection(meta) {
+  if (!meta.dbOperations) return [`Extra metadata: ${JSON.stringify(meta)}`];
 
-  // Proper request body per @google/genai spec
-  const request = {
-    model,
-    contents: [
-      {
-        role: "user",
-        parts: [{ text: prompt }],
-      },
-    ],
-    generationConfig: {
-      temperature: 0.3,
-      maxOutputTokens: 1200,
-      topP: 0.9,
-      topK: 40,
-    },
-  };
+  const lines = [
+    `HANDLER FACTS (from the AST):`,
+    ` - Cyclomatic complexity: ${meta.cyclomaticComplexity}, awaits: ${meta.awaitCount}, ` +
+      `loops: ${meta.hasLoops ? "yes" : "no"}, error handling: ${meta.hasErrorHandling ? "yes" : "no"}`,
+  ];
 
-  try {
-    // Modern SDK method
-    if (
-      genaiClient.models &&
-      typeof genaiClient.models.generateContent === "function"
-    ) {
-      const resp = await genaiClient.models.generateContent(request);
-      const text =
-        resp?.response?.candidates?.[0]?.content?.parts?.[0]?.text ||
-        resp?.response?.text ||
-        JSON.stringify(resp);
-      return text;
-    }
+  if (meta.dbOperations.length === 0) lines.push(` - DB operations: none`);
+  meta.dbOperations.forEach((op) => {
+    const filter = op.filter === null ? "…" : JSON.stringify(op.filter);
+    const chain = op.chain.length ? `.${op.chain.join("().")}()` : "";
+    lines.push(` - DB (line ${op.line}): ${op.model}.${op.method}(${filter})${chain}${op.awaited ? "" : " [not awaited]"}`);
+  });
 
-    // Older SDK fallback
-    if (typeof genaiClient.generateContent === "function") {
-      const resp = await genaiClient.generateContent(request);
-      const text =
-        resp?.response?.candidates?.[0]?.content?.parts?.[0]?.text ||
-        resp?.response?.text ||
-        JSON.stringify(resp);
-      return text;
-    }
+  lines.push(` - Responses: ${meta.statusCodes.join(", ") || "none found"}`);
+  (meta.responses || []).forEach((r) => lines.push(`   • line ${r.line}: ${r.status} ${r.body ?? "(no body)"}`));
+  lines.push(` - Request inputs: ${meta.requestInputs.join(", ") || "none"}`);
+  meta.earlyReturns.forEach((r) =>
+    lines.push(` - Early return (line ${r.line}${r.status !== null ? `, ${r.status}` : ""}): when ${r.condition}`)
+  );
+  return lines;
+}
 
-    throw new Error(
-      "GenAI SDK found but does not expose generateContent(). Check your @google/genai version."
-    );
-  } catch (err) {
-    console.error("❌ Error calling Gemini:", err.message || err);
-    throw err;
-  }
+/**
+ * Render referenced models/helpers (from context-collector.js) for the prompt.
+ * @param {Object} context - { models, helpers, omitted }
+ * @returns {Array<string>} prompt lines (empty when there is no context)
+ */
+function buildContextSection(context) {
+  const models = context.models || [];
+  const helpers = context.helpers || [];
+  if (models.length === 0 && helpers.length === 0) return [];
+
+  const lines = [`REFERENCED CONTEXT (read-only, do not review):`];
+  models.forEach((m) => lines.push(`Mongoose ${m.summary}`));
+  helpers.forEach((h) => lines.push(`Helper ${h.name} (${h.file}):`, "```js", h.code, "```"));
+  if (context.omitted?.length) lines.push(`Omitted for size: ${context.omitted.join(", ")}`);
+  lines.push(``);
+  return lines;
 }
 
 /**
- * analyzeEndpoint(payload)
- * - Builds prompt from sanitized endpoint payload
- * - Sends it to Gemini
+ * Render index/visibility facts of the queried models (schema-advisor.js).
+ * @param {Array} schema - per-model reports
+ * @returns {Array<string>} prompt lines (empty when no models are queried)
+ */
+function buildSchemaSection(schema) {
+  if (schema.length === 0) return [];
+
+  const lines = [`SCHEMA FACTS:`];
+  schema.forEach((m) => {
+    lines.push(` - ${m.name}: indexes ${m.indexes.join("; ")}; hidden (select:false): ${m.hiddenFields.join(", ") || "none"}`);
+    m.warnings.forEach((w) => lines.push(`   ! ${w}`));
+  });
+  lines.push(``);
+  return lines;
+}
+
+/**
+ * Render rule engine findings so the model verifies them instead of
+ * rediscovering them.
+ * @param {Array} findings - [{ ruleId, severity, cwe?, message, line, snippet }]
+ * @returns {Array<string>} prompt lines (empty when there are no findings)
+ */
+function buildStaticFindingsSection(findings) {
+  if (findings.length === 0) return [];
+
+  return [
+    `STATIC ANALYSIS FINDINGS (already detected offline):`,
+    ...findings.map(
+      (f) => ` - ${f.ruleId} [${f.severity}${f.cwe ? `, ${f.cwe}` : ""}] line ${f.line}: ${f.message} → \`${f.snippet}\``
+    ),
+    `For each finding above, confirm or reject it in "issues" and reference its rule id;`,
+    `spend the rest of the review on problems these rules cannot see.`,
+    ``,
+  ];
+}
+
+/**
+ * analyzeEndpoint(payload, { provider, model, retries, cache, limiter, budget, onStream, sample })
+ * - Builds prompt from sanitized endpoint payload and the profile's template
+ * - Returns the cached result when the same prompts were answered before
+ *   (cache: false or config.cache.enabled: false skips the cache)
+ * - Sends it to the provider (one request per chunk for split handlers),
+ *   within the provider's rate limits and the run budget (./scheduler.js)
  * - Parses JSON response
- * - Returns structured result
+ * - Returns structured result ({ raw, parsed, chunks?, template: { id, version }, usage, cached })
+ *   where usage = { ...totals, calls: [per-request records] } (./usage.js; zero on cache hits)
  */
 export async function analyzeEndpoint(payload, opts = {}) {
   if (!payload || !payload.function) {
@@ -153,39 +239,371 @@ export async function analyzeEndpoint(payload, opts = {}) {
     );
   }
 
-  const model = opts.model || DEFAULT_MODEL;
-  const prompt = buildAnalysisPrompt(payload);
-
-  const run = async () => {
-    const raw = await generateTextWithGenAI(model, prompt);
-
-    let parsed = null;
-    try {
-      const firstBrace = raw.indexOf("{");
-      const lastBrace = raw.lastIndexOf("}");
-      if (firstBrace >= 0 && lastBrace > firstBrace) {
-        const jsonText = raw.slice(firstBrace, lastBrace + 1);
-        parsed = JSON.parse(jsonText);
-      } else {
-        parsed = JSON.parse(raw);
-      }
-    } catch {
-      parsed = null;
+  const { provider, model, useCache, ...request } = requestTarget(opts);
+  const chunks = (payload.function.chunks || []).length > 1 ? payload.function.chunks : [null];
+  const template = loadTemplate(payload.mode || loadReviewerConfig().mode);
+  const prompts = chunks.map((chunk) => buildAnalysisPrompt(payload, chunk, template));
+  const templateInfo = { id: template.id, version: template.version };
+  const promptVersion = `${PROMPT_VERSION}:${template.id}@${template.version}`;
+
+  // extra samples of an ensemble (./consensus.js) are cached apart from the plain review
+  const sampleVersion = opts.sample > 1 ? `${promptVersion}#${opts.sample}` : promptVersion;
+  const key = cacheKey({ promptVersion: sampleVersion, provider: provider.id, model, prompts });
+  const cached = useCache && readCachedResult(key, provider, model);
+  if (cached) return { ...cached, template: templateInfo };
+
+  let result;
+  let calls;
+  if (chunks[0] === null) {
+    ({ calls, ...result } = await requestAnalysis(provider, model, prompts[0], request));
+  } else {
+    const results = [];
+    for (const [i, chunk] of chunks.entries()) {
+      console.log(`   ↳ chunk ${chunk.id} (${chunk.role})`);
+      results.push({ chunk, ...(await requestAnalysis(provider, model, prompts[i], request)) });
     }
+    const merged = mergeChunkResults(results);
+    calls = results.flatMap((r) => r.calls);
+    result = { raw: JSON.stringify(merged), parsed: merged, chunks: results.length, incomplete: results.some((r) => !r.parsed) };
+  }
 
-    return { raw, parsed };
-  };
+  // only complete, schema-valid answers are worth reusing
+  if (useCache && result.parsed && !result.incomplete) {
+    const endpoint = `${payload.endpoint?.method?.toUpperCase() || ""} ${payload.endpoint?.path || ""}`.trim();
+    writeCache(key, result, { provider: provider.id, model, promptVersion: sampleVersion, endpoint });
+  }
+  return { ...result, template: templateInfo, usage: { ...sumUsage(calls), calls }, cached: false };
+}
 
-  const retries = opts.retries ?? 3;
+/**
+ * analyzeRouter(digest, { provider, model, retries, cache, limiter, budget, onStream })
+ * - Holistic pass over a whole router: one request with the digest of
+ *   every endpoint (analyzer/router-digest.js) and the "router" template
+ * - Validated against ROUTER_REVIEW_SCHEMA, cached like analyzeEndpoint()
+ * - Returns { raw, parsed, template: { id, version }, usage, cached }
+ */
+export async function analyzeRouter(digest, opts = {}) {
+  if (!digest?.endpoints?.length) throw new Error("analyzeRouter expects a digest with at least one endpoint");
+
+  const { provider, model, useCache, ...request } = requestTarget(opts);
+  const template = loadTemplate("router");
+  const prompt = buildRouterPrompt(digest, template);
+  const templateInfo = { id: template.id, version: template.version };
+  const promptVersion = `${PROMPT_VERSION}:${template.id}@${template.version}`;
 
-  const result = await pRetry(run, {
-    retries,
-    onFailedAttempt: (err) => {
-      console.warn("GenAI attempt failed:", err.message || err);
-    },
+  const key = cacheKey({ promptVersion, provider: provider.id, model, prompts: [prompt] });
+  const cached = useCache && readCachedResult(key, provider, model);
+  if (cached) return { ...cached, template: templateInfo };
+
+  const { calls, ...result } = await requestAnalysis(provider, model, prompt, {
+    ...request,
+    schema: ROUTER_REVIEW_SCHEMA,
+    schemaName: "router_review",
   });
+  if (useCache && result.parsed) {
+    writeCache(key, result, { provider: provider.id, model, promptVersion, endpoint: `router ${digest.name}` });
+  }
+  return { ...result, template: templateInfo, usage: { ...sumUsage(calls), calls }, cached: false };
+}
 
-  return result;
+/**
+ * Prompt of the holistic router pass
+ * @param {Object} digest - from buildDigest()
+ * @param {Object} template - the "router" template
+ * @returns {string} prompt
+ */
+function buildRouterPrompt(digest, template) {
+  const conventions = loadConventions();
+  const list = (items) => items.join("; ") || "none";
+
+  return renderTemplate(template, {
+    replyFormat: [
+      ` - Reply with one JSON object of this shape (every key required, use null where allowed):`,
+      `   ${describeSchema(ROUTER_REVIEW_SCHEMA)}`,
+      ` - Do not include secrets or PII; the digest below contains no code.`,
+      ` - Keep each finding and convention short and actionable.`,
+    ].join("\n"),
+    conventions: conventions.length
+      ? [`HOUSE CONVENTIONS (flag endpoints that break them):`, ...conventions.map((c) => ` - ${c}`)].join("\n")
+      : "",
+    router: `ROUTER: ${digest.name}${digest.file ? ` (${digest.file})` : ""}, ${digest.endpoints.length} endpoint(s)`,
+    endpoints: [
+      `ENDPOINT DIGEST (from the AST of each handler):`,
+      ...digest.endpoints.flatMap((ep) => [
+        `${ep.label} → ${ep.handler || "unknown"}${ep.source ? ` (${ep.source})` : ""}`,
+        ` - middleware: ${list(ep.middleware)}; async: ${ep.async}; lines: ${ep.lines}; complexity: ${ep.complexity}; ` +
+          `error handling: ${ep.errorHandling ? "yes" : "no"}`,
+        ` - inputs: ${list(ep.inputs)}`,
+        ` - DB: ${list(ep.db)}`,
+        ` - responses: ${list(ep.responses)}`,
+        ...(ep.guards.length ? [` - guards: ${list(ep.guards)}`] : []),
+        ...(ep.findings.length ? [` - static findings: ${ep.findings.join(", ")}`] : []),
+      ]),
+    ].join("\n"),
+  });
+}
+
+/**
+ * proposeFix(target, { provider, model, retries, cache, limiter, budget, onStream })
+ * - Asks for the complete replacement of one function (target from
+ *   prepareFix() in ./fixer.js) with the "fix" template
+ * - Validated against FIX_SCHEMA, cached like analyzeEndpoint()
+ * - Returns { raw, parsed, template: { id, version }, usage, cached };
+ *   the caller verifies parsed.code with verifyFix()
+ */
+export async function proposeFix(target, opts = {}) {
+  if (!target?.code) throw new Error("proposeFix expects a target from prepareFix()");
+
+  const { provider, model, useCache, ...request } = requestTarget(opts);
+  const template = loadTemplate("fix");
+  const prompt = buildFixPrompt(target, template);
+  const templateInfo = { id: template.id, version: template.version };
+  const promptVersion = `${PROMPT_VERSION}:${template.id}@${template.version}`;
+
+  const key = cacheKey({ promptVersion, provider: provider.id, model, prompts: [prompt] });
+  const cached = useCache && readCachedResult(key, provider, model);
+  if (cached) return { ...cached, template: templateInfo };
+
+  const { calls, ...result } = await requestAnalysis(provider, model, prompt, {
+    ...request,
+    schema: FIX_SCHEMA,
+    schemaName: "fix",
+  });
+  if (useCache && result.parsed) {
+    writeCache(key, result, { provider: provider.id, model, promptVersion, endpoint: `fix ${target.name}` });
+  }
+  return { ...result, template: templateInfo, usage: { ...sumUsage(calls), calls }, cached: false };
+}
+
+/**
+ * Prompt of the fix command
+ * @param {Object} target - from prepareFix()
+ * @param {Object} template - the "fix" template
+ * @returns {string} prompt
+ */
+function buildFixPrompt(target, template) {
+  const ep = target.endpoint;
+  const conventions = loadConventions();
+  const kinds = { declaration: "function declaration", expression: "function expression", method: "object method" };
+
+  return renderTemplate(template, {
+    replyFormat: [
+      ` - Reply with one JSON object of this shape (every key required, use null where allowed):`,
+      `   ${describeSchema(FIX_SCHEMA)}`,
+      ` - "code" is the whole ${kinds[target.kind]} as plain source: no markdown fences, no code around it.`,
+      ...(target.placeholders.length
+        ? [` - ${target.placeholders.join(", ")} stand for redacted secrets; keep them verbatim in "code".`]
+        : []),
+    ].join("\n"),
+    conventions: conventions.length
+      ? [`HOUSE CONVENTIONS (the fixed code must follow them):`, ...conventions.map((c) => ` - ${c}`)].join("\n")
+      : "",
+    endpoint: [
+      `Method: ${ep.method?.toUpperCase() || "UNKNOWN"}, Path: ${ep.path || "UNKNOWN"}, Handler: ${ep.handler || "UNKNOWN"}`,
+      `Middleware: ${ep.middleware.length ? ep.middleware.join(", ") : "none"}`,
+      `Function: ${target.name || "anonymous"} (${kinds[target.kind]})` +
+        (target.lines ? `, lines ${target.lines.start}-${target.lines.end} of its file` : ""),
+    ].join("\n"),
+    issues: [
+      `ISSUES TO FIX (line numbers count from the first line of the function):`,
+      ...target.issues.map(
+        (i) =>
+          ` - [${i.severity}]${i.rule_id ? ` ${i.rule_id}` : ""}${i.line ? ` line ${i.line}` : ""}: ${i.description}` +
+          (i.suggested_fix ? ` → ${i.suggested_fix}` : "")
+      ),
+      ...target.suggestions.map((s) => ` - [suggestion] ${s}`),
+      ...(target.beforeAfter
+        ? [``, `REVIEWER'S BEFORE/AFTER SKETCH (may be pseudo-code):`, "```", target.beforeAfter, "```"]
+        : []),
+      ``,
+    ].join("\n"),
+    code: [`FUNCTION TO REWRITE:`, "```js", target.code, "```", ``].join("\n"),
+  });
+}
+
+/**
+ * Provider, model and request options of one analyze call
+ */
+function requestTarget(opts) {
+  const provider = providers.getProvider(opts.provider || getProvider());
+  return {
+    provider,
+    model: opts.model || (opts.provider ? provider.model : getModel()),
+    retries: opts.retries ?? 3,
+    limiter: opts.limiter || limiterFor(provider.id),
+    budget: opts.budget || null,
+    onStream: opts.onStream || null,
+    useCache: opts.cache ?? loadReviewerConfig().cache.enabled,
+  };
+}
+
+/**
+ * A cached result marked as such (no tokens used), or null on a miss
+ */
+function readCachedResult(key, provider, model) {
+  const cached = readCache(key);
+  if (!cached) return null;
+  console.log(`   ♻️ Cache hit (${key.slice(0, 12)}), skipping ${provider.id}/${model}`);
+  return { ...cached, usage: { ...sumUsage([]), calls: [] }, cached: true };
+}
+
+/**
+ * Combine per-chunk answers into one review. Issues/suggestions from
+ * segments are tagged with their chunk id so they can be traced back
+ * (in the text, so the merged review still matches the schema).
+ */
+function mergeChunkResults(results) {
+  const tag = (item, chunk) => {
+    if (chunk.role === "skeleton") return item;
+    return typeof item === "string"
+      ? `[chunk ${chunk.id}] ${item}`
+      : { ...item, description: `[chunk ${chunk.id}] ${item.description}` };
+  };
+  const parsed = results.filter((r) => r.parsed);
+
+  return {
+    summary: parsed[0]?.parsed.summary || "No summary provided.",
+    issues: parsed.flatMap((r) => (r.parsed.issues || []).map((i) => tag(i, r.chunk))),
+    suggestions: parsed.flatMap((r) => (r.parsed.suggestions || []).map((s) => tag(s, r.chunk))),
+    before_after: parsed.map((r) => r.parsed.before_after).filter(Boolean).join("\n\n// ---\n\n") || null,
+    difficulty: parsed[0]?.parsed.difficulty ?? null,
+    impact: parsed[0]?.parsed.impact ?? null,
+    notes: [
+      ...parsed.map((r) => r.parsed.notes).filter(Boolean),
+      ...results.filter((r) => !r.parsed).map((r) => `Chunk ${r.chunk.id} returned no parseable JSON.`),
+    ].join(" "),
+  };
+}
+
+/**
+ * Send one prompt with retries, validate the JSON answer against
+ * the schema (REVIEW_SCHEMA by default) and re-ask with the errors
+ * (config.llm.repairAttempts).
+ * With onStream the reply is streamed and onStream gets
+ *   { type: "attempt", attempt }   a request starts (attempt > 1: retry or repair, earlier items are void)
+ *   { type: "text", received }     characters received so far in this attempt
+ *   { type: "item", key, value }   a completed issue/finding object (key: "issues" | "findings")
+ * @returns {Promise<Object>} { raw, parsed, validationErrors?, calls } (parsed null when still invalid;
+ *   calls: usage records from ./usage.js)
+ */
+async function requestAnalysis(
+  provider,
+  model,
+  prompt,
+  { retries, limiter, budget, onStream = null, schema = REVIEW_SCHEMA, schemaName = "endpoint_review" }
+) {
+  const llm = loadReviewerConfig().llm;
+  const calls = []; // usage of every answered request, repairs included
+  let attempt = 0;
+
+  const generate = (text) =>
+    pRetry(
+      async () => {
+        const inputTokens = estimateTokens(text);
+        let reservation = null;
+        try {
+          reservation = await budget?.reserve({ model, inputTokens, outputTokens: llm.maxOutputTokens });
+        } catch (err) {
+          throw new AbortError(err);
+        }
+
+        let reply;
+        try {
+          await limiter.acquire(inputTokens + llm.maxOutputTokens);
+          reply = await provider.generate({
+            model,
+            prompt: text,
+            temperature: llm.temperature,
+            maxOutputTokens: llm.maxOutputTokens,
+            schema,
+            schemaName,
+            ...(onStream ? { onText: streamTo(onStream, schema, ++attempt) } : {}),
+          });
+        } catch (err) {
+          budget?.release(reservation);
+          throw err;
+        }
+        const raw = typeof reply === "string" ? reply : reply.text;
+        const usage = requestUsage({ provider: provider.id, model, prompt: text, text: raw, reported: reply.usage });
+        calls.push(usage);
+        budget?.charge(usage, reservation);
+
+        if (llm.record && provider.id !== "mock") {
+          saveRecording(llm.providers.mock?.dir || DEFAULT_REPLAY_DIR, text, { provider: provider.id, model, text: raw });
+        }
+        return raw;
+      },
+      {
+        retries,
+        shouldRetry: ({ error }) => isRetryable(error),
+        onFailedAttempt: ({ error, retriesLeft }) => {
+          // a 429 with Retry-After holds every request to this provider, not just this one
+          const wait = retryAfterMs(error);
+          if (wait) limiter.pause(wait);
+          console.warn(
+            `${provider.id} attempt failed:`,
+            error.message || error,
+            retriesLeft ? `(retrying${wait ? ` in ${Math.ceil(wait / 1000)}s` : ""})` : ""
+          );
+        },
+      }
+    );
+
+  let raw = await generate(prompt);
+  for (let attempt = 0; ; attempt++) {
+    const { value, error } = parseReviewJson(raw);
+    const errors = error ? [error] : validateReview(value, schema);
+    if (errors.length === 0) return { raw, parsed: value, calls };
+
+    if (attempt >= llm.repairAttempts) {
+      console.warn(`⚠️ Reply still fails the review schema after ${attempt} repair(s): ${errors[0]}`);
+      return { raw, parsed: null, validationErrors: errors, calls };
+    }
+
+    console.warn(`🔧 Reply failed the review schema (${errors.length} error(s)), asking ${provider.id} to repair it...`);
+    raw = await generate(buildRepairPrompt(prompt, raw, errors));
+  }
+}
+
+/**
+ * onText callback of one streamed request: reports its start, then
+ * progress and every completed item to onStream
+ */
+function streamTo(onStream, schema, attempt) {
+  let received = 0;
+  const parser = createItemParser(streamedKeys(schema), ({ key, value }) => onStream({ type: "item", key, value }));
+  onStream({ type: "attempt", attempt });
+
+  return (delta) => {
+    received += delta.length;
+    onStream({ type: "text", received });
+    parser.push(delta);
+  };
+}
+
+/**
+ * Re-ask with the original request, the rejected reply and the exact
+ * validation errors, so the model fixes those instead of starting over.
+ * @param {string} prompt - original prompt
+ * @param {string} raw - rejected reply
+ * @param {Array<string>} errors - from validateReview()
+ * @returns {string} prompt
+ */
+function buildRepairPrompt(prompt, raw, errors) {
+  const shown = errors.slice(0, 20);
+  return [
+    prompt,
+    ``,
+    `YOUR PREVIOUS REPLY:`,
+    raw.length > 6000 ? `${raw.slice(0, 6000)}\n...(cut)` : raw,
+    ``,
+    `It does not match the required JSON shape:`,
+    ...shown.map((e) => ` - ${e}`),
+    ...(errors.length > shown.length ? [` - ...and ${errors.length - shown.length} more`] : []),
+    ``,
+    `Fix exactly these problems and return the whole corrected JSON object.`,
+    `Keep the content of your review; return ONLY valid JSON.`,
+  ].join("\n");
 }
 
 /**
@@ -195,7 +613,36 @@ export function setModel(modelId) {
   DEFAULT_MODEL = modelId;
 }
 
+/**
+ * Model used when analyzeEndpoint() gets no explicit opts.model:
+ * the one set with setModel(), else the provider's configured model.
+ */
+export function getModel() {
+  return DEFAULT_MODEL || providers.getProvider(getProvider()).model;
+}
+
+/**
+ * Allows switching providers dynamically (resets a model set for the previous one).
+ */
+export function setProvider(providerId) {
+  providers.getProvider(providerId);
+  DEFAULT_PROVIDER = providerId;
+  DEFAULT_MODEL = null;
+}
+
+/**
+ * Provider used when analyzeEndpoint() gets no explicit opts.provider.
+ */
+export function getProvider() {
+  return DEFAULT_PROVIDER || loadReviewerConfig().llm.provider;
+}
+
 export default {
   analyzeEndpoint,
+  analyzeRouter,
+  proposeFix,
   setModel,
+  getModel,
+  setProvider,
+  getProvider,
 };
@@ -0,0 +1,274 @@
+/**
+ * ---------------------------------------------------------
+ * Ensemble Reviews & Consensus
+ * ---------------------------------------------------------
+ * Purpose:
+ *   - Review one payload with several members: N samples of the
+ *     same model and/or several providers (config.ensemble,
+ *     --samples, --ensemble)
+ *   - Cluster equivalent issues across the members' replies
+ *     (same rule id, or similar wording near the same line)
+ *   - Give every clustered issue a confidence: the share of
+ *     members that reported it (members that failed or gave an
+ *     invalid reply count as not reporting it)
+ *   - Keep issues at or above the minimum confidence; the rest,
+ *     and issues the members rate differently, are returned as
+ *     disagreements for a human to look at
+ *
+ * The merged review matches REVIEW_SCHEMA, so it is reported and
+ * saved like a single reply; confidence and disagreements travel
+ * next to it (buildReport meta.consensus).
+ * ---------------------------------------------------------
+ */
+
+import { analyzeEndpoint } from "./client.js";
+import { getProvider } from "./providers/index.js";
+import { BudgetExceededError } from "./scheduler.js";
+import { sumUsage } from "./usage.js";
+import { SEVERITIES } from "./review-schema.js";
+import { loadReviewerConfig } from "../config/reviewer.js";
+
+// words that say nothing about which problem an issue is about
+const STOP_WORDS = new Set([
+  "the", "and", "for", "with", "this", "that", "are", "not", "but", "can", "use", "should", "from", "into",
+  "when", "which", "will", "its", "any", "all", "may", "has", "have", "been", "being", "than", "then", "there",
+]);
+
+/**
+ * Members of an ensemble: every provider (or the default one) × samples
+ * @param {Object} options
+ * @param {Array<string>} [options.providers] - "id" or "id/model" entries
+ * @param {number} [options.samples=1] - replies per provider
+ * @param {Object} fallback - { provider, model } used without providers
+ * @returns {Array<Object>} [{ id, provider, model, sample }] (id: "provider/model#sample")
+ */
+export function ensembleMembers({ providers = [], samples = 1 }, fallback) {
+  const targets = providers.length
+    ? providers.map((entry) => {
+        const [provider, ...model] = entry.split("/");
+        return { provider, model: model.join("/") || getProvider(provider).model };
+      })
+    : [fallback];
+
+  return targets.flatMap(({ provider, model }) =>
+    Array.from({ length: samples }, (_, i) => ({
+      id: `${provider}/${model}${samples > 1 ? `#${i + 1}` : ""}`,
+      provider,
+      model,
+      sample: i + 1,
+    }))
+  );
+}
+
+/**
+ * Review a payload with every member and merge the replies
+ * @param {Object} payload - from buildEndpointPayload()
+ * @param {Array<Object>} members - from ensembleMembers()
+ * @param {Object} [opts] - analyzeEndpoint() options shared by all members, plus:
+ * @param {number} [opts.minConfidence] - defaults to config.ensemble.minConfidence
+ * @param {Function} [opts.track] - (memberId) → onStream callback (cli/stream-view.js)
+ * @returns {Promise<Object>} { raw, parsed, template, usage, cached, consensus }
+ */
+export async function analyzeWithEnsemble(payload, members, opts = {}) {
+  const { minConfidence = loadReviewerConfig().ensemble.minConfidence, track, ...shared } = opts;
+
+  // members share the providers' rate limits and the run budget
+  const settled = await Promise.allSettled(
+    members.map((m) =>
+      analyzeEndpoint(payload, {
+        ...shared,
+        provider: m.provider,
+        model: m.model,
+        sample: m.sample,
+        onStream: track ? track(m.id) : null,
+      })
+    )
+  );
+
+  const replies = settled.map((s, i) => ({
+    member: members[i].id,
+    result: s.status === "fulfilled" ? s.value : null,
+    error: s.status === "rejected" ? s.reason?.message || String(s.reason) : null,
+  }));
+  const answered = replies.filter((r) => r.result?.parsed);
+  const calls = replies.flatMap((r) => r.result?.usage?.calls || []);
+  const common = {
+    template: answered[0]?.result.template || replies.find((r) => r.result)?.result.template || null,
+    usage: { ...sumUsage(calls), calls },
+    cached: replies.every((r) => r.result?.cached),
+  };
+
+  if (answered.length === 0) {
+    const first = replies.find((r) => r.result) || replies[0];
+    if (!first.result) {
+      // the endpoint is skipped, not failed, when the budget stopped the members
+      const budget = settled.find((s) => s.reason instanceof BudgetExceededError);
+      if (budget) throw budget.reason;
+      throw new Error(`Every ensemble member failed: ${first.error}`);
+    }
+    return {
+      ...first.result,
+      ...common,
+      consensus: { members: replies.map(describeReply), answered: 0, minConfidence, confidence: [], disagreements: [] },
+    };
+  }
+
+  const consensus = buildConsensus(
+    answered.map((r) => ({ member: r.member, review: r.result.parsed })),
+    { minConfidence, similarity: loadReviewerConfig().ensemble.similarity, total: members.length }
+  );
+  return {
+    raw: JSON.stringify(consensus.review),
+    parsed: consensus.review,
+    ...common,
+    consensus: {
+      members: replies.map(describeReply),
+      answered: answered.length,
+      minConfidence,
+      confidence: consensus.confidence,
+      disagreements: consensus.disagreements,
+    },
+  };
+}
+
+/**
+ * Merge the reviews of several members
+ * @param {Array<Object>} replies - [{ member, review }] (schema-valid reviews)
+ * @param {Object} [options]
+ * @param {number} [options.minConfidence=0.5] - share of members an issue needs to be kept
+ * @param {number} [options.similarity=0.5] - how alike two issues must be to be the same one (0-1)
+ * @param {number} [options.total=replies.length] - members asked, answered or not; confidence is a share of them
+ * @returns {Object} { review, confidence: [per kept issue], disagreements }
+ */
+export function buildConsensus(replies, { minConfidence = 0.5, similarity = 0.5, total = replies.length } = {}) {
+  const clusters = [];
+
+  replies.forEach(({ member, review }) => {
+    review.issues.forEach((issue) => {
+      // one vote per member: a member's own issues never merge with each other
+      let best = null;
+      let bestScore = similarity;
+      for (const cluster of clusters) {
+        if (cluster.members.has(member)) continue;
+        const score = issueSimilarity(cluster.issues[0].issue, issue);
+        if (score >= bestScore) {
+          best = cluster;
+          bestScore = score;
+        }
+      }
+      if (best) {
+        best.members.add(member);
+        best.issues.push({ member, issue });
+      } else {
+        clusters.push({ members: new Set([member]), issues: [{ member, issue }] });
+      }
+    });
+  });
+
+  const kept = [];
+  const disagreements = [];
+  clusters.forEach((cluster) => {
+    const confidence = Number((cluster.members.size / total).toFixed(2));
+    const issue = representative(cluster);
+    const members = [...cluster.members];
+
+    if (confidence < minConfidence) {
+      disagreements.push({ kind: "minority", confidence, members, issue });
+      return;
+    }
+    kept.push({ issue, confidence });
+
+    const severities = {};
+    cluster.issues.forEach((entry) => (severities[entry.issue.severity] ||= []).push(entry.member));
+    if (Object.keys(severities).length > 1) {
+      disagreements.push({ kind: "severity", confidence, members, issue, severities });
+    }
+  });
+  kept.sort((a, b) => b.confidence - a.confidence || SEVERITIES.indexOf(a.issue.severity) - SEVERITIES.indexOf(b.issue.severity));
+
+  const reviews = replies.map((r) => r.review);
+  return {
+    review: {
+      summary: reviews[0].summary,
+      issues: kept.map((k) => k.issue),
+      suggestions: [...new Set(reviews.flatMap((r) => r.suggestions))],
+      before_after: reviews.find((r) => r.before_after)?.before_after ?? null,
+      notes: [
+        `Consensus of ${replies.length}${total > replies.length ? ` of ${total}` : ""} review(s); issues reported by less than ${Math.round(minConfidence * 100)}% of them are listed as disagreements.`,
+        ...new Set(reviews.map((r) => r.notes).filter(Boolean)),
+      ].join(" "),
+      difficulty: majority(reviews.map((r) => r.difficulty)),
+      impact: majority(reviews.map((r) => r.impact)),
+    },
+    confidence: kept.map((k) => k.confidence),
+    disagreements,
+  };
+}
+
+/**
+ * Keep the issues (and findings) of a report at or above a confidence
+ * (issues without a confidence, from single-model reviews, always stay)
+ * @param {Object} report - from buildReport()
+ * @param {number} minConfidence
+ * @returns {Object} report
+ */
+export function filterByConfidence(report, minConfidence) {
+  if (!minConfidence || !Array.isArray(report.issues)) return report;
+  const confident = (item) => typeof item.confidence !== "number" || item.confidence >= minConfidence;
+  return {
+    ...report,
+    issues: report.issues.filter(confident),
+    ...(Array.isArray(report.findings) ? { findings: report.findings.filter(confident) } : {}),
+  };
+}
+
+/**
+ * 0-1 likeness of two issues: the same rule or CWE near the same line
+ * count as one issue, otherwise shared words, line and category decide
+ */
+function issueSimilarity(a, b) {
+  if (a.rule_id && a.rule_id === b.rule_id) return 1;
+
+  const near = a.line !== null && b.line !== null && Math.abs(a.line - b.line) <= 2;
+  if (a.cwe && a.cwe === b.cwe && (near || a.line === null || b.line === null)) return 0.9;
+
+  const wordsA = words(`${a.description} ${a.suggested_fix || ""}`);
+  const wordsB = words(`${b.description} ${b.suggested_fix || ""}`);
+  const shared = [...wordsA].filter((w) => wordsB.has(w)).length;
+  const jaccard = shared / (wordsA.size + wordsB.size - shared || 1);
+
+  return Math.min(1, jaccard + (near ? 0.2 : 0) + (a.category === b.category ? 0.1 : -0.2));
+}
+
+function words(text) {
+  return new Set((text.toLowerCase().match(/[a-z0-9_$.]+/g) || []).filter((w) => w.length > 2 && !STOP_WORDS.has(w)));
+}
+
+/**
+ * The issue that stands for a cluster: the first report of it that
+ * suggests a fix, with the severity most members gave (the higher one on a tie)
+ */
+function representative(cluster) {
+  const issue = cluster.issues.find((e) => e.issue.suggested_fix)?.issue || cluster.issues[0].issue;
+  const severity = majority(cluster.issues.map((e) => e.issue.severity), SEVERITIES);
+  return { ...issue, severity };
+}
+
+/**
+ * Most frequent non-null value; ties go to the one listed first in `order`
+ */
+function majority(values, order = ["high", "medium", "low"]) {
+  const counts = new Map();
+  values.filter((v) => v !== null && v !== undefined).forEach((v) => counts.set(v, (counts.get(v) || 0) + 1));
+  if (counts.size === 0) return null;
+  return [...counts].sort((a, b) => b[1] - a[1] || order.indexOf(a[0]) - order.indexOf(b[0]))[0][0];
+}
+
+function describeReply(reply) {
+  return {
+    member: reply.member,
+    status: reply.error ? "failed" : reply.result?.parsed ? "ok" : "invalid",
+    ...(reply.error ? { error: reply.error } : {}),
+    cached: Boolean(reply.result?.cached),
+  };
+}
@@ -0,0 +1,264 @@
+/**
+ * ---------------------------------------------------------
+ * Findings
+ * ---------------------------------------------------------
+ * Purpose:
+ *   - One shape for everything a review reports: model issues
+ *     (REVIEW_SCHEMA replies, ensemble consensus, the loose strings
+ *     and objects of older report files) and static rule findings
+ *   - Point each finding at the repository: lines the model counts
+ *     in the code it was shown are mapped back to the handler's
+ *     file (payload.function.sourceMap, analyzer/line-map.js)
+ *
+ * Finding:
+ *   { id, source: "model"|"static", ruleId, category, severity,
+ *     confidence, message, rationale, suggestion, cwe, location,
+ *     fingerprint }
+ *   location: { file, line, column, endLine, endColumn } (file
+ *   relative to the project, 1-based, endColumn exclusive; the
+ *   line fields are null when a finding is not tied to a line),
+ *   or null when the file is unknown.
+ *   fingerprint: "<hash>:<n>" from the rule, file, handler and the
+ *   text of the flagged line, so it survives code moving around
+ *   (model findings with neither a line nor a rule id hash their
+ *   normalized message instead); n counts repeats of the same hash
+ *   in one report.
+ * ---------------------------------------------------------
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { mapLine } from "../analyzer/line-map.js";
+import { SEVERITIES, CATEGORIES } from "./review-schema.js";
+
+// words older replies and other tools use for our three severities
+const SEVERITY_ALIASES = {
+  critical: "high",
+  blocker: "high",
+  error: "high",
+  major: "medium",
+  moderate: "medium",
+  warning: "medium",
+  minor: "low",
+  info: "low",
+  note: "low",
+};
+const CHUNK_TAG = /^\[chunk (\d+\/\d+)\]\s*/;
+const MESSAGE_KEYS = ["description", "message", "title", "text", "issue"];
+
+/**
+ * Findings of one endpoint review
+ * @param {Object} parts
+ * @param {Array} [parts.issues] - review issues (any shape)
+ * @param {Array} [parts.staticFindings] - rule engine findings (file lines)
+ * @param {Object} [parts.sourceMap] - payload.function.sourceMap
+ * @param {string} [parts.file] - handler file, when there is no source map
+ * @param {Array<number>} [parts.confidence] - per issue, from an ensemble
+ * @param {string} [parts.handler] - handler name (part of the fingerprints)
+ * @returns {Array<Object>} model findings in reply order, then the static findings no issue confirmed
+ */
+export function buildFindings({ issues = [], staticFindings = [], sourceMap = null, file = null, confidence = [], handler = null }) {
+  const handlerFile = sourceMap?.file || relativeFile(file);
+  const model = issues.map((issue, i) =>
+    normalizeIssue(issue, { sourceMap, file: handlerFile, confidence: confidence[i], staticFindings })
+  );
+  const confirmed = new Set(model.map((f) => f.ruleId).filter(Boolean));
+
+  return addFingerprints(
+    [...model, ...staticFindings.filter((f) => !confirmed.has(f.ruleId)).map((f) => normalizeStaticFinding(f, handlerFile))],
+    handler
+  );
+}
+
+/**
+ * Canonical finding for one model issue
+ * @param {string|Object} issue - REVIEW_SCHEMA issue, or a string/loose object from an older reply
+ * @param {Object} [options]
+ * @param {Object} [options.sourceMap] - maps the issue's line to the file
+ * @param {string} [options.file] - handler file (relative)
+ * @param {number} [options.confidence] - ensemble confidence, overrides issue.confidence
+ * @param {Array} [options.staticFindings] - the position of the rule an issue confirms wins over its line
+ * @returns {Object} finding
+ */
+export function normalizeIssue(issue, { sourceMap = null, file = null, confidence, staticFindings = [] } = {}) {
+  const fields = typeof issue === "object" && issue !== null ? issue : { description: String(issue ?? "") };
+  const text = messageOf(fields);
+  // issues of segment chunks are tagged by mergeChunkResults() and counted in the segment
+  const chunk = text.match(CHUNK_TAG)?.[1] || null;
+  const ruleId = fields.rule_id ?? fields.ruleId ?? null;
+
+  // a confirmed rule knows its exact node; the prompt lists rules with file lines, which models copy
+  const rule = ruleId ? staticFindings.find((f) => f.ruleId === ruleId && f.line) : null;
+  const mapped = rule ? null : mapLine(sourceMap, fields.line, chunk);
+  const location = rule
+    ? ruleLocation(rule, file)
+    : mapped
+      ? { file: mapped.file, line: mapped.line, column: mapped.column, endLine: mapped.line, endColumn: mapped.endColumn }
+      : file
+        ? { file, line: null, column: null, endLine: null, endColumn: null }
+        : null;
+
+  return withId({
+    source: "model",
+    ruleId,
+    category: CATEGORIES.includes(fields.category) ? fields.category : "other",
+    severity: normalizeSeverity(fields.severity),
+    confidence: typeof confidence === "number" ? confidence : typeof fields.confidence === "number" ? fields.confidence : null,
+    message: text.replace(CHUNK_TAG, ""),
+    rationale: fields.rationale || null,
+    suggestion: fields.suggested_fix || fields.suggestion || fields.fix || null,
+    cwe: /^CWE-\d+$/.test(fields.cwe || "") ? fields.cwe : null,
+    location,
+  });
+}
+
+/**
+ * Canonical finding for one static rule finding (analyzer/rules)
+ * @param {Object} finding - { ruleId, severity, category, cwe?, message, line, column, endLine, endColumn }
+ * @param {string} [file] - handler file (relative)
+ * @returns {Object} finding
+ */
+export function normalizeStaticFinding(finding, file = null) {
+  return withId({
+    source: "static",
+    ruleId: finding.ruleId,
+    category: finding.category || "other",
+    severity: normalizeSeverity(finding.severity),
+    confidence: null,
+    message: finding.message,
+    rationale: null,
+    suggestion: null,
+    cwe: finding.cwe || null,
+    location: file ? ruleLocation(finding, file) : null,
+  });
+}
+
+/**
+ * Findings of a saved report; reports written before findings existed
+ * are normalized on the fly (without line mapping)
+ * @param {Object} report - from buildReport(), or a cleaned reply
+ * @returns {Array<Object>} findings
+ */
+export function collectFindings(report) {
+  if (Array.isArray(report?.findings)) return report.findings;
+  return buildFindings({
+    issues: Array.isArray(report?.issues) ? report.issues : [],
+    staticFindings: report?.staticFindings || [],
+    file: report?.endpoint?.sourceFile || null,
+    handler: report?.endpoint?.handler || null,
+  });
+}
+
+/**
+ * Router review findings (buildRouterReport) with fingerprints; they have
+ * no line, so the router, category and endpoints involved identify them
+ * @param {Object} report - router report
+ * @returns {Array<Object>} the report's findings, each with a fingerprint
+ */
+export function fingerprintRouterFindings(report) {
+  const seen = new Map();
+  return (report?.findings || []).map((finding) => {
+    const endpoints = [...(finding.endpoints || [])].sort().join(",");
+    const hash = crypto
+      .createHash("sha256")
+      .update([report.router?.name, finding.category, endpoints].join("\n"))
+      .digest("hex")
+      .slice(0, 16);
+    const occurrence = (seen.get(hash) || 0) + 1;
+    seen.set(hash, occurrence);
+    return { ...finding, fingerprint: `${hash}:${occurrence}` };
+  });
+}
+
+/**
+ * Rule id of a finding for tools that group by rule (SARIF): the static
+ * rule it is or confirms, else "ai/<category>"
+ * @param {Object} finding
+ * @returns {string}
+ */
+export function findingRuleId(finding) {
+  return finding.ruleId || `ai/${finding.category}`;
+}
+
+/**
+ * "src/controllers/user.controller.js:12:5", or just the file
+ * @param {Object|null} location
+ * @returns {string} "" without a location
+ */
+export function formatLocation(location) {
+  if (!location) return "";
+  if (!location.line) return location.file;
+  return `${location.file}:${location.line}${location.column ? `:${location.column}` : ""}`;
+}
+
+function ruleLocation(finding, file) {
+  return {
+    file,
+    line: finding.line ?? null,
+    column: finding.column ?? null,
+    endLine: finding.endLine ?? finding.line ?? null,
+    endColumn: finding.endColumn ?? null,
+  };
+}
+
+function messageOf(fields) {
+  const key = MESSAGE_KEYS.find((k) => typeof fields[k] === "string" && fields[k].trim());
+  if (key) return fields[key].trim();
+  const text = Object.values(fields).find((v) => typeof v === "string" && v.trim());
+  return text ? text.trim() : "(no description)";
+}
+
+function normalizeMessage(message) {
+  return String(message || "").toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+function normalizeSeverity(severity) {
+  const value = String(severity || "").toLowerCase();
+  if (SEVERITIES.includes(value)) return value;
+  return SEVERITY_ALIASES[value] || "medium";
+}
+
+function relativeFile(file) {
+  if (!file) return null;
+  return (path.isAbsolute(file) ? path.relative(process.cwd(), file) : file).split(path.sep).join("/");
+}
+
+function addFingerprints(findings, handler) {
+  const files = new Map(); // file → its lines, or null when unreadable
+  const lineText = ({ file, line }) => {
+    if (!files.has(file)) {
+      const absolute = path.resolve(file);
+      files.set(file, fs.existsSync(absolute) ? fs.readFileSync(absolute, "utf8").split("\n") : null);
+    }
+    return files.get(file)?.[line - 1]?.replace(/\s+/g, " ").trim() ?? "";
+  };
+
+  const seen = new Map();
+  return findings.map((finding) => {
+    const where = finding.location;
+    // without a line or rule id only the message tells same-category findings apart, whatever their order
+    const text = where?.line ? lineText(where) : finding.ruleId ? "" : normalizeMessage(finding.message);
+    const hash = crypto
+      .createHash("sha256")
+      .update([findingRuleId(finding), where?.file, handler, text].join("\n"))
+      .digest("hex")
+      .slice(0, 16);
+    const occurrence = (seen.get(hash) || 0) + 1;
+    seen.set(hash, occurrence);
+    return { ...finding, fingerprint: `${hash}:${occurrence}` };
+  });
+}
+
+/**
+ * Ids stay the same for the same finding at the same place
+ */
+function withId(finding) {
+  const { source, ruleId, category, message, location } = finding;
+  const id = crypto
+    .createHash("sha256")
+    .update([source, location?.file, location?.line, ruleId || category, message].join("\n"))
+    .digest("hex")
+    .slice(0, 12);
+  return { id, ...finding };
+}
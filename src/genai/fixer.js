@@ -0,0 +1,219 @@
+/**
+ * ---------------------------------------------------------
+ * Fixer
+ * ---------------------------------------------------------
+ * Purpose:
+ *   - Prepare one handler for the fix command: its exact source
+ *     range (ast-parser.js), secrets redacted reversibly, and the
+ *     issues to fix (latest review run + static findings)
+ *   - Verify the replacement the model returns: placeholders
+ *     mapped back to the secrets, same kind of function (and
+ *     name), valid syntax on its own and spliced into the file
+ *   - Splice verified replacements into the file text
+ *
+ * Only secrets are redacted: masked emails/phone numbers and
+ * shortened literals could not be restored in the returned code,
+ * so handlers that need them are skipped.
+ * ---------------------------------------------------------
+ */
+
+import fs from "fs";
+import path from "path";
+import * as astParser from "../analyzer/ast-parser.js";
+import * as rules from "../analyzer/rules/index.js";
+import { sanitizeCode } from "../analyzer/sanitizer.js";
+import { createRedactionMap, redactSecrets, rehydrate, PLACEHOLDER_PATTERN } from "../analyzer/secrets/index.js";
+import { budgetForModel } from "../analyzer/truncator.js";
+import { collectFindings } from "./findings.js";
+
+const EXPRESSION_TYPES = ["ArrowFunctionExpression", "FunctionExpression"];
+
+/**
+ * Everything needed to ask for and verify a fix of one endpoint
+ * @param {Object} endpoint - from route-reflector.js
+ * @param {Object} [options]
+ * @param {Object|null} [options.run] - review run from loadRun(); its report of this endpoint adds issues
+ * @param {string} [options.mode] - profile whose rule packs produce the static findings
+ * @param {string} [options.model] - target model id (code size budget)
+ * @returns {Object} { target, context } or { skipped: reason }
+ *   target: what the prompt shows (no secrets); context: what verification needs (never sent)
+ */
+export function prepareFix(endpoint, { run = null, mode, model } = {}) {
+  const extracted = astParser.extractHandler(endpoint.source, endpoint.handler);
+  if (!extracted) return { skipped: "handler could not be extracted" };
+
+  const file = endpoint.source.file;
+  const parsed = astParser.parseFile(file);
+  const node = parsed && astParser.findFunctionPath(parsed.ast, extracted.range)?.node;
+  const kind = node && functionKind(node);
+  if (!kind) return { skipped: `${node?.type || "this function"} can't be replaced in place` };
+
+  const redactions = createRedactionMap();
+  const redacted = redactSecrets(extracted.code, redactions);
+  if (sanitizeCode(extracted.code, { redactions }).safeCode !== redacted.code) {
+    return { skipped: "the code has emails, phone numbers or long literals that would be masked" };
+  }
+  if (redacted.code.length > budgetForModel(model)) {
+    return { skipped: `the handler is over the ${budgetForModel(model)} character budget of one request` };
+  }
+
+  const startLine = parsed.code.slice(0, extracted.range.start).split("\n").length;
+  const endLine = startLine + extracted.code.split("\n").length - 1;
+  // file lines → lines of the function, when they fall inside it
+  const functionLine = (line) => (line >= startLine && line <= endLine ? line - startLine + 1 : null);
+
+  const report = findReport(run, endpoint);
+  const reported = report ? collectFindings(report).filter((f) => f.source === "model") : [];
+  const findings = rules.runRules(file, extracted, { mode });
+  const issues = [
+    ...reported.map((f) => ({
+      severity: f.severity,
+      line: functionLine(f.location?.line),
+      description: f.message,
+      suggested_fix: f.suggestion,
+      rule_id: f.ruleId,
+    })),
+    // findings the review already confirmed are listed once
+    ...findings
+      .filter((f) => !reported.some((r) => r.ruleId === f.ruleId))
+      .map((f) => ({
+        severity: f.severity,
+        line: functionLine(f.line),
+        description: f.message,
+        suggested_fix: null,
+        rule_id: f.ruleId,
+      })),
+  ];
+  if (issues.length === 0 && !report?.suggestions?.length) return { skipped: "no issues to fix" };
+
+  return {
+    target: {
+      endpoint: {
+        method: endpoint.method,
+        path: endpoint.fullPath || endpoint.path,
+        handler: endpoint.handler,
+        middleware: endpoint.middleware || [],
+      },
+      name: kind.name || extracted.name,
+      kind: kind.type,
+      lines: extracted.loc ? { start: extracted.loc.start.line, end: extracted.loc.end.line } : null,
+      code: redacted.code,
+      placeholders: redacted.secrets.map((s) => s.placeholder),
+      issues,
+      suggestions: report?.suggestions || [],
+      beforeAfter: report?.before_after ? redactSecrets(report.before_after, redactions).code : null,
+    },
+    context: { file, range: extracted.range, original: extracted.code, kind, redactions },
+  };
+}
+
+/**
+ * Check a replacement from the model and map placeholders back to the secrets
+ * @param {Object} context - from prepareFix()
+ * @param {Object} reply - parsed FIX_SCHEMA reply { code, changes, notes }
+ * @returns {Object} { code, changes } or { error, declined } (declined: the model proposed no change)
+ */
+export function verifyFix(context, reply) {
+  if (!reply) return { error: "the reply is not a valid fix" };
+  if (reply.code === null) return { error: `no fix proposed${reply.notes ? `: ${reply.notes}` : ""}`, declined: true };
+
+  const code = rehydrate(stripFences(reply.code), context.redactions);
+  const unknown = code.match(PLACEHOLDER_PATTERN);
+  if (unknown) return { error: `unknown secret placeholder ${unknown[0]} in the replacement` };
+  if (code === context.original) return { error: "the replacement is identical to the original", declined: true };
+
+  let node;
+  try {
+    node = parseAs(code, context.kind.type);
+  } catch (err) {
+    return { error: `the replacement does not parse: ${err.message}` };
+  }
+  const kind = node && functionKind(node);
+  if (!kind || kind.type !== context.kind.type) {
+    return { error: `the replacement is not a single ${context.kind.type}` };
+  }
+  if (context.kind.name && kind.name !== context.kind.name) {
+    return { error: `the replacement renamed ${context.kind.name} to ${kind.name || "(anonymous)"}` };
+  }
+  return { code, changes: reply.changes || [] };
+}
+
+/**
+ * Splice verified replacements into one file and re-parse the result
+ * @param {string} file - absolute path
+ * @param {Array<Object>} fixes - [{ context, code }] for this file
+ * @returns {Object} { before, after } or { error }
+ */
+export function patchFile(file, fixes) {
+  const before = fs.readFileSync(file, "utf8");
+
+  // from the end backwards, so earlier ranges stay valid
+  const sorted = [...fixes].sort((a, b) => b.context.range.start - a.context.range.start);
+  let after = before;
+  for (const { context, code } of sorted) {
+    if (before.slice(context.range.start, context.range.end) !== context.original) {
+      return { error: `${path.basename(file)} changed since ${context.kind.name || "the handler"} was extracted` };
+    }
+    after = after.slice(0, context.range.start) + code + after.slice(context.range.end);
+  }
+
+  try {
+    astParser.parseCode(after);
+  } catch (err) {
+    return { error: `${path.basename(file)} does not parse after the fix: ${err.message}` };
+  }
+  return { before, after };
+}
+
+/**
+ * { type, name } of a function node that can be replaced as text,
+ * or null (class methods, getters/setters)
+ */
+function functionKind(node) {
+  if (node.type === "FunctionDeclaration") return { type: "declaration", name: node.id?.name || null };
+  if (EXPRESSION_TYPES.includes(node.type)) return { type: "expression", name: null };
+  if (node.type === "ObjectMethod" && node.kind === "method" && !node.computed) {
+    return { type: "method", name: node.key.name ?? node.key.value };
+  }
+  return null;
+}
+
+/**
+ * Parse replacement code in a position where it is valid on its own
+ * @returns {Object|null} the function node, or null when the code holds something else
+ */
+function parseAs(code, type) {
+  // the newline keeps a trailing line comment from swallowing the wrapper
+  if (type === "declaration") {
+    const body = astParser.parseCode(code).program.body;
+    return body.length === 1 ? body[0] : null;
+  }
+  if (type === "expression") {
+    const body = astParser.parseCode(`(${code}\n)`).program.body;
+    return body.length === 1 && body[0].type === "ExpressionStatement" ? body[0].expression : null;
+  }
+  const body = astParser.parseCode(`({${code}\n})`).program.body;
+  const properties = body.length === 1 ? body[0].expression?.properties : null;
+  return properties?.length === 1 ? properties[0] : null;
+}
+
+/**
+ * Models sometimes wrap code in ```js fences despite the schema
+ */
+function stripFences(code) {
+  const fenced = code.match(/^\s*```(?:js|javascript)?\s*\n([\s\S]*?)\n?```\s*$/i);
+  return fenced ? fenced[1] : code;
+}
+
+/**
+ * The report of an endpoint in a review run
+ */
+function findReport(run, endpoint) {
+  return (run?.reports || []).find(
+    (r) =>
+      !r.error &&
+      r.endpoint?.handler === endpoint.handler &&
+      r.endpoint?.method === endpoint.method &&
+      r.endpoint?.path === (endpoint.fullPath || endpoint.path)
+  );
+}
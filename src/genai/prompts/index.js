@@ -0,0 +1,209 @@
+/**
+ * ---------------------------------------------------------
+ * Prompt Templates & Review Profiles
+ * ---------------------------------------------------------
+ * Purpose:
+ *   - Keep the review prompts out of the code, one versioned
+ *     template per profile: <id>.v<version>.md
+ *   - Built-in profiles live next to this file (performance,
+ *     security, maintainability, api-design, error-handling);
+ *     teams add or override profiles with config.prompts.dir
+ *   - The holistic router pass uses the "router" template
+ *     (scope: router) and the fix command the "fix" template
+ *     (scope: fix); neither is a --mode profile
+ *   - Render templates with the endpoint's sections and the
+ *     team's house conventions
+ *
+ * Template files start with front matter, then the prompt:
+ *   ---
+ *   id: performance
+ *   version: 1
+ *   description: One line shown in --help
+ *   scope: endpoint            (optional; "router" | "fix" for those passes)
+ *   ---
+ *   You are ... {{endpoint}} ... {{code}}
+ *
+ * The newest version of a profile is used unless
+ * config.prompts.pin maps its id to a version.
+ * ---------------------------------------------------------
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { loadReviewerConfig } from "../../config/reviewer.js";
+
+const BUILTIN_DIR = path.dirname(fileURLToPath(import.meta.url));
+const FILE_PATTERN = /^([a-z0-9][\w-]*)\.v(\d+)\.md$/i;
+const VARIABLE_PATTERN = /\{\{\s*([\w-]+)\s*\}\}/g;
+
+let selected = null; // { config, templates }, read once per loaded config
+
+/**
+ * Variables a template may use, per scope; client.js fills them per
+ * request (empty sections render as nothing).
+ */
+export const TEMPLATE_VARIABLES = {
+  endpoint: [
+    "replyFormat", // reply shape and the constraints every profile shares
+    "conventions", // house conventions (config.prompts)
+    "endpoint", // method, path, handler, middleware
+    "handlerFacts", // AST metrics of the handler
+    "context", // referenced models and helpers
+    "schemaFacts", // indexes of the queried models
+    "staticFindings", // rule engine findings to confirm or reject
+    "code", // the sanitized code (or one chunk of it)
+  ],
+  router: [
+    "replyFormat",
+    "conventions",
+    "router", // router name, file and endpoint count
+    "endpoints", // the digest of every endpoint (analyzer/router-digest.js)
+  ],
+  fix: [
+    "replyFormat",
+    "conventions",
+    "endpoint",
+    "issues", // review issues and static findings to fix
+    "code", // the exact function source, secrets redacted
+  ],
+};
+
+/**
+ * Every review profile (newest or pinned version), built-ins first.
+ * A custom profile with the id of a built-in replaces it.
+ * @returns {Array<Object>} [{ id, version, description, source }]
+ */
+export function listProfiles() {
+  return [...selectTemplates().values()]
+    .filter((t) => t.scope === "endpoint")
+    .map(({ id, version, description, source }) => ({ id, version, description, source }));
+}
+
+/**
+ * Template of a profile
+ * @param {string} id - profile id, e.g. "security"
+ * @returns {Object} { id, version, scope, description, source, file, body }
+ */
+export function loadTemplate(id) {
+  const template = selectTemplates().get(id);
+  if (!template) {
+    throw new Error(`Unknown review profile "${id}" (expected ${[...selectTemplates().keys()].join(" | ")})`);
+  }
+  return template;
+}
+
+/**
+ * Fill a template's {{variables}}
+ * @param {Object} template - from loadTemplate()
+ * @param {Object} vars - { [name]: string }
+ * @returns {string} prompt
+ */
+export function renderTemplate(template, vars) {
+  const text = template.body.replace(VARIABLE_PATTERN, (match, name) => (vars[name] || "").trimEnd());
+
+  // sections that rendered empty would leave runs of blank lines
+  return text.replace(/\n{3,}/g, "\n\n").trim();
+}
+
+/**
+ * House conventions added to every prompt: config.prompts.conventions
+ * plus the contents of config.prompts.conventionsFile.
+ * @returns {Array<string>} one entry per convention, the file as a single entry
+ */
+export function loadConventions() {
+  const { conventions = [], conventionsFile } = loadReviewerConfig().prompts;
+  const fromFile = [];
+
+  if (conventionsFile) {
+    const file = path.resolve(conventionsFile);
+    if (fs.existsSync(file)) {
+      fromFile.push(fs.readFileSync(file, "utf8").trim());
+    } else {
+      console.warn(`⚠️ Conventions file not found: ${conventionsFile}`);
+    }
+  }
+  return [...conventions, ...fromFile].filter(Boolean);
+}
+
+/**
+ * id → selected template (newest version unless pinned)
+ */
+function selectTemplates() {
+  const config = loadReviewerConfig();
+  if (selected?.config === config) return selected.templates;
+
+  const { dir, pin = {} } = config.prompts;
+  const byId = new Map();
+
+  // custom templates are read last so they win over built-ins
+  const all = [...readTemplates(BUILTIN_DIR, "builtin"), ...(dir ? readTemplates(path.resolve(dir), "custom") : [])];
+  all.forEach((t) => {
+    const versions = byId.get(t.id) || new Map();
+    versions.set(t.version, t);
+    byId.set(t.id, versions);
+  });
+
+  const templates = new Map();
+  for (const [id, versions] of byId) {
+    const wanted = pin[id];
+    if (wanted !== undefined && !versions.has(Number(wanted))) {
+      throw new Error(`Pinned prompt version ${id}@${wanted} not found (available: ${[...versions.keys()].join(", ")})`);
+    }
+    const version = wanted !== undefined ? Number(wanted) : Math.max(...versions.keys());
+    templates.set(id, versions.get(version));
+  }
+  selected = { config, templates };
+  return templates;
+}
+
+/**
+ * Parse every <id>.v<version>.md file of a folder
+ */
+function readTemplates(dir, source) {
+  if (!fs.existsSync(dir)) {
+    console.warn(`⚠️ Prompt template folder not found: ${dir}`);
+    return [];
+  }
+
+  return fs
+    .readdirSync(dir)
+    .filter((f) => FILE_PATTERN.test(f))
+    .map((f) => {
+      const file = path.join(dir, f);
+      const [, fileId, fileVersion] = f.match(FILE_PATTERN);
+      const { attributes, body } = parseFrontMatter(fs.readFileSync(file, "utf8"));
+
+      const id = attributes.id || fileId;
+      const version = Number(attributes.version || fileVersion);
+      if (id !== fileId || version !== Number(fileVersion)) {
+        throw new Error(`${file}: front matter says ${id}@${version}, file name says ${fileId}@${fileVersion}`);
+      }
+      const scope = attributes.scope || "endpoint";
+      const known = TEMPLATE_VARIABLES[scope];
+      if (!known) {
+        throw new Error(`${file}: unknown scope "${scope}" (expected ${Object.keys(TEMPLATE_VARIABLES).join(" | ")})`);
+      }
+      // typos in custom templates would otherwise silently drop a section
+      const unknown = [...body.matchAll(VARIABLE_PATTERN)].map((m) => m[1]).filter((v) => !known.includes(v));
+      if (unknown.length) {
+        throw new Error(`${file}: unknown variable(s) ${unknown.join(", ")} (expected ${known.join(", ")})`);
+      }
+      return { id, version, scope, description: attributes.description || "", source, file, body };
+    });
+}
+
+/**
+ * Split "---\nkey: value\n---\nbody" (flat key: value pairs only)
+ */
+function parseFrontMatter(text) {
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/);
+  if (!match) return { attributes: {}, body: text };
+
+  const attributes = {};
+  match[1].split(/\r?\n/).forEach((line) => {
+    const pair = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+    if (pair) attributes[pair[1]] = pair[2].trim();
+  });
+  return { attributes, body: match[2] };
+}
@@ -0,0 +1,108 @@
+/**
+ * ---------------------------------------------------------
+ * Gemini Provider (Google GenAI)
+ * ---------------------------------------------------------
+ * Purpose:
+ *   - Send one prompt to Gemini through @google/genai
+ *   - Return the reply text and the token counts Gemini bills
+ *   - Stream the reply (generateContentStream) when the request
+ *     has onText
+ *
+ * Options (config.llm.providers.gemini):
+ *   { apiKeyEnv = "GEMINI_API_KEY", model, structuredOutput = true }
+ *   GEMINI_DEFAULT_MODEL in the environment overrides `model`.
+ *   With structuredOutput, a request schema is enforced through
+ *   responseMimeType + responseJsonSchema.
+ * ---------------------------------------------------------
+ */
+
+import { AbortError } from "p-retry";
+
+export default {
+  id: "gemini",
+  description: "Google Gemini via @google/genai",
+
+  /**
+   * @param {Object} options - provider config
+   * @returns {Object} - { model, generate(request) }
+   */
+  create(options = {}) {
+    let client = null;
+
+    const connect = async () => {
+      if (client) return client;
+
+      const apiKey = process.env[options.apiKeyEnv || "GEMINI_API_KEY"];
+      if (!apiKey) {
+        throw new AbortError(`Gemini needs an API key: set ${options.apiKeyEnv || "GEMINI_API_KEY"} in .env`);
+      }
+
+      let GoogleGenAI;
+      try {
+        ({ GoogleGenAI } = await import("@google/genai"));
+      } catch (err) {
+        throw new AbortError(`Failed to load @google/genai. Make sure you ran: npm install @google/genai (${err.message})`);
+      }
+      client = new GoogleGenAI({ apiKey });
+      return client;
+    };
+
+    return {
+      model: process.env.GEMINI_DEFAULT_MODEL || options.model,
+
+      async generate({ model, prompt, temperature, maxOutputTokens, schema, onText }) {
+        const genai = await connect();
+        const method = onText ? "generateContentStream" : "generateContent";
+        if (typeof genai.models?.[method] !== "function") {
+          throw new AbortError(`GenAI SDK found but does not expose models.${method}(). Check your @google/genai version.`);
+        }
+
+        const request = {
+          model,
+          contents: [{ role: "user", parts: [{ text: prompt }] }],
+          config: {
+            temperature,
+            maxOutputTokens,
+            topP: 0.9,
+            topK: 40,
+            ...(schema && options.structuredOutput !== false
+              ? { responseMimeType: "application/json", responseJsonSchema: schema }
+              : {}),
+          },
+        };
+
+        if (onText) {
+          let text = "";
+          let meta = null;
+          for await (const chunk of await genai.models.generateContentStream(request)) {
+            const delta = chunk?.text || "";
+            if (delta) {
+              text += delta;
+              onText(delta);
+            }
+            // every chunk carries the totals so far
+            meta = chunk?.usageMetadata || meta;
+          }
+          return { text, usage: usageOf(meta) };
+        }
+
+        const resp = await genai.models.generateContent(request);
+        const text =
+          resp?.text ||
+          resp?.candidates?.[0]?.content?.parts?.[0]?.text ||
+          resp?.response?.text ||
+          JSON.stringify(resp);
+        return { text, usage: usageOf(resp?.usageMetadata) };
+      },
+    };
+  },
+};
+
+/**
+ * Billed tokens from usageMetadata (thinking tokens are billed as output)
+ */
+function usageOf(meta) {
+  return meta
+    ? { inputTokens: meta.promptTokenCount, outputTokens: (meta.candidatesTokenCount || 0) + (meta.thoughtsTokenCount || 0) }
+    : null;
+}
@@ -0,0 +1,70 @@
+/**
+ * ---------------------------------------------------------
+ * LLM Providers
+ * ---------------------------------------------------------
+ * Purpose:
+ *   - Keep analyzeEndpoint() independent of any one SDK
+ *   - Register the built-in backends (gemini, openai, local,
+ *     mock) and create them from config.llm.providers.<id>
+ *
+ * Providers are plain objects:
+ *   { id, description, create(options) → { model, generate(request) } }
+ * where generate({ model, prompt, temperature, maxOutputTokens, schema?, schemaName? })
+ * resolves to { text, usage } (usage: { inputTokens, outputTokens } as
+ * billed, or null to have it estimated) or just the reply text.
+ * Providers with a native structured output mode enforce `schema`
+ * (JSON Schema); others may ignore it.
+ * When the request has onText(delta), providers that can stream call
+ * it with each piece of text as it arrives and still resolve to the
+ * whole reply; others ignore it and answer in one piece.
+ * Throw p-retry's AbortError for failures a retry cannot fix
+ * (missing key, missing recording).
+ * ---------------------------------------------------------
+ */
+
+import gemini from "./gemini.js";
+import { openai, local } from "./openai.js";
+import mock from "./mock.js";
+import { loadReviewerConfig } from "../../config/reviewer.js";
+
+const PROVIDERS = new Map([gemini, openai, local, mock].map((p) => [p.id, p]));
+const instances = new Map();
+
+/**
+ * Add (or replace) a provider
+ * @param {Object} provider - { id, description, create(options) }
+ */
+export function registerProvider(provider) {
+  if (!provider?.id || typeof provider.create !== "function") {
+    throw new Error("An LLM provider needs an id and a create(options) function");
+  }
+  PROVIDERS.set(provider.id, provider);
+  instances.delete(provider.id);
+}
+
+/**
+ * Ids of every registered provider
+ * @returns {Array<string>}
+ */
+export function listProviders() {
+  return [...PROVIDERS.keys()];
+}
+
+/**
+ * Provider instance configured from config.llm.providers.<id> (created once)
+ * @param {string} id
+ * @returns {Object} - { id, model, generate(request) }
+ */
+export function getProvider(id) {
+  if (instances.has(id)) return instances.get(id);
+
+  const provider = PROVIDERS.get(id);
+  if (!provider) {
+    throw new Error(`Unknown LLM provider "${id}" (expected ${listProviders().join(" | ")})`);
+  }
+
+  const options = loadReviewerConfig().llm.providers[id] || {};
+  const instance = { id, ...provider.create(options) };
+  instances.set(id, instance);
+  return instance;
+}
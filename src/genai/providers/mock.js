@@ -0,0 +1,152 @@
+/**
+ * ---------------------------------------------------------
+ * Mock / Replay Provider
+ * ---------------------------------------------------------
+ * Purpose:
+ *   - Serve recorded model replies from disk so the whole
+ *     pipeline runs offline and deterministically
+ *   - Recordings are keyed by a hash of the prompt:
+ *       <dir>/<key>.json → { key, provider, model, recordedAt, text }
+ *     (written by the client when config.llm.record is on)
+ *   - Without a recording, reply with a canned review that
+ *     confirms the static findings listed in the prompt (an
+ *     empty router review for router prompts, the unchanged
+ *     function for fix prompts), or fail when `strict` is set
+ *
+ * Options (config.llm.providers.mock):
+ *   { dir = "src/mock_data/replays", model = "mock", strict = false, streamDelayMs = 0 }
+ *   Streamed replies arrive in small pieces, streamDelayMs apart.
+ * ---------------------------------------------------------
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { AbortError } from "p-retry";
+
+export const DEFAULT_REPLAY_DIR = "src/mock_data/replays";
+const STREAM_PIECE_CHARS = 48;
+
+/**
+ * Stable recording key for a prompt
+ * @param {string} prompt
+ * @returns {string} 16 hex chars
+ */
+export function replayKey(prompt) {
+  return crypto.createHash("sha256").update(prompt).digest("hex").slice(0, 16);
+}
+
+/**
+ * Store a reply so the mock provider can serve it later
+ * @param {string} dir - replay folder
+ * @param {string} prompt
+ * @param {Object} entry - { provider, model, text }
+ * @returns {string} path of the recording
+ */
+export function saveRecording(dir, prompt, { provider, model, text }) {
+  const key = replayKey(prompt);
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `${key}.json`);
+  fs.writeFileSync(file, JSON.stringify({ key, provider, model, recordedAt: new Date().toISOString(), text }, null, 2));
+  return file;
+}
+
+export default {
+  id: "mock",
+  description: "Recorded replies from disk (offline, deterministic)",
+
+  create(options = {}) {
+    const dir = path.resolve(options.dir || DEFAULT_REPLAY_DIR);
+
+    return {
+      model: options.model || "mock",
+
+      async generate({ prompt, schemaName, onText }) {
+        const key = replayKey(prompt);
+        const file = path.join(dir, `${key}.json`);
+        let text;
+
+        if (fs.existsSync(file)) {
+          text = JSON.parse(fs.readFileSync(file, "utf8")).text;
+        } else if (options.strict) {
+          throw new AbortError(`No recorded reply for prompt ${key} in ${path.relative(process.cwd(), dir)}`);
+        } else if (schemaName === "router_review") {
+          text = cannedRouterReply(prompt, key);
+        } else if (schemaName === "fix") {
+          text = cannedFixReply(prompt, key);
+        } else {
+          text = cannedReply(prompt, key);
+        }
+
+        if (onText) await streamText(text, onText, options.streamDelayMs || 0);
+        return text;
+      },
+    };
+  },
+};
+
+/**
+ * Hand a reply to onText piece by piece, like a streaming API
+ */
+async function streamText(text, onText, delayMs) {
+  for (let i = 0; i < text.length; i += STREAM_PIECE_CHARS) {
+    await new Promise((resolve) => setTimeout(resolve, delayMs));
+    onText(text.slice(i, i + STREAM_PIECE_CHARS));
+  }
+}
+
+/**
+ * A valid review built only from what the prompt states:
+ * every static finding is echoed back as a confirmed issue.
+ */
+function cannedReply(prompt, key) {
+  const handler = prompt.match(/Handler: ([^\n,]+)/)?.[1] || "unknown";
+  const issues = [...prompt.matchAll(/^ - ([\w-]+\/[\w-]+) \[(\w+)(?:, (CWE-\d+))?\] line (\d+): (.+?) → /gm)].map(
+    ([, ruleId, severity, cwe, line, message]) => ({
+      description: message,
+      severity,
+      category: ruleId.startsWith("sec/") ? "security" : "performance",
+      line: Number(line),
+      rationale: `Confirmed static finding ${ruleId}.`,
+      suggested_fix: null,
+      cwe: cwe || null,
+      rule_id: ruleId,
+    })
+  );
+
+  // matches REVIEW_SCHEMA (src/genai/review-schema.js)
+  return JSON.stringify({
+    summary: `Mock review of ${handler}.`,
+    issues,
+    suggestions: issues.map((issue) => `Address ${issue.rule_id}.`),
+    before_after: null,
+    notes: `No recorded reply for prompt ${key}; served by the mock provider.`,
+    difficulty: null,
+    impact: null,
+  });
+}
+
+/**
+ * A valid router review (ROUTER_REVIEW_SCHEMA) without findings
+ */
+function cannedRouterReply(prompt, key) {
+  const router = prompt.match(/^ROUTER: ([^\s(,]+)/m)?.[1] || "unknown";
+  return JSON.stringify({
+    summary: `Mock review of router ${router}.`,
+    findings: [],
+    conventions: [],
+    notes: `No recorded reply for prompt ${key}; served by the mock provider.`,
+  });
+}
+
+/**
+ * A valid fix (FIX_SCHEMA) that returns the function unchanged
+ */
+function cannedFixReply(prompt, key) {
+  const code = prompt.match(/^FUNCTION TO REWRITE:\n```js\n([\s\S]*?)\n```/m)?.[1] ?? null;
+  return JSON.stringify({
+    code,
+    changes: [],
+    notes: `No recorded reply for prompt ${key}; served by the mock provider.`,
+  });
+}
@@ -0,0 +1,121 @@
+/**
+ * ---------------------------------------------------------
+ * OpenAI & OpenAI-compatible Providers
+ * ---------------------------------------------------------
+ * Purpose:
+ *   - Send one prompt through the Chat Completions API and
+ *     return the reply text with its token usage
+ *   - Stream the reply (server-sent events) when the request has
+ *     onText
+ *   - "openai" talks to api.openai.com, "local" to any server
+ *     speaking the same API (Ollama, llama.cpp, vLLM, LM Studio)
+ *     at a configurable base URL
+ *
+ * Options (config.llm.providers.openai | .local):
+ *   { apiKeyEnv, baseURL, model, structuredOutput }
+ *   Local servers usually ignore the key, so it is optional there.
+ *   structuredOutput picks the response_format sent with a schema:
+ *   "json_schema" (strict schema), "json_object" (any JSON) or "none".
+ * ---------------------------------------------------------
+ */
+
+import { AbortError } from "p-retry";
+
+/**
+ * Build a Chat Completions provider
+ * @param {string} id - provider id
+ * @param {string} description
+ * @param {Object} defaults - { apiKeyEnv, requiresKey, structuredOutput }
+ * @returns {Object} provider
+ */
+function chatCompletionsProvider(id, description, { apiKeyEnv, requiresKey, structuredOutput }) {
+  return {
+    id,
+    description,
+
+    create(options = {}) {
+      let client = null;
+      const keyEnv = options.apiKeyEnv || apiKeyEnv;
+
+      const connect = async () => {
+        if (client) return client;
+
+        const apiKey = process.env[keyEnv];
+        if (requiresKey && !apiKey) {
+          throw new AbortError(`The ${id} provider needs an API key: set ${keyEnv} in .env`);
+        }
+        if (!requiresKey && !options.baseURL) {
+          throw new AbortError(`The ${id} provider needs llm.providers.${id}.baseURL (e.g. http://localhost:11434/v1)`);
+        }
+
+        let OpenAI;
+        try {
+          ({ default: OpenAI } = await import("openai"));
+        } catch (err) {
+          throw new AbortError(`Failed to load openai. Make sure you ran: npm install openai (${err.message})`);
+        }
+        // the SDK insists on a key even for servers that ignore it
+        client = new OpenAI({ apiKey: apiKey || "not-needed", baseURL: options.baseURL || undefined });
+        return client;
+      };
+
+      return {
+        model: options.model,
+
+        async generate({ model, prompt, temperature, maxOutputTokens, schema, schemaName = "response", onText }) {
+          const openai = await connect();
+          const request = {
+            model,
+            messages: [{ role: "user", content: prompt }],
+            temperature,
+            max_tokens: maxOutputTokens,
+            ...(schema ? responseFormat(options.structuredOutput || structuredOutput, schema, schemaName) : {}),
+          };
+
+          if (onText) {
+            // usage comes in a last chunk without choices
+            const stream = await openai.chat.completions.create({ ...request, stream: true, stream_options: { include_usage: true } });
+            let text = "";
+            let usage = null;
+            for await (const chunk of stream) {
+              const delta = chunk.choices?.[0]?.delta?.content || "";
+              if (delta) {
+                text += delta;
+                onText(delta);
+              }
+              if (chunk.usage) usage = usageOf(chunk.usage);
+            }
+            return { text, usage };
+          }
+
+          const resp = await openai.chat.completions.create(request);
+          // local servers don't always report usage
+          return { text: resp.choices?.[0]?.message?.content || "", usage: usageOf(resp.usage) };
+        },
+      };
+    },
+  };
+}
+
+function usageOf(usage) {
+  return usage ? { inputTokens: usage.prompt_tokens, outputTokens: usage.completion_tokens } : null;
+}
+
+function responseFormat(mode, schema, name) {
+  if (mode === "json_schema") return { response_format: { type: "json_schema", json_schema: { name, schema, strict: true } } };
+  if (mode === "json_object") return { response_format: { type: "json_object" } };
+  return {};
+}
+
+export const openai = chatCompletionsProvider("openai", "OpenAI Chat Completions", {
+  apiKeyEnv: "OPENAI_API_KEY",
+  requiresKey: true,
+  structuredOutput: "json_schema",
+});
+
+// not every local server enforces schemas, but most can force a JSON object
+export const local = chatCompletionsProvider("local", "OpenAI-compatible server at a base URL", {
+  apiKeyEnv: "LOCAL_LLM_API_KEY",
+  requiresKey: false,
+  structuredOutput: "json_object",
+});
@@ -7,6 +7,11 @@
  *  - Clean and normalize it using adapter.js,
  *  - Save it as a timestamped report file under src/ai_reports/.
  *
+ *  - Group the reports of one CLI run into a run summary
+ *    (run_<timestamp>.json) that `ai-review report` reads back.
+ *  - Build and save router reports from analyzeRouter()
+ *    (router_<name>_AI_<timestamp>.json) next to them.
+ *
  * Usage Example:
  *  import { generateGeminiReport } from "../genai/reporter.js";
  *
@@ -17,6 +22,9 @@
 import fs from "fs";
 import path from "path";
 import { cleanGeminiResponse, printAnalysisResult } from "./adapter.js";
+import { ROUTER_REVIEW_SCHEMA } from "./review-schema.js";
+import { buildFindings, normalizeIssue } from "./findings.js";
+import { rehydrate } from "../analyzer/secrets/index.js";
 
 /**
  * Main helper to generate and store AI analysis report
@@ -56,3 +64,153 @@ export async function generateGeminiReport(payload, rawResponse) {
   }
 }
 
+/**
+ * Build a report object from a payload and the raw model output.
+ * The cleaned analysis fields stay at the top level so older report
+ * files (plain cleaned output) can be read the same way; `findings`
+ * holds the issues and static findings as canonical findings with
+ * file positions (./findings.js).
+ * @param {Object} payload - analyzer payload
+ * @param {string} rawResponse - raw model output
+ * @param {Object} [meta] - { model, provider, template, usage, redactions, consensus } (template: { id, version } of the prompt;
+ *   usage: from analyzeEndpoint(); redactions: map from buildEndpointPayload, rehydrates before_after;
+ *   consensus: from analyzeWithEnsemble(), adds each issue's confidence and the disagreements as findings)
+ * @returns {Object} report
+ */
+export function buildReport(payload, rawResponse, meta = {}) {
+  const cleaned = cleanGeminiResponse(rawResponse);
+  const { confidence, ...consensus } = meta.consensus || {};
+  const issues = Array.isArray(cleaned.issues)
+    ? cleaned.issues.map((issue, i) => (confidence ? { ...issue, confidence: confidence[i] ?? null } : issue))
+    : null;
+  const located = {
+    sourceMap: payload.function?.sourceMap || null,
+    file: payload.endpoint?.sourceFile || null,
+    staticFindings: payload.staticFindings || [],
+  };
+
+  return {
+    ...cleaned,
+    ...(issues ? { issues } : {}),
+    findings: buildFindings({ ...located, issues: issues || [], handler: payload.endpoint?.handler }),
+    ...(meta.consensus
+      ? {
+          consensus: {
+            ...consensus,
+            disagreements: consensus.disagreements.map((d) => ({
+              ...d,
+              issue: normalizeIssue(d.issue, { ...located, confidence: d.confidence }),
+            })),
+          },
+        }
+      : {}),
+    ...(cleaned.before_after ? { before_after: rehydrate(cleaned.before_after, meta.redactions) } : {}),
+    mode: payload.mode || "performance",
+    endpoint: payload.endpoint,
+    // where the reviewed function is, for reports that show its source
+    handlerLocation: located.sourceMap?.span ? { file: located.sourceMap.file, ...located.sourceMap.span } : null,
+    staticFindings: payload.staticFindings || [],
+    model: meta.model || null,
+    provider: meta.provider || null,
+    template: meta.template || null,
+    usage: meta.usage || null,
+    generatedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Save a single endpoint report
+ * @param {Object} report - from buildReport()
+ * @param {string} [outputDir="src/ai_reports"]
+ * @returns {string} path of the written file
+ */
+export function saveReport(report, outputDir = "src/ai_reports") {
+  const dir = path.resolve(outputDir);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+  const handler = (report.endpoint?.handler || "endpoint").replace(/[^\w.@-]/g, "_");
+  const outputPath = path.join(dir, `${handler}_AI_${Date.now()}.json`);
+  fs.writeFileSync(outputPath, JSON.stringify(report, null, 2), "utf8");
+  return outputPath;
+}
+
+/**
+ * Build a router report from a digest and the raw model output
+ * @param {Object} digest - from buildDigest() (analyzer/router-digest.js)
+ * @param {string} rawResponse - raw model output
+ * @param {Object} [meta] - { model, provider, template, usage }
+ * @returns {Object} report
+ */
+export function buildRouterReport(digest, rawResponse, meta = {}) {
+  return {
+    ...cleanGeminiResponse(rawResponse, ROUTER_REVIEW_SCHEMA),
+    scope: "router",
+    router: { name: digest.name, file: digest.file },
+    endpoints: digest.endpoints.map((ep) => ep.label),
+    model: meta.model || null,
+    provider: meta.provider || null,
+    template: meta.template || null,
+    usage: meta.usage || null,
+    generatedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Save a router report
+ * @param {Object} report - from buildRouterReport()
+ * @param {string} [outputDir="src/ai_reports"]
+ * @returns {string} path of the written file
+ */
+export function saveRouterReport(report, outputDir = "src/ai_reports") {
+  const dir = path.resolve(outputDir);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+  const name = (report.router?.name || "app").replace(/[^\w.@-]/g, "_");
+  const outputPath = path.join(dir, `router_${name}_AI_${Date.now()}.json`);
+  fs.writeFileSync(outputPath, JSON.stringify(report, null, 2), "utf8");
+  return outputPath;
+}
+
+/**
+ * Save the summary of a whole review run
+ * @param {Object} run - { runId, startedAt, finishedAt, model, mode, template, reports, routerReports, failures }
+ * @param {string} [outputDir="src/ai_reports"]
+ * @returns {string} path of the written file
+ */
+export function saveRun(run, outputDir = "src/ai_reports") {
+  const dir = path.resolve(outputDir);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+  const outputPath = path.join(dir, `run_${run.runId}.json`);
+  fs.writeFileSync(outputPath, JSON.stringify(run, null, 2), "utf8");
+  return outputPath;
+}
+
+/**
+ * Load a run summary: an explicit file, or the newest run_*.json in a folder
+ * @param {string} [target="src/ai_reports"] - run file or reports folder
+ * @param {Object} [options]
+ * @param {string} [options.exclude] - run file skipped when picking the newest in a folder
+ * @returns {Object|null} run (with `file` set) or null if none found
+ */
+export function loadRun(target = "src/ai_reports", { exclude = null } = {}) {
+  const resolved = path.resolve(target);
+  if (!fs.existsSync(resolved)) return null;
+
+  let file = resolved;
+  if (fs.statSync(resolved).isDirectory()) {
+    const runs = fs
+      .readdirSync(resolved)
+      .filter((f) => /^run_.*\.json$/.test(f) && (!exclude || path.join(resolved, f) !== path.resolve(exclude)))
+      .sort();
+    if (runs.length === 0) return null;
+    file = path.join(resolved, runs[runs.length - 1]);
+  }
+
+  try {
+    return { ...JSON.parse(fs.readFileSync(file, "utf8")), file };
+  } catch (err) {
+    console.error(`❌ Could not read run file ${file}:`, err.message);
+    return null;
+  }
+}
@@ -0,0 +1,204 @@
+/**
+ * ---------------------------------------------------------
+ * Review Result Schema
+ * ---------------------------------------------------------
+ * Purpose:
+ *   - Define the JSON Schema every model reply must match
+ *     (sent to providers with a native structured-output mode):
+ *     REVIEW_SCHEMA per endpoint, ROUTER_REVIEW_SCHEMA for the
+ *     holistic pass over a whole router, FIX_SCHEMA for the
+ *     replacement functions of the fix command
+ *   - Parse a reply strictly: code fences and text around the
+ *     object are dropped, nothing inside it is rewritten
+ *   - Validate replies and report errors by JSON path, so a
+ *     repair prompt can name exactly what to fix
+ *
+ * The validator covers the subset of JSON Schema used here:
+ * type (incl. unions with "null"), enum, pattern, minimum,
+ * properties, required, additionalProperties: false, items.
+ * ---------------------------------------------------------
+ */
+
+export const SEVERITIES = ["high", "medium", "low"];
+export const CATEGORIES = ["performance", "security", "reliability", "maintainability", "api-design", "error-handling", "other"];
+const LEVELS = ["low", "medium", "high"];
+
+const ISSUE_SCHEMA = {
+  type: "object",
+  properties: {
+    description: { type: "string", description: "What is wrong, in one or two sentences" },
+    severity: { type: "string", enum: SEVERITIES },
+    category: { type: "string", enum: CATEGORIES },
+    line: { type: ["integer", "null"], minimum: 1, description: "Line in the handler code, null if not tied to one" },
+    rationale: { type: "string", description: "Why it matters (cost, risk, exploit)" },
+    suggested_fix: { type: ["string", "null"], description: "Concrete change that fixes it" },
+    cwe: { type: ["string", "null"], pattern: "^CWE-\\d+$" },
+    rule_id: { type: ["string", "null"], description: "Static finding rule id this issue confirms" },
+  },
+  required: ["description", "severity", "category", "line", "rationale", "suggested_fix", "cwe", "rule_id"],
+  additionalProperties: false,
+};
+
+export const REVIEW_SCHEMA = {
+  type: "object",
+  properties: {
+    summary: { type: "string" },
+    issues: { type: "array", items: ISSUE_SCHEMA },
+    suggestions: { type: "array", items: { type: "string" } },
+    before_after: { type: ["string", "null"] },
+    notes: { type: "string" },
+    difficulty: { type: ["string", "null"], enum: [...LEVELS, null] },
+    impact: { type: ["string", "null"], enum: [...LEVELS, null] },
+  },
+  required: ["summary", "issues", "suggestions", "before_after", "notes", "difficulty", "impact"],
+  additionalProperties: false,
+};
+
+export const ROUTER_CATEGORIES = [
+  "consistency",
+  "duplication",
+  "rest-semantics",
+  "middleware",
+  "pagination",
+  "error-handling",
+  "security",
+  "other",
+];
+
+const ROUTER_FINDING_SCHEMA = {
+  type: "object",
+  properties: {
+    title: { type: "string", description: "Short name of the finding" },
+    description: { type: "string", description: "What is inconsistent, duplicated or missing across endpoints" },
+    severity: { type: "string", enum: SEVERITIES },
+    category: { type: "string", enum: ROUTER_CATEGORIES },
+    endpoints: { type: "array", items: { type: "string" }, description: 'Affected endpoints as "METHOD /path"' },
+    rationale: { type: "string", description: "Why it matters for clients or maintainers" },
+    suggested_fix: { type: ["string", "null"], description: "Shared helper, middleware or convention that fixes it" },
+  },
+  required: ["title", "description", "severity", "category", "endpoints", "rationale", "suggested_fix"],
+  additionalProperties: false,
+};
+
+export const ROUTER_REVIEW_SCHEMA = {
+  type: "object",
+  properties: {
+    summary: { type: "string" },
+    findings: { type: "array", items: ROUTER_FINDING_SCHEMA },
+    conventions: { type: "array", items: { type: "string" }, description: "Conventions the router should follow" },
+    notes: { type: "string" },
+  },
+  required: ["summary", "findings", "conventions", "notes"],
+  additionalProperties: false,
+};
+
+export const FIX_SCHEMA = {
+  type: "object",
+  properties: {
+    code: { type: ["string", "null"], description: "The whole replacement function, null when nothing should change" },
+    changes: { type: "array", items: { type: "string" }, description: "One line per change made" },
+    notes: { type: "string" },
+  },
+  required: ["code", "changes", "notes"],
+  additionalProperties: false,
+};
+
+/**
+ * Pull the JSON object out of a reply: ```json fences and text before
+ * the first "{" / after the last "}" are ignored.
+ * @param {string} text
+ * @returns {Object} - { value } or { error }
+ */
+export function parseReviewJson(text) {
+  if (typeof text !== "string" || !text.trim()) return { error: "Empty reply" };
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const body = fenced ? fenced[1] : text;
+  const start = body.indexOf("{");
+  const end = body.lastIndexOf("}");
+  if (start < 0 || end <= start) return { error: "Reply contains no JSON object" };
+
+  try {
+    return { value: JSON.parse(body.slice(start, end + 1)) };
+  } catch (err) {
+    return { error: `Invalid JSON: ${err.message}` };
+  }
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value
+ * @param {Object} [schema=REVIEW_SCHEMA]
+ * @returns {Array<string>} errors like `$.issues[0].severity: must be one of high, medium, low`
+ */
+export function validateReview(value, schema = REVIEW_SCHEMA) {
+  const errors = [];
+  validateNode(value, schema, "$", errors);
+  return errors;
+}
+
+function validateNode(value, schema, at, errors) {
+  const types = [].concat(schema.type || []);
+  if (types.length && !types.some((t) => matchesType(value, t))) {
+    errors.push(`${at}: must be ${types.join(" or ")}, got ${typeName(value)}`);
+    return;
+  }
+  if (value === null) return;
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.filter((v) => v !== null).join(", ")}`);
+  }
+  if (schema.pattern && typeof value === "string" && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${at}: must match ${schema.pattern}`);
+  }
+  if (schema.minimum !== undefined && typeof value === "number" && value < schema.minimum) {
+    errors.push(`${at}: must be >= ${schema.minimum}`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => validateNode(item, schema.items, `${at}[${i}]`, errors));
+  }
+
+  if (typeName(value) === "object" && schema.properties) {
+    (schema.required || []).forEach((key) => {
+      if (!(key in value)) errors.push(`${at}: missing required property "${key}"`);
+    });
+    for (const [key, child] of Object.entries(value)) {
+      if (schema.properties[key]) validateNode(child, schema.properties[key], `${at}.${key}`, errors);
+      else if (schema.additionalProperties === false) errors.push(`${at}: unexpected property "${key}"`);
+    }
+  }
+}
+
+function matchesType(value, type) {
+  if (type === "integer") return Number.isInteger(value);
+  return typeName(value) === type;
+}
+
+function typeName(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+/**
+ * Compact TypeScript-like rendering of a schema for prompts
+ * @param {Object} [schema=REVIEW_SCHEMA]
+ * @returns {string} e.g. { summary: string, issues: { ... }[], ... }
+ */
+export function describeSchema(schema = REVIEW_SCHEMA) {
+  if (schema.enum) return schema.enum.map((v) => JSON.stringify(v)).join("|");
+
+  const types = [].concat(schema.type || "any");
+  return types
+    .map((type) => {
+      if (type === "object" && schema.properties) {
+        const props = Object.entries(schema.properties).map(([key, child]) => `${key}: ${describeSchema(child)}`);
+        return `{ ${props.join(", ")} }`;
+      }
+      if (type === "array") return `${describeSchema(schema.items || {})}[]`;
+      if (type === "integer") return "number";
+      return type;
+    })
+    .join("|");
+}
@@ -0,0 +1,293 @@
+/**
+ * ---------------------------------------------------------
+ * Review Scheduler
+ * ---------------------------------------------------------
+ * Purpose:
+ *   - Run many endpoint reviews concurrently (runQueue)
+ *   - Keep each provider under its requests/tokens per minute
+ *     (config.llm.providers.<id>.rpm / tpm), pausing everyone
+ *     when a provider answers 429 with Retry-After
+ *   - Enforce a total token / cost budget: once it would be
+ *     exceeded no new request starts, remaining endpoints are
+ *     skipped and the run ends normally
+ *
+ * Requests reserve an estimate (~4 characters per token plus the
+ * maximum reply) that is held until they are charged what the provider
+ * reports (./usage.js), so requests in flight together can't overrun it.
+ * A request that only fits once those finish waits for them; the budget
+ * counts as exceeded when the estimate overruns what is actually spent.
+ * ---------------------------------------------------------
+ */
+
+import { loadReviewerConfig } from "../config/reviewer.js";
+import { priceUsage } from "./usage.js";
+
+const WINDOW_MS = 60 * 1000;
+const limiters = new Map();
+
+/**
+ * Thrown when a request would exceed the run budget; never retried
+ */
+export class BudgetExceededError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "BudgetExceededError";
+  }
+}
+
+/**
+ * Sliding-window limiter for requests and tokens per minute (0 = unlimited)
+ * @param {Object} limits - { rpm, tpm }
+ * @returns {Object} - { acquire(tokens), pause(ms) }
+ */
+export function createRateLimiter({ rpm = 0, tpm = 0 } = {}) {
+  const sent = []; // { at, tokens }
+  let pausedUntil = 0;
+  let queue = Promise.resolve();
+
+  const waitTime = (tokens) => {
+    const now = Date.now();
+    while (sent.length && now - sent[0].at >= WINDOW_MS) sent.shift();
+
+    let wait = Math.max(0, pausedUntil - now);
+    if (rpm && sent.length >= rpm) {
+      wait = Math.max(wait, sent[sent.length - rpm].at + WINDOW_MS - now);
+    }
+    if (tpm) {
+      // drop the oldest requests until this one fits into the window
+      let used = sent.reduce((sum, s) => sum + s.tokens, 0);
+      for (const s of sent) {
+        if (used + tokens <= tpm) break;
+        used -= s.tokens;
+        wait = Math.max(wait, s.at + WINDOW_MS - now);
+      }
+    }
+    return wait;
+  };
+
+  return {
+    /**
+     * Resolve when a request of `tokens` may be sent (requests are served in order)
+     */
+    acquire(tokens = 0) {
+      const turn = queue.then(async () => {
+        // one request larger than tpm can never fit: send it on an empty window
+        const fitted = tpm ? Math.min(tokens, tpm) : tokens;
+        for (let wait = waitTime(fitted); wait > 0; wait = waitTime(fitted)) {
+          await sleep(wait);
+        }
+        sent.push({ at: Date.now(), tokens: fitted });
+      });
+      queue = turn;
+      return turn;
+    },
+
+    /**
+     * Hold every request for `ms` (Retry-After)
+     */
+    pause(ms) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+    },
+  };
+}
+
+/**
+ * Shared limiter of a provider, configured from config.llm.providers.<id>
+ * @param {string} providerId
+ * @returns {Object} limiter
+ */
+export function limiterFor(providerId) {
+  if (!limiters.has(providerId)) {
+    const { rpm = 0, tpm = 0 } = loadReviewerConfig().llm.providers[providerId] || {};
+    limiters.set(providerId, createRateLimiter({ rpm, tpm }));
+  }
+  return limiters.get(providerId);
+}
+
+/**
+ * Token / cost budget of one run (0 = unlimited). Cost uses
+ * config.llm.pricing (USD per 1M input / output tokens).
+ * @param {Object} limits - { maxTokens, maxCost }
+ * @returns {Object} budget
+ */
+export function createBudget({ maxTokens = 0, maxCost = 0 } = {}) {
+  const spent = { tokens: 0, cost: 0 };
+  // estimates of the requests in flight
+  const reserved = { tokens: 0, cost: 0 };
+  const waiting = [];
+  let exceeded = null;
+
+  // unpriced models only count against the token budget
+  const costOf = (model, inputTokens, outputTokens) => priceUsage(model, { inputTokens, outputTokens }) || 0;
+
+  return {
+    spent,
+    reserved,
+    get exceeded() {
+      return exceeded;
+    },
+
+    /**
+     * Hold the estimate of a request until it is charged or released,
+     * waiting while it only fits once requests in flight finish; throw
+     * BudgetExceededError if it would overrun what is already spent
+     * @param {Object} request - { model, inputTokens, outputTokens } (output: the expected maximum)
+     * @returns {Promise<Object>} reservation, for charge() / release()
+     */
+    async reserve({ model, inputTokens, outputTokens }) {
+      const estimate = { tokens: inputTokens + outputTokens, cost: costOf(model, inputTokens, outputTokens) };
+
+      for (;;) {
+        if (exceeded) throw new BudgetExceededError(exceeded);
+        if (maxTokens && spent.tokens + estimate.tokens > maxTokens) {
+          exceeded = `token budget of ${maxTokens} reached (${spent.tokens} used, next request needs up to ${estimate.tokens})`;
+        } else if (maxCost && spent.cost + estimate.cost > maxCost) {
+          exceeded = `cost budget of $${maxCost} reached ($${spent.cost.toFixed(4)} used, next request needs up to $${estimate.cost.toFixed(4)})`;
+        }
+        if (exceeded) throw new BudgetExceededError(exceeded);
+
+        const fits =
+          (!maxTokens || spent.tokens + reserved.tokens + estimate.tokens <= maxTokens) &&
+          (!maxCost || spent.cost + reserved.cost + estimate.cost <= maxCost);
+        if (fits) break;
+        // only the requests in flight are in the way: check again when one finishes
+        await new Promise((resolve) => waiting.push(resolve));
+      }
+
+      reserved.tokens += estimate.tokens;
+      reserved.cost += estimate.cost;
+      return estimate;
+    },
+
+    /**
+     * Record what a finished request used and release its reservation
+     * @param {Object} usage - { model, inputTokens, outputTokens }
+     * @param {Object} [reservation] - from reserve()
+     */
+    charge({ model, inputTokens, outputTokens }, reservation = null) {
+      spent.tokens += inputTokens + outputTokens;
+      spent.cost += costOf(model, inputTokens, outputTokens);
+      this.release(reservation);
+    },
+
+    /**
+     * Release the reservation of a request that failed without an answer
+     * @param {Object} [reservation] - from reserve()
+     */
+    release(reservation) {
+      if (!reservation || reservation.released) return;
+      reservation.released = true;
+      reserved.tokens -= reservation.tokens;
+      reserved.cost -= reservation.cost;
+      waiting.splice(0).forEach((wake) => wake());
+    },
+  };
+}
+
+/**
+ * Milliseconds a rate-limited provider asked us to wait, if it said so:
+ * Retry-After headers (seconds or HTTP date) or Gemini's "retryDelay": "27s".
+ * @param {Error} error
+ * @returns {number|null}
+ */
+export function retryAfterMs(error) {
+  const headers = error?.headers || error?.response?.headers;
+  const header = typeof headers?.get === "function" ? headers.get("retry-after") : headers?.["retry-after"];
+
+  if (header) {
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return seconds * 1000;
+    const date = Date.parse(header);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+
+  const delay = String(error?.message || "").match(/"?retryDelay"?\s*:\s*"(\d+(?:\.\d+)?)s"/);
+  return delay ? Number(delay[1]) * 1000 : null;
+}
+
+/**
+ * Is a failed request worth retrying? Network errors, 408, 409, 429 and 5xx are.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isRetryable(error) {
+  if (error instanceof BudgetExceededError) return false;
+  const status = error?.status ?? error?.code;
+  if (typeof status !== "number") return true;
+  return status === 408 || status === 409 || status === 429 || status >= 500;
+}
+
+/**
+ * Run `worker` over `items` with at most `concurrency` in flight.
+ * Once the budget is exceeded, items not yet started are skipped.
+ * @param {Array} items
+ * @param {Function} worker - async (item, index) → value
+ * @param {Object} [options]
+ * @param {number} [options.concurrency=1]
+ * @param {Object} [options.budget] - from createBudget()
+ * @param {Function} [options.onProgress] - (state) after every start/finish
+ * @returns {Promise<Array>} per item, in input order:
+ *   { status: "done", value } | { status: "failed", error } | { status: "skipped", reason }
+ */
+export async function runQueue(items, worker, { concurrency = 1, budget = null, onProgress = () => {} } = {}) {
+  const results = new Array(items.length);
+  const state = { total: items.length, done: 0, failed: 0, skipped: 0, running: 0, startedAt: Date.now(), budget };
+  let next = 0;
+
+  const lane = async () => {
+    while (next < items.length) {
+      const index = next++;
+
+      if (budget?.exceeded) {
+        results[index] = { status: "skipped", reason: budget.exceeded };
+        state.skipped++;
+        onProgress({ ...state, item: items[index], event: "skipped" });
+        continue;
+      }
+
+      state.running++;
+      onProgress({ ...state, item: items[index], event: "started" });
+      try {
+        results[index] = { status: "done", value: await worker(items[index], index) };
+        state.done++;
+      } catch (error) {
+        if (error instanceof BudgetExceededError) {
+          results[index] = { status: "skipped", reason: error.message };
+          state.skipped++;
+        } else {
+          results[index] = { status: "failed", error };
+          state.failed++;
+        }
+      }
+      state.running--;
+      onProgress({ ...state, item: items[index], event: results[index].status });
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, lane));
+  return results;
+}
+
+/**
+ * One-line progress summary: "[4/9] 2 running, 1 failed, 0 skipped · 12.3s · ~8.1k tokens"
+ * @param {Object} state - from runQueue's onProgress
+ * @returns {string}
+ */
+export function formatProgress(state) {
+  const finished = state.done + state.failed + state.skipped;
+  const seconds = ((Date.now() - state.startedAt) / 1000).toFixed(1);
+  const parts = [`${state.running} running`];
+  if (state.failed) parts.push(`${state.failed} failed`);
+  if (state.skipped) parts.push(`${state.skipped} skipped`);
+
+  let spent = "";
+  if (state.budget) {
+    const { tokens, cost } = state.budget.spent;
+    spent = ` · ~${(tokens / 1000).toFixed(1)}k tokens${cost ? ` ($${cost.toFixed(4)})` : ""}`;
+  }
+  return `[${finished}/${state.total}] ${parts.join(", ")} · ${seconds}s${spent}`;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
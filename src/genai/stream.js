@@ -0,0 +1,102 @@
+/**
+ * ---------------------------------------------------------
+ * Streamed Replies
+ * ---------------------------------------------------------
+ * Purpose:
+ *   - Pick complete pieces out of a JSON reply while it is
+ *     still streaming: each object of top-level arrays ("issues",
+ *     "findings") as soon as its closing brace arrives, and
+ *     top-level strings when asked for
+ *   - Only for showing progress: the whole reply is parsed and
+ *     validated once it is complete (client.js requestAnalysis)
+ *
+ * Text before the first "{" (e.g. a ```json fence) is skipped.
+ * ---------------------------------------------------------
+ */
+
+/**
+ * Incremental parser for one reply
+ * @param {Array<string>} keys - top-level keys to report
+ * @param {Function} onItem - ({ key, value }) for each completed string value or array object
+ * @returns {Object} { push(delta), text() }
+ */
+export function createItemParser(keys, onItem) {
+  const wanted = new Set(keys);
+  let buffer = "";
+  let pos = 0;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let stringStart = -1;
+  let expectKey = false; // next string at depth 1 is a key
+  let key = null; // top-level key whose value is being read
+  let arrayKey = null; // wanted top-level key whose array is open
+  let itemStart = -1;
+
+  const emit = (name, source) => {
+    try {
+      onItem({ key: name, value: JSON.parse(source) });
+    } catch {
+      // a malformed piece shows up in validation of the whole reply
+    }
+  };
+
+  const scan = () => {
+    for (; pos < buffer.length; pos++) {
+      const ch = buffer[pos];
+
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (ch === "\\") escaped = true;
+        else if (ch === '"') {
+          inString = false;
+          if (depth === 1 && expectKey) {
+            key = JSON.parse(buffer.slice(stringStart, pos + 1));
+            expectKey = false;
+          } else if (depth === 1 && wanted.has(key)) {
+            emit(key, buffer.slice(stringStart, pos + 1));
+          }
+        }
+        continue;
+      }
+
+      if (depth === 0 && ch !== "{") continue;
+      if (ch === '"') {
+        inString = true;
+        stringStart = pos;
+      } else if (ch === "{" || ch === "[") {
+        depth++;
+        if (depth === 1) expectKey = true;
+        if (depth === 2 && ch === "[" && wanted.has(key)) arrayKey = key;
+        if (depth === 3 && ch === "{" && arrayKey) itemStart = pos;
+      } else if (ch === "}" || ch === "]") {
+        if (depth === 3 && ch === "}" && itemStart >= 0) {
+          emit(arrayKey, buffer.slice(itemStart, pos + 1));
+          itemStart = -1;
+        }
+        if (depth === 2) arrayKey = null;
+        depth--;
+      } else if (ch === "," && depth === 1) {
+        expectKey = true;
+      }
+    }
+  };
+
+  return {
+    push(delta) {
+      buffer += delta;
+      scan();
+    },
+    text: () => buffer,
+  };
+}
+
+/**
+ * Keys worth showing while a reply of a schema streams in
+ * @param {Object} schema - REVIEW_SCHEMA, ROUTER_REVIEW_SCHEMA, ...
+ * @returns {Array<string>} every top-level array of objects ("issues", "findings")
+ */
+export function streamedKeys(schema) {
+  const properties = schema?.properties || {};
+  return Object.keys(properties).filter((name) => properties[name].type === "array" && properties[name].items?.type === "object");
+}
@@ -0,0 +1,159 @@
+/**
+ * ---------------------------------------------------------
+ * Token Usage & Cost
+ * ---------------------------------------------------------
+ * Purpose:
+ *   - Record prompt/completion tokens of every model request,
+ *     as reported by the provider or estimated locally
+ *     (~4 characters per token) when it reports nothing
+ *   - Price them with config.llm.pricing (USD per 1M tokens)
+ *   - Aggregate per endpoint, per run and per day; daily totals
+ *     of every run accumulate in <reports dir>/usage_daily.json
+ *
+ * A request record:
+ *   { at, provider, model, inputTokens, outputTokens, estimated, cost }
+ * cost is null for models missing from the price table.
+ * ---------------------------------------------------------
+ */
+
+import fs from "fs";
+import path from "path";
+import { loadReviewerConfig } from "../config/reviewer.js";
+
+export const DAILY_USAGE_FILE = "usage_daily.json";
+
+const EMPTY_TOTALS = { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0, estimated: 0, unpriced: 0 };
+
+/**
+ * Rough token count of a text (same 4 chars/token ratio as truncator.js)
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || "").length / 4);
+}
+
+/**
+ * USD cost of a request. Versioned model ids ("gpt-4o-mini-2024-07-18")
+ * use the price of the longest configured id they start with.
+ * @param {string} model
+ * @param {Object} tokens - { inputTokens, outputTokens }
+ * @returns {number|null} null when the model has no price
+ */
+export function priceUsage(model, { inputTokens, outputTokens }) {
+  const pricing = loadReviewerConfig().llm.pricing;
+  const id =
+    model in pricing
+      ? model
+      : Object.keys(pricing)
+          .filter((key) => model?.startsWith(key))
+          .sort((a, b) => b.length - a.length)[0];
+  if (!id) return null;
+  return (inputTokens * pricing[id].input + outputTokens * pricing[id].output) / 1e6;
+}
+
+/**
+ * Usage record of one request
+ * @param {Object} request
+ * @param {string} request.provider
+ * @param {string} request.model
+ * @param {string} request.prompt - text sent
+ * @param {string} request.text - reply received
+ * @param {Object|null} [request.reported] - { inputTokens, outputTokens } from the provider
+ * @returns {Object} record
+ */
+export function requestUsage({ provider, model, prompt, text, reported = null }) {
+  const estimated = !Number.isFinite(reported?.inputTokens) || !Number.isFinite(reported?.outputTokens);
+  const tokens = estimated
+    ? { inputTokens: estimateTokens(prompt), outputTokens: estimateTokens(text) }
+    : { inputTokens: reported.inputTokens, outputTokens: reported.outputTokens };
+
+  return { at: new Date().toISOString(), provider, model, ...tokens, estimated, cost: priceUsage(model, tokens) };
+}
+
+/**
+ * Totals of some request records
+ * @param {Array<Object>} records
+ * @returns {Object} { requests, inputTokens, outputTokens, cost, estimated, unpriced }
+ *   (estimated / unpriced: how many requests were estimated / had no price)
+ */
+export function sumUsage(records = []) {
+  return records.reduce(
+    (sum, r) =>
+      addTotals(sum, {
+        requests: 1,
+        inputTokens: r.inputTokens,
+        outputTokens: r.outputTokens,
+        cost: r.cost || 0,
+        estimated: Number(r.estimated),
+        unpriced: Number(r.cost === null),
+      }),
+    EMPTY_TOTALS
+  );
+}
+
+/**
+ * Totals per calendar day (UTC) of the request records
+ * @param {Array<Object>} records
+ * @returns {Object} { "YYYY-MM-DD": totals }
+ */
+export function usageByDay(records = []) {
+  const days = {};
+  records.forEach((r) => (days[r.at.slice(0, 10)] ||= []).push(r));
+  return Object.fromEntries(Object.entries(days).map(([day, list]) => [day, sumUsage(list)]));
+}
+
+/**
+ * Add a run's requests to the daily totals in <dir>/usage_daily.json
+ * @param {Array<Object>} records - request records of the run
+ * @param {string} dir - reports folder
+ * @returns {Object} the updated ledger { "YYYY-MM-DD": { runs, ...totals } }
+ */
+export function recordDailyUsage(records, dir) {
+  const file = path.join(path.resolve(dir), DAILY_USAGE_FILE);
+  let ledger = {};
+  if (fs.existsSync(file)) {
+    try {
+      ledger = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      console.warn(`⚠️ Starting a new ${DAILY_USAGE_FILE}, the old one is unreadable:`, err.message);
+    }
+  }
+
+  for (const [day, totals] of Object.entries(usageByDay(records))) {
+    const before = { ...EMPTY_TOTALS, runs: 0, ...ledger[day] };
+    ledger[day] = { runs: before.runs + 1, ...addTotals(before, totals) };
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(ledger, null, 2), "utf8");
+  return ledger;
+}
+
+/**
+ * One-line summary: "9 request(s) · 12.3k in / 4.1k out tokens · $0.0123 (3 estimated)"
+ * @param {Object} totals - from sumUsage()
+ * @returns {string}
+ */
+export function formatUsage(totals) {
+  const k = (n) => (n >= 1000 ? `${(n / 1000).toFixed(1)}k` : String(n));
+  const notes = [];
+  if (totals.estimated) notes.push(`${totals.estimated} estimated`);
+  if (totals.unpriced) notes.push(`${totals.unpriced} unpriced`);
+
+  return (
+    `${totals.requests} request(s) · ${k(totals.inputTokens)} in / ${k(totals.outputTokens)} out tokens · ` +
+    `$${totals.cost.toFixed(4)}${notes.length ? ` (${notes.join(", ")})` : ""}`
+  );
+}
+
+function addTotals(a, b) {
+  return {
+    requests: a.requests + b.requests,
+    inputTokens: a.inputTokens + b.inputTokens,
+    outputTokens: a.outputTokens + b.outputTokens,
+    cost: Number((a.cost + b.cost).toFixed(6)),
+    estimated: a.estimated + b.estimated,
+    unpriced: a.unpriced + b.unpriced,
+  };
+}
@@ -3,9 +3,11 @@
  *
  * Purpose:
  *  - Load sanitized endpoint analysis payloads from /analysis_reports
- *  - Send each payload to Gemini via genai/client.js
+ *  - Send each payload to Gemini via genai/client.js (unchanged
+ *    handlers are answered from the response cache, see genai/cache.js)
  *  - Clean and format Gemini output using genai/adapter.js
  *  - Save AI insights to /ai_reports and print summary to terminal
+ *  - Print the run's token usage and cost, and add it to the daily totals
  *
  * Usage:
  *   node src/scripts/run-ai-review.js
@@ -15,6 +17,9 @@ import fs from "fs";
 import path from "path";
 import { analyzeEndpoint } from "../genai/client.js";
 import { cleanGeminiResponse, printAnalysisResult } from "../genai/adapter.js";
+import { createBudget, runQueue, formatProgress } from "../genai/scheduler.js";
+import { sumUsage, recordDailyUsage, formatUsage } from "../genai/usage.js";
+import { loadReviewerConfig } from "../config/reviewer.js";
 
 // Directory constants
 const ANALYSIS_DIR = path.resolve("src/analysis_reports");
@@ -53,12 +58,13 @@ function loadAnalyzerPayloads() {
 
 /**
  * Send payload to Gemini → parse → save results
+ * @returns {Promise<Array>} usage records of the requests made (genai/usage.js)
  */
-async function processPayloadWithGemini(payload) {
+async function processPayloadWithGemini(payload, budget) {
   console.log(`\n🚀 Sending endpoint "${payload.endpoint?.handler}" to Gemini...`);
 
   try {
-    const aiResponse = await analyzeEndpoint(payload, { retries: 2 });
+    const aiResponse = await analyzeEndpoint(payload, { retries: 2, budget });
     const cleaned = cleanGeminiResponse(aiResponse.raw);
 
     // Pretty-print for terminal output
@@ -69,10 +75,18 @@ async function processPayloadWithGemini(payload) {
     const filename = `${payload.endpoint?.handler || "endpoint"}_AI_${Date.now()}.json`;
     const outPath = path.join(AI_REPORTS_DIR, filename);
 
-    fs.writeFileSync(outPath, JSON.stringify(cleaned, null, 2), "utf8");
+    fs.writeFileSync(
+      outPath,
+      JSON.stringify({ ...cleaned, template: aiResponse.template, usage: aiResponse.usage }, null, 2),
+      "utf8"
+    );
     console.log(`💾 AI Report saved to: ${outPath}`);
+    return aiResponse.usage.calls;
   } catch (err) {
+    // budget stops propagate so the queue skips the remaining payloads
+    if (err.name === "BudgetExceededError") throw err;
     console.error(`❌ Failed to analyze ${payload.endpoint?.handler}:`, err.message || err);
+    return [];
   }
 }
 
@@ -87,9 +101,23 @@ async function runAIReview() {
   const payloads = loadAnalyzerPayloads();
   if (!payloads.length) return;
 
-  for (const payload of payloads) {
-    await processPayloadWithGemini(payload);
-  }
+  // concurrency, rate limits and budget come from config.llm
+  const llm = loadReviewerConfig().llm;
+  const budget = createBudget(llm.budget);
+  const results = await runQueue(payloads, (payload) => processPayloadWithGemini(payload, budget), {
+    concurrency: llm.concurrency,
+    budget,
+    onProgress: (state) => {
+      if (state.event !== "started") console.log(`⏳ ${formatProgress(state)}`);
+    },
+  });
+
+  const skipped = results.filter((r) => r.status === "skipped");
+  if (skipped.length) console.warn(`\n🛑 Budget reached: ${skipped[0].reason}; skipped ${skipped.length} payload(s).`);
+
+  const calls = results.flatMap((r) => (r.status === "done" ? r.value : []));
+  recordDailyUsage(calls, AI_REPORTS_DIR);
+  console.log(`\n💰 Usage: ${formatUsage(sumUsage(calls))}`);
 
   console.log("\n✅ AI Code Review complete. Reports saved in /src/ai_reports.");
   console.log("──────────────────────────────────────────────");
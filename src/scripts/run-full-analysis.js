@@ -4,8 +4,13 @@
  * ---------------------------------------------------------
  *  Flow:
  *   1. User selects router file
- *   2. Analyzer runs for that file (with endpoint selection)
- *   3. Gemini AI analyzes new payloads in analysis_reports/
+ *   2. Analyzer runs in-process for that file (with endpoint selection)
+ *   3. The model analyzes the payloads written in step 2; handlers
+ *      that haven't changed are answered from the response cache
+ *   4. Token usage and cost are printed and added to the daily totals
+ *
+ *  For CI/scripting use the non-interactive CLI instead:
+ *   node src/cli/index.js review --all --yes
  * ---------------------------------------------------------
  */
 
@@ -15,8 +20,14 @@ import dotenv from "dotenv";
 import inquirer from "inquirer";
 import { analyzeEndpoint } from "../genai/client.js";
 import { cleanGeminiResponse } from "../genai/adapter.js";
+import { createBudget, runQueue, formatProgress } from "../genai/scheduler.js";
+import { sumUsage, recordDailyUsage, formatUsage } from "../genai/usage.js";
+import { loadReviewerConfig } from "../config/reviewer.js";
+import { discoverEndpoints, buildEndpointPayload } from "../analyzer/index.js";
+import { rehydrate } from "../analyzer/secrets/index.js";
+import { selectEndpoints } from "../cli/select.js";
+import { isInteractive } from "../cli/args.js";
 import { fileURLToPath } from "url";
-import { execSync } from "child_process";
 
 dotenv.config();
 
@@ -29,6 +40,9 @@ const AI_REPORTS_DIR = path.join(__dirname, "../..", "src", "ai_reports");
 
 if (!fs.existsSync(AI_REPORTS_DIR)) fs.mkdirSync(AI_REPORTS_DIR, { recursive: true });
 
+// payload file → secret placeholder map (kept in memory, never written)
+const redactionsByPayload = new Map();
+
 /**
  * Step 1: Ask which route to analyze
  */
@@ -39,6 +53,11 @@ async function selectRouteFile() {
     process.exit(1);
   }
 
+  if (!isInteractive()) {
+    console.error("❌ Not running in a terminal: pass a route file, e.g. `node src/scripts/run-full-analysis.js user.routes.js`");
+    process.exit(2);
+  }
+
   const { selectedFile } = await inquirer.prompt([
     {
       type: "list",
@@ -52,12 +71,22 @@ async function selectRouteFile() {
 }
 
 /**
- * Step 2: Run analyzer for selected route
+ * Step 2: Run analyzer for selected route (in-process)
  */
-function runAnalyzer(selectedFile) {
+async function runAnalyzer(selectedFile) {
   console.log(`\n🚀 Running Analyzer for ${selectedFile}...\n`);
   try {
-    execSync(`node src/analyzer/index.js ${selectedFile}`, { stdio: "inherit" });
+    const endpoints = discoverEndpoints(path.join(ROUTES_DIR, selectedFile));
+    const selected = await selectEndpoints(endpoints, {});
+    if (selected.length === 0) {
+      console.warn("⚠️ No endpoints found in this route file.");
+      process.exit(1);
+    }
+
+    selected.forEach(endpoint => {
+      const result = buildEndpointPayload(endpoint, { outDir: ANALYSIS_DIR });
+      if (result?.savedFile) redactionsByPayload.set(path.basename(result.savedFile), result.redactions);
+    });
   } catch (err) {
     console.error("❌ Analyzer failed:", err.message);
     process.exit(1);
@@ -65,68 +94,78 @@ function runAnalyzer(selectedFile) {
 }
 
 /**
- * Step 3: Send new payloads to Gemini
+ * Step 3: Send the payloads written by this run to the model
+ * (earlier payloads stay in analysis_reports/ untouched)
  */
 async function analyzeReports() {
-  console.log("\n📂 Scanning analyzer output files...\n");
-
-  const payloadFiles = fs
-    .readdirSync(ANALYSIS_DIR)
-    .filter(f => f.endsWith(".json") && !f.includes("last_session"));
+  const payloadFiles = [...redactionsByPayload.keys()];
 
   if (payloadFiles.length === 0) {
-    console.warn("⚠️ No payloads found in analysis_reports/");
+    console.warn("⚠️ No payloads were written for the selected endpoints.");
     return;
   }
 
-  for (const file of payloadFiles) {
+  const analyzeFile = async (file) => {
     const payloadPath = path.join(ANALYSIS_DIR, file);
     const payload = JSON.parse(fs.readFileSync(payloadPath, "utf8"));
     const endpointName = payload.function?.name || "unknown";
 
     if (!payload.function?.cleanedCode && !payload.function?.sanitizedCode) {
       console.warn(`⚠️ Skipping ${file}: invalid payload structure.`);
-      continue;
+      return [];
     }
 
     console.log(`🧠 Analyzing endpoint: ${endpointName} (${file})`);
-    console.log("──────────────────────────────");
-
-    try {
-      const aiResult = await analyzeEndpoint(payload);
-      const cleaned = cleanGeminiResponse(aiResult.raw || aiResult);
 
-      const reportName = `${endpointName}_AI_Insights_${new Date()
-        .toISOString()
-        .replace(/[:.]/g, "-")}.json`;
-      const reportPath = path.join(AI_REPORTS_DIR, reportName);
-
-      fs.writeFileSync(reportPath, JSON.stringify(cleaned, null, 2));
-      console.log(`✅ Saved Gemini report → ${reportPath}\n`);
-    } catch (err) {
-      console.error(`❌ Error analyzing ${file}:`, err.message);
-    }
-  }
-
-  console.log("🎉 All selected endpoints analyzed successfully!\n");
+    const aiResult = await analyzeEndpoint(payload, { budget });
+    const cleaned = cleanGeminiResponse(aiResult.raw || aiResult);
+    cleaned.before_after = rehydrate(cleaned.before_after, redactionsByPayload.get(file));
+
+    const reportName = `${endpointName}_AI_Insights_${new Date()
+      .toISOString()
+      .replace(/[:.]/g, "-")}.json`;
+    const reportPath = path.join(AI_REPORTS_DIR, reportName);
+
+    fs.writeFileSync(reportPath, JSON.stringify({ ...cleaned, template: aiResult.template, usage: aiResult.usage }, null, 2));
+    console.log(`✅ Saved Gemini report → ${reportPath}\n`);
+    return aiResult.usage.calls;
+  };
+
+  // concurrency, rate limits and budget come from config.llm
+  const llm = loadReviewerConfig().llm;
+  const budget = createBudget(llm.budget);
+  const results = await runQueue(payloadFiles, analyzeFile, {
+    concurrency: llm.concurrency,
+    budget,
+    onProgress: (state) => {
+      if (state.event !== "started") console.log(`⏳ ${formatProgress(state)}`);
+    },
+  });
+
+  results.forEach((result, i) => {
+    if (result.status === "done") return;
+    process.exitCode = 1;
+    if (result.status === "failed") console.error(`❌ Error analyzing ${payloadFiles[i]}:`, result.error.message);
+  });
+  const skipped = results.filter((r) => r.status === "skipped");
+  if (skipped.length) console.warn(`🛑 Budget reached: ${skipped[0].reason}; skipped ${skipped.length} endpoint(s).`);
+
+  const calls = results.flatMap((r) => (r.status === "done" ? r.value : []));
+  recordDailyUsage(calls, AI_REPORTS_DIR);
+  console.log(`💰 Usage: ${formatUsage(sumUsage(calls))}`);
+
+  if (process.exitCode) console.log("⚠️ Some endpoints could not be analyzed.\n");
+  else console.log("🎉 All selected endpoints analyzed successfully!\n");
 }
 
-/**
- * Step 4: Orchestrate everything
- */
 /**
  * Step 4: Orchestrate everything
  */
 async function runFullPipeline() {
-  const selectedFile = await selectRouteFile();
-
-  // 🧹 Clean up old payloads so only fresh ones get analyzed
-  if (fs.existsSync(ANALYSIS_DIR)) {
-    fs.rmSync(ANALYSIS_DIR, { recursive: true, force: true });
-  }
+  const selectedFile = process.argv[2] || await selectRouteFile();
   fs.mkdirSync(ANALYSIS_DIR, { recursive: true });
 
-  runAnalyzer(selectedFile);
+  await runAnalyzer(selectedFile);
   await analyzeReports();
 }
 